@@ -0,0 +1,142 @@
+'use client'
+
+import React, { useState, useEffect } from 'react';
+import { supabase } from '../../lib/utils/supabase';
+import { adminFetch } from '../../lib/utils/admin-fetch.js';
+
+// Sign-in for the admin panel: renders children({ email, role, signOut }) once the
+// signed-in user has an admin role. Every admin route checks the role again server-side
+function AdminAuthGate({ children }) {
+  const [session, setSession] = useState(null);
+  const [sessionLoaded, setSessionLoaded] = useState(false);
+  const [admin, setAdmin] = useState(null); // { email, role } from /api/admin/me
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [signingIn, setSigningIn] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!supabase) {
+      setSessionLoaded(true);
+      return;
+    }
+    supabase.auth.getSession().then(({ data }) => {
+      setSession(data.session);
+      setSessionLoaded(true);
+    });
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((_event, newSession) => {
+      setSession(newSession);
+    });
+    return () => subscription.unsubscribe();
+  }, []);
+
+  // Token refreshes give a new session object for the same user; only a new user needs a role check
+  const userId = session?.user?.id || null;
+  useEffect(() => {
+    setAdmin(null);
+    if (!userId) return;
+
+    adminFetch('/api/admin/me')
+      .then(response => response.json())
+      .then(data => {
+        if (data.success) {
+          setAdmin({ email: data.user.email, role: data.role });
+        } else {
+          setError(data.error || 'Could not verify admin access');
+        }
+      })
+      .catch(err => setError(`Could not verify admin access: ${err.message}`));
+  }, [userId]);
+
+  const signIn = async (e) => {
+    e.preventDefault();
+    setSigningIn(true);
+    setError(null);
+    const { error: signInError } = await supabase.auth.signInWithPassword({ email: email.trim(), password });
+    if (signInError) {
+      setError(signInError.message);
+    }
+    setPassword('');
+    setSigningIn(false);
+  };
+
+  const signOut = async () => {
+    await supabase.auth.signOut();
+    setAdmin(null);
+    setError(null);
+  };
+
+  if (!supabase) {
+    return (
+      <div className="admin-panel">
+        <div className="error-message">Supabase client not initialized - the admin panel needs NEXT_PUBLIC_SUPABASE_URL and NEXT_PUBLIC_SUPABASE_ANON_KEY to sign in.</div>
+      </div>
+    );
+  }
+
+  if (!sessionLoaded || (userId && !admin && !error)) {
+    return (
+      <div className="admin-panel">
+        <p style={{ textAlign: 'center', color: '#666' }}>⏳ Checking sign-in...</p>
+      </div>
+    );
+  }
+
+  if (admin?.role) {
+    return children({ ...admin, signOut });
+  }
+
+  return (
+    <div className="admin-panel">
+      <div className="admin-header">
+        <h1>🏞️ Outside Insiders Admin Panel</h1>
+        <p>Sign in to manage park data</p>
+      </div>
+
+      <div className="section" style={{ maxWidth: '420px', margin: '0 auto' }}>
+        {userId ? (
+          <>
+            <p>
+              {admin?.email || session.user.email} {'doesn\'t have admin access. Ask an admin to give your account a role (docs/ADMIN_AUTH_SETUP.sql).'}
+            </p>
+            {error && <div className="error-message">{error}</div>}
+            <button onClick={signOut} className="secondary-button">Sign Out</button>
+          </>
+        ) : (
+          <form onSubmit={signIn}>
+            <div className="form-group">
+              <label>Email:</label>
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                autoComplete="username"
+                required
+                disabled={signingIn}
+                style={{ width: '100%', padding: '8px', marginTop: '5px' }}
+              />
+            </div>
+            <div className="form-group">
+              <label>Password:</label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoComplete="current-password"
+                required
+                disabled={signingIn}
+                style={{ width: '100%', padding: '8px', marginTop: '5px' }}
+              />
+            </div>
+            {error && <div className="error-message">{error}</div>}
+            <button type="submit" disabled={signingIn} className="primary-button">
+              {signingIn ? '⏳ Signing in...' : '🔐 Sign In'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AdminAuthGate;
@@ -0,0 +1,287 @@
+'use client'
+
+import React, { useState, useEffect } from 'react';
+import { adminFetch } from '../../lib/utils/admin-fetch.js';
+
+const ACTION_LABELS = {
+  'parks.delete': '🗑️ Delete parks (to trash)',
+  'parks.restore': '♻️ Restore from trash',
+  'parks.purge': '🧹 Purge from trash',
+  'parks.update': '✏️ Bulk edit',
+  'parks.edit': '📝 Park edit',
+  'parks.geocode': '📍 Geocoding run',
+  'parks.merge': '🔗 Duplicate merge',
+  'import.upload': '📤 File upload',
+  'import.sync': '🔄 API sync',
+  'import.rollback': '↩️ Import rollback',
+};
+
+const ACTION_COLORS = {
+  'parks.delete': '#dc3545',
+  'parks.purge': '#dc3545',
+  'import.rollback': '#ff9800',
+};
+
+// Format a snapshot value for display in the before/after table
+function formatAuditValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.length > 200 ? `${text.substring(0, 200)}…` : text;
+}
+
+// The date inputs pick whole days; the API's "until" is exclusive, so search up to the next day
+function nextDay(dateString) {
+  const date = new Date(`${dateString}T00:00:00`);
+  date.setDate(date.getDate() + 1);
+  return date.toISOString();
+}
+
+// Audit Log tab - search deletes, restores, purges, edits, bulk edits, geocoding runs, merges, imports and rollbacks
+function AuditLogTab() {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [filters, setFilters] = useState({ action: '', actor: '', parkId: '', since: '', until: '' });
+  const [selectedEvent, setSelectedEvent] = useState(null);
+
+  const loadEvents = async () => {
+    setLoading(true);
+    setError(null);
+    setSelectedEvent(null);
+    try {
+      const params = new URLSearchParams({ limit: '200' });
+      if (filters.action) params.set('action', filters.action);
+      if (filters.actor.trim()) params.set('actor', filters.actor.trim());
+      if (filters.parkId.trim()) params.set('parkId', filters.parkId.trim());
+      if (filters.since) params.set('since', new Date(`${filters.since}T00:00:00`).toISOString());
+      if (filters.until) params.set('until', nextDay(filters.until));
+
+      const response = await adminFetch(`/api/admin/audit-log?${params.toString()}`);
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.details || data.message || data.error || 'Failed to load audit log');
+      }
+
+      setEvents(data.events || []);
+    } catch (err) {
+      console.error('Load audit log error:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadEvents();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const updateFilter = (field, value) => setFilters({ ...filters, [field]: value });
+
+  const search = (e) => {
+    e.preventDefault();
+    loadEvents();
+  };
+
+  // One row per park in the before/after snapshots
+  const snapshotParkIds = selectedEvent
+    ? [...new Set([...Object.keys(selectedEvent.before || {}), ...Object.keys(selectedEvent.after || {})])]
+    : [];
+
+  return (
+    <div className="section">
+      <h2>🧾 Audit Log</h2>
+      <p className="section-description">
+        Every park delete, restore and purge, park edit and bulk edit, geocoding run, duplicate merge, import and rollback, with who ran it,
+        the filters it ran with, the parks it touched and their values before and after.
+        Search by park id to find out what happened to a park.
+      </p>
+
+      <form onSubmit={search} className="form-group" style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', alignItems: 'flex-end' }}>
+        <div>
+          <label htmlFor="audit-action">Action:</label>
+          <select
+            id="audit-action"
+            value={filters.action}
+            onChange={(e) => updateFilter('action', e.target.value)}
+            disabled={loading}
+          >
+            <option value="">All actions</option>
+            <option value="parks.">All park changes</option>
+            <option value="import.">All imports</option>
+            {Object.entries(ACTION_LABELS).map(([action, label]) => (
+              <option key={action} value={action}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="audit-actor">User email:</label>
+          <input
+            id="audit-actor"
+            type="text"
+            value={filters.actor}
+            onChange={(e) => updateFilter('actor', e.target.value)}
+            placeholder="e.g. jane@ or system"
+            disabled={loading}
+          />
+        </div>
+        <div>
+          <label htmlFor="audit-park">Park id:</label>
+          <input
+            id="audit-park"
+            type="text"
+            value={filters.parkId}
+            onChange={(e) => updateFilter('parkId', e.target.value)}
+            disabled={loading}
+          />
+        </div>
+        <div>
+          <label htmlFor="audit-since">From:</label>
+          <input
+            id="audit-since"
+            type="date"
+            value={filters.since}
+            onChange={(e) => updateFilter('since', e.target.value)}
+            disabled={loading}
+          />
+        </div>
+        <div>
+          <label htmlFor="audit-until">To:</label>
+          <input
+            id="audit-until"
+            type="date"
+            value={filters.until}
+            onChange={(e) => updateFilter('until', e.target.value)}
+            disabled={loading}
+          />
+        </div>
+        <button type="submit" disabled={loading} className="secondary-button">
+          {loading ? '⏳ Searching...' : '🔍 Search'}
+        </button>
+      </form>
+
+      {error && (
+        <div className="error-message" style={{ marginTop: '20px', padding: '15px', background: '#fee', borderRadius: '8px' }}>
+          <strong>❌ Error:</strong> {error}
+        </div>
+      )}
+
+      {!loading && events.length === 0 && !error && (
+        <p style={{ color: '#666' }}>No audit log entries match.</p>
+      )}
+
+      {events.length > 0 && (
+        <div style={{ overflowX: 'auto', marginTop: '20px' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+            <thead>
+              <tr style={{ background: '#f5f5f5', textAlign: 'left' }}>
+                <th style={{ padding: '10px' }}>When</th>
+                <th style={{ padding: '10px' }}>User</th>
+                <th style={{ padding: '10px' }}>Action</th>
+                <th style={{ padding: '10px' }}>Parks</th>
+              </tr>
+            </thead>
+            <tbody>
+              {events.map(event => (
+                <tr
+                  key={event.id}
+                  onClick={() => setSelectedEvent(event)}
+                  style={{
+                    cursor: 'pointer',
+                    borderBottom: '1px solid #eee',
+                    background: selectedEvent?.id === event.id ? '#e8f4f8' : 'transparent'
+                  }}
+                >
+                  <td style={{ padding: '10px' }}>{new Date(event.created_at).toLocaleString()}</td>
+                  <td style={{ padding: '10px' }}>
+                    {event.actor_email || '—'}
+                    {event.actor_role && <span style={{ color: '#999' }}> ({event.actor_role})</span>}
+                  </td>
+                  <td style={{ padding: '10px', color: ACTION_COLORS[event.action] || '#333' }}>
+                    {ACTION_LABELS[event.action] || event.action}
+                  </td>
+                  <td style={{ padding: '10px' }}>{event.affected_count}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {selectedEvent && (
+        <div style={{ marginTop: '30px', padding: '20px', background: '#f9f9f9', borderRadius: '8px' }}>
+          <h3 style={{ marginTop: 0 }}>
+            {ACTION_LABELS[selectedEvent.action] || selectedEvent.action} — {new Date(selectedEvent.created_at).toLocaleString()}
+          </h3>
+          <p>
+            By <strong>{selectedEvent.actor_email || 'unknown'}</strong>
+            {selectedEvent.actor_role && ` (${selectedEvent.actor_role})`}
+          </p>
+
+          {selectedEvent.criteria && (
+            <details open style={{ marginBottom: '15px' }}>
+              <summary><strong>Criteria</strong></summary>
+              <pre style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-all', fontSize: '0.8rem' }}>
+                {JSON.stringify(selectedEvent.criteria, null, 2)}
+              </pre>
+            </details>
+          )}
+
+          {selectedEvent.details && (
+            <details style={{ marginBottom: '15px' }}>
+              <summary><strong>Details</strong></summary>
+              <pre style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-all', fontSize: '0.8rem' }}>
+                {JSON.stringify(selectedEvent.details, null, 2)}
+              </pre>
+            </details>
+          )}
+
+          {selectedEvent.affected_ids?.length > 0 && (
+            <details style={{ marginBottom: '15px' }}>
+              <summary><strong>Affected park ids ({selectedEvent.affected_ids.length})</strong></summary>
+              <p style={{ wordBreak: 'break-all', fontSize: '0.85rem' }}>{selectedEvent.affected_ids.join(', ')}</p>
+            </details>
+          )}
+
+          {snapshotParkIds.length > 0 && <h4>Before / After ({snapshotParkIds.length})</h4>}
+          {snapshotParkIds.map(parkId => {
+            const before = selectedEvent.before?.[parkId] || null;
+            const after = selectedEvent.after?.[parkId] || null;
+            const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+            return (
+              <details key={parkId} style={{ marginBottom: '8px', background: '#fff', padding: '8px 12px', borderRadius: '6px', border: '1px solid #eee' }}>
+                <summary>
+                  {before?.name || after?.name || parkId}
+                  <span style={{ marginLeft: '8px', color: '#999', fontSize: '0.85rem' }}>
+                    ({parkId}{!after && selectedEvent.after ? ' - removed' : ''})
+                  </span>
+                </summary>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem', marginTop: '8px' }}>
+                  <thead>
+                    <tr style={{ textAlign: 'left', background: '#f5f5f5' }}>
+                      <th style={{ padding: '6px' }}>Field</th>
+                      <th style={{ padding: '6px' }}>Before</th>
+                      <th style={{ padding: '6px' }}>After</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {fields.map(field => (
+                      <tr key={field} style={{ borderTop: '1px solid #eee' }}>
+                        <td style={{ padding: '6px', fontWeight: 'bold' }}>{field}</td>
+                        <td style={{ padding: '6px', color: '#999', wordBreak: 'break-all' }}>{formatAuditValue(before?.[field])}</td>
+                        <td style={{ padding: '6px', wordBreak: 'break-all' }}>{after ? formatAuditValue(after[field]) : '—'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </details>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AuditLogTab;
@@ -0,0 +1,416 @@
+'use client'
+
+import React, { useState, useEffect } from 'react';
+import { adminFetch } from '../../lib/utils/admin-fetch.js';
+
+const EMPTY_FORM = {
+  name: '',
+  source_type: 'County Agency',
+  url: '',
+  file_pattern: '',
+  agency: '',
+  default_state: '',
+  priority: '',
+  notes: '',
+  mappings: [],
+};
+
+// field_mappings object -> editable rows ({ field, keys: 'A, B' }); null (leave empty) becomes a blank row
+function toMappingRows(fieldMappings) {
+  return Object.entries(fieldMappings || {}).map(([field, keys]) => ({
+    field,
+    keys: keys === null ? '' : Array.isArray(keys) ? keys.join(', ') : keys,
+  }));
+}
+
+function toFieldMappings(rows) {
+  const mappings = {};
+  for (const row of rows) {
+    if (!row.field) continue;
+    const keys = row.keys.split(',').map(key => key.trim()).filter(Boolean);
+    mappings[row.field] = keys.length === 0 ? null : keys.length === 1 ? keys[0] : keys;
+  }
+  return mappings;
+}
+
+function formatMapping(keys) {
+  if (keys === null) return '(left empty)';
+  return Array.isArray(keys) ? keys.join(' | ') : keys;
+}
+
+// Data Sources tab - saved agency sources with their own agency, default state, priority and column mappings
+function DataSourcesTab() {
+  const [sources, setSources] = useState([]);
+  const [sourceTypes, setSourceTypes] = useState(['State Agency', 'Federal Agency', 'County Agency', 'City Agency']);
+  const [mappableFields, setMappableFields] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadSources = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await adminFetch('/api/admin/data-sources');
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || data.error || 'Failed to load data sources');
+      }
+
+      setSources(data.sources || []);
+      if (data.sourceTypes) setSourceTypes(data.sourceTypes);
+      if (data.mappableFields) setMappableFields(data.mappableFields);
+    } catch (err) {
+      console.error('Load data sources error:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const postAction = async (body) => {
+    const response = await adminFetch('/api/admin/data-sources', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      throw new Error([data.error, data.details || data.message].filter(Boolean).join(': ') || 'Request failed');
+    }
+    return data;
+  };
+
+  const saveSource = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    setStatus(null);
+    try {
+      const { mappings, ...fields } = form;
+      const source = { ...fields, field_mappings: toFieldMappings(mappings) };
+      const data = await postAction(editingId
+        ? { action: 'update', sourceId: editingId, source }
+        : { action: 'create', source });
+
+      setStatus(data.message);
+      setForm(EMPTY_FORM);
+      setEditingId(null);
+      await loadSources();
+    } catch (err) {
+      console.error('Save data source error:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteSource = async (source) => {
+    if (!confirm(`Delete source "${source.name}"? Parks imported from it are kept.`)) {
+      return;
+    }
+
+    setBusyId(source.id);
+    setError(null);
+    setStatus(null);
+    try {
+      const data = await postAction({ action: 'delete', sourceId: source.id });
+      setStatus(data.message);
+      await loadSources();
+    } catch (err) {
+      console.error('Delete data source error:', err);
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const editSource = (source) => {
+    setEditingId(source.id);
+    setForm({
+      name: source.name,
+      source_type: source.source_type,
+      url: source.url || '',
+      file_pattern: source.file_pattern || '',
+      agency: source.agency || '',
+      default_state: source.default_state || '',
+      priority: source.priority ?? '',
+      notes: source.notes || '',
+      mappings: toMappingRows(source.field_mappings),
+    });
+  };
+
+  const updateMapping = (index, changes) => {
+    setForm({
+      ...form,
+      mappings: form.mappings.map((row, i) => (i === index ? { ...row, ...changes } : row)),
+    });
+  };
+
+  useEffect(() => {
+    loadSources();
+  }, []);
+
+  const unmappedFields = mappableFields.filter(field => !form.mappings.some(row => row.field === field));
+
+  return (
+    <div className="section">
+      <h2>🗂️ Data Sources</h2>
+      <p className="section-description">
+        Saved agency sources. Pick one in the API Manager or File Upload tab (uploads whose file name matches a
+        source's file pattern use it automatically) and its agency, default state, priority and column mappings are
+        applied. Column mappings replace the built-in property name lists for the columns they name.
+      </p>
+
+      <form onSubmit={saveSource} style={{ marginBottom: '30px', padding: '20px', background: '#f9f9f9', borderRadius: '8px' }}>
+        <h3 style={{ marginTop: 0 }}>{editingId ? 'Edit Source' : 'New Source'}</h3>
+        <div className="form-group">
+          <label htmlFor="source-name">Name:</label>
+          <input
+            id="source-name"
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="e.g., Wake County Parks"
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="source-type">Source Type:</label>
+          <select
+            id="source-type"
+            value={form.source_type}
+            onChange={(e) => setForm({ ...form, source_type: e.target.value })}
+          >
+            {sourceTypes.map(type => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="source-url">Sync URL (optional):</label>
+          <input
+            id="source-url"
+            type="url"
+            value={form.url}
+            onChange={(e) => setForm({ ...form, url: e.target.value })}
+            placeholder="https://services.arcgis.com/.../FeatureServer/0"
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="source-file-pattern">Upload file name pattern (optional):</label>
+          <input
+            id="source-file-pattern"
+            type="text"
+            value={form.file_pattern}
+            onChange={(e) => setForm({ ...form, file_pattern: e.target.value })}
+            placeholder="e.g., wake_county_parks*.zip"
+          />
+          <p style={{ marginTop: '5px', fontSize: '0.9rem', color: '#666' }}>
+            <code>*</code> matches anything, <code>?</code> one character. A URL or a pattern is required.
+          </p>
+        </div>
+        <div className="form-group">
+          <label htmlFor="source-agency">Agency (used when a feature doesn't name one):</label>
+          <input
+            id="source-agency"
+            type="text"
+            value={form.agency}
+            onChange={(e) => setForm({ ...form, agency: e.target.value })}
+            placeholder="e.g., Wake County Parks, Recreation & Open Space"
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="source-default-state">Default State (used when a feature has none):</label>
+          <input
+            id="source-default-state"
+            type="text"
+            value={form.default_state}
+            onChange={(e) => setForm({ ...form, default_state: e.target.value })}
+            placeholder="e.g., NC or North Carolina"
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="source-priority">Priority (0-100, blank for the source type's default):</label>
+          <input
+            id="source-priority"
+            type="number"
+            min="0"
+            max="100"
+            value={form.priority}
+            onChange={(e) => setForm({ ...form, priority: e.target.value })}
+          />
+        </div>
+
+        <div className="form-group">
+          <label>Column Mappings:</label>
+          {form.mappings.length === 0 && (
+            <p style={{ fontSize: '0.9rem', color: '#666', margin: '5px 0' }}>
+              None - every column uses the built-in property names.
+            </p>
+          )}
+          {form.mappings.map((row, index) => (
+            <div key={index} style={{ display: 'flex', gap: '8px', alignItems: 'center', marginTop: '5px' }}>
+              <select
+                value={row.field}
+                onChange={(e) => updateMapping(index, { field: e.target.value })}
+                style={{ flex: '0 0 180px' }}
+              >
+                <option value={row.field}>{row.field}</option>
+                {unmappedFields.map(field => (
+                  <option key={field} value={field}>{field}</option>
+                ))}
+              </select>
+              <span>←</span>
+              <input
+                type="text"
+                value={row.keys}
+                onChange={(e) => updateMapping(index, { keys: e.target.value })}
+                placeholder="Property name(s), comma-separated - blank leaves the column empty"
+                style={{ flex: 1 }}
+              />
+              <button
+                type="button"
+                onClick={() => setForm({ ...form, mappings: form.mappings.filter((_, i) => i !== index) })}
+                className="secondary-button"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+          {unmappedFields.length > 0 && (
+            <button
+              type="button"
+              onClick={() => setForm({ ...form, mappings: [...form.mappings, { field: unmappedFields[0], keys: '' }] })}
+              className="secondary-button"
+              style={{ marginTop: '8px' }}
+            >
+              ➕ Add Mapping
+            </button>
+          )}
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="source-notes">Notes (optional):</label>
+          <input
+            id="source-notes"
+            type="text"
+            value={form.notes}
+            onChange={(e) => setForm({ ...form, notes: e.target.value })}
+          />
+        </div>
+        <div style={{ display: 'flex', gap: '10px' }}>
+          <button type="submit" disabled={saving} className="primary-button">
+            {saving ? '⏳ Saving...' : editingId ? '💾 Save Changes' : '➕ Add Source'}
+          </button>
+          {editingId && (
+            <button
+              type="button"
+              onClick={() => { setEditingId(null); setForm(EMPTY_FORM); }}
+              className="secondary-button"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      {error && (
+        <div className="error-message" style={{ marginBottom: '20px', padding: '15px', background: '#fee', borderRadius: '8px' }}>
+          <strong>❌ Error:</strong> {error}
+        </div>
+      )}
+
+      {status && (
+        <div className="success-message" style={{ marginBottom: '20px', padding: '15px', background: '#e8f5e9', borderRadius: '8px' }}>
+          ✅ {status}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h3>Sources</h3>
+        <button onClick={loadSources} disabled={loading} className="secondary-button">
+          {loading ? '⏳ Loading...' : '🔄 Refresh'}
+        </button>
+      </div>
+
+      {!loading && sources.length === 0 && !error && (
+        <p style={{ color: '#666' }}>No saved sources yet.</p>
+      )}
+
+      {sources.length > 0 && (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+            <thead>
+              <tr style={{ background: '#f5f5f5', textAlign: 'left' }}>
+                <th style={{ padding: '10px' }}>Name</th>
+                <th style={{ padding: '10px' }}>URL / File Pattern</th>
+                <th style={{ padding: '10px' }}>Defaults</th>
+                <th style={{ padding: '10px' }}>Column Mappings</th>
+                <th style={{ padding: '10px' }}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {sources.map(source => (
+                <tr key={source.id} style={{ borderBottom: '1px solid #eee' }}>
+                  <td style={{ padding: '10px' }}>
+                    <strong>{source.name}</strong>
+                    <div style={{ fontSize: '0.8rem', color: '#666' }}>{source.source_type}</div>
+                    {source.notes && <div style={{ fontSize: '0.8rem', color: '#999' }}>{source.notes}</div>}
+                  </td>
+                  <td style={{ padding: '10px' }}>
+                    {source.url && <div style={{ fontSize: '0.8rem', wordBreak: 'break-all' }}>{source.url}</div>}
+                    {source.file_pattern && <div><code>{source.file_pattern}</code></div>}
+                  </td>
+                  <td style={{ padding: '10px', fontSize: '0.85rem' }}>
+                    {source.agency && <div>Agency: {source.agency}</div>}
+                    {source.default_state && <div>State: {source.default_state}</div>}
+                    <div>Priority: {source.priority ?? 'type default'}</div>
+                  </td>
+                  <td style={{ padding: '10px', fontSize: '0.85rem' }}>
+                    {Object.keys(source.field_mappings || {}).length === 0
+                      ? <span style={{ color: '#999' }}>Built-in</span>
+                      : Object.entries(source.field_mappings).map(([field, keys]) => (
+                        <div key={field}><strong>{field}</strong> ← {formatMapping(keys)}</div>
+                      ))}
+                    {Object.entries(source.value_transforms || {}).map(([field, transform]) => (
+                      <div key={`transform-${field}`} style={{ color: '#666' }}>
+                        {field}: {transform.type}
+                        {transform.type === 'lookup' && ` (${Object.keys(transform.values || {}).length} codes)`}
+                      </div>
+                    ))}
+                  </td>
+                  <td style={{ padding: '10px', whiteSpace: 'nowrap' }}>
+                    <button
+                      onClick={() => editSource(source)}
+                      disabled={busyId === source.id}
+                      className="secondary-button"
+                      style={{ marginRight: '5px' }}
+                    >
+                      ✏️ Edit
+                    </button>
+                    <button
+                      onClick={() => deleteSource(source)}
+                      disabled={busyId === source.id}
+                      className="secondary-button"
+                    >
+                      🗑️ Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DataSourcesTab;
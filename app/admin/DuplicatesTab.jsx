@@ -0,0 +1,296 @@
+'use client'
+
+import React, { useState, useEffect } from 'react';
+import { adminFetch } from '../../lib/utils/admin-fetch.js';
+
+function formatFieldValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return value.type ? `[${value.type} boundary]` : JSON.stringify(value);
+  const text = String(value);
+  return text.length > 160 ? `${text.substring(0, 160)}…` : text;
+}
+
+function isEmptyValue(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// Keep the higher-priority row by default and take the other row's value only where ours is blank
+function defaultMergeChoices(parkA, parkB, fields) {
+  const keep = (parkB.data_source_priority || 0) > (parkA.data_source_priority || 0) ? parkB : parkA;
+  const other = keep === parkA ? parkB : parkA;
+  const choices = {};
+  for (const field of fields) {
+    choices[field] = isEmptyValue(keep[field]) && !isEmptyValue(other[field]) ? String(other.id) : String(keep.id);
+  }
+  return { keepParkId: String(keep.id), choices };
+}
+
+// Duplicates tab - run the duplicate scan, review candidate pairs and merge them field by field
+function DuplicatesTab() {
+  const [pairs, setPairs] = useState([]);
+  const [fields, setFields] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [stateFilter, setStateFilter] = useState('');
+  const [scanLoading, setScanLoading] = useState(false);
+  const [selectedPair, setSelectedPair] = useState(null);
+  const [keepParkId, setKeepParkId] = useState(null);
+  const [fieldChoices, setFieldChoices] = useState({});
+  const [actionLoading, setActionLoading] = useState(false);
+
+  const loadPairs = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ limit: '100' });
+      if (stateFilter) params.set('state', stateFilter.toUpperCase());
+
+      const response = await adminFetch(`/api/admin/duplicates?${params.toString()}`);
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || data.error || 'Failed to load duplicate pairs');
+      }
+
+      setPairs(data.pairs || []);
+      setFields(data.mergeableFields || []);
+    } catch (err) {
+      console.error('Load duplicates error:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startScan = async () => {
+    setScanLoading(true);
+    setError(null);
+    setStatus(null);
+    try {
+      const response = await adminFetch('/api/admin/duplicates', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'scan', states: stateFilter ? [stateFilter] : null }),
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || data.error || 'Failed to start scan');
+      }
+
+      setStatus(`${data.message}. ${data.details || ''}`);
+    } catch (err) {
+      console.error('Duplicate scan error:', err);
+      setError(err.message);
+    } finally {
+      setScanLoading(false);
+    }
+  };
+
+  const selectPair = (pair) => {
+    const defaults = defaultMergeChoices(pair.parkA, pair.parkB, fields);
+    setSelectedPair(pair);
+    setKeepParkId(defaults.keepParkId);
+    setFieldChoices(defaults.choices);
+    setStatus(null);
+  };
+
+  const resolvePair = async (action) => {
+    if (!selectedPair) return;
+    if (action === 'merge') {
+      const removed = String(selectedPair.parkA.id) === keepParkId ? selectedPair.parkB : selectedPair.parkA;
+      if (!confirm(`Merge and delete "${removed.name}"? The fields you picked from it will be copied to the kept park.`)) {
+        return;
+      }
+    }
+
+    setActionLoading(true);
+    setError(null);
+    try {
+      const response = await adminFetch('/api/admin/duplicates', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          action,
+          candidateId: selectedPair.candidate.id,
+          keepParkId,
+          fieldChoices,
+        }),
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || data.error || `Failed to ${action} pair`);
+      }
+
+      setStatus(data.message);
+      setSelectedPair(null);
+      await loadPairs();
+    } catch (err) {
+      console.error(`Duplicate ${action} error:`, err);
+      setError(err.message);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadPairs();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  return (
+    <div className="section">
+      <h2>🔗 Duplicate Parks</h2>
+      <p className="section-description">
+        Candidate duplicate pairs scored by name similarity, centroid distance and boundary overlap.
+        Pick which value to keep for each field, then merge the pair into one park.
+      </p>
+
+      <div className="form-group" style={{ display: 'flex', gap: '10px', alignItems: 'flex-end' }}>
+        <div style={{ flex: 1 }}>
+          <label htmlFor="duplicates-state">State (optional):</label>
+          <input
+            id="duplicates-state"
+            type="text"
+            value={stateFilter}
+            onChange={(e) => setStateFilter(e.target.value)}
+            placeholder="e.g., NC - leave blank for all states"
+            maxLength={20}
+          />
+        </div>
+        <button onClick={loadPairs} disabled={loading} className="secondary-button">
+          {loading ? '⏳ Loading...' : '🔄 Refresh'}
+        </button>
+        <button onClick={startScan} disabled={scanLoading} className="primary-button">
+          {scanLoading ? '⏳ Starting...' : '🔍 Scan for Duplicates'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-message" style={{ marginTop: '20px', padding: '15px', background: '#fee', borderRadius: '8px' }}>
+          <strong>❌ Error:</strong> {error}
+        </div>
+      )}
+
+      {status && (
+        <div className="success-message" style={{ marginTop: '20px', padding: '15px', background: '#e8f5e9', borderRadius: '8px' }}>
+          ✅ {status}
+        </div>
+      )}
+
+      {!loading && pairs.length === 0 && !error && (
+        <p style={{ color: '#666' }}>No pending duplicate pairs. Run a scan to look for duplicates.</p>
+      )}
+
+      {pairs.length > 0 && (
+        <div style={{ overflowX: 'auto', marginTop: '20px' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+            <thead>
+              <tr style={{ background: '#f5f5f5', textAlign: 'left' }}>
+                <th style={{ padding: '10px' }}>Score</th>
+                <th style={{ padding: '10px' }}>Park A</th>
+                <th style={{ padding: '10px' }}>Park B</th>
+                <th style={{ padding: '10px' }}>Name</th>
+                <th style={{ padding: '10px' }}>Distance</th>
+                <th style={{ padding: '10px' }}>Overlap</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pairs.map(pair => (
+                <tr
+                  key={pair.candidate.id}
+                  onClick={() => selectPair(pair)}
+                  style={{
+                    cursor: 'pointer',
+                    borderBottom: '1px solid #eee',
+                    background: selectedPair?.candidate.id === pair.candidate.id ? '#e8f4f8' : 'transparent'
+                  }}
+                  title={(pair.candidate.reasons || []).join('\n')}
+                >
+                  <td style={{ padding: '10px', fontWeight: 'bold' }}>{Number(pair.candidate.score).toFixed(2)}</td>
+                  <td style={{ padding: '10px' }}>{pair.parkA.name} <span style={{ color: '#999' }}>({pair.parkA.data_source || 'unknown'})</span></td>
+                  <td style={{ padding: '10px' }}>{pair.parkB.name} <span style={{ color: '#999' }}>({pair.parkB.data_source || 'unknown'})</span></td>
+                  <td style={{ padding: '10px' }}>{pair.candidate.name_similarity != null ? Number(pair.candidate.name_similarity).toFixed(2) : '—'}</td>
+                  <td style={{ padding: '10px' }}>{pair.candidate.distance_km != null ? `${Number(pair.candidate.distance_km).toFixed(2)} km` : '—'}</td>
+                  <td style={{ padding: '10px' }}>{pair.candidate.overlap_ratio != null ? `${(Number(pair.candidate.overlap_ratio) * 100).toFixed(0)}%` : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {selectedPair && (
+        <div style={{ marginTop: '30px', padding: '20px', background: '#f9f9f9', borderRadius: '8px' }}>
+          <h3 style={{ marginTop: 0 }}>Merge Workbench</h3>
+          {(selectedPair.candidate.reasons || []).length > 0 && (
+            <p style={{ color: '#666' }}>{selectedPair.candidate.reasons.join(' · ')}</p>
+          )}
+
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem', background: '#fff' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', background: '#f5f5f5' }}>
+                <th style={{ padding: '8px' }}>Field</th>
+                {[selectedPair.parkA, selectedPair.parkB].map(park => (
+                  <th key={park.id} style={{ padding: '8px' }}>
+                    <label style={{ cursor: 'pointer' }}>
+                      <input
+                        type="radio"
+                        name="keep-park"
+                        checked={keepParkId === String(park.id)}
+                        onChange={() => setKeepParkId(String(park.id))}
+                      />{' '}
+                      Keep this row (ID {park.id})
+                    </label>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {fields.map(field => (
+                <tr key={field} style={{ borderTop: '1px solid #eee' }}>
+                  <td style={{ padding: '8px', fontWeight: 'bold' }}>
+                    {field}
+                    {[selectedPair.parkA, selectedPair.parkB].some(p => (p.locked_fields || []).includes(field)) && ' 🔒'}
+                  </td>
+                  {[selectedPair.parkA, selectedPair.parkB].map(park => (
+                    <td key={park.id} style={{ padding: '8px', verticalAlign: 'top' }}>
+                      <label style={{ cursor: 'pointer', display: 'flex', gap: '6px' }}>
+                        <input
+                          type="radio"
+                          name={`field-${field}`}
+                          checked={fieldChoices[field] === String(park.id)}
+                          onChange={() => setFieldChoices({ ...fieldChoices, [field]: String(park.id) })}
+                        />
+                        <span style={{ color: isEmptyValue(park[field]) ? '#999' : '#333' }}>
+                          {formatFieldValue(park[field])}
+                        </span>
+                      </label>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div style={{ display: 'flex', gap: '10px', marginTop: '15px' }}>
+            <button onClick={() => resolvePair('merge')} disabled={actionLoading} className="primary-button">
+              {actionLoading ? '⏳ Working...' : '🔗 Merge Pair'}
+            </button>
+            <button onClick={() => resolvePair('dismiss')} disabled={actionLoading} className="secondary-button">
+              Not a Duplicate
+            </button>
+            <button onClick={() => setSelectedPair(null)} disabled={actionLoading} className="secondary-button">
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DuplicatesTab;
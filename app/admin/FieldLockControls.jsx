@@ -0,0 +1,71 @@
+'use client'
+
+import React, { useState } from 'react';
+import { adminFetch } from '../../lib/utils/admin-fetch.js';
+
+// Locked (manually edited) fields for a park row, with a click-to-unlock control per field
+function FieldLockControls({ parkId, lockedFields, onUnlocked }) {
+  const [unlocking, setUnlocking] = useState(null); // field name, or '*' for all
+  const [error, setError] = useState(null);
+
+  if (!lockedFields || lockedFields.length === 0) {
+    return <span style={{ color: '#999' }}>—</span>;
+  }
+
+  const unlock = async (fields) => {
+    const label = fields ? fields.join(', ') : 'all fields';
+    if (!confirm(`Unlock ${label}? Future uploads and syncs will be able to overwrite ${fields?.length === 1 ? 'it' : 'them'}.`)) {
+      return;
+    }
+
+    setUnlocking(fields ? fields[0] : '*');
+    setError(null);
+    try {
+      const response = await adminFetch('/api/admin/data-quality/locks', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ parkId, action: 'unlock', fields }),
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.details || data.error || 'Failed to unlock');
+      }
+
+      if (onUnlocked) await onUnlocked();
+    } catch (err) {
+      console.error('Unlock error:', err);
+      setError(err.message);
+    } finally {
+      setUnlocking(null);
+    }
+  };
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', alignItems: 'center' }}>
+      {lockedFields.map(field => (
+        <button
+          key={field}
+          onClick={() => unlock([field])}
+          disabled={unlocking !== null}
+          title={`Manually edited - click to unlock ${field}`}
+          style={{ fontSize: '0.75rem', padding: '2px 6px', border: '1px solid #eab308', borderRadius: '4px', background: '#fffbea', cursor: 'pointer' }}
+        >
+          {unlocking === field ? '⏳' : '🔒'} {field}
+        </button>
+      ))}
+      {lockedFields.length > 1 && (
+        <button
+          onClick={() => unlock(null)}
+          disabled={unlocking !== null}
+          style={{ fontSize: '0.75rem', padding: '2px 6px', border: 'none', background: 'none', color: '#0891b2', cursor: 'pointer' }}
+        >
+          {unlocking === '*' ? '⏳' : 'Unlock all'}
+        </button>
+      )}
+      {error && <span style={{ color: '#dc3545', fontSize: '0.75rem' }}>{error}</span>}
+    </div>
+  );
+}
+
+export default FieldLockControls;
@@ -0,0 +1,273 @@
+'use client'
+
+import React, { useState } from 'react';
+import { MAPPABLE_PARK_FIELDS, VALUE_TRANSFORM_TYPES, mapPropertiesForSource } from '../../lib/utils/field-mapper.js';
+import { adminFetch } from '../../lib/utils/admin-fetch.js';
+
+const AUTO = '__auto';
+const EMPTY = '__empty';
+const LIST = '__list';
+
+function formatSampleValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// { WCP: 'Wake County Parks' } <-> "WCP = Wake County Parks" lines
+function toLookupText(values) {
+  return Object.entries(values || {}).map(([code, value]) => `${code} = ${value}`).join('\n');
+}
+
+function parseLookupText(text) {
+  const values = {};
+  for (const line of text.split('\n')) {
+    const index = line.indexOf('=');
+    if (index === -1) continue;
+    const code = line.slice(0, index).trim();
+    if (code) values[code] = line.slice(index + 1).trim();
+  }
+  return values;
+}
+
+// Mapping preview returned by /api/upload with mappingPreview set: lets the admin
+// override column mappings and value transforms before the file is imported
+function FieldMappingPreview({
+  preview,
+  fieldMappings,
+  valueTransforms,
+  onFieldMappingsChange,
+  onValueTransformsChange,
+  onSourceSaved,
+}) {
+  // Lookup textareas are kept as typed; only complete "CODE = Value" lines become the transform
+  const [lookupText, setLookupText] = useState(() => Object.fromEntries(
+    Object.entries(valueTransforms || {})
+      .filter(([, transform]) => transform.type === 'lookup')
+      .map(([field, transform]) => [field, toLookupText(transform.values)])
+  ));
+  const [saving, setSaving] = useState(false);
+  const [saveStatus, setSaveStatus] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+
+  if (!preview) return null;
+
+  const propertyKeys = preview.properties.map(p => p.key);
+  const sampleParks = (preview.sampleProperties || []).map(props => (
+    mapPropertiesForSource(props, { fieldMappings, valueTransforms })
+  ));
+
+  const selectedMapping = (field) => {
+    if (!(field in fieldMappings)) return AUTO;
+    const keys = fieldMappings[field];
+    if (keys === null) return EMPTY;
+    return Array.isArray(keys) ? LIST : keys;
+  };
+
+  const setMapping = (field, choice) => {
+    const next = { ...fieldMappings };
+    if (choice === AUTO) {
+      delete next[field];
+    } else {
+      next[field] = choice === EMPTY ? null : choice;
+    }
+    onFieldMappingsChange(next);
+  };
+
+  const setTransform = (field, transform) => {
+    const next = { ...valueTransforms };
+    if (transform) {
+      next[field] = transform;
+    } else {
+      delete next[field];
+    }
+    onValueTransformsChange(next);
+  };
+
+  const lookupTransform = (text, defaultValue) => {
+    const values = parseLookupText(text);
+    if (Object.keys(values).length === 0) return null;
+    return defaultValue ? { type: 'lookup', values, default: defaultValue } : { type: 'lookup', values };
+  };
+
+  const changeTransformType = (field, type) => {
+    const nextText = { ...lookupText };
+    if (type === 'lookup') {
+      nextText[field] = '';
+      setTransform(field, null);
+    } else {
+      delete nextText[field];
+      setTransform(field, type ? { type } : null);
+    }
+    setLookupText(nextText);
+  };
+
+  const changeLookup = (field, text, defaultValue) => {
+    setLookupText({ ...lookupText, [field]: text });
+    setTransform(field, lookupTransform(text, defaultValue));
+  };
+
+  const saveToSource = async () => {
+    setSaving(true);
+    setSaveStatus(null);
+    setSaveError(null);
+    try {
+      const response = await adminFetch('/api/admin/data-sources', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          action: 'update',
+          sourceId: preview.source.id,
+          source: { field_mappings: fieldMappings, value_transforms: valueTransforms },
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error([data.error, data.details || data.message].filter(Boolean).join(': ') || 'Save failed');
+      }
+      setSaveStatus(data.message);
+      if (onSourceSaved) onSourceSaved();
+    } catch (err) {
+      console.error('Save field mappings error:', err);
+      setSaveError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Properties no column is filled from (by the built-in lists or an explicit mapping)
+  const usedKeys = new Set([
+    ...MAPPABLE_PARK_FIELDS
+      .filter(field => !(field in fieldMappings))
+      .map(field => preview.autoMapping[field])
+      .filter(Boolean),
+    ...Object.values(fieldMappings).flat().filter(Boolean),
+  ]);
+  const unmappedProperties = preview.properties.filter(p => !usedKeys.has(p.key));
+
+  return (
+    <div style={{ marginTop: '20px', padding: '20px', background: '#f5f9ff', borderRadius: '8px', border: '1px solid #0891b2' }}>
+      <h3 style={{ marginTop: 0 }}>🔎 Field Mapping Preview — nothing was imported</h3>
+      <p style={{ fontSize: '0.9rem', color: '#666' }}>
+        {preview.featureCount} features in {preview.sourceName}
+        {preview.sampledFeatures < preview.featureCount && `, properties summarized from the first ${preview.sampledFeatures}`}
+        {preview.source && ` · saved source: ${preview.source.name}`}.
+        {' '}Choices below apply to the next upload of this file.
+      </p>
+
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+          <thead>
+            <tr style={{ background: '#eef4fb', textAlign: 'left' }}>
+              <th style={{ padding: '8px' }}>Column</th>
+              <th style={{ padding: '8px' }}>Filled From</th>
+              <th style={{ padding: '8px' }}>Value Transform</th>
+              <th style={{ padding: '8px' }}>First Sample</th>
+            </tr>
+          </thead>
+          <tbody>
+            {MAPPABLE_PARK_FIELDS.map(field => {
+              const mapping = selectedMapping(field);
+              const transform = valueTransforms[field];
+              const transformType = field in lookupText ? 'lookup' : transform?.type || '';
+              return (
+                <tr key={field} style={{ borderBottom: '1px solid #e5e5e5', verticalAlign: 'top' }}>
+                  <td style={{ padding: '8px' }}><strong>{field}</strong></td>
+                  <td style={{ padding: '8px' }}>
+                    <select value={mapping} onChange={(e) => setMapping(field, e.target.value)}>
+                      <option value={AUTO}>
+                        Auto ({preview.autoMapping[field] || 'not found'})
+                      </option>
+                      {mapping === LIST && (
+                        <option value={LIST}>{fieldMappings[field].join(', ')}</option>
+                      )}
+                      {![AUTO, EMPTY, LIST].includes(mapping) && !propertyKeys.includes(mapping) && (
+                        <option value={mapping}>{mapping} (not in file)</option>
+                      )}
+                      {propertyKeys.map(key => (
+                        <option key={key} value={key}>{key}</option>
+                      ))}
+                      {field !== 'name' && <option value={EMPTY}>Leave empty</option>}
+                    </select>
+                  </td>
+                  <td style={{ padding: '8px' }}>
+                    <select value={transformType} onChange={(e) => changeTransformType(field, e.target.value)}>
+                      <option value="">None</option>
+                      {VALUE_TRANSFORM_TYPES.map(type => (
+                        <option key={type} value={type}>{type}</option>
+                      ))}
+                    </select>
+                    {transformType === 'lookup' && (
+                      <div style={{ marginTop: '6px' }}>
+                        <textarea
+                          value={lookupText[field] ?? toLookupText(transform?.values)}
+                          onChange={(e) => changeLookup(field, e.target.value, transform?.default)}
+                          placeholder={'WCP = Wake County Parks\nRAL = City of Raleigh'}
+                          rows={3}
+                          style={{ width: '100%', fontFamily: 'monospace', fontSize: '0.85rem' }}
+                        />
+                        <input
+                          type="text"
+                          value={transform?.default || ''}
+                          onChange={(e) => changeLookup(field, lookupText[field] ?? toLookupText(transform?.values), e.target.value)}
+                          placeholder="Unmatched codes become (blank = keep code)"
+                          style={{ width: '100%', marginTop: '4px' }}
+                        />
+                      </div>
+                    )}
+                  </td>
+                  <td style={{ padding: '8px', color: '#555' }}>
+                    {formatSampleValue(sampleParks[0]?.[field])}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {unmappedProperties.length > 0 && (
+        <details style={{ marginTop: '15px' }}>
+          <summary>Unmapped properties ({unmappedProperties.length})</summary>
+          <ul style={{ fontSize: '0.85rem' }}>
+            {unmappedProperties.map(p => (
+              <li key={p.key}>
+                <code>{p.key}</code> — filled in {p.filled}/{preview.sampledFeatures}
+                {p.samples.length > 0 && `: ${p.samples.map(formatSampleValue).join(' | ')}`}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {sampleParks.length > 0 && (
+        <details style={{ marginTop: '10px' }}>
+          <summary>Sample parks with these mappings ({sampleParks.length})</summary>
+          {sampleParks.map((park, idx) => (
+            <div key={idx} style={{ marginTop: '8px', background: '#fff', padding: '8px 12px', borderRadius: '6px', border: '1px solid #eee', fontSize: '0.85rem' }}>
+              <strong>{park.name}</strong>
+              {MAPPABLE_PARK_FIELDS
+                .filter(field => field !== 'name' && formatSampleValue(park[field]) !== '—')
+                .map(field => (
+                  <div key={field}>{field}: {formatSampleValue(park[field])}</div>
+                ))}
+            </div>
+          ))}
+        </details>
+      )}
+
+      {preview.source && (
+        <div style={{ marginTop: '15px' }}>
+          <button onClick={saveToSource} disabled={saving} className="secondary-button">
+            {saving ? '⏳ Saving...' : `💾 Save Mappings To "${preview.source.name}"`}
+          </button>
+          {saveStatus && <span style={{ marginLeft: '10px', color: '#4a7c2f' }}>✅ {saveStatus}</span>}
+          {saveError && <span style={{ marginLeft: '10px', color: '#c00' }}>{saveError}</span>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FieldMappingPreview;
@@ -0,0 +1,31 @@
+'use client'
+
+import React from 'react';
+import { listFieldProvenance } from '../../lib/utils/field-provenance';
+
+// Expandable per-field source list for a park row in the data quality table
+function FieldProvenanceDetails({ provenance }) {
+  const entries = listFieldProvenance(provenance);
+  if (entries.length === 0) return null;
+
+  return (
+    <details style={{ marginTop: '4px', fontSize: '0.8rem' }}>
+      <summary style={{ cursor: 'pointer', color: '#0891b2' }}>Field sources ({entries.length})</summary>
+      <table style={{ borderCollapse: 'collapse', marginTop: '4px' }}>
+        <tbody>
+          {entries.map(entry => (
+            <tr key={entry.field}>
+              <td style={{ padding: '2px 8px 2px 0', fontWeight: 'bold' }}>{entry.field}</td>
+              <td style={{ padding: '2px 8px 2px 0' }}>{entry.source}</td>
+              <td style={{ padding: '2px 0', color: '#999' }} title={entry.batchId ? `Import batch ${entry.batchId}` : undefined}>
+                {entry.updatedAt ? new Date(entry.updatedAt).toLocaleString() : '—'}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </details>
+  );
+}
+
+export default FieldProvenanceDetails;
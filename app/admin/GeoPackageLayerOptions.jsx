@@ -0,0 +1,140 @@
+'use client'
+
+import React from 'react';
+
+// Layer picker and attribute filter for a GeoPackage upload, from the mapping preview's
+// geopackage summary (layers, and each column's values in the previewed layer)
+function GeoPackageLayerOptions({
+  info,
+  layer,
+  attributeFilter,
+  onLayerChange,
+  onAttributeFilterChange,
+  onRefresh,
+  disabled,
+}) {
+  if (!info) return null;
+
+  const selectedLayer = layer || info.layer;
+  const layerChanged = selectedLayer !== info.layer;
+  // Columns with no values ticked don't filter anything
+  const activeFilter = Object.fromEntries(Object.entries(attributeFilter || {}).filter(([, values]) => values.length > 0));
+  const filterChanged = JSON.stringify(activeFilter) !== JSON.stringify(info.attributeFilter || {});
+  const filterableColumns = Object.entries(info.attributeValues || {})
+    .filter(([, values]) => values && values.length > 1)
+    .map(([column]) => column);
+  const unfilteredColumns = filterableColumns.filter(column => !(column in (attributeFilter || {})));
+  const layerInfo = info.layers.find(candidate => candidate.name === info.layer);
+
+  const toggleValue = (column, value) => {
+    const current = attributeFilter[column] || [];
+    const values = current.includes(value)
+      ? current.filter(item => item !== value)
+      : [...current, value];
+    onAttributeFilterChange({ ...attributeFilter, [column]: values });
+  };
+
+  const removeColumn = (column) => {
+    const next = { ...attributeFilter };
+    delete next[column];
+    onAttributeFilterChange(next);
+  };
+
+  return (
+    <div style={{ marginTop: '20px', padding: '20px', background: '#f7faf5', borderRadius: '8px', border: '1px solid #4a7c2f' }}>
+      <h3 style={{ marginTop: 0 }}>🗂️ GeoPackage Layer & Filter</h3>
+
+      <div className="form-group">
+        <label>Layer to import:</label>
+        <select
+          value={selectedLayer}
+          onChange={(e) => {
+            onLayerChange(e.target.value);
+            // Columns differ between layers
+            onAttributeFilterChange({});
+          }}
+          disabled={disabled}
+          style={{ width: '100%', padding: '8px', marginTop: '5px' }}
+        >
+          {info.layers.map(candidate => (
+            <option key={candidate.name} value={candidate.name}>
+              {candidate.title}{candidate.title !== candidate.name ? ` (${candidate.name})` : ''} — {candidate.featureCount} features, {candidate.geometryType}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {!layerChanged && (
+        <div className="form-group">
+          <label>Only import features where:</label>
+          {Object.keys(attributeFilter || {}).length === 0 && (
+            <p style={{ fontSize: '0.9rem', color: '#666', margin: '5px 0' }}>
+              No filter - every feature in the layer is imported.
+            </p>
+          )}
+          {Object.entries(attributeFilter || {}).map(([column, selected]) => (
+            <div key={column} style={{ marginTop: '8px', background: '#fff', padding: '8px 12px', borderRadius: '6px', border: '1px solid #eee' }}>
+              <strong>{column}</strong> is one of:
+              <button
+                onClick={() => removeColumn(column)}
+                disabled={disabled}
+                className="secondary-button"
+                style={{ marginLeft: '10px', padding: '2px 8px', fontSize: '0.8rem' }}
+              >
+                Remove
+              </button>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px 14px', marginTop: '6px', fontSize: '0.85rem' }}>
+                {(info.attributeValues[column] || []).map(({ value, count }) => (
+                  <label key={String(value)} style={{ display: 'flex', alignItems: 'center', gap: '4px', cursor: 'pointer' }}>
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(String(value))}
+                      onChange={() => toggleValue(column, String(value))}
+                      disabled={disabled}
+                    />
+                    {String(value)} <span style={{ color: '#888' }}>({count})</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          ))}
+          {unfilteredColumns.length > 0 && (
+            <select
+              value=""
+              onChange={(e) => e.target.value && onAttributeFilterChange({ ...attributeFilter, [e.target.value]: [] })}
+              disabled={disabled}
+              style={{ marginTop: '8px', padding: '6px' }}
+            >
+              <option value="">+ Filter on a column...</option>
+              {unfilteredColumns.map(column => (
+                <option key={column} value={column}>{column}</option>
+              ))}
+            </select>
+          )}
+        </div>
+      )}
+
+      {info.filteredOut > 0 && layerInfo && (
+        <p style={{ fontSize: '0.9rem', color: '#666' }}>
+          {layerInfo.featureCount - info.filteredOut} of {layerInfo.featureCount} features in {info.layer} match the filter.
+        </p>
+      )}
+
+      {(layerChanged || filterChanged) && (
+        <p style={{ fontSize: '0.9rem' }}>
+          {layerChanged ? 'Layer changed' : 'Filter changed'} - refresh the preview to see the columns and features it imports.
+          <button
+            onClick={onRefresh}
+            disabled={disabled}
+            className="secondary-button"
+            style={{ marginLeft: '10px' }}
+          >
+            🔄 Refresh Preview
+          </button>
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default GeoPackageLayerOptions;
@@ -0,0 +1,190 @@
+'use client'
+
+import React, { useState, useEffect } from 'react';
+import { adminFetch } from '../../lib/utils/admin-fetch.js';
+
+const STATUS_COLORS = {
+  running: '#ff9800',
+  completed: '#4a7c2f',
+  failed: '#dc3545',
+  rolled_back: '#999',
+  partially_rolled_back: '#ff9800',
+};
+
+// Batches the API will roll back (ROLLBACK_STATUSES in lib/utils/import-batches.js)
+const ROLLBACK_STATUSES = ['completed', 'failed', 'partially_rolled_back'];
+
+// Import Batches tab - review uploads/syncs and roll a bad one back
+function ImportBatchesTab() {
+  const [batches, setBatches] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [rollingBack, setRollingBack] = useState(null); // batch id being rolled back
+  const [rollbackResult, setRollbackResult] = useState(null);
+
+  const loadBatches = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await adminFetch('/api/admin/import-batches?limit=100');
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || data.error || 'Failed to load import batches');
+      }
+
+      setBatches(data.batches || []);
+    } catch (err) {
+      console.error('Load import batches error:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const rollbackBatch = async (batch, force = false) => {
+    const label = `${batch.source_name || batch.source_type} (${new Date(batch.created_at).toLocaleString()})`;
+    const confirmMessage = force
+      ? `Force rollback of ${label}?\n\nParks changed since this batch (by later imports or by hand) will also be restored to their state before it.`
+      : `Roll back ${label}?\n\nParks this batch added will be deleted and parks it updated will be restored to their previous values.`;
+    if (!confirm(confirmMessage)) return;
+
+    setRollingBack(batch.id);
+    setRollbackResult(null);
+    setError(null);
+    try {
+      const response = await adminFetch('/api/admin/import-batches', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'rollback', batchId: batch.id, force }),
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || data.error || 'Rollback failed');
+      }
+
+      setRollbackResult({ ...data, batch });
+      await loadBatches();
+    } catch (err) {
+      console.error('Rollback error:', err);
+      setError(err.message);
+    } finally {
+      setRollingBack(null);
+    }
+  };
+
+  useEffect(() => {
+    loadBatches();
+  }, []);
+
+  return (
+    <div className="section">
+      <h2>↩️ Import Batches</h2>
+      <p className="section-description">
+        Every file upload and API sync is recorded as a batch. Rolling a batch back deletes the parks it added
+        and restores the parks it updated to their values before the import. Parks changed since
+        (by a later import or by hand) are left alone unless you force it; field locks are always kept.
+      </p>
+
+      <button onClick={loadBatches} disabled={loading} className="secondary-button">
+        {loading ? '⏳ Loading...' : '🔄 Refresh'}
+      </button>
+
+      {error && (
+        <div className="error-message" style={{ marginTop: '20px', padding: '15px', background: '#fee', borderRadius: '8px' }}>
+          <strong>❌ Error:</strong> {error}
+        </div>
+      )}
+
+      {rollbackResult && (
+        <div className="success-message" style={{ marginTop: '20px', padding: '15px', background: '#e8f5e9', borderRadius: '8px' }}>
+          <strong>✅ {rollbackResult.message}</strong>
+          {rollbackResult.conflicts?.length > 0 && (
+            <div style={{ marginTop: '10px' }}>
+              <p style={{ margin: '0 0 5px' }}>
+                {rollbackResult.conflicts.length} park(s) were changed after this import and were left as they are:
+              </p>
+              <ul style={{ textAlign: 'left', maxHeight: '200px', overflowY: 'auto' }}>
+                {rollbackResult.conflicts.map((conflict, idx) => (
+                  <li key={idx}>{conflict.name || conflict.parkId}: {conflict.reason}</li>
+                ))}
+              </ul>
+              <button
+                onClick={() => rollbackBatch(rollbackResult.batch, true)}
+                disabled={rollingBack !== null}
+                className="secondary-button"
+              >
+                Force restore these parks
+              </button>
+            </div>
+          )}
+          {rollbackResult.errors?.length > 0 && (
+            <ul style={{ textAlign: 'left', color: '#dc3545' }}>
+              {rollbackResult.errors.map((err, idx) => (
+                <li key={idx}>{err.name || err.parkId || 'Batch'}: {err.error}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {!loading && batches.length === 0 && !error && (
+        <p style={{ color: '#666' }}>No import batches recorded yet.</p>
+      )}
+
+      {batches.length > 0 && (
+        <div style={{ overflowX: 'auto', marginTop: '20px' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+            <thead>
+              <tr style={{ background: '#f5f5f5', textAlign: 'left' }}>
+                <th style={{ padding: '10px' }}>Imported</th>
+                <th style={{ padding: '10px' }}>Kind</th>
+                <th style={{ padding: '10px' }}>Source</th>
+                <th style={{ padding: '10px' }}>Status</th>
+                <th style={{ padding: '10px' }}>Added</th>
+                <th style={{ padding: '10px' }}>Updated</th>
+                <th style={{ padding: '10px' }}>Skipped</th>
+                <th style={{ padding: '10px' }}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {batches.map(batch => (
+                <tr key={batch.id} style={{ borderBottom: '1px solid #eee' }}>
+                  <td style={{ padding: '10px' }}>{new Date(batch.created_at).toLocaleString()}</td>
+                  <td style={{ padding: '10px' }}>{batch.kind}</td>
+                  <td style={{ padding: '10px' }}>
+                    {batch.source_type}
+                    {batch.source_name && batch.source_name !== batch.source_type && (
+                      <div style={{ fontSize: '0.8rem', color: '#999', wordBreak: 'break-all' }}>{batch.source_name}</div>
+                    )}
+                  </td>
+                  <td style={{ padding: '10px', color: STATUS_COLORS[batch.status] || '#333' }}>
+                    {batch.status.replace(/_/g, ' ')}
+                  </td>
+                  <td style={{ padding: '10px' }}>{batch.parks_added}</td>
+                  <td style={{ padding: '10px' }}>{batch.parks_updated}</td>
+                  <td style={{ padding: '10px' }}>{batch.parks_skipped}</td>
+                  <td style={{ padding: '10px' }}>
+                    {ROLLBACK_STATUSES.includes(batch.status) && (
+                      <button
+                        onClick={() => rollbackBatch(batch)}
+                        disabled={rollingBack !== null}
+                        className="secondary-button"
+                        style={{ background: '#dc3545', color: '#fff' }}
+                      >
+                        {rollingBack === batch.id ? '⏳ Rolling back...' : '↩️ Roll back'}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ImportBatchesTab;
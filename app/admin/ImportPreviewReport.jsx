@@ -0,0 +1,115 @@
+'use client'
+
+import React, { useState } from 'react';
+
+const ACTION_STYLES = {
+  added: { label: '➕ Would add', color: '#4a7c2f' },
+  updated: { label: '✏️ Would update', color: '#0891b2' },
+  skipped: { label: '⏭️ Would skip', color: '#999' },
+};
+
+function formatPreviewValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Dry-run diff report returned by /api/upload and /api/sync when dryRun is set
+function ImportPreviewReport({ preview }) {
+  const [actionFilter, setActionFilter] = useState('');
+
+  if (!preview) return null;
+
+  const parks = actionFilter
+    ? preview.parks.filter(p => p.action === actionFilter)
+    : preview.parks;
+
+  return (
+    <div style={{ marginTop: '20px', padding: '20px', background: '#fffbea', borderRadius: '8px', border: '1px solid #eab308' }}>
+      <h3 style={{ marginTop: 0 }}>🔍 Dry Run Preview — nothing was written</h3>
+      <ul style={{ textAlign: 'left', display: 'inline-block' }}>
+        <li><strong>Would add:</strong> {preview.wouldAdd}</li>
+        <li><strong>Would update:</strong> {preview.wouldUpdate}</li>
+        <li><strong>Would skip:</strong> {preview.wouldSkip}</li>
+      </ul>
+      {preview.truncated && (
+        <p style={{ fontSize: '0.9rem', color: '#666' }}>
+          Showing the first {preview.parks.length} parks. Counts above cover the whole file.
+        </p>
+      )}
+
+      <div className="form-group">
+        <label htmlFor="preview-action-filter">Show:</label>
+        <select
+          id="preview-action-filter"
+          value={actionFilter}
+          onChange={(e) => setActionFilter(e.target.value)}
+        >
+          <option value="">All ({preview.parks.length})</option>
+          <option value="added">Would add</option>
+          <option value="updated">Would update</option>
+          <option value="skipped">Would skip</option>
+        </select>
+      </div>
+
+      <div style={{ maxHeight: '500px', overflowY: 'auto' }}>
+        {parks.map((park, idx) => {
+          const style = ACTION_STYLES[park.action] || ACTION_STYLES.skipped;
+          const fields = Object.entries(park.changes || {});
+          return (
+            <details key={idx} style={{ marginBottom: '8px', background: '#fff', padding: '8px 12px', borderRadius: '6px', border: '1px solid #eee' }}>
+              <summary>
+                <span style={{ color: style.color, fontWeight: 'bold' }}>{style.label}</span>{' '}
+                {park.name} {park.state && <span style={{ color: '#666' }}>({park.state})</span>}
+                {park.matchedParkName && (
+                  <span style={{ marginLeft: '8px', fontSize: '0.85rem', color: '#666' }}>
+                    → matches “{park.matchedParkName}”
+                    {park.match?.reason && ` (${park.match.reason})`}
+                  </span>
+                )}
+                {park.reason && (
+                  <span style={{ marginLeft: '8px', fontSize: '0.85rem', color: '#999' }}>— {park.reason}</span>
+                )}
+              </summary>
+              {fields.length === 0 ? (
+                <p style={{ margin: '8px 0 0', fontSize: '0.85rem', color: '#666' }}>No field changes.</p>
+              ) : (
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem', marginTop: '8px' }}>
+                  <thead>
+                    <tr style={{ textAlign: 'left', background: '#f5f5f5' }}>
+                      <th style={{ padding: '6px' }}>Field</th>
+                      <th style={{ padding: '6px' }}>Current</th>
+                      <th style={{ padding: '6px' }}>After import</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {fields.map(([field, diff]) => (
+                      <tr key={field} style={{ borderTop: '1px solid #eee' }}>
+                        <td style={{ padding: '6px', fontWeight: 'bold' }}>{field}</td>
+                        <td style={{ padding: '6px', color: '#999' }}>{formatPreviewValue(diff.from)}</td>
+                        <td style={{ padding: '6px' }}>{formatPreviewValue(diff.to)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </details>
+          );
+        })}
+      </div>
+
+      {preview.errors && preview.errors.length > 0 && (
+        <div style={{ marginTop: '10px' }}>
+          <strong>Errors:</strong>
+          <ul style={{ textAlign: 'left' }}>
+            {preview.errors.map((err, idx) => (
+              <li key={idx}>{err.park}: {err.error}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ImportPreviewReport;
@@ -0,0 +1,355 @@
+'use client'
+
+import React, { useState, useEffect } from 'react';
+import { adminFetch } from '../../lib/utils/admin-fetch.js';
+
+const STATUS_COLORS = {
+  running: '#007bff',
+  completed: '#28a745',
+  failed: '#dc3545',
+};
+
+const INTERVAL_OPTIONS = [
+  { hours: 6, label: 'Every 6 hours' },
+  { hours: 12, label: 'Every 12 hours' },
+  { hours: 24, label: 'Daily' },
+  { hours: 168, label: 'Weekly' },
+  { hours: 720, label: 'Every 30 days' },
+];
+
+const URL_BASED_SOURCE_TYPES = ['State Agency', 'Federal Agency', 'County Agency', 'City Agency'];
+
+const EMPTY_FORM = {
+  name: '',
+  source_type: 'NPS',
+  api_url: '',
+  interval_hours: 24,
+  next_run_at: '',
+  incremental: false,
+};
+
+function formatInterval(hours) {
+  const option = INTERVAL_OPTIONS.find(o => o.hours === hours);
+  if (option) return option.label;
+  return hours % 24 === 0 ? `Every ${hours / 24} days` : `Every ${hours} hours`;
+}
+
+// Scheduled Syncs tab - recurring NPS / Recreation.gov / ArcGIS syncs run by the Inngest scheduler
+function ScheduledSyncsTab() {
+  const [schedules, setSchedules] = useState([]);
+  const [sourceTypes, setSourceTypes] = useState(['NPS', 'Recreation.gov', ...URL_BASED_SOURCE_TYPES]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadSchedules = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await adminFetch('/api/admin/sync-schedules');
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || data.error || 'Failed to load sync schedules');
+      }
+
+      setSchedules(data.schedules || []);
+      if (data.sourceTypes) setSourceTypes(data.sourceTypes);
+    } catch (err) {
+      console.error('Load sync schedules error:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const postAction = async (body) => {
+    const response = await adminFetch('/api/admin/sync-schedules', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      throw new Error([data.error, data.details || data.message].filter(Boolean).join(': ') || 'Request failed');
+    }
+    return data;
+  };
+
+  const saveSchedule = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    setStatus(null);
+    try {
+      const schedule = {
+        ...form,
+        next_run_at: form.next_run_at ? new Date(form.next_run_at).toISOString() : undefined,
+      };
+      const data = await postAction(editingId
+        ? { action: 'update', scheduleId: editingId, schedule }
+        : { action: 'create', schedule });
+
+      setStatus(data.message);
+      setForm(EMPTY_FORM);
+      setEditingId(null);
+      await loadSchedules();
+    } catch (err) {
+      console.error('Save sync schedule error:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const runAction = async (schedule, action, extra = {}) => {
+    if (action === 'delete' && !confirm(`Delete schedule "${schedule.name}"? Past sync runs are kept.`)) {
+      return;
+    }
+
+    setBusyId(schedule.id);
+    setError(null);
+    setStatus(null);
+    try {
+      const data = await postAction({ action, scheduleId: schedule.id, ...extra });
+      setStatus(data.details ? `${data.message}. ${data.details}` : data.message);
+      await loadSchedules();
+    } catch (err) {
+      console.error(`Sync schedule ${action} error:`, err);
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const editSchedule = (schedule) => {
+    setEditingId(schedule.id);
+    setForm({
+      name: schedule.name,
+      source_type: schedule.source_type,
+      api_url: schedule.api_url || '',
+      interval_hours: schedule.interval_hours,
+      next_run_at: '',
+      incremental: !!schedule.incremental,
+    });
+  };
+
+  useEffect(() => {
+    loadSchedules();
+  }, []);
+
+  const needsUrl = URL_BASED_SOURCE_TYPES.includes(form.source_type);
+
+  return (
+    <div className="section">
+      <h2>⏰ Scheduled Syncs</h2>
+      <p className="section-description">
+        Recurring syncs run automatically in the background. The scheduler checks every 15 minutes and
+        starts any schedule that is due. NPS and Recreation.gov use the API keys from the server environment.
+        Each run is recorded in Sync History.
+      </p>
+
+      <form onSubmit={saveSchedule} style={{ marginBottom: '30px', padding: '20px', background: '#f9f9f9', borderRadius: '8px' }}>
+        <h3 style={{ marginTop: 0 }}>{editingId ? 'Edit Schedule' : 'New Schedule'}</h3>
+        <div className="form-group">
+          <label htmlFor="schedule-name">Name:</label>
+          <input
+            id="schedule-name"
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="e.g., NC State Parks (ArcGIS)"
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="schedule-source-type">Source Type:</label>
+          <select
+            id="schedule-source-type"
+            value={form.source_type}
+            onChange={(e) => setForm({ ...form, source_type: e.target.value })}
+          >
+            {sourceTypes.map(type => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+        </div>
+        {needsUrl && (
+          <div className="form-group">
+            <label htmlFor="schedule-api-url">API URL:</label>
+            <input
+              id="schedule-api-url"
+              type="url"
+              value={form.api_url}
+              onChange={(e) => setForm({ ...form, api_url: e.target.value })}
+              placeholder="https://services.arcgis.com/.../FeatureServer/0"
+              required
+            />
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer', marginTop: '10px' }}>
+              <input
+                type="checkbox"
+                checked={form.incremental}
+                onChange={(e) => setForm({ ...form, incremental: e.target.checked })}
+              />
+              Incremental - only fetch features edited since the last completed run (ArcGIS layers with editor tracking)
+            </label>
+          </div>
+        )}
+        <div className="form-group">
+          <label htmlFor="schedule-interval">Frequency:</label>
+          <select
+            id="schedule-interval"
+            value={form.interval_hours}
+            onChange={(e) => setForm({ ...form, interval_hours: parseInt(e.target.value) })}
+          >
+            {!INTERVAL_OPTIONS.some(o => o.hours === form.interval_hours) && (
+              <option value={form.interval_hours}>{formatInterval(form.interval_hours)}</option>
+            )}
+            {INTERVAL_OPTIONS.map(option => (
+              <option key={option.hours} value={option.hours}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="schedule-next-run">
+            {editingId ? 'Next run (leave blank to keep current):' : 'First run (leave blank to run at the next check):'}
+          </label>
+          <input
+            id="schedule-next-run"
+            type="datetime-local"
+            value={form.next_run_at}
+            onChange={(e) => setForm({ ...form, next_run_at: e.target.value })}
+          />
+        </div>
+        <div style={{ display: 'flex', gap: '10px' }}>
+          <button type="submit" disabled={saving} className="primary-button">
+            {saving ? '⏳ Saving...' : editingId ? '💾 Save Changes' : '➕ Add Schedule'}
+          </button>
+          {editingId && (
+            <button
+              type="button"
+              onClick={() => { setEditingId(null); setForm(EMPTY_FORM); }}
+              className="secondary-button"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      {error && (
+        <div className="error-message" style={{ marginBottom: '20px', padding: '15px', background: '#fee', borderRadius: '8px' }}>
+          <strong>❌ Error:</strong> {error}
+        </div>
+      )}
+
+      {status && (
+        <div className="success-message" style={{ marginBottom: '20px', padding: '15px', background: '#e8f5e9', borderRadius: '8px' }}>
+          ✅ {status}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h3>Schedules</h3>
+        <button onClick={loadSchedules} disabled={loading} className="secondary-button">
+          {loading ? '⏳ Loading...' : '🔄 Refresh'}
+        </button>
+      </div>
+
+      {!loading && schedules.length === 0 && !error && (
+        <p style={{ color: '#666' }}>No scheduled syncs yet.</p>
+      )}
+
+      {schedules.length > 0 && (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+            <thead>
+              <tr style={{ background: '#f5f5f5', textAlign: 'left' }}>
+                <th style={{ padding: '10px' }}>Name</th>
+                <th style={{ padding: '10px' }}>Source</th>
+                <th style={{ padding: '10px' }}>Frequency</th>
+                <th style={{ padding: '10px' }}>Next Run</th>
+                <th style={{ padding: '10px' }}>Last Run</th>
+                <th style={{ padding: '10px' }}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {schedules.map(schedule => (
+                <tr key={schedule.id} style={{ borderBottom: '1px solid #eee', opacity: schedule.enabled ? 1 : 0.6 }}>
+                  <td style={{ padding: '10px' }}>
+                    <strong>{schedule.name}</strong>
+                    {!schedule.enabled && <span style={{ color: '#999' }}> (paused)</span>}
+                  </td>
+                  <td style={{ padding: '10px' }}>
+                    {schedule.source_type}
+                    {schedule.api_url && (
+                      <div style={{ fontSize: '0.8rem', color: '#666', wordBreak: 'break-all' }}>{schedule.api_url}</div>
+                    )}
+                  </td>
+                  <td style={{ padding: '10px' }}>
+                    {formatInterval(schedule.interval_hours)}
+                    {schedule.incremental && <div style={{ fontSize: '0.8rem', color: '#666' }}>incremental</div>}
+                  </td>
+                  <td style={{ padding: '10px' }}>{schedule.enabled ? new Date(schedule.next_run_at).toLocaleString() : '—'}</td>
+                  <td style={{ padding: '10px' }}>
+                    {schedule.last_run_at ? (
+                      <>
+                        <span style={{ color: STATUS_COLORS[schedule.last_status] || '#333' }}>
+                          {schedule.last_status || 'unknown'}
+                        </span>{' '}
+                        {new Date(schedule.last_run_at).toLocaleString()}
+                        {schedule.last_message && (
+                          <div style={{ fontSize: '0.8rem', color: '#666' }}>{schedule.last_message}</div>
+                        )}
+                      </>
+                    ) : 'Never'}
+                  </td>
+                  <td style={{ padding: '10px', whiteSpace: 'nowrap' }}>
+                    <button
+                      onClick={() => runAction(schedule, 'run')}
+                      disabled={busyId === schedule.id || schedule.last_status === 'running'}
+                      className="secondary-button"
+                      style={{ marginRight: '5px' }}
+                    >
+                      ▶️ Run Now
+                    </button>
+                    <button
+                      onClick={() => runAction(schedule, 'update', { schedule: { enabled: !schedule.enabled } })}
+                      disabled={busyId === schedule.id}
+                      className="secondary-button"
+                      style={{ marginRight: '5px' }}
+                    >
+                      {schedule.enabled ? '⏸️ Pause' : '▶️ Resume'}
+                    </button>
+                    <button
+                      onClick={() => editSchedule(schedule)}
+                      disabled={busyId === schedule.id}
+                      className="secondary-button"
+                      style={{ marginRight: '5px' }}
+                    >
+                      ✏️ Edit
+                    </button>
+                    <button
+                      onClick={() => runAction(schedule, 'delete')}
+                      disabled={busyId === schedule.id}
+                      className="secondary-button"
+                    >
+                      🗑️ Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ScheduledSyncsTab;
@@ -0,0 +1,234 @@
+'use client'
+
+import React, { useState, useEffect } from 'react';
+import { adminFetch } from '../../lib/utils/admin-fetch.js';
+
+// Format a value from the change log for display in the diff table
+function formatChangeValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  // Large values (geometry, description, ...) are stored as a hash marker
+  if (value.omitted) return `(${value.length.toLocaleString()} chars, sha256 ${value.sha256.substring(0, 12)}…)`;
+  if (typeof value === 'object') return JSON.stringify(value);
+  const text = String(value);
+  return text.length > 120 ? `${text.substring(0, 120)}…` : text;
+}
+
+function formatDuration(startedAt, finishedAt) {
+  if (!startedAt || !finishedAt) return '—';
+  const seconds = Math.round((new Date(finishedAt) - new Date(startedAt)) / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+// Sync History tab - browse past /api/sync runs and the per-park changes they made
+function SyncHistoryTab() {
+  const [runs, setRuns] = useState([]);
+  const [runsLoading, setRunsLoading] = useState(false);
+  const [runsError, setRunsError] = useState(null);
+  const [sourceTypeFilter, setSourceTypeFilter] = useState('');
+  const [selectedRun, setSelectedRun] = useState(null); // { run, changes }
+  const [runLoading, setRunLoading] = useState(false);
+
+  const loadRuns = async () => {
+    setRunsLoading(true);
+    setRunsError(null);
+    try {
+      const params = new URLSearchParams({ limit: '100' });
+      if (sourceTypeFilter) params.set('sourceType', sourceTypeFilter);
+
+      const response = await adminFetch(`/api/sync/runs?${params.toString()}`);
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || data.error || 'Failed to load sync runs');
+      }
+
+      setRuns(data.runs || []);
+    } catch (err) {
+      console.error('Load sync runs error:', err);
+      setRunsError(err.message);
+    } finally {
+      setRunsLoading(false);
+    }
+  };
+
+  const loadRun = async (runId) => {
+    setRunLoading(true);
+    setRunsError(null);
+    try {
+      const response = await adminFetch(`/api/sync/runs/${runId}`);
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || data.error || 'Failed to load sync run');
+      }
+
+      setSelectedRun({ run: data.run, changes: data.changes || [] });
+    } catch (err) {
+      console.error('Load sync run error:', err);
+      setRunsError(err.message);
+    } finally {
+      setRunLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadRuns();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [sourceTypeFilter]);
+
+  return (
+    <div className="section">
+      <h2>📜 Sync History</h2>
+      <p className="section-description">
+        Every API sync run with its counts, errors and the fields it changed on each park
+      </p>
+
+      <div className="form-group" style={{ display: 'flex', gap: '10px', alignItems: 'flex-end' }}>
+        <div style={{ flex: 1 }}>
+          <label htmlFor="sync-history-source">Source Type:</label>
+          <select
+            id="sync-history-source"
+            value={sourceTypeFilter}
+            onChange={(e) => { setSourceTypeFilter(e.target.value); setSelectedRun(null); }}
+            disabled={runsLoading}
+          >
+            <option value="">All sources</option>
+            <option value="NPS">NPS</option>
+            <option value="Recreation.gov">Recreation.gov</option>
+            <option value="State Agency">State Agency</option>
+            <option value="Federal Agency">Federal Agency</option>
+            <option value="County Agency">County Agency</option>
+            <option value="City Agency">City Agency</option>
+          </select>
+        </div>
+        <button onClick={loadRuns} disabled={runsLoading} className="secondary-button">
+          {runsLoading ? '⏳ Loading...' : '🔄 Refresh'}
+        </button>
+      </div>
+
+      {runsError && (
+        <div className="error-message" style={{ marginTop: '20px', padding: '15px', background: '#fee', borderRadius: '8px' }}>
+          <strong>❌ Error:</strong> {runsError}
+        </div>
+      )}
+
+      {!runsLoading && runs.length === 0 && !runsError && (
+        <p style={{ color: '#666' }}>No sync runs recorded yet.</p>
+      )}
+
+      {runs.length > 0 && (
+        <div style={{ overflowX: 'auto', marginTop: '20px' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+            <thead>
+              <tr style={{ background: '#f5f5f5', textAlign: 'left' }}>
+                <th style={{ padding: '10px' }}>Started</th>
+                <th style={{ padding: '10px' }}>Source</th>
+                <th style={{ padding: '10px' }}>Status</th>
+                <th style={{ padding: '10px' }}>Duration</th>
+                <th style={{ padding: '10px' }}>Found</th>
+                <th style={{ padding: '10px' }}>Added</th>
+                <th style={{ padding: '10px' }}>Updated</th>
+                <th style={{ padding: '10px' }}>Skipped</th>
+                <th style={{ padding: '10px' }}>Errors</th>
+              </tr>
+            </thead>
+            <tbody>
+              {runs.map(run => (
+                <tr
+                  key={run.id}
+                  onClick={() => loadRun(run.id)}
+                  style={{
+                    cursor: 'pointer',
+                    borderBottom: '1px solid #eee',
+                    background: selectedRun?.run.id === run.id ? '#e8f4f8' : 'transparent'
+                  }}
+                >
+                  <td style={{ padding: '10px' }}>{new Date(run.started_at).toLocaleString()}</td>
+                  <td style={{ padding: '10px' }}>
+                    {run.source_type}
+                    {run.source_url && (
+                      <div style={{ fontSize: '0.8rem', color: '#999', wordBreak: 'break-all' }}>{run.source_url}</div>
+                    )}
+                  </td>
+                  <td style={{ padding: '10px', color: run.status === 'failed' ? '#dc3545' : run.status === 'running' ? '#ff9800' : '#4a7c2f' }}>
+                    {run.status}
+                  </td>
+                  <td style={{ padding: '10px' }}>{formatDuration(run.started_at, run.finished_at)}</td>
+                  <td style={{ padding: '10px' }}>{run.parks_found}</td>
+                  <td style={{ padding: '10px' }}>{run.parks_added}</td>
+                  <td style={{ padding: '10px' }}>{run.parks_updated}</td>
+                  <td style={{ padding: '10px' }}>{run.parks_skipped}</td>
+                  <td style={{ padding: '10px' }}>{run.errors?.length || 0}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {runLoading && <p style={{ marginTop: '20px' }}>⏳ Loading run details...</p>}
+
+      {selectedRun && !runLoading && (
+        <div style={{ marginTop: '30px', padding: '20px', background: '#f9f9f9', borderRadius: '8px' }}>
+          <h3 style={{ marginTop: 0 }}>
+            {selectedRun.run.source_type} run — {new Date(selectedRun.run.started_at).toLocaleString()}
+          </h3>
+          {selectedRun.run.error_message && (
+            <p style={{ color: '#dc3545' }}><strong>Failure:</strong> {selectedRun.run.error_message}</p>
+          )}
+
+          {selectedRun.run.errors?.length > 0 && (
+            <details style={{ marginBottom: '15px' }}>
+              <summary><strong>Errors ({selectedRun.run.errors.length})</strong></summary>
+              <ul style={{ textAlign: 'left' }}>
+                {selectedRun.run.errors.map((err, idx) => (
+                  <li key={idx}>{err.park}: {err.error}</li>
+                ))}
+              </ul>
+            </details>
+          )}
+
+          <h4>Park Changes ({selectedRun.changes.length})</h4>
+          {selectedRun.changes.length === 0 ? (
+            <p style={{ color: '#666' }}>This run did not add or change any parks.</p>
+          ) : (
+            selectedRun.changes.map(change => (
+              <details key={change.id} style={{ marginBottom: '8px', background: '#fff', padding: '8px 12px', borderRadius: '6px', border: '1px solid #eee' }}>
+                <summary>
+                  <span style={{ color: change.action === 'added' ? '#4a7c2f' : '#0891b2', fontWeight: 'bold' }}>
+                    {change.action === 'added' ? '➕ Added' : '✏️ Updated'}
+                  </span>{' '}
+                  {change.park_name || change.park_id}
+                  <span style={{ marginLeft: '8px', color: '#999', fontSize: '0.85rem' }}>
+                    ({Object.keys(change.changed_fields || {}).join(', ')})
+                  </span>
+                </summary>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem', marginTop: '8px' }}>
+                  <thead>
+                    <tr style={{ textAlign: 'left', background: '#f5f5f5' }}>
+                      <th style={{ padding: '6px' }}>Field</th>
+                      <th style={{ padding: '6px' }}>Before</th>
+                      <th style={{ padding: '6px' }}>After</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(change.changed_fields || {}).map(([field, diff]) => (
+                      <tr key={field} style={{ borderTop: '1px solid #eee' }}>
+                        <td style={{ padding: '6px', fontWeight: 'bold' }}>{field}</td>
+                        <td style={{ padding: '6px', color: '#999' }}>{formatChangeValue(diff.from)}</td>
+                        <td style={{ padding: '6px' }}>{formatChangeValue(diff.to)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </details>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SyncHistoryTab;
@@ -0,0 +1,159 @@
+'use client'
+
+import React, { useState, useEffect } from 'react';
+import { adminFetch } from '../../lib/utils/admin-fetch.js';
+
+const POLL_INTERVAL_MS = 3000;
+
+const STATUS_LABELS = {
+  queued: { label: '⏳ Queued', color: '#666' },
+  running: { label: '🔄 Running', color: '#007bff' },
+  completed: { label: '✅ Completed', color: '#28a745' },
+  failed: { label: '❌ Failed', color: '#dc3545' },
+};
+
+// Live progress of a background NPS / Recreation.gov sync job, polled from /api/sync/jobs/[id]
+function SyncJobStatus({ jobId }) {
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState(null);
+  const [resuming, setResuming] = useState(false);
+  const [pollKey, setPollKey] = useState(0);
+
+  useEffect(() => {
+    if (!jobId) return undefined;
+    let cancelled = false;
+    let timer = null;
+
+    const poll = async () => {
+      try {
+        const response = await adminFetch(`/api/sync/jobs/${jobId}`, { cache: 'no-store' });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+          throw new Error(data.message || data.error || 'Failed to load sync job');
+        }
+        if (cancelled) return;
+
+        setJob(data.job);
+        setError(null);
+        if (data.job.status === 'queued' || data.job.status === 'running') {
+          timer = setTimeout(poll, POLL_INTERVAL_MS);
+        }
+      } catch (err) {
+        if (cancelled) return;
+        console.error('Sync job poll error:', err);
+        setError(err.message);
+        timer = setTimeout(poll, POLL_INTERVAL_MS * 2);
+      }
+    };
+
+    poll();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [jobId, pollKey]);
+
+  const resumeJob = async () => {
+    setResuming(true);
+    setError(null);
+    try {
+      const response = await adminFetch('/api/sync/jobs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'resume', jobId }),
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error([data.error, data.details || data.message].filter(Boolean).join(': ') || 'Failed to resume sync job');
+      }
+
+      setPollKey(pollKey + 1);
+    } catch (err) {
+      console.error('Resume sync job error:', err);
+      setError(err.message);
+    } finally {
+      setResuming(false);
+    }
+  };
+
+  if (!job) {
+    return (
+      <div>
+        <h3 style={{ marginTop: 0 }}>⏳ Sync job started</h3>
+        {error ? <p style={{ color: '#dc3545' }}>{error}</p> : <p>Waiting for the first progress update...</p>}
+      </div>
+    );
+  }
+
+  const status = STATUS_LABELS[job.status] || { label: job.status, color: '#333' };
+  const percent = job.total_records
+    ? Math.min(100, Math.round((job.parks_found / job.total_records) * 100))
+    : null;
+  const errors = job.errors || [];
+
+  return (
+    <div>
+      <h3 style={{ marginTop: 0 }}>
+        {job.source_type} Sync <span style={{ color: status.color }}>{status.label}</span>
+      </h3>
+
+      <div style={{ background: '#e0e0e0', borderRadius: '4px', height: '12px', overflow: 'hidden', marginBottom: '8px' }}>
+        <div
+          style={{
+            width: `${percent ?? (job.status === 'completed' ? 100 : 0)}%`,
+            height: '100%',
+            background: job.status === 'failed' ? '#dc3545' : '#4a7c2f',
+            transition: 'width 0.5s ease',
+          }}
+        />
+      </div>
+      <p style={{ fontSize: '0.9rem', color: '#666', margin: '0 0 10px' }}>
+        {job.parks_found}{job.total_records ? ` of ${job.total_records}` : ''} records processed
+        {' '}· {job.pages_processed} page{job.pages_processed === 1 ? '' : 's'}
+        {job.attempts > 1 && ` · resumed ${job.attempts - 1} time${job.attempts === 2 ? '' : 's'}`}
+      </p>
+
+      <ul style={{ textAlign: 'left', display: 'inline-block' }}>
+        <li><strong>Parks Added:</strong> {job.parks_added}</li>
+        <li><strong>Parks Updated:</strong> {job.parks_updated}</li>
+        <li><strong>Parks Skipped:</strong> {job.parks_skipped}</li>
+        {job.parks_locked > 0 && (
+          <li><strong>Parks With Locked Fields Kept:</strong> {job.parks_locked}</li>
+        )}
+      </ul>
+
+      {job.error_message && (
+        <p style={{ color: '#dc3545' }}><strong>Error:</strong> {job.error_message}</p>
+      )}
+
+      {errors.length > 0 && (
+        <details style={{ marginTop: '10px' }}>
+          <summary>{errors.length} park error{errors.length === 1 ? '' : 's'}</summary>
+          <ul style={{ fontSize: '0.85rem', maxHeight: '200px', overflowY: 'auto' }}>
+            {errors.map((entry, idx) => (
+              <li key={idx}><strong>{entry.park}:</strong> {entry.error}</li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {job.status === 'failed' && (
+        <button onClick={resumeJob} disabled={resuming} className="primary-button" style={{ marginTop: '10px' }}>
+          {resuming ? '⏳ Resuming...' : `▶️ Resume from record ${job.cursor}`}
+        </button>
+      )}
+
+      {job.status === 'completed' && job.sync_run_id && (
+        <p style={{ fontSize: '0.9rem', color: '#666' }}>Per-park changes are listed in Sync History.</p>
+      )}
+
+      {error && (
+        <p style={{ color: '#dc3545', fontSize: '0.9rem' }}>{error}</p>
+      )}
+    </div>
+  );
+}
+
+export default SyncJobStatus;
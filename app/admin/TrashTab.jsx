@@ -0,0 +1,200 @@
+'use client'
+
+import React, { useState, useEffect } from 'react';
+import { adminFetch } from '../../lib/utils/admin-fetch.js';
+
+// Trash tab - parks deleted from the admin panel, with restore and purge
+function TrashTab() {
+  const [parks, setParks] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState(new Set());
+  const [working, setWorking] = useState(null); // 'restore' or 'purge'
+  const [result, setResult] = useState(null);
+
+  const loadTrash = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ limit: '500' });
+      if (search.trim()) params.set('search', search.trim());
+
+      const response = await adminFetch(`/api/admin/trash?${params.toString()}`);
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || data.error || 'Failed to load the trash');
+      }
+
+      setParks(data.parks || []);
+      setRetentionDays(data.retentionDays);
+      setSelected(new Set());
+    } catch (err) {
+      console.error('Load trash error:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runAction = async (action) => {
+    const confirmMessage = action === 'purge'
+      ? `Permanently delete ${selected.size} park(s)?\n\nThis cannot be undone. Future imports will skip these parks.`
+      : `Restore ${selected.size} park(s)?\n\nThey will show on the map again.`;
+    if (!confirm(confirmMessage)) return;
+
+    setWorking(action);
+    setResult(null);
+    setError(null);
+    try {
+      const response = await adminFetch('/api/admin/trash', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action, parkIds: Array.from(selected) }),
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || data.error || `Failed to ${action} parks`);
+      }
+
+      setResult(data.message);
+      await loadTrash();
+    } catch (err) {
+      console.error('Trash action error:', err);
+      setError(err.message);
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  useEffect(() => {
+    loadTrash();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const toggle = (parkId) => {
+    const next = new Set(selected);
+    if (next.has(parkId)) {
+      next.delete(parkId);
+    } else {
+      next.add(parkId);
+    }
+    setSelected(next);
+  };
+
+  const allSelected = parks.length > 0 && selected.size === parks.length;
+  const toggleAll = () => {
+    setSelected(allSelected ? new Set() : new Set(parks.map(park => park.id)));
+  };
+
+  return (
+    <div className="section">
+      <h2>🗑️ Trash</h2>
+      <p className="section-description">
+        Parks deleted from the admin panel. They are hidden from the map and can be restored
+        {retentionDays ? ` for ${retentionDays} days` : ''}, then purged for good. Uploads and syncs
+        skip deleted parks, so they don{'\''}t come back with the next import.
+      </p>
+
+      <form
+        onSubmit={(e) => { e.preventDefault(); loadTrash(); }}
+        className="form-group"
+        style={{ display: 'flex', gap: '10px', alignItems: 'flex-end' }}
+      >
+        <div style={{ flex: 1 }}>
+          <label htmlFor="trash-search">Park name:</label>
+          <input
+            id="trash-search"
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            disabled={loading}
+            style={{ width: '100%', padding: '8px', marginTop: '5px' }}
+          />
+        </div>
+        <button type="submit" disabled={loading} className="secondary-button">
+          {loading ? '⏳ Loading...' : '🔍 Search'}
+        </button>
+      </form>
+
+      <div style={{ display: 'flex', gap: '10px', marginTop: '10px' }}>
+        <button
+          onClick={() => runAction('restore')}
+          disabled={selected.size === 0 || working !== null}
+          className="primary-button"
+        >
+          {working === 'restore' ? '⏳ Restoring...' : `♻️ Restore (${selected.size})`}
+        </button>
+        <button
+          onClick={() => runAction('purge')}
+          disabled={selected.size === 0 || working !== null}
+          className="secondary-button"
+          style={{ background: '#dc3545', color: '#fff' }}
+        >
+          {working === 'purge' ? '⏳ Purging...' : `🧹 Delete Permanently (${selected.size})`}
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-message" style={{ marginTop: '20px', padding: '15px', background: '#fee', borderRadius: '8px' }}>
+          <strong>❌ Error:</strong> {error}
+        </div>
+      )}
+
+      {result && (
+        <div className="success-message" style={{ marginTop: '20px', padding: '15px', background: '#e8f5e9', borderRadius: '8px' }}>
+          <strong>✅ {result}</strong>
+        </div>
+      )}
+
+      {!loading && parks.length === 0 && !error && (
+        <p style={{ color: '#666' }}>The trash is empty.</p>
+      )}
+
+      {parks.length > 0 && (
+        <div style={{ overflowX: 'auto', marginTop: '20px' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+            <thead>
+              <tr style={{ background: '#f5f5f5', textAlign: 'left' }}>
+                <th style={{ padding: '10px' }}>
+                  <input type="checkbox" checked={allSelected} onChange={toggleAll} />
+                </th>
+                <th style={{ padding: '10px' }}>Park</th>
+                <th style={{ padding: '10px' }}>State</th>
+                <th style={{ padding: '10px' }}>Agency</th>
+                <th style={{ padding: '10px' }}>Deleted</th>
+                <th style={{ padding: '10px' }}>By</th>
+                <th style={{ padding: '10px' }}>Purged After</th>
+              </tr>
+            </thead>
+            <tbody>
+              {parks.map(park => (
+                <tr key={park.id} style={{ borderBottom: '1px solid #eee' }}>
+                  <td style={{ padding: '10px' }}>
+                    <input type="checkbox" checked={selected.has(park.id)} onChange={() => toggle(park.id)} />
+                  </td>
+                  <td style={{ padding: '10px' }}>
+                    {park.name}
+                    <div style={{ fontSize: '0.8rem', color: '#999' }}>
+                      {park.data_source || 'Unknown source'}{park.deleted_reason ? ` — ${park.deleted_reason}` : ''}
+                    </div>
+                  </td>
+                  <td style={{ padding: '10px' }}>{park.state}</td>
+                  <td style={{ padding: '10px' }}>{park.agency || '—'}</td>
+                  <td style={{ padding: '10px' }}>{new Date(park.deleted_at).toLocaleString()}</td>
+                  <td style={{ padding: '10px' }}>{park.deleted_by || '—'}</td>
+                  <td style={{ padding: '10px' }}>{new Date(park.purgeAt).toLocaleDateString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TrashTab;
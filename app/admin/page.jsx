@@ -1,11 +1,27 @@
 'use client'
 
 import React, { useState, useEffect } from 'react';
-import { supabase } from '../../lib/utils/supabase';
+import { supabase, hasTrashColumn } from '../../lib/utils/supabase';
 import { calculateDataQualityScore, calculateQualityBreakdownMatrix, analyzeParksQuality } from '../../lib/utils/data-quality.js';
+import SyncHistoryTab from './SyncHistoryTab';
+import ImportBatchesTab from './ImportBatchesTab';
+import DuplicatesTab from './DuplicatesTab';
+import ScheduledSyncsTab from './ScheduledSyncsTab';
+import DataSourcesTab from './DataSourcesTab';
+import AuditLogTab from './AuditLogTab';
+import TrashTab from './TrashTab';
+import FieldProvenanceDetails from './FieldProvenanceDetails';
+import FieldLockControls from './FieldLockControls';
+import ImportPreviewReport from './ImportPreviewReport';
+import FieldMappingPreview from './FieldMappingPreview';
+import GeoPackageLayerOptions from './GeoPackageLayerOptions';
+import SyncJobStatus from './SyncJobStatus';
+import AdminAuthGate from './AdminAuthGate';
+import { adminFetch } from '../../lib/utils/admin-fetch.js';
 import './AdminPanel.css';
 
-function AdminPanel() {
+// admin: signed-in user's { email, role, signOut } from AdminAuthGate
+function AdminPanel({ admin }) {
   // State for active tab
   const [activeTab, setActiveTab] = useState('scraper');
 
@@ -36,6 +52,13 @@ function AdminPanel() {
   const [uploadLoading, setUploadLoading] = useState(false);
   const [uploadResult, setUploadResult] = useState(null);
   const [uploadError, setUploadError] = useState(null);
+  const [uploadDryRun, setUploadDryRun] = useState(false); // Preview changes without writing
+  const [uploadSourceId, setUploadSourceId] = useState(''); // Saved data source ('' = match by file name)
+  const [uploadMappingPreview, setUploadMappingPreview] = useState(null); // Detected properties and auto-mapping for the selected file
+  const [uploadFieldMappings, setUploadFieldMappings] = useState({}); // Column mappings chosen in the mapping preview
+  const [uploadValueTransforms, setUploadValueTransforms] = useState({}); // Value transforms chosen in the mapping preview
+  const [uploadLayer, setUploadLayer] = useState(''); // GeoPackage layer ('' = first feature layer)
+  const [uploadAttributeFilter, setUploadAttributeFilter] = useState({}); // GeoPackage { column: [values to keep] }
 
   // API Sync state
   const [syncSourceType, setSyncSourceType] = useState('NPS');
@@ -44,7 +67,15 @@ function AdminPanel() {
   const [syncLoading, setSyncLoading] = useState(false);
   const [syncResult, setSyncResult] = useState(null);
   const [syncError, setSyncError] = useState(null);
+  const [syncDryRun, setSyncDryRun] = useState(false); // Preview changes without writing
+  const [syncIncremental, setSyncIncremental] = useState(false); // ArcGIS: only features edited since the last sync
+  const [syncBbox, setSyncBbox] = useState(''); // OGC API / WFS: minLng,minLat,maxLng,maxLat filter
+  const [syncCollections, setSyncCollections] = useState(null); // OGC API / WFS collections to pick from
   const [savedApiConfigs, setSavedApiConfigs] = useState([]); // Array of { sourceType, apiKey, apiUrl, lastUsed }
+  const [syncSourceId, setSyncSourceId] = useState(''); // Saved data source for URL syncs
+
+  // Saved data sources (Data Sources tab) offered in the API Manager and File Upload tabs
+  const [savedSources, setSavedSources] = useState([]);
   
   // Recreation.gov Enrichment state
   const [enrichLoading, setEnrichLoading] = useState(false);
@@ -148,6 +179,19 @@ function AdminPanel() {
     }
   };
 
+  const loadSavedSources = () => {
+    adminFetch('/api/admin/data-sources')
+      .then(response => response.json())
+      .then(data => setSavedSources(data.success ? data.sources || [] : []))
+      .catch(error => console.warn('Could not load data sources:', error));
+  };
+
+  // Refresh saved data sources whenever a tab that offers them is opened
+  useEffect(() => {
+    if (activeTab !== 'api' && activeTab !== 'upload') return;
+    loadSavedSources();
+  }, [activeTab]);
+
   // Load all parks when Data Quality tab is active (Excel-like experience)
   useEffect(() => {
     if (activeTab === 'data-quality' && allParks.length === 0 && !qualityLoading) {
@@ -160,10 +204,14 @@ function AdminPanel() {
   const loadAgencyOptions = async () => {
     if (!supabase) return;
     try {
-      const { data, error } = await supabase
+      let query = supabase
         .from('parks')
         .select('agency')
         .not('agency', 'is', null);
+      if (await hasTrashColumn()) {
+        query = query.is('deleted_at', null);
+      }
+      const { data, error } = await query;
       
       if (error) throw error;
       
@@ -179,10 +227,14 @@ function AdminPanel() {
   const loadDataSourceOptions = async () => {
     if (!supabase) return;
     try {
-      const { data, error } = await supabase
+      let query = supabase
         .from('parks')
         .select('data_source')
         .not('data_source', 'is', null);
+      if (await hasTrashColumn()) {
+        query = query.is('deleted_at', null);
+      }
+      const { data, error } = await query;
       
       if (error) throw error;
       
@@ -439,7 +491,8 @@ function AdminPanel() {
   };
 
   // ==================== FILE UPLOAD HANDLER ====================
-  const handleFileUpload = async () => {
+  // previewMapping: only return the file's properties and how they map (see FieldMappingPreview)
+  const handleFileUpload = async ({ previewMapping = false } = {}) => {
     if (!uploadFile) {
       setUploadError('Please select a file');
       return;
@@ -453,6 +506,9 @@ function AdminPanel() {
     setUploadLoading(true);
     setUploadError(null);
     setUploadResult(null);
+    if (previewMapping) {
+      setUploadMappingPreview(null);
+    }
 
     let filePath = null; // Track file path for cleanup
     const fileSizeMB = uploadFile.size / 1024 / 1024;
@@ -521,16 +577,35 @@ function AdminPanel() {
       formData.append('fileUrl', fileUrl);
       formData.append('sourceType', uploadSourceType);
       formData.append('sourceName', uploadFile.name);
+      if (uploadSourceId) {
+        formData.append('sourceId', uploadSourceId);
+      }
       formData.append('filePath', filePath); // For cleanup later
+      if (previewMapping) {
+        formData.append('mappingPreview', 'true');
+      } else if (uploadMappingPreview) {
+        // Mappings reviewed in the preview replace the saved source's own for this upload
+        formData.append('fieldMappings', JSON.stringify(uploadFieldMappings));
+        formData.append('valueTransforms', JSON.stringify(uploadValueTransforms));
+      }
+      if (uploadDryRun && !previewMapping) {
+        formData.append('dryRun', 'true');
+      }
       if (uploadState) {
         formData.append('defaultState', uploadState.trim());
       }
+      if (uploadLayer) {
+        formData.append('layer', uploadLayer);
+      }
+      if (Object.keys(uploadAttributeFilter).length > 0) {
+        formData.append('attributeFilter', JSON.stringify(uploadAttributeFilter));
+      }
 
       // Set a longer timeout for large files (5 minutes)
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), 5 * 60 * 1000); // 5 minutes
 
-      const response = await fetch('/api/upload', {
+      const response = await adminFetch('/api/upload', {
         method: 'POST',
         body: formData,
         signal: controller.signal,
@@ -554,12 +629,30 @@ function AdminPanel() {
 
       const data = await response.json()
 
-      if (data.success) {
+      if (data.success && data.mappingPreview) {
+        setUploadMappingPreview(data)
+        setUploadFieldMappings(data.fieldMappings || {})
+        setUploadValueTransforms(data.valueTransforms || {})
+        if (data.geopackage) {
+          setUploadLayer(data.geopackage.layer)
+          setUploadAttributeFilter(data.geopackage.attributeFilter || {})
+        }
+        // The preview doesn't import anything, so its copy of the file isn't needed
+        try {
+          await supabase.storage.from('park-uploads').remove([filePath])
+        } catch (cleanupError) {
+          console.warn('Failed to cleanup storage file:', cleanupError)
+        }
+      } else if (data.success) {
         setUploadResult(data)
-        setUploadFile(null) // Reset file input
-        // Reset file input element
-        const fileInput = document.querySelector('input[type="file"]')
-        if (fileInput) fileInput.value = ''
+        // Keep the file selected after a dry run so it can be committed after review
+        if (!data.dryRun) {
+          setUploadFile(null) // Reset file input
+          setUploadMappingPreview(null)
+          // Reset file input element
+          const fileInput = document.querySelector('input[type="file"]')
+          if (fileInput) fileInput.value = ''
+        }
         
         // Optional: Clean up file from storage after successful processing
         // Uncomment if you want to delete files after processing
@@ -626,7 +719,7 @@ function AdminPanel() {
     setEnrichResult(null);
 
     try {
-      const response = await fetch('/api/sync/recreation-gov-enrich', {
+      const response = await adminFetch('/api/sync/recreation-gov-enrich', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -659,7 +752,7 @@ function AdminPanel() {
     setGeocodeError(null)
 
     try {
-      const response = await fetch('/api/admin/geocode', {
+      const response = await adminFetch('/api/admin/geocode', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -703,19 +796,24 @@ function AdminPanel() {
     setSyncLoading(true);
     setSyncError(null);
     setSyncResult(null);
+    setSyncCollections(null);
 
     try {
       console.log('Starting API sync:', { sourceType: syncSourceType, hasApiKey: !!syncApiKey.trim() });
       
-      const response = await fetch('/api/sync', {
+      const response = await adminFetch('/api/sync', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
           sourceType: syncSourceType,
+          sourceId: syncSourceId || undefined,
           apiKey: syncApiKey.trim() || undefined,
-          apiUrl: syncApiUrl.trim() || undefined
+          apiUrl: syncApiUrl.trim() || undefined,
+          dryRun: syncDryRun || undefined,
+          incremental: syncIncremental || undefined,
+          bbox: syncBbox.trim() || undefined
         }),
       });
 
@@ -741,6 +839,11 @@ function AdminPanel() {
           if (data.example) {
             errorMessage += `\n\nExample: ${JSON.stringify(data.example, null, 2)}`;
           }
+          // OGC API / WFS service with several collections - let the admin pick one
+          if (data.collections) {
+            errorMessage += `\n\n${data.message}`;
+            setSyncCollections(data.collections);
+          }
         } else if (response.status === 501) {
           // Not implemented yet - show as error, not success
           errorMessage = 'API Sync is not yet implemented. This endpoint is coming soon.';
@@ -777,7 +880,20 @@ function AdminPanel() {
       }
 
       // Only show success if response.ok AND data.success is true
-      if (data.success === true) {
+      if (data.success === true && data.backgroundJob) {
+        // NPS / Recreation.gov syncs run as a background job - SyncJobStatus polls its progress
+        setSyncResult({
+          success: true,
+          backgroundJob: true,
+          jobId: data.jobId,
+          message: data.message,
+          details: data.details
+        });
+        setSyncError(null);
+        if (syncApiKey.trim()) {
+          saveApiConfig(syncSourceType, syncApiKey);
+        }
+      } else if (data.success === true) {
         // Handle both old format (results object) and new format (direct properties)
         const result = data.results || data;
         const syncResultData = {
@@ -787,7 +903,16 @@ function AdminPanel() {
           parksAdded: result.parksAdded || 0,
           parksUpdated: result.parksUpdated || 0,
           parksSkipped: result.parksSkipped || 0,
-          errors: data.errors
+          parksLocked: data.parksLocked || 0,
+          locked: data.locked,
+          parksNameMatched: data.parksNameMatched || 0,
+          nameMatches: data.nameMatches,
+          arcgis: data.arcgis,
+          ogc: data.ogc,
+          source: data.source,
+          errors: data.errors,
+          dryRun: data.dryRun,
+          preview: data.preview
         };
         console.log('API Sync result (parsed):', syncResultData);
         console.log('Parks Found:', syncResultData.parksFound);
@@ -802,8 +927,8 @@ function AdminPanel() {
           saveApiConfig(syncSourceType, syncApiKey);
         }
         
-        // If 0 parks found, show as warning
-        if (syncResultData.parksFound === 0) {
+        // If 0 parks found, show as warning (an incremental sync with no new edits is expected to be empty)
+        if (syncResultData.parksFound === 0 && !data.arcgis?.incremental) {
           setSyncError('No parks were found by the API. This could indicate:\n- Invalid API key\n- API rate limiting\n- Network issue\n\nCheck the console for detailed logs.');
         }
       } else {
@@ -839,6 +964,9 @@ function AdminPanel() {
       let query = supabase
         .from('parks')
         .select('*');
+      if (await hasTrashColumn()) {
+        query = query.is('deleted_at', null);
+      }
 
       if (qualityFilters.state) {
         query = query.eq('state', qualityFilters.state);
@@ -884,6 +1012,9 @@ function AdminPanel() {
       let query = supabase
         .from('parks')
         .select('*');
+      if (await hasTrashColumn()) {
+        query = query.is('deleted_at', null);
+      }
 
       // Apply filters
       if (qualityFilters.state) {
@@ -1051,12 +1182,12 @@ function AdminPanel() {
         ...changes
       }));
 
-      const response = await fetch('/api/admin/data-quality/update', {
+      const response = await adminFetch('/api/admin/data-quality/update', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ updates }),
+        body: JSON.stringify({ updates, criteria: { ...qualityFilters, search: searchQuery } }),
       });
 
       const data = await response.json();
@@ -1066,7 +1197,20 @@ function AdminPanel() {
         return;
       }
 
-      if (data.success) {
+      if (data.success && data.errors?.length > 0) {
+        // Keep the rejected edits so they can be corrected and saved again
+        const failedIds = new Set(data.errors.map(e => String(e.park)));
+        setEditedParks(new Map(Array.from(editedParks.entries()).filter(([parkId]) => failedIds.has(String(parkId)))));
+        setEditingCell(null);
+        setSaveStatus({
+          type: 'error',
+          message: `Updated ${data.updated} of ${data.total} park(s). Not saved: ${data.errors.map(e => {
+            const park = allParks.find(p => String(p.id) === String(e.park));
+            return `${park?.name || e.park} (${e.error})`;
+          }).join('; ')}`
+        });
+        if (data.updated > 0) await loadAllParks();
+      } else if (data.success) {
         setSaveStatus({ type: 'success', message: `Successfully updated ${data.updated} park(s)` });
         setEditedParks(new Map());
         setEditingCell(null);
@@ -1093,7 +1237,7 @@ function AdminPanel() {
       return;
     }
 
-    if (!confirm(`Are you sure you want to delete ${selectedParks.size} park(s)? This cannot be undone.`)) {
+    if (!confirm(`Delete ${selectedParks.size} park(s)?\n\nThey move to the trash and can be restored from the Trash tab until they are purged.`)) {
       return;
     }
 
@@ -1101,14 +1245,16 @@ function AdminPanel() {
 
     try {
       // Use POST with action=delete since some proxies don't support DELETE
-      const response = await fetch('/api/admin/data-quality', {
+      const response = await adminFetch('/api/admin/data-quality', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
           action: 'delete',
-          parkIds: Array.from(selectedParks)
+          parkIds: Array.from(selectedParks),
+          // Filters the parks were picked with, for the audit log
+          criteria: { ...qualityFilters, search: searchQuery }
         }),
       });
 
@@ -1121,7 +1267,7 @@ function AdminPanel() {
 
       if (data.success) {
         const deletedCount = data.deleted || selectedParks.size;
-        alert(`Successfully deleted ${deletedCount} park(s)`);
+        alert(data.message || `Moved ${deletedCount} park(s) to the trash`);
         setSelectedParks(new Set());
         
         // Clear state first
@@ -1185,6 +1331,12 @@ function AdminPanel() {
       <div className="admin-header">
         <h1>🏞️ Outside Insiders Admin Panel</h1>
         <p>Manage park data sources</p>
+        <p style={{ fontSize: '0.9rem' }}>
+          Signed in as <strong>{admin.email}</strong> ({admin.role})
+          <button onClick={admin.signOut} className="secondary-button" style={{ marginLeft: '10px', padding: '4px 10px' }}>
+            Sign Out
+          </button>
+        </p>
       </div>
 
       {/* Tab Navigation */}
@@ -1224,6 +1376,48 @@ function AdminPanel() {
         >
           📍 Geocode Missing Coordinates
         </button>
+        <button
+          className={`tab ${activeTab === 'sync-history' ? 'active' : ''}`}
+          onClick={() => setActiveTab('sync-history')}
+        >
+          📜 Sync History
+        </button>
+        <button
+          className={`tab ${activeTab === 'scheduled-syncs' ? 'active' : ''}`}
+          onClick={() => setActiveTab('scheduled-syncs')}
+        >
+          ⏰ Scheduled Syncs
+        </button>
+        <button
+          className={`tab ${activeTab === 'data-sources' ? 'active' : ''}`}
+          onClick={() => setActiveTab('data-sources')}
+        >
+          🗂️ Data Sources
+        </button>
+        <button
+          className={`tab ${activeTab === 'import-batches' ? 'active' : ''}`}
+          onClick={() => setActiveTab('import-batches')}
+        >
+          ↩️ Import Batches
+        </button>
+        <button
+          className={`tab ${activeTab === 'duplicates' ? 'active' : ''}`}
+          onClick={() => setActiveTab('duplicates')}
+        >
+          🔗 Duplicates
+        </button>
+        <button
+          className={`tab ${activeTab === 'trash' ? 'active' : ''}`}
+          onClick={() => setActiveTab('trash')}
+        >
+          🗑️ Trash
+        </button>
+        <button
+          className={`tab ${activeTab === 'audit-log' ? 'active' : ''}`}
+          onClick={() => setActiveTab('audit-log')}
+        >
+          🧾 Audit Log
+        </button>
       </div>
 
       {/* Tab Content */}
@@ -1483,7 +1677,7 @@ function AdminPanel() {
                 id="sync-source-type"
                 name="syncSourceType"
                 value={syncSourceType} 
-                onChange={(e) => setSyncSourceType(e.target.value)}
+                onChange={(e) => { setSyncSourceType(e.target.value); setSyncSourceId(''); }}
                 disabled={syncLoading}
               >
                 <option value="NPS">NPS (National Park Service) - Priority: 100</option>
@@ -1520,6 +1714,32 @@ function AdminPanel() {
             {/* Show API URL input for URL-based sources */}
             {['State Agency', 'Federal Agency', 'County Agency', 'City Agency'].includes(syncSourceType) && (
               <div className="form-group">
+                {savedSources.some(source => source.url) && (
+                  <div style={{ marginBottom: '10px' }}>
+                    <label htmlFor="sync-saved-source">Saved source (optional):</label>
+                    <select
+                      id="sync-saved-source"
+                      value={syncSourceId}
+                      onChange={(e) => {
+                        const source = savedSources.find(s => s.id === e.target.value);
+                        setSyncSourceId(e.target.value);
+                        if (source) {
+                          setSyncSourceType(source.source_type);
+                          setSyncApiUrl(source.url);
+                        }
+                      }}
+                      disabled={syncLoading}
+                    >
+                      <option value="">-- None (built-in column names) --</option>
+                      {savedSources.filter(source => source.url).map(source => (
+                        <option key={source.id} value={source.id}>{source.name} ({source.source_type})</option>
+                      ))}
+                    </select>
+                    <p style={{ marginTop: '5px', fontSize: '0.9rem', color: '#666' }}>
+                      Uses the source's agency, default state, priority and column mappings (Data Sources tab).
+                    </p>
+                  </div>
+                )}
                 <label htmlFor="sync-api-url">2️⃣ API URL (no key required):</label>
                 <input
                   id="sync-api-url"
@@ -1532,18 +1752,54 @@ function AdminPanel() {
                   style={{ width: '100%', padding: '8px', marginTop: '5px' }}
                 />
                 <p style={{ marginTop: '5px', fontSize: '0.9rem', color: '#666' }}>
-                  Enter the full URL to the API endpoint (e.g., GeoJSON or JSON API)
+                  Enter the full URL to the API endpoint (e.g., GeoJSON or JSON API). ArcGIS FeatureServer/MapServer
+                  layers are paged automatically, so large layers aren't cut off at the server's record limit.
+                  OGC API - Features (<code>{'.../collections/{id}'}</code>) and WFS (<code>{'...?service=WFS&typeNames=...'}</code>)
+                  services are paged and reprojected to WGS84; give the service URL alone to list its collections.
                 </p>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer', marginTop: '10px' }}>
+                  <input
+                    type="checkbox"
+                    checked={syncIncremental}
+                    onChange={(e) => setSyncIncremental(e.target.checked)}
+                    disabled={syncLoading}
+                  />
+                  Incremental (ArcGIS only) - only fetch features edited since the last completed sync of this URL
+                </label>
+                <label htmlFor="sync-bbox" style={{ display: 'block', marginTop: '10px' }}>
+                  Bounding box (optional, OGC API - Features / WFS only):
+                </label>
+                <input
+                  id="sync-bbox"
+                  type="text"
+                  value={syncBbox}
+                  onChange={(e) => setSyncBbox(e.target.value)}
+                  placeholder="minLng,minLat,maxLng,maxLat e.g. -84.3,33.8,-75.4,36.6"
+                  disabled={syncLoading}
+                  style={{ width: '100%', padding: '8px', marginTop: '5px' }}
+                />
               </div>
             )}
 
+            <div className="form-group">
+              <label style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={syncDryRun}
+                  onChange={(e) => setSyncDryRun(e.target.checked)}
+                  disabled={syncLoading}
+                />
+                Preview only (dry run) - show what would be added, updated and skipped without writing
+              </label>
+            </div>
+
             <div className="form-group">
               <button
                 onClick={handleApiSync}
                 disabled={!syncSourceType || syncLoading || ((syncSourceType === 'NPS' || syncSourceType === 'Recreation.gov') && !syncApiKey.trim())}
                 className="primary-button"
               >
-                {syncLoading ? '⏳ Syncing...' : '🔌 Sync API'}
+                {syncLoading ? '⏳ Syncing...' : syncDryRun ? '🔍 Preview Sync' : '🔌 Sync API'}
               </button>
             </div>
 
@@ -1553,12 +1809,36 @@ function AdminPanel() {
                 <div style={{ marginTop: '10px', fontFamily: 'monospace', fontSize: '0.9rem' }}>
                   {syncError}
                 </div>
+                {syncCollections && syncCollections.length > 0 && (
+                  <div style={{ marginTop: '15px', whiteSpace: 'normal' }}>
+                    <strong>Collections:</strong>
+                    <ul style={{ maxHeight: '240px', overflowY: 'auto' }}>
+                      {syncCollections.map(collection => (
+                        <li key={collection.id} style={{ marginBottom: '5px' }}>
+                          <button
+                            type="button"
+                            onClick={() => { setSyncApiUrl(collection.url); setSyncCollections(null); setSyncError(null); }}
+                            className="secondary-button"
+                            style={{ marginRight: '8px' }}
+                          >
+                            Use
+                          </button>
+                          {collection.title}{collection.title !== collection.id && <span style={{ color: '#999' }}> ({collection.id})</span>}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
               </div>
             )}
 
             {syncResult && (
               <div className="success-message" style={{ marginTop: '20px', padding: '20px', background: '#f0f7ed', borderRadius: '8px' }}>
-                {syncResult.success ? (
+                {syncResult.success && syncResult.dryRun ? (
+                  <ImportPreviewReport preview={syncResult.preview} />
+                ) : syncResult.success && syncResult.backgroundJob ? (
+                  <SyncJobStatus jobId={syncResult.jobId} />
+                ) : syncResult.success ? (
                   <>
                     <h3 style={{ marginTop: 0 }}>✅ Sync Complete!</h3>
                     <ul style={{ textAlign: 'left', display: 'inline-block' }}>
@@ -1571,7 +1851,54 @@ function AdminPanel() {
                       {syncResult.parksUpdated !== undefined && (
                         <li><strong>Parks Updated:</strong> {syncResult.parksUpdated}</li>
                       )}
+                      {syncResult.parksLocked > 0 && (
+                        <li><strong>Parks With Locked Fields Kept:</strong> {syncResult.parksLocked}</li>
+                      )}
+                      {syncResult.parksNameMatched > 0 && (
+                        <li><strong>Parks Matched By Similar Name Or Location:</strong> {syncResult.parksNameMatched}</li>
+                      )}
+                      {syncResult.arcgis && (
+                        <li>
+                          <strong>ArcGIS Layer:</strong> {syncResult.arcgis.pages} page{syncResult.arcgis.pages === 1 ? '' : 's'}
+                          {syncResult.arcgis.incremental
+                            ? `, features edited since ${new Date(syncResult.arcgis.editedSince).toLocaleString()}`
+                            : ', all features'}
+                        </li>
+                      )}
                     </ul>
+                    {syncResult.source && (
+                      <p style={{ fontSize: '0.9rem', color: '#666' }}>ℹ️ Saved source: {syncResult.source.name}</p>
+                    )}
+                    {syncResult.ogc && (
+                      <p style={{ fontSize: '0.9rem', color: '#666' }}>
+                        ℹ️ {syncResult.ogc.service} collection {syncResult.ogc.collection}: {syncResult.ogc.pages} page{syncResult.ogc.pages === 1 ? '' : 's'}
+                        {syncResult.ogc.bbox && `, bbox ${syncResult.ogc.bbox}`}
+                        {syncResult.ogc.reprojected && ', reprojected to WGS84'}
+                      </p>
+                    )}
+                    {syncResult.arcgis?.note && (
+                      <p style={{ fontSize: '0.9rem', color: '#666' }}>ℹ️ {syncResult.arcgis.note}</p>
+                    )}
+                    {syncResult.locked && syncResult.locked.length > 0 && (
+                      <details style={{ marginTop: '10px', textAlign: 'left' }}>
+                        <summary>🔒 Manually edited fields that were not overwritten</summary>
+                        <ul>
+                          {syncResult.locked.map((entry, idx) => (
+                            <li key={idx}>{entry.park} — {entry.status} ({entry.fields.join(', ')})</li>
+                          ))}
+                        </ul>
+                      </details>
+                    )}
+                    {syncResult.nameMatches && syncResult.nameMatches.length > 0 && (
+                      <details style={{ marginTop: '10px', textAlign: 'left' }}>
+                        <summary>🔤 Parks matched to an existing park with a different name</summary>
+                        <ul>
+                          {syncResult.nameMatches.map((entry, idx) => (
+                            <li key={idx}>“{entry.park}” → “{entry.matchedPark}” — {entry.reason}, {entry.action}</li>
+                          ))}
+                        </ul>
+                      </details>
+                    )}
                     
                     {/* Show enrichment option for Recreation.gov */}
                     {syncSourceType === 'Recreation.gov' && syncResult.parksFound > 0 && (
@@ -1881,12 +2208,39 @@ function AdminPanel() {
               Upload GeoJSON or Shapefile files. Priority: 80 (protected from scrapes). Files will be intelligently merged with existing data. Large files may take several minutes to process.
             </p>
 
+            {savedSources.length > 0 && (
+              <div className="form-group">
+                <label htmlFor="upload-saved-source">Saved source (optional):</label>
+                <select
+                  id="upload-saved-source"
+                  value={uploadSourceId}
+                  onChange={(e) => {
+                    setUploadSourceId(e.target.value);
+                    // The preview started from the previous source's mappings
+                    setUploadMappingPreview(null);
+                  }}
+                  disabled={uploadLoading}
+                >
+                  <option value="">-- Match by file name pattern --</option>
+                  {savedSources.map(source => (
+                    <option key={source.id} value={source.id}>
+                      {source.name} ({source.source_type}{source.file_pattern ? `, ${source.file_pattern}` : ''})
+                    </option>
+                  ))}
+                </select>
+                <p style={{ marginTop: '5px', fontSize: '0.9rem', color: '#666' }}>
+                  A saved source sets the source type, agency, default state, priority and column mappings.
+                  Left on "match", a file whose name fits exactly one source's pattern uses that source.
+                </p>
+              </div>
+            )}
+
             <div className="form-group">
               <label>1️⃣ Select Source Type:</label>
               <select 
                 value={uploadSourceType} 
                 onChange={(e) => setUploadSourceType(e.target.value)}
-                disabled={uploadLoading}
+                disabled={uploadLoading || !!uploadSourceId}
               >
                 <option value="Public Federal">Public Federal</option>
                 <option value="Public State">Public State</option>
@@ -1912,15 +2266,18 @@ function AdminPanel() {
             </div>
 
             <div className="form-group">
-              <label>3️⃣ Select File (GeoJSON, Shapefile, or ZIP):</label>
+              <label>3️⃣ Select File (GeoJSON, Shapefile, ZIP, KML/KMZ, GPX, GeoPackage, CSV, or Excel):</label>
               <input
                 type="file"
-                accept=".geojson,.json,.shp,.zip"
+                accept=".geojson,.json,.shp,.zip,.kml,.kmz,.gpx,.gpkg,.csv,.tsv,.xlsx"
                 onChange={(e) => {
                   const file = e.target.files?.[0];
                   setUploadFile(file);
                   setUploadError(null);
                   setUploadResult(null);
+                  setUploadMappingPreview(null);
+                  setUploadLayer('');
+                  setUploadAttributeFilter({});
                 }}
                 disabled={uploadLoading}
               />
@@ -1935,37 +2292,123 @@ function AdminPanel() {
                 </p>
               )}
               <p style={{ marginTop: '10px', fontSize: '0.9rem', color: '#666' }}>
-                <strong>Supported formats:</strong> GeoJSON (.geojson, .json), Shapefile (.shp), or ZIP archives containing shapefiles (.zip)
+                <strong>Supported formats:</strong> GeoJSON (.geojson, .json), Shapefile (.shp), ZIP archives containing shapefiles (.zip), Google Earth KML/KMZ (.kml, .kmz), GPX (.gpx), GeoPackage (.gpkg - preview the field mapping to pick a layer and filter it), or spreadsheets (.csv, .tsv, .xlsx) with latitude/longitude, WKT, or address columns
               </p>
             </div>
 
+            <div className="form-group">
+              <label style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={uploadDryRun}
+                  onChange={(e) => setUploadDryRun(e.target.checked)}
+                  disabled={uploadLoading}
+                />
+                Preview only (dry run) - review the file&apos;s impact before committing it
+              </label>
+            </div>
+
             <div className="form-group">
               <button
-                onClick={handleFileUpload}
+                onClick={() => handleFileUpload()}
                 disabled={!uploadFile || uploadLoading}
                 className="primary-button"
               >
-                {uploadLoading ? '⏳ Uploading...' : '📤 Upload File'}
+                {uploadLoading ? '⏳ Uploading...' : uploadDryRun ? '🔍 Preview Upload' : '📤 Upload File'}
+              </button>
+              <button
+                onClick={() => handleFileUpload({ previewMapping: true })}
+                disabled={!uploadFile || uploadLoading}
+                className="secondary-button"
+                style={{ marginLeft: '10px' }}
+              >
+                🔎 Preview Field Mapping
               </button>
             </div>
 
+            {uploadMappingPreview?.geopackage && (
+              <GeoPackageLayerOptions
+                info={uploadMappingPreview.geopackage}
+                layer={uploadLayer}
+                attributeFilter={uploadAttributeFilter}
+                onLayerChange={setUploadLayer}
+                onAttributeFilterChange={setUploadAttributeFilter}
+                onRefresh={() => handleFileUpload({ previewMapping: true })}
+                disabled={uploadLoading}
+              />
+            )}
+
+            {uploadMappingPreview && (
+              <FieldMappingPreview
+                preview={uploadMappingPreview}
+                fieldMappings={uploadFieldMappings}
+                valueTransforms={uploadValueTransforms}
+                onFieldMappingsChange={setUploadFieldMappings}
+                onValueTransformsChange={setUploadValueTransforms}
+                onSourceSaved={loadSavedSources}
+              />
+            )}
+
             {uploadError && (
               <div className="error-message" style={{ marginTop: '20px' }}>
                 <strong>Error:</strong> {uploadError}
               </div>
             )}
 
-            {uploadResult && (
+            {uploadResult && uploadResult.dryRun && (
+              <ImportPreviewReport preview={uploadResult.preview} />
+            )}
+
+            {uploadResult && !uploadResult.dryRun && (
               <div className="success-message" style={{ marginTop: '20px', padding: '20px', background: '#f0f7ed', borderRadius: '8px' }}>
                 <h3 style={{ marginTop: 0 }}>✅ Upload Complete!</h3>
                 <ul style={{ textAlign: 'left', display: 'inline-block' }}>
                   <li><strong>File:</strong> {uploadResult.sourceName}</li>
                   <li><strong>Source Type:</strong> {uploadResult.sourceType}</li>
+                  {uploadResult.source && (
+                    <li>
+                      <strong>Saved Source:</strong> {uploadResult.source.name}
+                      {uploadResult.source.matchedByFileName && ' (matched by file name)'}
+                    </li>
+                  )}
                   <li><strong>Parks Found:</strong> {uploadResult.parksFound}</li>
                   <li><strong>Parks Added:</strong> {uploadResult.parksAdded}</li>
                   <li><strong>Parks Updated:</strong> {uploadResult.parksUpdated}</li>
                   <li><strong>Parks Skipped:</strong> {uploadResult.parksSkipped}</li>
+                  {uploadResult.parksLocked > 0 && (
+                    <li><strong>Parks With Locked Fields Kept:</strong> {uploadResult.parksLocked}</li>
+                  )}
+                  {uploadResult.parksNameMatched > 0 && (
+                    <li><strong>Parks Matched By Similar Name Or Location:</strong> {uploadResult.parksNameMatched}</li>
+                  )}
+                  {uploadResult.geocoding && (
+                    <li>
+                      <strong>Rows Geocoded From Address:</strong> {uploadResult.geocoding.geocoded}
+                      {uploadResult.geocoding.notFound + uploadResult.geocoding.skipped + uploadResult.geocoding.errors.length > 0 &&
+                        ` (${uploadResult.geocoding.notFound + uploadResult.geocoding.skipped + uploadResult.geocoding.errors.length} could not be located)`}
+                    </li>
+                  )}
                 </ul>
+                {uploadResult.locked && uploadResult.locked.length > 0 && (
+                  <details style={{ marginTop: '10px', textAlign: 'left' }}>
+                    <summary>🔒 Manually edited fields that were not overwritten</summary>
+                    <ul>
+                      {uploadResult.locked.map((entry, idx) => (
+                        <li key={idx}>{entry.park} — {entry.status} ({entry.fields.join(', ')})</li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+                {uploadResult.nameMatches && uploadResult.nameMatches.length > 0 && (
+                  <details style={{ marginTop: '10px', textAlign: 'left' }}>
+                    <summary>🔤 Parks matched to an existing park with a different name</summary>
+                    <ul>
+                      {uploadResult.nameMatches.map((entry, idx) => (
+                        <li key={idx}>“{entry.park}” → “{entry.matchedPark}” — {entry.reason}, {entry.action}</li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
                 {uploadResult.errors && uploadResult.errors.length > 0 && (
                   <div style={{ marginTop: '10px' }}>
                     <strong>Errors:</strong>
@@ -1981,6 +2424,27 @@ function AdminPanel() {
           </div>
         )}
 
+        {/* ==================== SYNC HISTORY TAB ==================== */}
+        {activeTab === 'sync-history' && <SyncHistoryTab />}
+
+        {/* ==================== SCHEDULED SYNCS TAB ==================== */}
+        {activeTab === 'scheduled-syncs' && <ScheduledSyncsTab />}
+
+        {/* ==================== DATA SOURCES TAB ==================== */}
+        {activeTab === 'data-sources' && <DataSourcesTab />}
+
+        {/* ==================== IMPORT BATCHES TAB ==================== */}
+        {activeTab === 'import-batches' && <ImportBatchesTab />}
+
+        {/* ==================== DUPLICATES TAB ==================== */}
+        {activeTab === 'duplicates' && <DuplicatesTab />}
+
+        {/* ==================== TRASH TAB ==================== */}
+        {activeTab === 'trash' && <TrashTab />}
+
+        {/* ==================== AUDIT LOG TAB ==================== */}
+        {activeTab === 'audit-log' && <AuditLogTab />}
+
         {/* ==================== DATA QUALITY TAB ==================== */}
         {activeTab === 'quality' && (
           <div className="section">
@@ -2193,6 +2657,7 @@ function AdminPanel() {
                           <th style={{ padding: '12px', textAlign: 'left', borderBottom: '2px solid #ddd', fontWeight: '600' }}>Acres</th>
                           <th style={{ padding: '12px', textAlign: 'left', borderBottom: '2px solid #ddd', fontWeight: '600' }}>Quality</th>
                           <th style={{ padding: '12px', textAlign: 'left', borderBottom: '2px solid #ddd', fontWeight: '600' }}>Priority</th>
+                          <th style={{ padding: '12px', textAlign: 'left', borderBottom: '2px solid #ddd', fontWeight: '600' }}>Locked Fields</th>
                         </tr>
                       </thead>
                       <tbody>
@@ -2258,6 +2723,7 @@ function AdminPanel() {
                             />
                             <td style={{ padding: '12px', borderBottom: '1px solid #eee' }}>
                               {park.data_source || 'N/A'}
+                              <FieldProvenanceDetails provenance={park.field_provenance} />
                             </td>
                             <EditableCell
                               parkId={park.id}
@@ -2323,6 +2789,13 @@ function AdminPanel() {
                                 {park.data_source_priority || 0}
                               </span>
                             </td>
+                            <td style={{ padding: '12px', borderBottom: '1px solid #eee' }}>
+                              <FieldLockControls
+                                parkId={park.id}
+                                lockedFields={park.locked_fields}
+                                onUnlocked={loadAllParks}
+                              />
+                            </td>
                           </tr>
                         ))}
                       </tbody>
@@ -2672,4 +3145,13 @@ function EditableCell({ value, editedValue, isEditing, onStartEdit, onSave, onCa
   );
 }
 
-export default AdminPanel;
+// Admin routes reject requests without a signed-in admin, so the panel is behind sign-in
+function AdminPage() {
+  return (
+    <AdminAuthGate>
+      {(admin) => <AdminPanel admin={admin} />}
+    </AdminAuthGate>
+  );
+}
+
+export default AdminPage;
@@ -0,0 +1,73 @@
+/**
+ * API Route: /api/admin/audit-log
+ * Searches the admin audit log (newest first): deletes, bulk edits, geocoding runs,
+ * merges, imports and rollbacks with who ran them and before/after snapshots
+ */
+
+import { listAuditEvents } from '../../../../lib/utils/audit-log.js'
+import { requireRole } from '../../../../lib/utils/admin-auth.js'
+
+export const dynamic = 'force-dynamic'
+export const runtime = 'nodejs'
+
+export async function GET(request) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  }
+
+  const auth = await requireRole(request, 'viewer', headers)
+  if (auth.response) return auth.response
+
+  try {
+    const { searchParams } = new URL(request.url)
+    const limit = Math.min(parseInt(searchParams.get('limit')) || 100, 500)
+    const since = searchParams.get('since') || null
+    const until = searchParams.get('until') || null
+
+    for (const [name, value] of [['since', since], ['until', until]]) {
+      if (value && isNaN(Date.parse(value))) {
+        return Response.json({
+          success: false,
+          error: `Invalid ${name} date`,
+          details: 'Use an ISO date such as 2024-05-01 or 2024-05-01T12:00:00Z'
+        }, { status: 400, headers })
+      }
+    }
+
+    const events = await listAuditEvents({
+      action: searchParams.get('action') || null,
+      actorEmail: searchParams.get('actor') || null,
+      parkId: searchParams.get('parkId') || null,
+      since,
+      until,
+      limit
+    })
+
+    return Response.json({
+      success: true,
+      events,
+      count: events.length
+    }, { status: 200, headers })
+
+  } catch (error) {
+    console.error('Audit log API error:', error)
+    return Response.json({
+      success: false,
+      error: 'Failed to fetch audit log',
+      message: error.message
+    }, { status: 500, headers })
+  }
+}
+
+export async function OPTIONS() {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET,OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  })
+}
@@ -0,0 +1,141 @@
+/**
+ * API Route: /api/admin/data-quality/locks
+ * Lock or unlock manually edited park fields
+ * Locked fields are never overwritten by uploads or syncs
+ */
+
+import { supabaseServer } from '../../../../../lib/supabase-server.js'
+import { addFieldLocks, removeFieldLocks } from '../../../../../lib/utils/field-locks.js'
+import { requireRole } from '../../../../../lib/utils/admin-auth.js'
+import { hasParkColumn, OPTIONAL_PARK_COLUMNS } from '../../../../../lib/utils/park-columns.js'
+
+export const dynamic = 'force-dynamic'
+export const runtime = 'nodejs'
+
+export async function POST(request) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  }
+
+  const auth = await requireRole(request, 'editor', headers)
+  if (auth.response) return auth.response
+
+  try {
+    const body = await request.json().catch(() => ({}))
+    const { parkId, fields, action = 'unlock' } = body
+
+    if (!parkId) {
+      return Response.json({
+        success: false,
+        error: 'parkId is required'
+      }, { status: 400, headers })
+    }
+
+    if (action !== 'lock' && action !== 'unlock') {
+      return Response.json({
+        success: false,
+        error: 'Invalid action',
+        details: 'Supported actions: lock, unlock'
+      }, { status: 400, headers })
+    }
+
+    // Unlock with no fields clears every lock on the park
+    if (action === 'lock' && (!Array.isArray(fields) || fields.length === 0)) {
+      return Response.json({
+        success: false,
+        error: 'fields array is required to lock fields'
+      }, { status: 400, headers })
+    }
+
+    if (!supabaseServer) {
+      return Response.json({
+        success: false,
+        error: 'Database not initialized',
+        details: 'Supabase client is not available. Please check environment variables.'
+      }, { status: 500, headers })
+    }
+
+    if (!(await hasParkColumn('locked_fields'))) {
+      return Response.json({
+        success: false,
+        error: 'Field locks are not set up',
+        details: `parks.locked_fields does not exist - run ${OPTIONAL_PARK_COLUMNS.locked_fields} in the Supabase SQL Editor`
+      }, { status: 500, headers })
+    }
+
+    const { data: park, error: fetchError } = await supabaseServer
+      .from('parks')
+      .select('id, name, locked_fields')
+      .eq('id', parkId)
+      .maybeSingle()
+
+    if (fetchError) {
+      return Response.json({
+        success: false,
+        error: 'Failed to fetch park',
+        details: fetchError.message
+      }, { status: 500, headers })
+    }
+
+    if (!park) {
+      return Response.json({
+        success: false,
+        error: 'Park not found'
+      }, { status: 404, headers })
+    }
+
+    let lockedFields
+    if (action === 'lock') {
+      lockedFields = addFieldLocks(park.locked_fields, fields)
+    } else {
+      lockedFields = Array.isArray(fields) && fields.length > 0
+        ? removeFieldLocks(park.locked_fields, fields)
+        : []
+    }
+
+    const { error: updateError } = await supabaseServer
+      .from('parks')
+      .update({ locked_fields: lockedFields, last_updated: new Date().toISOString() })
+      .eq('id', parkId)
+
+    if (updateError) {
+      return Response.json({
+        success: false,
+        error: 'Failed to update field locks',
+        details: updateError.message
+      }, { status: 500, headers })
+    }
+
+    return Response.json({
+      success: true,
+      parkId,
+      lockedFields,
+      message: action === 'lock'
+        ? `Locked ${fields.join(', ')} on ${park.name}`
+        : `Unlocked ${fields?.length ? fields.join(', ') : 'all fields'} on ${park.name}`
+    }, { status: 200, headers })
+
+  } catch (error) {
+    console.error('Field lock error:', error)
+
+    return Response.json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message || 'An unexpected error occurred',
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    }, { status: 500, headers })
+  }
+}
+
+export async function OPTIONS() {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST,OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  })
+}
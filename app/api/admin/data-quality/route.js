@@ -5,6 +5,9 @@
 
 import { supabaseServer } from '../../../../lib/supabase-server.js'
 import { analyzeParksQuality, filterParksForCleanup, calculateDataQualityScore, calculateQualityBreakdown, calculateQualityBreakdownMatrix } from '../../../../lib/utils/data-quality.js'
+import { requireRole } from '../../../../lib/utils/admin-auth.js'
+import { trashParks, TRASH_RETENTION_DAYS } from '../../../../lib/utils/park-trash.js'
+import { hasParkColumn } from '../../../../lib/utils/park-columns.js'
 
 // Route segment config for Next.js
 export const dynamic = 'force-dynamic'
@@ -15,9 +18,12 @@ export async function GET(request) {
   const headers = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET,OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
   }
 
+  const auth = await requireRole(request, 'viewer', headers)
+  if (auth.response) return auth.response
+
   try {
     const { searchParams } = new URL(request.url)
     const state = searchParams.get('state')
@@ -39,6 +45,10 @@ export async function GET(request) {
       .from('parks')
       .select('*')
 
+    if (await hasParkColumn('deleted_at')) {
+      query = query.is('deleted_at', null)
+    }
+
     if (state) {
       query = query.eq('state', state)
     }
@@ -159,9 +169,12 @@ export async function POST(request) {
   const headers = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'POST,OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
   }
 
+  const auth = await requireRole(request, 'admin', headers)
+  if (auth.response) return auth.response
+
   try {
     const body = await request.json().catch(() => ({}))
     const { action, parkIds } = body
@@ -175,24 +188,22 @@ export async function POST(request) {
         }, { status: 400, headers })
       }
 
-      // Delete parks
-      const { error } = await supabaseServer
-        .from('parks')
-        .delete()
-        .in('id', parkIds)
-
-      if (error) {
+      // Soft delete: parks go to the trash, where they can be restored until they are purged
+      let result
+      try {
+        result = await trashParks(parkIds, { auth, reason: body.reason || null, criteria: body.criteria || null })
+      } catch (trashError) {
         return Response.json({
           success: false,
           error: 'Failed to delete parks',
-          details: error.message
+          details: trashError.message
         }, { status: 500, headers })
       }
 
       return Response.json({
         success: true,
-        deleted: parkIds.length,
-        message: `Successfully deleted ${parkIds.length} park(s)`
+        deleted: result.trashed,
+        message: `Moved ${result.trashed} park(s) to the trash - they can be restored from the Trash tab for ${TRASH_RETENTION_DAYS} days`
       }, { status: 200, headers })
     }
 
@@ -216,9 +227,12 @@ export async function DELETE(request) {
   const headers = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'DELETE,OPTIONS,POST',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
   }
 
+  const auth = await requireRole(request, 'admin', headers)
+  if (auth.response) return auth.response
+
   try {
     const body = await request.json().catch(() => ({}))
     const { parkIds } = body
@@ -230,24 +244,22 @@ export async function DELETE(request) {
       }, { status: 400, headers })
     }
 
-    // Delete parks
-    const { error } = await supabaseServer
-      .from('parks')
-      .delete()
-      .in('id', parkIds)
-
-    if (error) {
+    // Soft delete: parks go to the trash, where they can be restored until they are purged
+    let result
+    try {
+      result = await trashParks(parkIds, { auth, reason: body.reason || null, criteria: body.criteria || null })
+    } catch (trashError) {
       return Response.json({
         success: false,
         error: 'Failed to delete parks',
-        details: error.message
+        details: trashError.message
       }, { status: 500, headers })
     }
 
     return Response.json({
       success: true,
-      deleted: parkIds.length,
-      message: `Successfully deleted ${parkIds.length} park(s)`
+      deleted: result.trashed,
+      message: `Moved ${result.trashed} park(s) to the trash - they can be restored from the Trash tab for ${TRASH_RETENTION_DAYS} days`
     }, { status: 200, headers })
 
   } catch (error) {
@@ -266,7 +278,7 @@ export async function OPTIONS() {
     headers: {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET,POST,DELETE,OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     },
   })
 }
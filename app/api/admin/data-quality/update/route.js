@@ -1,17 +1,28 @@
 /**
  * API Route: /api/admin/data-quality/update
  * Handles bulk updates to park data from the data quality table
+ * Values are validated against the shared park schema (lib/utils/park-schema.js);
+ * invalid parks are skipped and reported with per-field errors
  */
 
 import { supabaseServer } from '../../../../../lib/supabase-server.js'
+import { createProvenanceEntry, recordFieldProvenance, MANUAL_EDIT_SOURCE } from '../../../../../lib/utils/field-provenance.js'
+import { addFieldLocks } from '../../../../../lib/utils/field-locks.js'
+import { requireRole } from '../../../../../lib/utils/admin-auth.js'
+import { recordAuditEvent } from '../../../../../lib/utils/audit-log.js'
+import { validateParkFields, formatParkFieldErrors } from '../../../../../lib/utils/park-schema.js'
+import { availableParkColumns } from '../../../../../lib/utils/park-columns.js'
 
 export async function POST(request) {
   const headers = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'POST,OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
   }
 
+  const auth = await requireRole(request, 'editor', headers)
+  if (auth.response) return auth.response
+
   try {
     const body = await request.json().catch(() => ({}))
     const { updates } = body
@@ -25,8 +36,15 @@ export async function POST(request) {
     }
 
     const supabase = supabaseServer
+    // Provenance and locks are only written once their setup scripts in docs/ have been run
+    const optionalColumns = await availableParkColumns(['field_provenance', 'locked_fields'])
+    const trackProvenance = optionalColumns.includes('field_provenance')
+    const trackLocks = optionalColumns.includes('locked_fields')
     let updated = 0
     const errors = []
+    // Park id -> edited fields before/after, for the audit log
+    const before = {}
+    const after = {}
 
     // Process each update
     for (const update of updates) {
@@ -36,68 +54,52 @@ export async function POST(request) {
           continue
         }
 
-        // Extract only valid park fields (prevent SQL injection)
-        const validFields = [
-          'name', 'description', 'state', 'agency', 'website', 'phone', 'email',
-          'address', 'county', 'city', 'acres', 'public_access', 'category',
-          'designation_type', 'agency_full_name', 'activities', 'amenities'
-        ]
-
-        const updateData = {}
-        for (const field of validFields) {
-          if (update[field] !== undefined) {
-            updateData[field] = update[field]
-          }
-        }
+        // Only schema fields are written; values are type-checked and coerced per field
+        const { values: updateData, errors: fieldErrors } = validateParkFields(update)
 
-        // Validate required fields
-        if (updateData.name === null || updateData.name === '') {
-          errors.push({ park: update.id, error: 'Name cannot be empty' })
+        if (Object.keys(fieldErrors).length > 0) {
+          errors.push({ park: update.id, error: formatParkFieldErrors(fieldErrors), fields: fieldErrors })
           continue
         }
 
-        if (updateData.state === null || updateData.state === '') {
-          errors.push({ park: update.id, error: 'State cannot be empty' })
+        if (Object.keys(updateData).length === 0) {
+          errors.push({ park: update.id, error: 'No editable fields to update' })
           continue
         }
 
-        if (updateData.agency === null || updateData.agency === '') {
-          errors.push({ park: update.id, error: 'Agency cannot be empty' })
+        // Stamp the edited fields as manual edits in the park's field provenance
+        // and lock them so later uploads/syncs can't overwrite them
+        const editedFields = Object.keys(updateData)
+        const { data: existingPark, error: fetchError } = await supabase
+          .from('parks')
+          .select([...optionalColumns, ...editedFields].join(', '))
+          .eq('id', update.id)
+          .maybeSingle()
+
+        if (fetchError) {
+          errors.push({ park: update.id, error: fetchError.message })
           continue
         }
-
-        // Validate data types
-        if (updateData.acres !== undefined && updateData.acres !== null) {
-          const acres = parseFloat(updateData.acres)
-          if (isNaN(acres) || acres < 0) {
-            errors.push({ park: update.id, error: 'Acres must be a positive number' })
-            continue
-          }
-          updateData.acres = acres
+        if (!existingPark) {
+          errors.push({ park: update.id, error: 'Park not found' })
+          continue
         }
 
-        // Handle JSON fields
-        if (updateData.activities !== undefined && typeof updateData.activities === 'string') {
-          try {
-            updateData.activities = JSON.parse(updateData.activities)
-          } catch {
-            // If not valid JSON, treat as comma-separated string
-            updateData.activities = updateData.activities.split(',').map(s => s.trim()).filter(Boolean)
-          }
+        if (trackProvenance) {
+          updateData.field_provenance = recordFieldProvenance(
+            existingPark.field_provenance,
+            editedFields,
+            createProvenanceEntry({ source: MANUAL_EDIT_SOURCE, sourceType: 'Manual' })
+          )
         }
-
-        if (updateData.amenities !== undefined && typeof updateData.amenities === 'string') {
-          try {
-            updateData.amenities = JSON.parse(updateData.amenities)
-          } catch {
-            updateData.amenities = updateData.amenities.split(',').map(s => s.trim()).filter(Boolean)
-          }
+        if (trackLocks) {
+          updateData.locked_fields = addFieldLocks(existingPark.locked_fields, editedFields)
         }
 
-        // Update the park
+        // Update the park (last_updated lets import rollbacks see the manual edit)
         const { error: updateError } = await supabase
           .from('parks')
-          .update(updateData)
+          .update({ ...updateData, last_updated: new Date().toISOString() })
           .eq('id', update.id)
 
         if (updateError) {
@@ -106,6 +108,8 @@ export async function POST(request) {
         }
 
         updated++
+        before[update.id] = Object.fromEntries(editedFields.map(field => [field, existingPark[field] ?? null]))
+        after[update.id] = Object.fromEntries(editedFields.map(field => [field, updateData[field]]))
 
       } catch (error) {
         errors.push({
@@ -116,6 +120,17 @@ export async function POST(request) {
       }
     }
 
+    if (updated > 0) {
+      await recordAuditEvent(auth, {
+        action: 'parks.update',
+        criteria: body.criteria || null,
+        affectedIds: Object.keys(after),
+        before,
+        after,
+        details: errors.length > 0 ? { errors } : null
+      })
+    }
+
     return Response.json({
       success: true,
       message: `Updated ${updated} of ${updates.length} park(s)`,
@@ -142,7 +157,7 @@ export async function OPTIONS() {
     headers: {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'POST,OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     },
   })
 }
@@ -0,0 +1,153 @@
+/**
+ * Data Sources API
+ * GET lists saved agency sources
+ * POST action=create|update|delete manages them
+ */
+
+import {
+  listDataSources,
+  getDataSource,
+  createDataSource,
+  updateDataSource,
+  deleteDataSource,
+  validateDataSourceFields,
+  DATA_SOURCE_TYPES
+} from '../../../../lib/utils/data-sources.js'
+import { MAPPABLE_PARK_FIELDS } from '../../../../lib/utils/field-mapper.js'
+import { requireRole } from '../../../../lib/utils/admin-auth.js'
+
+export const dynamic = 'force-dynamic'
+export const runtime = 'nodejs'
+
+export async function GET(request) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  }
+
+  const auth = await requireRole(request, 'viewer', headers)
+  if (auth.response) return auth.response
+
+  try {
+    const sources = await listDataSources()
+
+    return Response.json({
+      success: true,
+      sources,
+      count: sources.length,
+      sourceTypes: DATA_SOURCE_TYPES,
+      mappableFields: MAPPABLE_PARK_FIELDS
+    }, { status: 200, headers })
+
+  } catch (error) {
+    console.error('Data sources API error:', error)
+    return Response.json({
+      success: false,
+      error: 'Failed to fetch data sources',
+      message: error.message
+    }, { status: 500, headers })
+  }
+}
+
+export async function POST(request) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  }
+
+  const auth = await requireRole(request, 'importer', headers)
+  if (auth.response) return auth.response
+
+  try {
+    const body = await request.json().catch(() => ({}))
+    const { action, sourceId } = body
+
+    if (action === 'create') {
+      const { values, errors } = validateDataSourceFields(body.source || {})
+      if (errors.length > 0) {
+        return Response.json({
+          success: false,
+          error: 'Invalid data source',
+          details: errors.join('; ')
+        }, { status: 400, headers })
+      }
+
+      const source = await createDataSource(values)
+      return Response.json({
+        success: true,
+        source,
+        message: `Created source "${source.name}"`
+      }, { status: 200, headers })
+    }
+
+    if (!['update', 'delete'].includes(action)) {
+      return Response.json({
+        success: false,
+        error: 'Invalid action',
+        details: 'Supported actions: create, update, delete'
+      }, { status: 400, headers })
+    }
+
+    if (!sourceId) {
+      return Response.json({
+        success: false,
+        error: 'sourceId is required'
+      }, { status: 400, headers })
+    }
+
+    const existing = await getDataSource(sourceId)
+    if (!existing) {
+      return Response.json({
+        success: false,
+        error: 'Data source not found'
+      }, { status: 404, headers })
+    }
+
+    if (action === 'update') {
+      const { values, errors } = validateDataSourceFields({ ...existing, ...(body.source || {}) })
+      if (errors.length > 0) {
+        return Response.json({
+          success: false,
+          error: 'Invalid data source',
+          details: errors.join('; ')
+        }, { status: 400, headers })
+      }
+
+      const source = await updateDataSource(sourceId, values)
+      return Response.json({
+        success: true,
+        source,
+        message: `Updated source "${source?.name || existing.name}"`
+      }, { status: 200, headers })
+    }
+
+    // action === 'delete'
+    await deleteDataSource(sourceId)
+    return Response.json({
+      success: true,
+      message: `Deleted source "${existing.name}"`
+    }, { status: 200, headers })
+
+  } catch (error) {
+    console.error('Data sources API error:', error)
+    return Response.json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message || 'An unexpected error occurred',
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    }, { status: 500, headers })
+  }
+}
+
+export async function OPTIONS() {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  })
+}
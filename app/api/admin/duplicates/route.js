@@ -0,0 +1,201 @@
+/**
+ * Duplicate Parks API
+ * GET lists candidate duplicate pairs for the merge workbench
+ * POST action=scan queues the detection job, action=merge merges a pair,
+ * action=dismiss marks a pair as not a duplicate
+ */
+
+import { inngest } from '../../../../inngest/client.js'
+import {
+  listDuplicateCandidates,
+  dismissDuplicateCandidate,
+  mergeDuplicateCandidate,
+  MERGEABLE_FIELDS
+} from '../../../../lib/utils/duplicate-parks.js'
+import { normalizeStateToCode } from '../../../../lib/utils/state-normalizer.js'
+import { requireRole } from '../../../../lib/utils/admin-auth.js'
+import { recordAuditEvent } from '../../../../lib/utils/audit-log.js'
+
+export const dynamic = 'force-dynamic'
+export const runtime = 'nodejs'
+export const maxDuration = 60
+
+export async function GET(request) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  }
+
+  const auth = await requireRole(request, 'viewer', headers)
+  if (auth.response) return auth.response
+
+  try {
+    const { searchParams } = new URL(request.url)
+    const status = searchParams.get('status') || 'pending'
+    const state = searchParams.get('state') || null
+    const limit = Math.min(parseInt(searchParams.get('limit')) || 50, 200)
+
+    const pairs = await listDuplicateCandidates({ status, state, limit })
+
+    return Response.json({
+      success: true,
+      pairs,
+      count: pairs.length,
+      mergeableFields: MERGEABLE_FIELDS
+    }, { status: 200, headers })
+
+  } catch (error) {
+    console.error('Duplicate candidates API error:', error)
+    return Response.json({
+      success: false,
+      error: 'Failed to fetch duplicate candidates',
+      message: error.message
+    }, { status: 500, headers })
+  }
+}
+
+export async function POST(request) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  }
+
+  const auth = await requireRole(request, 'editor', headers)
+  if (auth.response) return auth.response
+
+  try {
+    const body = await request.json().catch(() => ({}))
+    const { action } = body
+
+    if (action === 'scan') {
+      // Optional: limit the scan to some states (codes or names)
+      const states = Array.isArray(body.states)
+        ? body.states.map(s => (s === 'N/A' ? 'N/A' : normalizeStateToCode(s))).filter(Boolean)
+        : null
+
+      try {
+        const result = await inngest.send({
+          name: 'parks/detect-duplicates',
+          data: { states }
+        })
+
+        return Response.json({
+          success: true,
+          message: states?.length
+            ? `Duplicate scan started for ${states.join(', ')}`
+            : 'Duplicate scan started for all states',
+          eventIds: result?.ids || [],
+          details: 'The scan runs in the background one state at a time. Refresh this list to see new pairs.'
+        }, { status: 200, headers })
+      } catch (inngestError) {
+        console.error('Inngest send error:', inngestError)
+        return Response.json({
+          success: false,
+          error: 'Failed to start duplicate scan',
+          message: inngestError.message?.includes('INNGEST_EVENT_KEY')
+            ? 'Inngest event key is missing. Please set INNGEST_EVENT_KEY environment variable.'
+            : inngestError.message
+        }, { status: 500, headers })
+      }
+    }
+
+    if (action === 'dismiss' || action === 'merge') {
+      if (!body.candidateId) {
+        return Response.json({
+          success: false,
+          error: 'candidateId is required'
+        }, { status: 400, headers })
+      }
+    }
+
+    if (action === 'dismiss') {
+      const candidate = await dismissDuplicateCandidate(body.candidateId)
+      if (!candidate) {
+        return Response.json({
+          success: false,
+          error: 'Duplicate candidate not found'
+        }, { status: 404, headers })
+      }
+
+      return Response.json({
+        success: true,
+        candidate,
+        message: 'Pair dismissed'
+      }, { status: 200, headers })
+    }
+
+    if (action === 'merge') {
+      if (!body.keepParkId) {
+        return Response.json({
+          success: false,
+          error: 'keepParkId is required'
+        }, { status: 400, headers })
+      }
+
+      let result
+      try {
+        result = await mergeDuplicateCandidate(body.candidateId, {
+          keepParkId: body.keepParkId,
+          fieldChoices: body.fieldChoices || {}
+        })
+      } catch (mergeError) {
+        return Response.json({
+          success: false,
+          error: 'Failed to merge parks',
+          message: mergeError.message
+        }, { status: 409, headers })
+      }
+
+      if (!result) {
+        return Response.json({
+          success: false,
+          error: 'Duplicate candidate not found'
+        }, { status: 404, headers })
+      }
+
+      const { previous, ...merged } = result
+      await recordAuditEvent(auth, {
+        action: 'parks.merge',
+        criteria: { candidateId: body.candidateId, keepParkId: body.keepParkId, fieldChoices: body.fieldChoices || {} },
+        affectedIds: [body.keepParkId, result.removedParkId],
+        before: { [previous.kept.id]: previous.kept, [previous.removed.id]: previous.removed },
+        after: { [previous.kept.id]: result.park || null },
+        details: { fieldsTaken: result.fieldsTaken }
+      })
+
+      return Response.json({
+        success: true,
+        ...merged,
+        message: `Merged into "${result.park?.name || body.keepParkId}" (${result.fieldsTaken.length} field(s) taken from the removed park)`
+      }, { status: 200, headers })
+    }
+
+    return Response.json({
+      success: false,
+      error: 'Invalid action',
+      details: 'Supported actions: scan, merge, dismiss'
+    }, { status: 400, headers })
+
+  } catch (error) {
+    console.error('Duplicate parks API error:', error)
+    return Response.json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message || 'An unexpected error occurred',
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    }, { status: 500, headers })
+  }
+}
+
+export async function OPTIONS() {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  })
+}
@@ -5,22 +5,27 @@
  */
 
 import { supabaseServer } from '../../../../lib/supabase-server.js'
+import { isGeocodingConfigured, geocodeAddress, reverseGeocodeState, geocodeDelay } from '../../../../lib/utils/geocoding.js'
+import { requireRole } from '../../../../lib/utils/admin-auth.js'
+import { recordAuditEvent } from '../../../../lib/utils/audit-log.js'
+import { hasParkColumn } from '../../../../lib/utils/park-columns.js'
 
 export const dynamic = 'force-dynamic'
 export const runtime = 'nodejs'
 export const maxDuration = 300 // 5 minutes for large batches
 
-const MAPBOX_TOKEN = process.env.NEXT_PUBLIC_MAPBOX_TOKEN || process.env.MAPBOX_TOKEN
-
 export async function POST(request) {
   const headers = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'POST,OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
   }
 
+  const auth = await requireRole(request, 'editor', headers)
+  if (auth.response) return auth.response
+
   try {
-    if (!MAPBOX_TOKEN) {
+    if (!isGeocodingConfigured()) {
       return Response.json({
         success: false,
         error: 'Mapbox token not configured',
@@ -62,6 +67,9 @@ export async function POST(request) {
     if (state) {
       query = query.eq('state', state)
     }
+    if (await hasParkColumn('deleted_at')) {
+      query = query.is('deleted_at', null)
+    }
 
     const { data: parks, error: fetchError } = await query
 
@@ -92,6 +100,9 @@ export async function POST(request) {
     let failedCount = 0
     let skippedCount = 0
     const errors = []
+    // Park id -> geocoded fields before/after, for the audit log
+    const before = {}
+    const after = {}
 
     // Step 2: Process each park
     for (let i = 0; i < parks.length; i++) {
@@ -107,53 +118,27 @@ export async function POST(request) {
         }
 
         try {
-          const url = `https://api.mapbox.com/geocoding/v5/mapbox.places/${park.longitude},${park.latitude}.json?access_token=${MAPBOX_TOKEN}&limit=1`
-          const response = await fetch(url)
-          
-          if (!response.ok) {
-            throw new Error(`Geocoding API error: ${response.status}`)
-          }
-
-          const data = await response.json()
-
-          if (data.features && data.features.length > 0) {
-            const feature = data.features[0]
-            const context = feature.context || []
-            
-            // Look for region (state) in context
-            const region = context.find(c => {
-              const id = c.id || ''
-              return id.startsWith('region.') || id.startsWith('region')
-            })
-            
-            if (region && region.short_code) {
-              // Extract state code from "US-CA" format
-              const stateCode = region.short_code.replace('US-', '').toUpperCase()
-              if (stateCode.length === 2) {
-                // Update park with state
-                const { error: updateError } = await supabaseServer
-                  .from('parks')
-                  .update({ state: stateCode })
-                  .eq('id', park.id)
-
-                if (updateError) {
-                  console.error(`  ❌ Failed to update: ${updateError.message}`)
-                  failedCount++
-                  errors.push({ park: park.name, error: updateError.message })
-                } else {
-                  console.log(`  ✅ Geocoded state: ${stateCode}`)
-                  successCount++
-                }
-              } else {
-                console.log(`  ⚠️  Could not extract state code`)
-                skippedCount++
-              }
+          const stateCode = await reverseGeocodeState(park.longitude, park.latitude)
+
+          if (stateCode) {
+            // Update park with state
+            const { error: updateError } = await supabaseServer
+              .from('parks')
+              .update({ state: stateCode, last_updated: new Date().toISOString() })
+              .eq('id', park.id)
+
+            if (updateError) {
+              console.error(`  ❌ Failed to update: ${updateError.message}`)
+              failedCount++
+              errors.push({ park: park.name, error: updateError.message })
             } else {
-              console.log(`  ⚠️  Could not find state in geocoding response`)
-              skippedCount++
+              console.log(`  ✅ Geocoded state: ${stateCode}`)
+              successCount++
+              before[park.id] = { state: park.state }
+              after[park.id] = { state: stateCode }
             }
           } else {
-            console.log(`  ⚠️  No geocoding results`)
+            console.log(`  ⚠️  Could not find state in geocoding response`)
             skippedCount++
           }
         } catch (error) {
@@ -163,7 +148,7 @@ export async function POST(request) {
         }
 
         // Rate limiting
-        await new Promise(resolve => setTimeout(resolve, 100))
+        await geocodeDelay()
         continue
       }
 
@@ -214,26 +199,9 @@ export async function POST(request) {
       if (!coords) {
         try {
           const query = park.address || `${park.name}, ${park.state}`
-          const url = `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(query)}.json?access_token=${MAPBOX_TOKEN}&limit=1&types=poi,address`
-
-          const response = await fetch(url)
-          if (!response.ok) {
-            throw new Error(`Geocoding API error: ${response.status}`)
-          }
-
-          const data = await response.json()
-
-          if (data.features && data.features.length > 0) {
-            const feature = data.features[0]
-            const relevance = feature.relevance || 0
-
-            if (relevance >= 0.7) {
-              const [lng, lat] = feature.center
-              coords = { latitude: lat, longitude: lng, relevance }
-              console.log(`  ✅ Geocoded: (${coords.latitude.toFixed(6)}, ${coords.longitude.toFixed(6)}) - Relevance: ${relevance.toFixed(2)}`)
-            } else {
-              console.warn(`  ⚠️  Low relevance (${relevance.toFixed(2)}): ${feature.place_name}`)
-            }
+          coords = await geocodeAddress(query)
+          if (coords) {
+            console.log(`  ✅ Geocoded: (${coords.latitude.toFixed(6)}, ${coords.longitude.toFixed(6)}) - Relevance: ${coords.relevance.toFixed(2)}`)
           }
         } catch (error) {
           console.warn(`  ⚠️  Geocoding error: ${error.message}`)
@@ -246,7 +214,8 @@ export async function POST(request) {
           .from('parks')
           .update({
             latitude: coords.latitude,
-            longitude: coords.longitude
+            longitude: coords.longitude,
+            last_updated: new Date().toISOString()
           })
           .eq('id', park.id)
 
@@ -256,6 +225,8 @@ export async function POST(request) {
           errors.push({ park: park.name, error: updateError.message })
         } else {
           successCount++
+          before[park.id] = { latitude: park.latitude, longitude: park.longitude }
+          after[park.id] = { latitude: coords.latitude, longitude: coords.longitude }
         }
       } else {
         console.log(`  ⚠️  Could not find coordinates`)
@@ -263,12 +234,23 @@ export async function POST(request) {
       }
 
       // Rate limiting: Mapbox allows 600 requests/minute
-      await new Promise(resolve => setTimeout(resolve, 100))
+      await geocodeDelay()
     }
 
     console.log(`=== GEOCODING COMPLETE ===`)
     console.log(`Success: ${successCount}, Failed: ${failedCount}, Skipped: ${skippedCount}`)
 
+    if (successCount > 0) {
+      await recordAuditEvent(auth, {
+        action: 'parks.geocode',
+        criteria: { limit, state, useGeometry, geocodeType },
+        affectedIds: Object.keys(after),
+        before,
+        after,
+        details: { parksProcessed: parks.length, parksFailed: failedCount, parksSkipped: skippedCount, errors }
+      })
+    }
+
     return Response.json({
       success: true,
       message: `Processed ${parks.length} parks`,
@@ -295,7 +277,7 @@ export async function OPTIONS() {
     headers: {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'POST,OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     },
   })
 }
@@ -0,0 +1,137 @@
+/**
+ * Import Batches API
+ * GET lists recent upload/sync batches; POST action=rollback restores
+ * every park a batch touched to its pre-import state
+ */
+
+import { listImportBatches, getImportBatch, rollbackImportBatch, ROLLBACK_STATUSES } from '../../../../lib/utils/import-batches.js'
+import { requireRole } from '../../../../lib/utils/admin-auth.js'
+import { recordAuditEvent } from '../../../../lib/utils/audit-log.js'
+
+export const dynamic = 'force-dynamic'
+export const runtime = 'nodejs'
+// Rolling back a large batch restores parks one at a time
+export const maxDuration = 300
+
+export async function GET(request) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  }
+
+  const auth = await requireRole(request, 'viewer', headers)
+  if (auth.response) return auth.response
+
+  try {
+    const { searchParams } = new URL(request.url)
+    const limit = Math.min(parseInt(searchParams.get('limit')) || 50, 500)
+
+    const batches = await listImportBatches({ limit })
+
+    return Response.json({
+      success: true,
+      batches,
+      count: batches.length
+    }, { status: 200, headers })
+
+  } catch (error) {
+    console.error('Import batches API error:', error)
+    return Response.json({
+      success: false,
+      error: 'Failed to fetch import batches',
+      message: error.message
+    }, { status: 500, headers })
+  }
+}
+
+export async function POST(request) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  }
+
+  const auth = await requireRole(request, 'importer', headers)
+  if (auth.response) return auth.response
+
+  try {
+    const body = await request.json().catch(() => ({}))
+    const { action, batchId, force } = body
+
+    if (action !== 'rollback') {
+      return Response.json({
+        success: false,
+        error: 'Invalid action',
+        details: 'Supported actions: rollback'
+      }, { status: 400, headers })
+    }
+
+    if (!batchId) {
+      return Response.json({
+        success: false,
+        error: 'batchId is required'
+      }, { status: 400, headers })
+    }
+
+    const batch = await getImportBatch(batchId)
+    if (!batch) {
+      return Response.json({
+        success: false,
+        error: 'Import batch not found'
+      }, { status: 404, headers })
+    }
+
+    // A running import is still writing snapshots and rows - rolling back now leaves a half-restored table
+    if (!ROLLBACK_STATUSES.includes(batch.status)) {
+      return Response.json({
+        success: false,
+        error: 'Only finished import batches can be rolled back',
+        details: `Batch is ${batch.status}`
+      }, { status: 409, headers })
+    }
+
+    const results = await rollbackImportBatch(batchId, { force: force === true })
+
+    if (!results) {
+      return Response.json({
+        success: false,
+        error: 'Import batch not found'
+      }, { status: 404, headers })
+    }
+
+    const { deletedParkIds, restoredParkIds, ...summary } = results
+    await recordAuditEvent(auth, {
+      action: 'import.rollback',
+      criteria: { batchId, force: force === true },
+      affectedIds: [...deletedParkIds, ...restoredParkIds],
+      details: { ...summary, deletedParkIds, restoredParkIds }
+    })
+
+    return Response.json({
+      success: true,
+      ...summary,
+      message: `Rolled back batch: ${results.deleted} inserted park(s) deleted, ${results.restored} park(s) restored` +
+        (results.conflicts.length > 0 ? `, ${results.conflicts.length} skipped (changed since the import)` : '')
+    }, { status: 200, headers })
+
+  } catch (error) {
+    console.error('Import batch rollback error:', error)
+    return Response.json({
+      success: false,
+      error: 'Failed to roll back import batch',
+      message: error.message
+    }, { status: 500, headers })
+  }
+}
+
+export async function OPTIONS() {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  })
+}
@@ -0,0 +1,52 @@
+/**
+ * API Route: /api/admin/me
+ * The signed-in user's admin role (null without admin access), for the admin panel
+ */
+
+import { getAdminUser } from '../../../../lib/utils/admin-auth.js'
+
+export const dynamic = 'force-dynamic'
+export const runtime = 'nodejs'
+
+export async function GET(request) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  }
+
+  try {
+    const adminUser = await getAdminUser(request)
+    if (!adminUser) {
+      return Response.json({
+        success: false,
+        error: 'Not signed in'
+      }, { status: 401, headers })
+    }
+
+    return Response.json({
+      success: true,
+      user: { id: adminUser.user.id, email: adminUser.user.email },
+      role: adminUser.role
+    }, { status: 200, headers })
+
+  } catch (error) {
+    console.error('Admin user API error:', error)
+    return Response.json({
+      success: false,
+      error: 'Could not verify admin access',
+      message: error.message
+    }, { status: 500, headers })
+  }
+}
+
+export async function OPTIONS() {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET,OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  })
+}
@@ -0,0 +1,177 @@
+/**
+ * Sync Schedules API
+ * GET lists recurring sync schedules
+ * POST action=create|update|delete manages them, action=run starts one now
+ */
+
+import { inngest } from '../../../../inngest/client.js'
+import {
+  listSyncSchedules,
+  getSyncSchedule,
+  createSyncSchedule,
+  updateSyncSchedule,
+  deleteSyncSchedule,
+  validateScheduleFields,
+  SCHEDULABLE_SOURCE_TYPES
+} from '../../../../lib/utils/sync-schedules.js'
+import { requireRole } from '../../../../lib/utils/admin-auth.js'
+
+export const dynamic = 'force-dynamic'
+export const runtime = 'nodejs'
+
+export async function GET(request) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  }
+
+  const auth = await requireRole(request, 'viewer', headers)
+  if (auth.response) return auth.response
+
+  try {
+    const schedules = await listSyncSchedules()
+
+    return Response.json({
+      success: true,
+      schedules,
+      count: schedules.length,
+      sourceTypes: SCHEDULABLE_SOURCE_TYPES
+    }, { status: 200, headers })
+
+  } catch (error) {
+    console.error('Sync schedules API error:', error)
+    return Response.json({
+      success: false,
+      error: 'Failed to fetch sync schedules',
+      message: error.message
+    }, { status: 500, headers })
+  }
+}
+
+export async function POST(request) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  }
+
+  const auth = await requireRole(request, 'importer', headers)
+  if (auth.response) return auth.response
+
+  try {
+    const body = await request.json().catch(() => ({}))
+    const { action, scheduleId } = body
+
+    if (action === 'create') {
+      const { values, errors } = validateScheduleFields(body.schedule || {})
+      if (errors.length > 0) {
+        return Response.json({
+          success: false,
+          error: 'Invalid schedule',
+          details: errors.join('; ')
+        }, { status: 400, headers })
+      }
+
+      const schedule = await createSyncSchedule(values)
+      return Response.json({
+        success: true,
+        schedule,
+        message: `Created schedule "${schedule.name}"`
+      }, { status: 200, headers })
+    }
+
+    if (!['update', 'delete', 'run'].includes(action)) {
+      return Response.json({
+        success: false,
+        error: 'Invalid action',
+        details: 'Supported actions: create, update, delete, run'
+      }, { status: 400, headers })
+    }
+
+    if (!scheduleId) {
+      return Response.json({
+        success: false,
+        error: 'scheduleId is required'
+      }, { status: 400, headers })
+    }
+
+    const existing = await getSyncSchedule(scheduleId)
+    if (!existing) {
+      return Response.json({
+        success: false,
+        error: 'Sync schedule not found'
+      }, { status: 404, headers })
+    }
+
+    if (action === 'update') {
+      const { values, errors } = validateScheduleFields({ ...existing, ...(body.schedule || {}) })
+      if (errors.length > 0) {
+        return Response.json({
+          success: false,
+          error: 'Invalid schedule',
+          details: errors.join('; ')
+        }, { status: 400, headers })
+      }
+
+      const schedule = await updateSyncSchedule(scheduleId, values)
+      return Response.json({
+        success: true,
+        schedule,
+        message: `Updated schedule "${schedule?.name || existing.name}"`
+      }, { status: 200, headers })
+    }
+
+    if (action === 'delete') {
+      await deleteSyncSchedule(scheduleId)
+      return Response.json({
+        success: true,
+        message: `Deleted schedule "${existing.name}"`
+      }, { status: 200, headers })
+    }
+
+    // action === 'run'
+    try {
+      const result = await inngest.send({
+        name: 'sync/scheduled-run',
+        data: { scheduleId }
+      })
+
+      return Response.json({
+        success: true,
+        message: `Started "${existing.name}"`,
+        eventIds: result?.ids || [],
+        details: 'The sync runs in the background. Its result appears here and in Sync History when it finishes.'
+      }, { status: 200, headers })
+    } catch (inngestError) {
+      console.error('Inngest send error:', inngestError)
+      return Response.json({
+        success: false,
+        error: 'Failed to start scheduled sync',
+        message: inngestError.message?.includes('INNGEST_EVENT_KEY')
+          ? 'Inngest event key is missing. Please set INNGEST_EVENT_KEY environment variable.'
+          : inngestError.message
+      }, { status: 500, headers })
+    }
+
+  } catch (error) {
+    console.error('Sync schedules API error:', error)
+    return Response.json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message || 'An unexpected error occurred',
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    }, { status: 500, headers })
+  }
+}
+
+export async function OPTIONS() {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  })
+}
@@ -0,0 +1,111 @@
+/**
+ * API Route: /api/admin/trash
+ * GET lists parks in the trash (deleted from the admin panel, not yet purged);
+ * POST action=restore takes parks back out, action=purge removes them for good
+ */
+
+import { listTrashedParks, restoreParks, purgeTrashedParks, TRASH_RETENTION_DAYS } from '../../../../lib/utils/park-trash.js'
+import { requireRole } from '../../../../lib/utils/admin-auth.js'
+
+export const dynamic = 'force-dynamic'
+export const runtime = 'nodejs'
+
+export async function GET(request) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  }
+
+  const auth = await requireRole(request, 'viewer', headers)
+  if (auth.response) return auth.response
+
+  try {
+    const { searchParams } = new URL(request.url)
+    const limit = Math.min(parseInt(searchParams.get('limit')) || 200, 1000)
+    const search = searchParams.get('search') || null
+
+    const parks = await listTrashedParks({ search, limit })
+
+    return Response.json({
+      success: true,
+      parks,
+      count: parks.length,
+      retentionDays: TRASH_RETENTION_DAYS
+    }, { status: 200, headers })
+
+  } catch (error) {
+    console.error('Trash API error:', error)
+    return Response.json({
+      success: false,
+      error: 'Failed to fetch trashed parks',
+      message: error.message
+    }, { status: 500, headers })
+  }
+}
+
+export async function POST(request) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  }
+
+  const auth = await requireRole(request, 'admin', headers)
+  if (auth.response) return auth.response
+
+  try {
+    const body = await request.json().catch(() => ({}))
+    const { action, parkIds } = body
+
+    if (action !== 'restore' && action !== 'purge') {
+      return Response.json({
+        success: false,
+        error: 'Invalid action',
+        details: 'Supported actions: restore, purge'
+      }, { status: 400, headers })
+    }
+
+    if (!parkIds || !Array.isArray(parkIds) || parkIds.length === 0) {
+      return Response.json({
+        success: false,
+        error: 'parkIds array is required'
+      }, { status: 400, headers })
+    }
+
+    if (action === 'restore') {
+      const result = await restoreParks(parkIds, { auth })
+      return Response.json({
+        success: true,
+        ...result,
+        message: `Restored ${result.restored} park(s)`
+      }, { status: 200, headers })
+    }
+
+    const result = await purgeTrashedParks({ auth, parkIds })
+    return Response.json({
+      success: true,
+      ...result,
+      message: `Permanently deleted ${result.purged} park(s)`
+    }, { status: 200, headers })
+
+  } catch (error) {
+    console.error('Trash action error:', error)
+    return Response.json({
+      success: false,
+      error: 'Failed to update the trash',
+      message: error.message
+    }, { status: 500, headers })
+  }
+}
+
+export async function OPTIONS() {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  })
+}
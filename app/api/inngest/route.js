@@ -8,16 +8,31 @@ import { inngest } from '../../../inngest/client.js'
 import { 
   processParkFile, 
   enrichRecreationGovFacilities, 
-  startRecreationGovEnrichment 
+  startRecreationGovEnrichment,
+  detectDuplicateParksForState,
+  startDuplicateDetection,
+  checkSyncSchedules,
+  runScheduledSync,
+  runApiSyncJob,
+  purgeParkTrash
 } from '../../../inngest/functions.js'
 
+// Scheduled syncs run the full /api/sync pipeline inside a step - give them the same time limit
+export const maxDuration = 300
+
 // Serve Inngest API
 export const { GET, POST, PUT } = serve({
   client: inngest,
   functions: [
     processParkFile,
     enrichRecreationGovFacilities,
-    startRecreationGovEnrichment
+    startRecreationGovEnrichment,
+    detectDuplicateParksForState,
+    startDuplicateDetection,
+    checkSyncSchedules,
+    runScheduledSync,
+    runApiSyncJob,
+    purgeParkTrash
   ]
 })
 
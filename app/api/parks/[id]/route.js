@@ -1,14 +1,53 @@
 /**
  * API Route: /api/parks/[id]
- * Server-side park detail fetching with all fields including boundaries
+ * Server-side park detail fetching with all fields including boundaries,
+ * and single-park edits (PATCH) guarded by the park's version
  */
 
 import { supabaseServer } from '../../../../lib/supabase-server.js'
+import { requireRole } from '../../../../lib/utils/admin-auth.js'
+import { recordAuditEvent } from '../../../../lib/utils/audit-log.js'
+import { createProvenanceEntry, recordFieldProvenance, MANUAL_EDIT_SOURCE } from '../../../../lib/utils/field-provenance.js'
+import { addFieldLocks } from '../../../../lib/utils/field-locks.js'
+import { validateParkFields, formatParkFieldErrors } from '../../../../lib/utils/park-schema.js'
+import { validateGeometry, fixGeometry } from '../../../../lib/utils/geometry-validator.js'
+import { geojsonToWKT } from '../../../../lib/utils/geometry-wkt.js'
 
 export const dynamic = 'force-dynamic'
 export const runtime = 'nodejs'
 export const maxDuration = 30
 
+/**
+ * Park id from the route params, falling back to the request path
+ */
+async function getParkId(request, params) {
+  // In Next.js 15+, params is a Promise
+  const resolvedParams = await params
+  let id = resolvedParams?.id
+
+  // Fallback: Extract from URL if params not available
+  if (!id) {
+    try {
+      const url = new URL(request.url)
+      const pathParts = url.pathname.split('/').filter(p => p)
+      // Find the ID part (should be after 'parks')
+      const parksIndex = pathParts.indexOf('parks')
+      if (parksIndex >= 0 && pathParts.length > parksIndex + 1) {
+        id = pathParts[parksIndex + 1]
+      } else {
+        // Last resort: use last part of path
+        id = pathParts[pathParts.length - 1]
+      }
+    } catch (urlError) {
+      console.error('Error parsing URL:', urlError)
+    }
+  }
+
+  return id
+}
+
+const isMissingParkId = (id) => !id || id === '[id]' || id === 'undefined' || id === 'null'
+
 export async function GET(request, { params }) {
   const headers = {
     'Access-Control-Allow-Origin': '*',
@@ -17,31 +56,7 @@ export async function GET(request, { params }) {
   }
 
   try {
-    // Handle Next.js App Router params
-    let id = params?.id
-    
-    // In Next.js 15+, params might be a Promise
-    if (id instanceof Promise) {
-      id = await id
-    }
-    
-    // Fallback: Extract from URL if params not available
-    if (!id) {
-      try {
-        const url = new URL(request.url)
-        const pathParts = url.pathname.split('/').filter(p => p)
-        // Find the ID part (should be after 'parks')
-        const parksIndex = pathParts.indexOf('parks')
-        if (parksIndex >= 0 && pathParts.length > parksIndex + 1) {
-          id = pathParts[parksIndex + 1]
-        } else {
-          // Last resort: use last part of path
-          id = pathParts[pathParts.length - 1]
-        }
-      } catch (urlError) {
-        console.error('Error parsing URL:', urlError)
-      }
-    }
+    const id = await getParkId(request, params)
 
     console.log('🔍 Park detail request:', {
       id,
@@ -50,7 +65,7 @@ export async function GET(request, { params }) {
       paramsId: params?.id
     })
 
-    if (!id || id === '[id]' || id === 'undefined' || id === 'null') {
+    if (isMissingParkId(id)) {
       return Response.json({
         success: false,
         error: 'Park ID is required',
@@ -180,6 +195,15 @@ export async function GET(request, { params }) {
       console.warn(`Park ${id} exists but .single() returned no data, using check query result`)
     }
 
+    // Trashed parks are hidden until an admin restores them
+    if (data?.deleted_at) {
+      return Response.json({
+        success: false,
+        error: 'Park not found',
+        message: `No park found with ID: ${id}`
+      }, { status: 404, headers })
+    }
+
     // Convert PostGIS geometry to GeoJSON if it exists
     let parkData = { ...data }
     if (parkData.geometry) {
@@ -236,13 +260,212 @@ export async function GET(request, { params }) {
   }
 }
 
+// Boundary types an admin can draw or paste for a park
+const EDITABLE_GEOMETRY_TYPES = ['Point', 'Polygon', 'MultiPolygon']
+
+/**
+ * GeoJSON geometry (or Feature) from an edit -> WKT for the geography column
+ * @returns {{ value: string|null }|{ error: string }} null clears the boundary
+ */
+function toGeometryValue(input) {
+  if (input === null || input === '') return { value: null }
+
+  let geometry = input?.type === 'Feature' ? input.geometry : input
+  if (!geometry || !EDITABLE_GEOMETRY_TYPES.includes(geometry.type)) {
+    return { error: `must be a GeoJSON ${EDITABLE_GEOMETRY_TYPES.join(', ')} or null` }
+  }
+
+  let validation = validateGeometry(geometry)
+  if (!validation.valid) {
+    geometry = fixGeometry(geometry)
+    validation = validateGeometry(geometry)
+    if (!validation.valid) return { error: validation.error }
+  }
+
+  const wkt = geojsonToWKT(geometry, 4326)
+  return wkt ? { value: wkt } : { error: 'could not be converted to WKT' }
+}
+
+/**
+ * Edit one park - editor role
+ * Body: { version, ...fields } with any field of the park schema, plus geometry (GeoJSON)
+ * version is parks.version as the editor loaded it (docs/PARK_VERSIONING_SETUP.sql); if the
+ * park changed since, nothing is written and a 409 returns the current record
+ * Edited fields are stamped as manual edits and locked, as in the bulk editor
+ */
+export async function PATCH(request, { params }) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,PATCH,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  }
+
+  const auth = await requireRole(request, 'editor', headers)
+  if (auth.response) return auth.response
+
+  try {
+    const id = await getParkId(request, params)
+    if (isMissingParkId(id)) {
+      return Response.json({
+        success: false,
+        error: 'Park ID is required'
+      }, { status: 400, headers })
+    }
+
+    const body = await request.json().catch(() => ({}))
+
+    const expectedVersion = Number(body.version)
+    if (body.version === undefined || body.version === null || !Number.isInteger(expectedVersion)) {
+      return Response.json({
+        success: false,
+        error: 'version is required',
+        message: 'Send the version of the park you loaded, so edits made since are not overwritten'
+      }, { status: 400, headers })
+    }
+
+    const { values: updateData, errors: fieldErrors } = validateParkFields(body)
+    if (body.geometry !== undefined) {
+      const { value, error } = toGeometryValue(body.geometry)
+      if (error) {
+        fieldErrors.geometry = error
+      } else {
+        updateData.geometry = value
+      }
+    }
+
+    if (Object.keys(fieldErrors).length > 0) {
+      return Response.json({
+        success: false,
+        error: 'Invalid park fields',
+        message: formatParkFieldErrors(fieldErrors),
+        fields: fieldErrors
+      }, { status: 400, headers })
+    }
+
+    const editedFields = Object.keys(updateData)
+    if (editedFields.length === 0) {
+      return Response.json({
+        success: false,
+        error: 'No editable fields to update'
+      }, { status: 400, headers })
+    }
+
+    const { data: existingPark, error: fetchError } = await supabaseServer
+      .from('parks')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle()
+
+    if (fetchError) {
+      throw new Error(`Failed to fetch park: ${fetchError.message}`)
+    }
+    if (!existingPark || existingPark.deleted_at) {
+      return Response.json({
+        success: false,
+        error: 'Park not found',
+        message: `No park found with ID: ${id}`
+      }, { status: 404, headers })
+    }
+    if (existingPark.version === undefined) {
+      throw new Error('parks.version column is missing - run docs/PARK_VERSIONING_SETUP.sql')
+    }
+
+    const conflict = (park) => Response.json({
+      success: false,
+      error: 'Conflict',
+      message: `This park was changed by someone else since you loaded it (version ${expectedVersion}, now ${park.version}). Review the current values and apply your edit again.`,
+      park
+    }, { status: 409, headers })
+
+    if (existingPark.version !== expectedVersion) {
+      return conflict(existingPark)
+    }
+
+    const writeData = {
+      ...updateData,
+      last_updated: new Date().toISOString()
+    }
+    // The row has locked_fields and field_provenance once their setup scripts in docs/ have been run
+    if ('locked_fields' in existingPark) {
+      writeData.locked_fields = addFieldLocks(existingPark.locked_fields, editedFields)
+    }
+    if ('field_provenance' in existingPark) {
+      writeData.field_provenance = recordFieldProvenance(
+        existingPark.field_provenance,
+        editedFields,
+        createProvenanceEntry({ source: MANUAL_EDIT_SOURCE, sourceType: 'Manual' })
+      )
+    }
+
+    // The version filter makes the check and the write one step: if another write
+    // landed after the read above, no row matches and nothing is changed
+    let updateQuery = supabaseServer
+      .from('parks')
+      .update(writeData)
+      .eq('id', id)
+      .eq('version', expectedVersion)
+    // The rows have deleted_at once docs/PARKS_TRASH_SETUP.sql has been run
+    if ('deleted_at' in existingPark) {
+      updateQuery = updateQuery.is('deleted_at', null)
+    }
+    const { data: savedPark, error: updateError } = await updateQuery
+      .select('*')
+      .maybeSingle()
+
+    if (updateError) {
+      throw new Error(`Failed to update park: ${updateError.message}`)
+    }
+
+    if (!savedPark) {
+      const { data: currentPark } = await supabaseServer
+        .from('parks')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle()
+
+      if (!currentPark || currentPark.deleted_at) {
+        return Response.json({
+          success: false,
+          error: 'Park not found',
+          message: `Park ${id} was deleted while you were editing it`
+        }, { status: 404, headers })
+      }
+      return conflict(currentPark)
+    }
+
+    console.log(`✏️ Park ${id} edited (version ${expectedVersion} -> ${savedPark.version}):`, editedFields.join(', '))
+
+    await recordAuditEvent(auth, {
+      action: 'parks.edit',
+      affectedIds: [id],
+      before: { [id]: Object.fromEntries(editedFields.map(field => [field, existingPark[field] ?? null])) },
+      after: { [id]: Object.fromEntries(editedFields.map(field => [field, savedPark[field] ?? null])) },
+      details: { version: savedPark.version }
+    })
+
+    return Response.json({
+      success: true,
+      message: `Updated ${editedFields.length} field(s) of ${savedPark.name}`,
+      park: savedPark
+    }, { status: 200, headers })
+
+  } catch (error) {
+    console.error('Park edit API error:', error)
+    return Response.json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    }, { status: 500, headers })
+  }
+}
+
 export async function OPTIONS() {
   return new Response(null, {
     status: 200,
     headers: {
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET,OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Methods': 'GET,PATCH,OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     },
   })
 }
@@ -4,6 +4,7 @@
  */
 
 import { supabaseServer } from '../../../lib/supabase-server.js'
+import { hasParkColumn } from '../../../lib/utils/park-columns.js'
 
 export const dynamic = 'force-dynamic'
 export const runtime = 'nodejs'
@@ -89,6 +90,11 @@ export async function GET(request) {
       .from('parks')
       .select('id, name, latitude, longitude, agency, state, source_id, data_source, geometry')
     
+    // Trashed parks stay hidden until restored or purged (once the trash is set up)
+    if (await hasParkColumn('deleted_at')) {
+      query = query.is('deleted_at', null)
+    }
+    
     // Filter: must have either coordinates OR boundary
     // Note: We'll filter out parks without coordinates after calculating centroids from boundaries
     // For now, we'll get all parks and filter client-side after centroid calculation
@@ -0,0 +1,68 @@
+/**
+ * API Route: /api/sync/jobs/[id]
+ * Returns a single background sync job - polled by the admin panel for progress
+ */
+
+import { getSyncJob } from '../../../../../lib/utils/sync-jobs.js'
+import { requireRole } from '../../../../../lib/utils/admin-auth.js'
+
+export const dynamic = 'force-dynamic'
+export const runtime = 'nodejs'
+
+export async function GET(request, { params }) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Cache-Control': 'no-store',
+  }
+
+  const auth = await requireRole(request, 'viewer', headers)
+  if (auth.response) return auth.response
+
+  try {
+    // In Next.js 15+, params is a Promise
+    const { id } = await params
+
+    if (!id) {
+      return Response.json({
+        success: false,
+        error: 'Sync job ID is required'
+      }, { status: 400, headers })
+    }
+
+    const job = await getSyncJob(id)
+
+    if (!job) {
+      return Response.json({
+        success: false,
+        error: 'Sync job not found',
+        message: `No sync job found with ID: ${id}`
+      }, { status: 404, headers })
+    }
+
+    return Response.json({
+      success: true,
+      job
+    }, { status: 200, headers })
+
+  } catch (error) {
+    console.error('Sync job detail API error:', error)
+    return Response.json({
+      success: false,
+      error: 'Failed to fetch sync job',
+      message: error.message
+    }, { status: 500, headers })
+  }
+}
+
+export async function OPTIONS() {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET,OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  })
+}
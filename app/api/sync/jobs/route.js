@@ -0,0 +1,144 @@
+/**
+ * API Route: /api/sync/jobs
+ * GET lists recent background sync jobs (NPS / Recreation.gov)
+ * POST action=resume restarts a failed job from its last finished page
+ */
+
+import { inngest } from '../../../../inngest/client.js'
+import { listSyncJobs, getSyncJob, updateSyncJob, getSyncJobApiKey } from '../../../../lib/utils/sync-jobs.js'
+import { requireRole } from '../../../../lib/utils/admin-auth.js'
+
+export const dynamic = 'force-dynamic'
+export const runtime = 'nodejs'
+
+export async function GET(request) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  }
+
+  const auth = await requireRole(request, 'viewer', headers)
+  if (auth.response) return auth.response
+
+  try {
+    const { searchParams } = new URL(request.url)
+    const limit = Math.min(parseInt(searchParams.get('limit')) || 20, 200)
+
+    const jobs = await listSyncJobs({ limit })
+
+    return Response.json({
+      success: true,
+      jobs,
+      count: jobs.length
+    }, { status: 200, headers })
+
+  } catch (error) {
+    console.error('Sync jobs API error:', error)
+    return Response.json({
+      success: false,
+      error: 'Failed to fetch sync jobs',
+      message: error.message
+    }, { status: 500, headers })
+  }
+}
+
+export async function POST(request) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  }
+
+  const auth = await requireRole(request, 'importer', headers)
+  if (auth.response) return auth.response
+
+  try {
+    const body = await request.json().catch(() => ({}))
+    const { action, jobId } = body
+
+    if (action !== 'resume') {
+      return Response.json({
+        success: false,
+        error: 'Invalid action',
+        details: 'Supported actions: resume'
+      }, { status: 400, headers })
+    }
+
+    if (!jobId) {
+      return Response.json({
+        success: false,
+        error: 'jobId is required'
+      }, { status: 400, headers })
+    }
+
+    const job = await getSyncJob(jobId)
+    if (!job) {
+      return Response.json({
+        success: false,
+        error: 'Sync job not found'
+      }, { status: 404, headers })
+    }
+
+    if (job.status !== 'failed') {
+      return Response.json({
+        success: false,
+        error: 'Only failed jobs can be resumed',
+        details: `Job is ${job.status}`
+      }, { status: 409, headers })
+    }
+
+    // The job reads its key from the server environment (keys are never put in events)
+    if (!getSyncJobApiKey(job.source_type)) {
+      return Response.json({
+        success: false,
+        error: 'API key is required',
+        details: `Set the ${job.source_type} API key in the server environment to resume this job`
+      }, { status: 400, headers })
+    }
+
+    try {
+      await updateSyncJob(jobId, { status: 'queued', error_message: null })
+      const result = await inngest.send({
+        name: 'sync/api-job',
+        data: { jobId }
+      })
+
+      return Response.json({
+        success: true,
+        message: `Resumed ${job.source_type} sync job from offset ${job.cursor}`,
+        eventIds: result?.ids || []
+      }, { status: 200, headers })
+    } catch (inngestError) {
+      console.error('Inngest send error:', inngestError)
+      await updateSyncJob(jobId, { status: 'failed', error_message: job.error_message })
+      return Response.json({
+        success: false,
+        error: 'Failed to resume sync job',
+        message: inngestError.message?.includes('INNGEST_EVENT_KEY')
+          ? 'Inngest event key is missing. Please set INNGEST_EVENT_KEY environment variable.'
+          : inngestError.message
+      }, { status: 500, headers })
+    }
+
+  } catch (error) {
+    console.error('Sync jobs API error:', error)
+    return Response.json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message || 'An unexpected error occurred',
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    }, { status: 500, headers })
+  }
+}
+
+export async function OPTIONS() {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  })
+}
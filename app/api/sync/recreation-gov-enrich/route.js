@@ -4,6 +4,7 @@
  */
 
 import { inngest } from '../../../../inngest/client.js'
+import { requireRole } from '../../../../lib/utils/admin-auth.js'
 
 export const dynamic = 'force-dynamic'
 export const runtime = 'nodejs'
@@ -13,9 +14,12 @@ export async function POST(request) {
   const headers = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'POST,OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
   }
 
+  const auth = await requireRole(request, 'importer', headers)
+  if (auth.response) return auth.response
+
   try {
     const body = await request.json().catch(() => ({}))
     const { apiKey, batchSize = 50 } = body
@@ -88,7 +92,7 @@ export async function OPTIONS() {
     headers: {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'POST,OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     },
   })
 }
@@ -6,14 +6,29 @@
 
 import { fetchAllNPSParks } from '../../../lib/utils/nps-api.js'
 import { fetchRecreationFacilities, fetchRecreationFacilityAddresses, fetchRecreationFacilityById } from '../../../lib/utils/recreation-gov-api.js'
-import { mapNPSParksToSchema, mapRecreationGovToParkSchema } from '../../../lib/utils/api-field-mapper.js'
-import { insertOrUpdatePark } from '../../../lib/utils/db-operations.js'
+import { mapNPSParksToSchema, mapRecreationGovToParkSchema, mapGeoJSONFeatureToParkSchema } from '../../../lib/utils/api-field-mapper.js'
+import { insertOrUpdatePark, diffParkFields, toLockedParkReport, toNameMatchReport, toInvalidFieldsReport, parseNameMatchThreshold } from '../../../lib/utils/db-operations.js'
+import { startImportBatch, finishImportBatch, recordImportSnapshot } from '../../../lib/utils/import-batches.js'
+import { createProvenanceEntry, recordFieldProvenance } from '../../../lib/utils/field-provenance.js'
+import { omitLockedFields } from '../../../lib/utils/field-locks.js'
+import { startSyncRun, finishSyncRun, toParkChangeRecord, summarizeChangedFields, getLastCompletedSyncRun } from '../../../lib/utils/sync-runs.js'
+import { parseArcGISLayerUrl, fetchArcGISFeatures } from '../../../lib/utils/arcgis-api.js'
+import { detectOgcSource, discoverOgcCollections, fetchOgcFeatures, parseBbox } from '../../../lib/utils/ogc-features-api.js'
+import { createImportPreview } from '../../../lib/utils/import-preview.js'
+import { createSyncJob, updateSyncJob, toSyncJobSourceType, getSyncJobApiKey } from '../../../lib/utils/sync-jobs.js'
+import { getDataSource } from '../../../lib/utils/data-sources.js'
 import { supabaseServer } from '../../../lib/supabase-server.js'
+import { inngest } from '../../../inngest/client.js'
+import { requireRole } from '../../../lib/utils/admin-auth.js'
+import { recordAuditEvent } from '../../../lib/utils/audit-log.js'
+import { validateParkFields } from '../../../lib/utils/park-schema.js'
+import { availableParkColumns, hasParkColumn } from '../../../lib/utils/park-columns.js'
 
 export const dynamic = 'force-dynamic'
 export const runtime = 'nodejs'
 export const maxDuration = 300 // 5 minutes (Vercel Pro max, Hobby plan limited to 10s)
-// Note: For large Recreation.gov syncs, consider using Inngest background jobs instead
+// NPS and Recreation.gov syncs run as Inngest background jobs (see inngest runApiSyncJob);
+// they only run in this request for dry runs, augmentation, or when the job can't be queued
 
 export async function POST(request) {
   // CRITICAL: This is /api/sync route, NOT /api/scrape
@@ -22,9 +37,17 @@ export async function POST(request) {
   const headers = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'POST,OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
   }
 
+  const auth = await requireRole(request, 'importer', headers)
+  if (auth.response) return auth.response
+
+  // Sync run history record (null if history tables aren't set up)
+  let syncRun = null
+  // Import batch used to roll the sync back (null if batch tables aren't set up)
+  let importBatch = null
+
   try {
     // UNIQUE IDENTIFIER - If you see this, sync route is being called
     console.log('🔵🔵🔵 SYNC ROUTE CALLED (NOT SCRAPE) 🔵🔵🔵')
@@ -33,9 +56,31 @@ export async function POST(request) {
     console.log('🔵 Request method:', request.method)
     
     const body = await request.json().catch(() => ({}))
-    console.log('Request body:', { sourceType: body.sourceType, hasApiKey: !!body.apiKey, hasApiUrl: !!body.apiUrl, augmentMode: body.augmentMode })
+    console.log('Request body:', { sourceType: body.sourceType, sourceId: body.sourceId, hasApiKey: !!body.apiKey, hasApiUrl: !!body.apiUrl, augmentMode: body.augmentMode, dryRun: body.dryRun })
     
-    const { sourceType, apiKey, apiUrl, augmentMode } = body
+    const { apiKey, augmentMode } = body
+    // Saved source (see lib/utils/data-sources.js): supplies the source type, URL, agency,
+    // default state, priority and field mappings
+    const dataSource = body.sourceId ? await getDataSource(body.sourceId) : null
+    if (body.sourceId && !dataSource) {
+      return Response.json({
+        success: false,
+        error: 'Data source not found',
+        details: `No saved source with id ${body.sourceId}`
+      }, { status: 404, headers })
+    }
+    const sourceType = dataSource?.source_type || body.sourceType
+    const apiUrl = body.apiUrl || dataSource?.url || undefined
+    // Set when the run was started by a recurring schedule (see inngest runScheduledSync)
+    const scheduleId = body.scheduleId || null
+    // Dry run: run the full fetch/map/match/merge pipeline but write nothing
+    const dryRun = body.dryRun === true || body.dryRun === 'true'
+    // Optional override of the fuzzy name match threshold (0.5-1)
+    const nameMatchThreshold = parseNameMatchThreshold(body.nameMatchThreshold)
+    // ArcGIS only: fetch just the features edited since the last completed sync of the same URL
+    const incremental = body.incremental === true || body.incremental === 'true'
+    // OGC API - Features / WFS only: [minLng, minLat, maxLng, maxLat] or "minLng,minLat,maxLng,maxLat"
+    const bbox = parseBbox(body.bbox)
 
     // Validate required fields
     if (!sourceType) {
@@ -68,6 +113,15 @@ export async function POST(request) {
       }, { status: 400, headers })
     }
 
+    if (body.bbox && !bbox) {
+      return Response.json({
+        success: false,
+        error: 'Invalid bbox',
+        details: 'bbox must be minLng,minLat,maxLng,maxLat in WGS84 degrees',
+        example: { bbox: [-84.3, 33.8, -75.4, 36.6] }
+      }, { status: 400, headers })
+    }
+
     // For URL-based sources, API URL is required
     const urlBasedSources = ['State Agency', 'Federal Agency', 'County Agency', 'City Agency']
     if (urlBasedSources.includes(sourceType) && !apiUrl) {
@@ -84,6 +138,7 @@ export async function POST(request) {
     let parksUpdated = 0
     let parksSkipped = 0
     const errors = []
+    const parkChanges = []
 
     if (!supabaseServer) {
       return Response.json({
@@ -92,6 +147,125 @@ export async function POST(request) {
         message: 'Server configuration error'
       }, { status: 500, headers })
     }
+
+    // What the sync runs with, for the audit log (counts are on the import batch / sync job)
+    const auditCriteria = {
+      sourceType,
+      sourceId: dataSource?.id || null,
+      apiUrl: apiUrl || null,
+      scheduleId,
+      augmentMode: augmentMode === true || augmentMode === 'true',
+      incremental,
+      bbox,
+      nameMatchThreshold
+    }
+
+    // Hand NPS / Recreation.gov syncs to a resumable background job that checkpoints each page
+    // Jobs only use the server's API keys - event payloads are stored in Inngest's history,
+    // so a key that came with the request keeps the sync in this request instead
+    const jobSourceType = toSyncJobSourceType(sourceType)
+    const isAugment = augmentMode === true || augmentMode === 'true'
+    const usesServerApiKey = !apiKey || apiKey === getSyncJobApiKey(jobSourceType)
+    if (jobSourceType && !usesServerApiKey) {
+      console.log(`${jobSourceType} sync uses an API key from the request - syncing in this request, not as a background job`)
+    }
+    if (jobSourceType && !dryRun && !isAugment && usesServerApiKey) {
+      let job = null
+      try {
+        job = await createSyncJob({ sourceType: jobSourceType, scheduleId })
+        await inngest.send({
+          name: 'sync/api-job',
+          data: {
+            jobId: job.id,
+            nameMatchThreshold
+          }
+        })
+
+        console.log(`🚀 Queued ${jobSourceType} sync job ${job.id}`)
+        await recordAuditEvent(auth, {
+          action: 'import.sync',
+          criteria: auditCriteria,
+          details: { backgroundJob: true, syncJobId: job.id }
+        })
+        return Response.json({
+          success: true,
+          backgroundJob: true,
+          jobId: job.id,
+          message: `${jobSourceType} sync started as a background job`,
+          details: 'Parks are processed one API page at a time. Progress is saved after every page, so a failed job can be resumed.',
+          route: 'SYNC_ROUTE'
+        }, { status: 202, headers })
+      } catch (jobError) {
+        console.warn(`Warning: Could not queue ${jobSourceType} sync job, syncing in this request instead:`, jobError.message)
+        if (job) {
+          await updateSyncJob(job.id, {
+            status: 'failed',
+            error_message: `Could not start background job: ${jobError.message}`,
+            finished_at: new Date().toISOString()
+          })
+        }
+      }
+    }
+
+    // Record this run so past syncs and their per-park changes can be reviewed later
+    // (dry runs change nothing, so they aren't recorded)
+    syncRun = dryRun ? null : await startSyncRun({ sourceType, sourceUrl: apiUrl || null, scheduleId })
+    // Tag every write from this sync so the whole batch can be rolled back
+    importBatch = dryRun
+      ? null
+      : await startImportBatch({ kind: 'sync', sourceType, sourceName: apiUrl || sourceType })
+    const importBatchId = importBatch?.id || null
+    if (!dryRun) {
+      await recordAuditEvent(auth, {
+        action: 'import.sync',
+        criteria: auditCriteria,
+        details: { importBatchId, syncRunId: syncRun?.id || null }
+      })
+    }
+    const preview = dryRun ? createImportPreview() : null
+    const failSyncRun = async (errorMessage) => {
+      await finishSyncRun(syncRun, {
+        status: 'failed',
+        parksFound,
+        parksAdded,
+        parksUpdated,
+        parksSkipped,
+        errors,
+        errorMessage,
+        changes: parkChanges
+      })
+      await finishImportBatch(importBatch, {
+        status: 'failed',
+        parksAdded,
+        parksUpdated,
+        parksSkipped
+      })
+    }
+    // Parks whose manually edited (locked) fields were kept
+    const lockedParks = []
+    // Parks matched to an existing park by a fuzzy (non-exact) name match
+    const nameMatches = []
+    // Parks with values the park schema rejected
+    const invalidParks = []
+    // Paging / incremental details for ArcGIS layer syncs
+    let arcgisSync = null
+    // Collection / paging details for OGC API - Features and WFS syncs
+    let ogcSync = null
+    const recordParkResult = (result, park) => {
+      if (result?.lockedFields) {
+        lockedParks.push(toLockedParkReport(result, park))
+      }
+      const nameMatch = toNameMatchReport(result, park)
+      if (nameMatch) nameMatches.push(nameMatch)
+      const invalid = toInvalidFieldsReport(result, park)
+      if (invalid) invalidParks.push(invalid)
+      if (preview) {
+        preview.record(result, park)
+        return
+      }
+      const change = toParkChangeRecord(result)
+      if (change) parkChanges.push(change)
+    }
     
     console.log('=== SYNC ROUTE: Processing sourceType ===', sourceType)
     
@@ -125,6 +299,7 @@ export async function POST(request) {
               console.error('2. API rate limiting')
               console.error('3. Network issue')
               console.error('4. API endpoint changed')
+              await failSyncRun('NPS API returned 0 parks')
               return Response.json({
                 success: false,
                 error: 'No parks found',
@@ -192,11 +367,12 @@ export async function POST(request) {
 
             // Insert or update park with timeout protection (30 seconds per park)
             const result = await Promise.race([
-              insertOrUpdatePark(park, 'NPS'),
+              insertOrUpdatePark(park, 'NPS', { dryRun, importBatchId, nameMatchThreshold }),
               new Promise((_, reject) => 
                 setTimeout(() => reject(new Error('Park processing timeout after 30 seconds')), 30000)
               )
             ])
+            recordParkResult(result, park)
 
             if (result.action === 'added') {
               parksAdded++
@@ -235,6 +411,7 @@ export async function POST(request) {
 
       } catch (error) {
         console.error('NPS API Error:', error)
+        await failSyncRun(error.message || 'Failed to sync NPS data')
         return Response.json({
           success: false,
           error: 'Failed to sync NPS data',
@@ -251,12 +428,18 @@ export async function POST(request) {
               console.log('=== RECREATION.GOV API AUGMENTATION MODE ===')
               console.log('Enriching existing Recreation.gov parks with detailed facility data...')
               
-              // Get all existing Recreation.gov parks
-              const { data: existingParks, error: fetchError } = await supabaseServer
+              // Get all existing Recreation.gov parks (provenance and locks only if they're set up)
+              const optionalColumns = await availableParkColumns(['field_provenance', 'locked_fields'])
+              const trackProvenance = optionalColumns.includes('field_provenance')
+              let existingParksQuery = supabaseServer
                 .from('parks')
-                .select('id, name, source_id, state, latitude, longitude, description, phone, email, website, activities, amenities')
+                .select(['id, name, source_id, state, latitude, longitude, description, phone, email, website, activities, amenities, import_batch_id', ...optionalColumns].join(', '))
                 .eq('data_source', 'Recreation.gov API')
                 .not('source_id', 'is', null)
+              if (await hasParkColumn('deleted_at')) {
+                existingParksQuery = existingParksQuery.is('deleted_at', null)
+              }
+              const { data: existingParks, error: fetchError } = await existingParksQuery
                 .limit(1000) // Process in batches to avoid timeout
               
               if (fetchError) {
@@ -264,6 +447,7 @@ export async function POST(request) {
               }
               
               if (!existingParks || existingParks.length === 0) {
+                await failSyncRun('No existing Recreation.gov parks found')
                 return Response.json({
                   success: false,
                   error: 'No existing Recreation.gov parks found',
@@ -328,16 +512,69 @@ export async function POST(request) {
                     // Update state if we got it from addresses
                     if (enrichedPark.state && !park.state) updateData.state = enrichedPark.state
                     
+                    // Coerce to the park schema; values it rejects are left out
+                    const { values: validData, errors: fieldErrors } = validateParkFields(updateData)
+                    for (const field of Object.keys(fieldErrors)) delete updateData[field]
+                    Object.assign(updateData, validData)
+                    if (Object.keys(fieldErrors).length > 0) {
+                      invalidParks.push({ park: park.name, parkId: park.id, fields: fieldErrors })
+                    }
+                    
+                    // Never touch fields an admin edited by hand
+                    const { updateData: allowedData, lockedFields } = omitLockedFields(park, updateData)
+                    for (const field of lockedFields) delete updateData[field]
+                    if (lockedFields.length > 0) {
+                      lockedParks.push({
+                        park: park.name,
+                        parkId: park.id,
+                        fields: lockedFields,
+                        status: Object.keys(allowedData).length > 0 ? 'updated (locked fields kept)' : 'skipped: locked'
+                      })
+                    }
+                    
+                    if (Object.keys(updateData).length > 0 && dryRun) {
+                      preview.record({
+                        action: 'updated',
+                        reason: 'Augmentation',
+                        park,
+                        changes: diffParkFields(park, updateData)
+                      }, park)
+                      return { success: true, park: park.name, fieldsUpdated: Object.keys(updateData) }
+                    }
+                    
                     if (Object.keys(updateData).length > 0) {
+                      if (importBatchId) {
+                        await recordImportSnapshot(importBatchId, park.id, 'updated', park)
+                      }
+                      
+                      const changedFields = diffParkFields(park, updateData)
+                      const writeData = { ...updateData }
+                      if (trackProvenance) {
+                        writeData.field_provenance = recordFieldProvenance(
+                          park.field_provenance,
+                          Object.keys(changedFields),
+                          createProvenanceEntry({ source: 'Recreation.gov API', sourceType: 'Recreation.gov', batchId: importBatchId })
+                        )
+                      }
+                      if (importBatchId) {
+                        writeData.import_batch_id = importBatchId
+                      }
+                      
                       const { error: updateError } = await supabaseServer
                         .from('parks')
-                        .update(updateData)
+                        .update(writeData)
                         .eq('id', park.id)
                       
                       if (updateError) {
                         return { success: false, park: park.name, reason: updateError.message }
                       }
                       
+                      parkChanges.push({
+                        park_id: String(park.id),
+                        park_name: park.name,
+                        action: 'updated',
+                        changed_fields: summarizeChangedFields(changedFields)
+                      })
                       return { success: true, park: park.name, fieldsUpdated: Object.keys(updateData) }
                     }
                     
@@ -366,9 +603,32 @@ export async function POST(request) {
                 await new Promise(resolve => setTimeout(resolve, 200))
               }
               
+              await finishSyncRun(syncRun, {
+                status: 'completed',
+                parksFound: existingParks.length,
+                parksUpdated: augmented,
+                parksSkipped: failed,
+                changes: parkChanges
+              })
+              await finishImportBatch(importBatch, {
+                status: 'completed',
+                parksUpdated: augmented,
+                parksSkipped: failed
+              })
+              
               return Response.json({
                 success: true,
-                message: `Augmented ${augmented} Recreation.gov parks with detailed facility data`,
+                message: dryRun
+                  ? `Dry run complete - ${augmented} Recreation.gov parks checked, no changes were written`
+                  : `Augmented ${augmented} Recreation.gov parks with detailed facility data`,
+                syncRunId: syncRun?.id,
+                importBatchId: importBatch?.id,
+                dryRun: dryRun || undefined,
+                preview: preview?.summary(),
+                parksLocked: lockedParks.length,
+                locked: lockedParks.length > 0 ? lockedParks : undefined,
+                parksWithInvalidFields: invalidParks.length,
+                invalidFields: invalidParks.length > 0 ? invalidParks : undefined,
                 parksAugmented: augmented,
                 parksFailed: failed,
                 totalProcessed: existingParks.length
@@ -392,6 +652,7 @@ export async function POST(request) {
             console.log(`Total facilities fetched: ${parksFound}`)
             
             if (parksFound === 0) {
+              await failSyncRun('Recreation.gov API returned 0 facilities')
               return Response.json({
                 success: false,
                 error: 'No facilities found',
@@ -521,7 +782,8 @@ export async function POST(request) {
                 }
 
                 // Insert or update park
-                const result = await insertOrUpdatePark(park, 'Recreation.gov')
+                const result = await insertOrUpdatePark(park, 'Recreation.gov', { dryRun, importBatchId, nameMatchThreshold })
+                recordParkResult(result, park)
 
                 if (result.action === 'added') {
                   parksAdded++
@@ -556,6 +818,7 @@ export async function POST(request) {
 
       } catch (error) {
         console.error('Recreation.gov API Error:', error)
+        await failSyncRun(error.message || 'Failed to sync Recreation.gov data')
         return Response.json({
           success: false,
           error: 'Failed to sync Recreation.gov data',
@@ -571,6 +834,7 @@ export async function POST(request) {
         console.log('API URL:', apiUrl)
         
         if (!apiUrl) {
+          await failSyncRun('API URL is required')
           return Response.json({
             success: false,
             error: 'API URL is required',
@@ -578,54 +842,115 @@ export async function POST(request) {
           }, { status: 400, headers })
         }
 
-        // Detect and convert ArcGIS FeatureServer URLs to query endpoint
-        let fetchUrl = apiUrl
-        if (apiUrl.includes('/FeatureServer') && !apiUrl.includes('/query')) {
-          // Extract base URL and layer ID (default to layer 0)
-          const baseUrl = apiUrl.replace(/\/FeatureServer\/?\d*$/, '/FeatureServer')
-          const layerId = apiUrl.match(/\/FeatureServer\/(\d+)/)?.[1] || '0'
-          // Build query URL for GeoJSON format
-          fetchUrl = `${baseUrl}/${layerId}/query?where=1=1&outFields=*&f=geojson&outSR=4326&returnGeometry=true`
-          console.log(`Converted ArcGIS FeatureServer URL to query endpoint: ${fetchUrl}`)
-        }
+        let features = []
+        const arcgisLayer = parseArcGISLayerUrl(apiUrl)
+        const ogcSource = arcgisLayer ? null : detectOgcSource(apiUrl)
+        if (arcgisLayer) {
+          // ArcGIS layers cap each response at maxRecordCount - page through all of it
+          // Incremental cutoff is when the last completed sync of this URL started, so edits made during it are picked up again
+          const lastRun = incremental ? await getLastCompletedSyncRun({ sourceType, sourceUrl: apiUrl }) : null
+          const arcgis = await fetchArcGISFeatures(apiUrl, {
+            since: lastRun?.started_at || null,
+            onProgress: (progress) => {
+              console.log(`ArcGIS Progress: ${progress.fetched} features fetched (page ${progress.page})`)
+            }
+          })
 
-        // Fetch data from URL
-        const response = await fetch(fetchUrl)
-        if (!response.ok) {
-          throw new Error(`API returned ${response.status}: ${response.statusText}`)
-        }
+          features = arcgis.features
+          arcgisSync = {
+            layer: arcgis.layer.name,
+            pages: arcgis.pages,
+            pageSize: arcgis.layer.maxRecordCount,
+            pagination: arcgis.layer.supportsPagination ? 'offset' : 'objectIds',
+            incremental: arcgis.incremental,
+            editedSince: arcgis.incremental ? lastRun.started_at : null,
+            editDateField: arcgis.layer.editDateField,
+            note: incremental && !lastRun
+              ? 'No previous completed sync of this URL - fetched all features'
+              : arcgis.incrementalSkippedReason
+          }
+          console.log(`Fetched ${features.length} ArcGIS features in ${arcgis.pages} page(s)${arcgis.incremental ? ` edited since ${lastRun.started_at}` : ''}`)
+        } else if (ogcSource) {
+          const serviceLabel = ogcSource.kind === 'wfs' ? 'WFS' : 'OGC API - Features'
 
-        // Check if response is JSON (ArcGIS might return HTML for errors)
-        const contentType = response.headers.get('content-type') || ''
-        if (!contentType.includes('application/json') && !contentType.includes('application/geo+json')) {
-          const text = await response.text()
-          if (text.trim().startsWith('<')) {
-            throw new Error(`API returned HTML instead of JSON. The URL might need to be a query endpoint. For ArcGIS FeatureServer, use: ${apiUrl}/0/query?where=1=1&outFields=*&f=geojson`)
+          // Sync the collection named in the URL, or the only one the service offers
+          if (!ogcSource.collectionId && !ogcSource.typeName) {
+            const collections = await discoverOgcCollections(ogcSource)
+            if (collections.length !== 1) {
+              const message = collections.length === 0
+                ? `The ${serviceLabel} service lists no feature collections.`
+                : `The ${serviceLabel} service offers ${collections.length} feature collections. Sync one of the collection URLs listed.`
+              await failSyncRun(message)
+              return Response.json({
+                success: false,
+                error: collections.length === 0 ? 'No feature collections found' : 'Select a feature collection',
+                message,
+                collections
+              }, { status: 400, headers })
+            }
+            if (ogcSource.kind === 'wfs') {
+              ogcSource.typeName = collections[0].id
+            } else {
+              ogcSource.collectionId = collections[0].id
+            }
           }
-          throw new Error(`API returned unexpected content type: ${contentType}`)
-        }
 
-        const apiData = await response.json()
-        console.log(`Fetched ${Array.isArray(apiData) ? apiData.length : apiData.features?.length || 0} items from API`)
+          const ogc = await fetchOgcFeatures(ogcSource, {
+            bbox,
+            onProgress: (progress) => {
+              console.log(`${serviceLabel} Progress: ${progress.fetched}${progress.total !== null ? ` of ${progress.total}` : ''} features fetched (page ${progress.page})`)
+            }
+          })
 
-        // Handle GeoJSON FeatureCollection format
-        let features = []
-        if (apiData.type === 'FeatureCollection' && apiData.features) {
-          features = apiData.features
-        } else if (Array.isArray(apiData)) {
-          // Assume array of features or park objects
-          features = apiData
-        } else if (apiData.type === 'Feature') {
-          // Single feature
-          features = [apiData]
+          features = ogc.features
+          ogcSync = {
+            service: serviceLabel,
+            collection: ogcSource.collectionId || ogcSource.typeName,
+            pages: ogc.pages,
+            reprojected: ogc.reprojected,
+            bbox: bbox || ogcSource.params.get('bbox') || undefined
+          }
+          console.log(`Fetched ${features.length} ${serviceLabel} features from "${ogcSync.collection}" in ${ogc.pages} page(s)`)
         } else {
-          throw new Error('Unsupported API response format. Expected GeoJSON FeatureCollection or array of features.')
+          // Fetch data from URL
+          const response = await fetch(apiUrl)
+          if (!response.ok) {
+            throw new Error(`API returned ${response.status}: ${response.statusText}`)
+          }
+
+          // Check if response is JSON
+          const contentType = response.headers.get('content-type') || ''
+          if (!contentType.includes('application/json') && !contentType.includes('application/geo+json')) {
+            const text = await response.text()
+            if (text.trim().startsWith('<')) {
+              throw new Error('API returned HTML instead of JSON. Check that the URL points to a GeoJSON/JSON endpoint or an ArcGIS FeatureServer layer.')
+            }
+            throw new Error(`API returned unexpected content type: ${contentType}`)
+          }
+
+          const apiData = await response.json()
+          console.log(`Fetched ${Array.isArray(apiData) ? apiData.length : apiData.features?.length || 0} items from API`)
+
+          // Handle GeoJSON FeatureCollection format
+          if (apiData.type === 'FeatureCollection' && apiData.features) {
+            features = apiData.features
+          } else if (Array.isArray(apiData)) {
+            // Assume array of features or park objects
+            features = apiData
+          } else if (apiData.type === 'Feature') {
+            // Single feature
+            features = [apiData]
+          } else {
+            throw new Error('Unsupported API response format. Expected GeoJSON FeatureCollection or array of features.')
+          }
         }
 
         parksFound = features.length
         console.log(`Found ${parksFound} parks/features to process`)
 
-        if (parksFound === 0) {
+        // An incremental sync with no edits since the last run is a normal, empty run
+        if (parksFound === 0 && !arcgisSync?.incremental) {
+          await failSyncRun('The API returned no data')
           return Response.json({
             success: false,
             error: 'No parks found',
@@ -634,62 +959,11 @@ export async function POST(request) {
         }
 
         // Map features to park schema
-        const mappedParks = features.map((feature, index) => {
-          try {
-            // Handle GeoJSON Feature format
-            if (feature.type === 'Feature' && feature.geometry) {
-              const props = feature.properties || {}
-              const coords = feature.geometry.coordinates
-              
-              // Extract coordinates from Point geometry
-              let lat = null
-              let lng = null
-              if (feature.geometry.type === 'Point' && Array.isArray(coords) && coords.length >= 2) {
-                lng = coords[0]
-                lat = coords[1]
-              }
-
-              return {
-                name: props.name || props.NAME || props.ParkName || `Park ${index + 1}`,
-                description: props.description || props.DESCRIPTION || props.desc || null,
-                state: props.state || props.STATE || props.state_code || 'N/A',
-                agency: sourceType === 'State Agency' ? 'State' : 
-                       sourceType === 'Federal Agency' ? 'Federal' :
-                       sourceType === 'County Agency' ? 'COUNTY' : 'CITY',
-                latitude: lat || props.latitude || props.LATITUDE || props.lat || null,
-                longitude: lng || props.longitude || props.LONGITUDE || props.lng || props.lon || null,
-                website: props.website || props.WEBSITE || props.url || props.URL || null,
-                phone: props.phone || props.PHONE || props.phoneNumber || null,
-                email: props.email || props.EMAIL || null,
-                address: props.address || props.ADDRESS || null,
-                city: props.city || props.CITY || null,
-                county: props.county || props.COUNTY || null,
-                activities: props.activities || props.ACTIVITIES || null,
-                amenities: props.amenities || props.AMENITIES || null,
-                source_id: props.id || props.ID || props.source_id || null,
-                data_source: sourceType,
-                // Store full geometry if available
-                geometry: feature.geometry
-              }
-            } else {
-              // Handle plain object format (assume it's already a park object)
-              return {
-                name: feature.name || `Park ${index + 1}`,
-                state: feature.state || 'N/A',
-                agency: sourceType === 'State Agency' ? 'State' : 
-                       sourceType === 'Federal Agency' ? 'Federal' :
-                       sourceType === 'County Agency' ? 'COUNTY' : 'CITY',
-                latitude: feature.latitude || feature.lat || null,
-                longitude: feature.longitude || feature.lng || feature.lon || null,
-                ...feature,
-                data_source: sourceType
-              }
-            }
-          } catch (mapError) {
-            console.error(`Error mapping feature ${index}:`, mapError)
-            return null
-          }
-        }).filter(park => park && park.name)
+        // OGC / WFS features, and all features of a saved source (for its field mappings),
+        // use the same property mapper as uploaded GeoJSON
+        const mappedParks = ogcSource || dataSource
+          ? features.map(feature => mapGeoJSONFeatureToParkSchema(toGeoJSONFeature(feature), sourceType, dataSource)).filter(Boolean)
+          : features.map((feature, index) => mapLegacyApiFeature(feature, index, sourceType)).filter(park => park && park.name)
 
         console.log(`Mapped ${mappedParks.length} parks to schema`)
 
@@ -706,8 +980,15 @@ export async function POST(request) {
               park.state = 'N/A'
             }
 
-            const result = await insertOrUpdatePark(park, sourceType)
-            if (result.action === 'inserted') {
+            const result = await insertOrUpdatePark(park, sourceType, {
+              dryRun,
+              importBatchId,
+              nameMatchThreshold,
+              sourceName: dataSource?.name || null,
+              sourcePriority: dataSource?.priority ?? null
+            })
+            recordParkResult(result, park)
+            if (result.action === 'added') {
               parksAdded++
             } else if (result.action === 'updated') {
               parksUpdated++
@@ -728,6 +1009,7 @@ export async function POST(request) {
 
       } catch (error) {
         console.error(`${sourceType} API Error:`, error)
+        await failSyncRun(error.message || `Failed to sync ${sourceType} data`)
         return Response.json({
           success: false,
           error: `Failed to sync ${sourceType} data`,
@@ -738,6 +1020,7 @@ export async function POST(request) {
     }
     // Handle unsupported source types
     else {
+      await failSyncRun(`Unsupported source type: ${sourceType}`)
       return Response.json({
         success: false,
         error: 'Unsupported source type',
@@ -746,16 +1029,45 @@ export async function POST(request) {
       }, { status: 400, headers })
     }
 
+    await finishSyncRun(syncRun, {
+      status: 'completed',
+      parksFound,
+      parksAdded,
+      parksUpdated,
+      parksSkipped,
+      errors,
+      changes: parkChanges
+    })
+    await finishImportBatch(importBatch, {
+      status: 'completed',
+      parksAdded,
+      parksUpdated,
+      parksSkipped
+    })
+
     // Return response with both formats for compatibility
     const totalProcessed = parksAdded + parksUpdated + parksSkipped
     const response = {
       success: true,
-      message: 'Sync complete',
+      message: dryRun ? 'Dry run complete - no changes were written' : 'Sync complete',
       route: 'SYNC_ROUTE', // CRITICAL: This identifies this as the sync route
+      syncRunId: syncRun?.id,
+      importBatchId: importBatch?.id,
+      dryRun: dryRun || undefined,
+      preview: preview?.summary(),
       parksFound,
       parksAdded,
       parksUpdated,
       parksSkipped,
+      parksLocked: lockedParks.length,
+      locked: lockedParks.length > 0 ? lockedParks : undefined,
+      parksNameMatched: nameMatches.length,
+      nameMatches: nameMatches.length > 0 ? nameMatches : undefined,
+      parksWithInvalidFields: invalidParks.length,
+      invalidFields: invalidParks.length > 0 ? invalidParks : undefined,
+      arcgis: arcgisSync || undefined,
+      ogc: ogcSync || undefined,
+      source: dataSource ? { id: dataSource.id, name: dataSource.name } : undefined,
       results: {
         parksFound,
         parksAdded,
@@ -775,6 +1087,11 @@ export async function POST(request) {
     
   } catch (error) {
     console.error('Sync API Error:', error)
+    await finishSyncRun(syncRun, {
+      status: 'failed',
+      errorMessage: error.message || 'An unexpected error occurred'
+    })
+    await finishImportBatch(importBatch, { status: 'failed' })
     
     // Provide detailed error information
     const errorResponse = {
@@ -795,9 +1112,88 @@ export async function OPTIONS() {
     headers: {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'POST,OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     },
   })
 }
 
+/**
+ * Map a feature (or plain park object) from a URL sync without a saved source or
+ * OGC collection to park schema, with the agency taken from the source type
+ * @returns {Object|null} Park, or null if the feature couldn't be mapped
+ */
+function mapLegacyApiFeature(feature, index, sourceType) {
+  try {
+    // Handle GeoJSON Feature format
+    if (feature.type === 'Feature' && feature.geometry) {
+      const props = feature.properties || {}
+      const coords = feature.geometry.coordinates
 
+      // Extract coordinates from Point geometry
+      let lat = null
+      let lng = null
+      if (feature.geometry.type === 'Point' && Array.isArray(coords) && coords.length >= 2) {
+        lng = coords[0]
+        lat = coords[1]
+      }
+
+      return {
+        name: props.name || props.NAME || props.ParkName || `Park ${index + 1}`,
+        description: props.description || props.DESCRIPTION || props.desc || null,
+        state: props.state || props.STATE || props.state_code || 'N/A',
+        agency: sourceType === 'State Agency' ? 'State' : 
+               sourceType === 'Federal Agency' ? 'Federal' :
+               sourceType === 'County Agency' ? 'COUNTY' : 'CITY',
+        latitude: lat || props.latitude || props.LATITUDE || props.lat || null,
+        longitude: lng || props.longitude || props.LONGITUDE || props.lng || props.lon || null,
+        website: props.website || props.WEBSITE || props.url || props.URL || null,
+        phone: props.phone || props.PHONE || props.phoneNumber || null,
+        email: props.email || props.EMAIL || null,
+        address: props.address || props.ADDRESS || null,
+        city: props.city || props.CITY || null,
+        county: props.county || props.COUNTY || null,
+        activities: props.activities || props.ACTIVITIES || null,
+        amenities: props.amenities || props.AMENITIES || null,
+        source_id: props.id || props.ID || props.source_id || null,
+        data_source: sourceType,
+        // Store full geometry if available
+        geometry: feature.geometry
+      }
+    } else {
+      // Handle plain object format (assume it's already a park object)
+      return {
+        name: feature.name || `Park ${index + 1}`,
+        state: feature.state || 'N/A',
+        agency: sourceType === 'State Agency' ? 'State' : 
+               sourceType === 'Federal Agency' ? 'Federal' :
+               sourceType === 'County Agency' ? 'COUNTY' : 'CITY',
+        latitude: feature.latitude || feature.lat || null,
+        longitude: feature.longitude || feature.lng || feature.lon || null,
+        ...feature,
+        data_source: sourceType
+      }
+    }
+  } catch (mapError) {
+    console.error(`Error mapping feature ${index}:`, mapError)
+    return null
+  }
+}
+
+/**
+ * Wrap a plain park object from a JSON array API as a GeoJSON feature
+ * (lat/lng properties become a Point) so it can go through mapGeoJSONFeatureToParkSchema
+ */
+function toGeoJSONFeature(item) {
+  if (item?.type === 'Feature') return item
+
+  const latitude = parseFloat(item?.latitude ?? item?.lat)
+  const longitude = parseFloat(item?.longitude ?? item?.lng ?? item?.lon)
+  return {
+    type: 'Feature',
+    id: item?.id,
+    properties: item || {},
+    geometry: Number.isFinite(latitude) && Number.isFinite(longitude)
+      ? { type: 'Point', coordinates: [longitude, latitude] }
+      : null
+  }
+}
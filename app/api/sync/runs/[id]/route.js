@@ -0,0 +1,68 @@
+/**
+ * API Route: /api/sync/runs/[id]
+ * Returns a single sync run with the per-park field changes it made
+ */
+
+import { getSyncRun } from '../../../../../lib/utils/sync-runs.js'
+import { requireRole } from '../../../../../lib/utils/admin-auth.js'
+
+export const dynamic = 'force-dynamic'
+export const runtime = 'nodejs'
+
+export async function GET(request, { params }) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  }
+
+  const auth = await requireRole(request, 'viewer', headers)
+  if (auth.response) return auth.response
+
+  try {
+    // In Next.js 15+, params is a Promise
+    const { id } = await params
+
+    if (!id) {
+      return Response.json({
+        success: false,
+        error: 'Sync run ID is required'
+      }, { status: 400, headers })
+    }
+
+    const result = await getSyncRun(id)
+
+    if (!result) {
+      return Response.json({
+        success: false,
+        error: 'Sync run not found',
+        message: `No sync run found with ID: ${id}`
+      }, { status: 404, headers })
+    }
+
+    return Response.json({
+      success: true,
+      run: result.run,
+      changes: result.changes
+    }, { status: 200, headers })
+
+  } catch (error) {
+    console.error('Sync run detail API error:', error)
+    return Response.json({
+      success: false,
+      error: 'Failed to fetch sync run',
+      message: error.message
+    }, { status: 500, headers })
+  }
+}
+
+export async function OPTIONS() {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET,OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  })
+}
@@ -0,0 +1,54 @@
+/**
+ * API Route: /api/sync/runs
+ * Lists past /api/sync runs (newest first) with their counts and errors
+ */
+
+import { listSyncRuns } from '../../../../lib/utils/sync-runs.js'
+import { requireRole } from '../../../../lib/utils/admin-auth.js'
+
+export const dynamic = 'force-dynamic'
+export const runtime = 'nodejs'
+
+export async function GET(request) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  }
+
+  const auth = await requireRole(request, 'viewer', headers)
+  if (auth.response) return auth.response
+
+  try {
+    const { searchParams } = new URL(request.url)
+    const limit = Math.min(parseInt(searchParams.get('limit')) || 50, 500)
+    const sourceType = searchParams.get('sourceType') || null
+
+    const runs = await listSyncRuns({ limit, sourceType })
+
+    return Response.json({
+      success: true,
+      runs,
+      count: runs.length
+    }, { status: 200, headers })
+
+  } catch (error) {
+    console.error('Sync runs API error:', error)
+    return Response.json({
+      success: false,
+      error: 'Failed to fetch sync runs',
+      message: error.message
+    }, { status: 500, headers })
+  }
+}
+
+export async function OPTIONS() {
+  return new Response(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET,OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  })
+}
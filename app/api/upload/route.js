@@ -4,10 +4,15 @@
  * Priority: 1 (highest)
  */
 
-import { batchInsertOrUpdateParks } from '../../../lib/utils/db-operations.js'
+import { batchInsertOrUpdateParks, parseNameMatchThreshold } from '../../../lib/utils/db-operations.js'
 import { parseShapefile } from '../../../lib/utils/shapefile-parser.js'
+import { parseKml, parseKmz } from '../../../lib/utils/kml-parser.js'
+import { parseGpx } from '../../../lib/utils/gpx-parser.js'
+import { parseSpreadsheet, isSpreadsheetFile } from '../../../lib/utils/spreadsheet-parser.js'
+import { parseGeoPackage, isGeoPackageFile, validateAttributeFilter } from '../../../lib/utils/geopackage-parser.js'
+import { geocodeMissingPoints, geocodeQueryForPark } from '../../../lib/utils/geocoding.js'
 import { simplifyBoundary } from '../../../lib/utils/geometry-simplify.js'
-import { mapPropertiesToParkSchema, logUnmappedProperties } from '../../../lib/utils/field-mapper.js'
+import { mapPropertiesForSource, describePropertyMapping, logUnmappedProperties } from '../../../lib/utils/field-mapper.js'
 import { geojsonToWKT, validateGeometry as validateWKT } from '../../../lib/utils/geometry-wkt.js'
 import { validateGeometry, fixGeometry } from '../../../lib/utils/geometry-validator.js'
 import { normalizeParkName } from '../../../lib/utils/db-operations.js'
@@ -15,26 +20,99 @@ import { cleanupChunks } from '../../../lib/utils/chunked-upload.js'
 import { supabaseServer } from '../../../lib/supabase-server.js'
 import { normalizeStateToCode } from '../../../lib/utils/state-normalizer.js'
 import { inngest } from '../../../inngest/client.js'
+import { startImportBatch, finishImportBatch } from '../../../lib/utils/import-batches.js'
+import { getDataSource, findDataSourceForFile, validateFieldMappings, validateValueTransforms } from '../../../lib/utils/data-sources.js'
+import { requireRole } from '../../../lib/utils/admin-auth.js'
+import { recordAuditEvent } from '../../../lib/utils/audit-log.js'
 
 // Increase timeout for large file processing (5 minutes)
 // Note: Vercel Hobby plan has 10s limit, Pro plan supports up to 300s
 export const maxDuration = 300
 
+// Features summarized by a mapping preview (property keys, sample values, auto-mapping)
+const MAPPING_PREVIEW_SAMPLE_SIZE = 500
+
 export async function POST(request) {
   // Set CORS headers
   const headers = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
   }
 
+  const auth = await requireRole(request, 'importer', headers)
+  if (auth.response) return auth.response
+
   try {
     const formData = await request.formData()
     const fileUrl = formData.get('fileUrl') // Supabase Storage URL
     const file = formData.get('file') // Fallback for direct uploads (small files)
-    const sourceType = formData.get('sourceType') || 'State Agency'
     const sourceName = formData.get('sourceName') || file?.name || 'unknown'
-    const defaultState = formData.get('defaultState') || null // User-provided state if file doesn't have it
+    // Saved source (see lib/utils/data-sources.js): named by id, or the one whose file pattern matches
+    const sourceId = formData.get('sourceId') || null
+    const dataSource = sourceId ? await getDataSource(sourceId) : await findDataSourceForFile(sourceName)
+    if (sourceId && !dataSource) {
+      return Response.json({
+        success: false,
+        error: 'Data source not found',
+        details: `No saved source with id ${sourceId}`
+      }, { status: 404, headers })
+    }
+    const sourceType = dataSource?.source_type || formData.get('sourceType') || 'State Agency'
+    // User-provided state if file doesn't have it, else the saved source's default
+    const defaultState = formData.get('defaultState') || dataSource?.default_state || null
+    // Mapping preview: return the file's properties and how they map instead of importing
+    const mappingPreview = formData.get('mappingPreview') === 'true'
+
+    // Column mappings / value transforms chosen in the mapping preview (each replaces the saved source's own)
+    let overrides
+    try {
+      overrides = {
+        fieldMappings: validateFieldMappings(JSON.parse(formData.get('fieldMappings') || 'null')),
+        valueTransforms: validateValueTransforms(JSON.parse(formData.get('valueTransforms') || 'null'))
+      }
+    } catch {
+      return Response.json({
+        success: false,
+        error: 'fieldMappings and valueTransforms must be JSON objects'
+      }, { status: 400, headers })
+    }
+    const overrideErrors = [...overrides.fieldMappings.errors, ...overrides.valueTransforms.errors]
+    if (overrideErrors.length > 0) {
+      return Response.json({
+        success: false,
+        error: 'Invalid field mapping',
+        details: overrideErrors.join('; ')
+      }, { status: 400, headers })
+    }
+    // GeoPackage layer to import and attribute filter ({ column: [values to keep] }, e.g. PAD-US Des_Tp)
+    const layer = formData.get('layer') || null
+    let attributeFilter
+    try {
+      attributeFilter = validateAttributeFilter(JSON.parse(formData.get('attributeFilter') || 'null'))
+    } catch {
+      return Response.json({
+        success: false,
+        error: 'attributeFilter must be a JSON object'
+      }, { status: 400, headers })
+    }
+    if (attributeFilter.errors.length > 0) {
+      return Response.json({
+        success: false,
+        error: 'Invalid attribute filter',
+        details: attributeFilter.errors.join('; ')
+      }, { status: 400, headers })
+    }
+    const fieldMappings = formData.get('fieldMappings')
+      ? overrides.fieldMappings.value
+      : dataSource?.field_mappings || {}
+    const valueTransforms = formData.get('valueTransforms')
+      ? overrides.valueTransforms.value
+      : dataSource?.value_transforms || {}
+    // Dry run: run mapping, validation, dedup matching and merging but write nothing
+    const dryRun = formData.get('dryRun') === 'true'
+    // Optional override of the fuzzy name match threshold (0.5-1)
+    const nameMatchThreshold = parseNameMatchThreshold(formData.get('nameMatchThreshold'))
     // Note: filePath available via formData.get('filePath') for future cleanup if needed
     
     // Determine if we're using storage URL or direct file upload
@@ -472,9 +550,22 @@ export async function POST(request) {
     const filePath = formData.get('filePath') || null
     const LARGE_FILE_THRESHOLD = 500 * 1024 * 1024 // 500MB
     const LARGE_FEATURE_THRESHOLD = 10000 // 10,000 features
+    // What the import runs with, for the audit log (counts are on the import batch)
+    const auditCriteria = {
+      fileName,
+      sourceType,
+      sourceName,
+      sourceId: dataSource?.id || null,
+      defaultState,
+      nameMatchThreshold,
+      layer,
+      attributeFilter: attributeFilter.value,
+      fieldMappings
+    }
 
     // For large files or if filePath is provided (chunked upload), use background processing
-    if (fileSize > LARGE_FILE_THRESHOLD || filePath) {
+    // Dry runs and mapping previews are processed inline so the report can be returned to the admin
+    if (!dryRun && !mappingPreview && (fileSize > LARGE_FILE_THRESHOLD || filePath)) {
       console.log(`📦 File is large (${(fileSize / 1024 / 1024).toFixed(2)} MB) or chunked. Queuing for background processing...`)
       
       // If we have a filePath, use it; otherwise, we need to upload first
@@ -494,15 +585,27 @@ export async function POST(request) {
             bucketName: 'park-uploads',
             sourceType: sourceType,
             sourceName: sourceName,
-            defaultState: defaultState
+            defaultState: defaultState,
+            sourceId: dataSource?.id || null,
+            fieldMappings,
+            valueTransforms,
+            nameMatchThreshold,
+            layer,
+            attributeFilter: attributeFilter.value
           }
         })
+        await recordAuditEvent(auth, {
+          action: 'import.upload',
+          criteria: auditCriteria,
+          details: { backgroundJob: true, filePath }
+        })
 
         return Response.json({
           success: true,
           message: 'File queued for background processing. This may take several minutes for large files.',
           backgroundJob: true,
-          filePath: filePath
+          filePath: filePath,
+          source: dataSource ? { id: dataSource.id, name: dataSource.name, matchedByFileName: !sourceId } : undefined
         }, { headers })
       } catch (error) {
         console.error('Failed to queue background job:', error)
@@ -514,10 +617,48 @@ export async function POST(request) {
     // Check file type
     const fileNameLower = fileName.toLowerCase()
     const isShapefile = fileNameLower.endsWith('.shp') || fileNameLower.endsWith('.zip')
+    const isKml = fileNameLower.endsWith('.kml') || fileNameLower.endsWith('.kmz')
+    const isGpx = fileNameLower.endsWith('.gpx')
+    const isSpreadsheet = isSpreadsheetFile(fileNameLower)
+    const isGeoPackage = isGeoPackageFile(fileNameLower)
     let geojson
     
     // Parse file based on type
-    if (isShapefile) {
+    if (isGeoPackage) {
+      try {
+        // One layer of the GeoPackage, filtered by attribute before mapping
+        geojson = await parseGeoPackage(fileToProcess, { layer, attributeFilter: attributeFilter.value })
+      } catch (error) {
+        return Response.json({ 
+          success: false, 
+          error: `Failed to parse GeoPackage: ${error.message}` 
+        }, { status: 400, headers })
+      }
+    } else if (isSpreadsheet) {
+      try {
+        // CSV/XLSX rows: coordinates from lat/lng or WKT columns, else geocoded below
+        geojson = await parseSpreadsheet(fileToProcess)
+      } catch (error) {
+        return Response.json({ 
+          success: false, 
+          error: `Failed to parse spreadsheet: ${error.message}` 
+        }, { status: 400, headers })
+      }
+    } else if (isKml || isGpx) {
+      try {
+        // KML/KMZ placemarks and GPX waypoints become GeoJSON features
+        geojson = fileNameLower.endsWith('.kmz')
+          ? await parseKmz(fileToProcess)
+          : isKml
+            ? parseKml(await fileToProcess.text())
+            : parseGpx(await fileToProcess.text())
+      } catch (error) {
+        return Response.json({ 
+          success: false, 
+          error: `Failed to parse ${isKml ? 'KML' : 'GPX'} file: ${error.message}` 
+        }, { status: 400, headers })
+      }
+    } else if (isShapefile) {
       try {
         // Parse Shapefile (handles both .shp and .zip)
         geojson = await parseShapefile(fileToProcess)
@@ -550,6 +691,34 @@ export async function POST(request) {
     
     // Step 1: Process all features and extract park data
     const features = geojson.features || []
+    
+    if (mappingPreview) {
+      const sample = features.slice(0, MAPPING_PREVIEW_SAMPLE_SIZE)
+      const { properties, autoMapping } = describePropertyMapping(sample.map(feature => feature.properties))
+      return Response.json({
+        success: true,
+        mappingPreview: true,
+        featureCount: features.length,
+        sampledFeatures: sample.length,
+        properties,
+        autoMapping,
+        fieldMappings,
+        valueTransforms,
+        // Raw properties of the first features, so the admin panel can re-map them as overrides change
+        sampleProperties: sample.slice(0, 5).map(feature => feature.properties || {}),
+        // GeoPackage layers and attribute values, for choosing the layer and filter
+        geopackage: geojson.geopackage,
+        sourceName,
+        source: dataSource ? { id: dataSource.id, name: dataSource.name, matchedByFileName: !sourceId } : undefined
+      }, { headers })
+    }
+    
+    // Spreadsheet rows without coordinates: geocode their address (or "Park Name, ST")
+    const geocoding = isSpreadsheet
+      ? await geocodeMissingPoints(features, {
+        buildQuery: (props) => geocodeQueryForPark(mapPropertiesForSource(props, { fieldMappings, valueTransforms }), defaultState)
+      })
+      : null
     const rawParks = []
     
     console.log(`Processing ${features.length} features from ${sourceName}`)
@@ -619,10 +788,10 @@ export async function POST(request) {
         
           // Extract properties and map to our schema
         const props = feature.properties
-        const mappedProps = mapPropertiesToParkSchema(props)
+        const mappedProps = mapPropertiesForSource(props, { fieldMappings, valueTransforms })
         
-        // Use defaultState if state is not in the file
-        if (!mappedProps.state && defaultState) {
+        // Use defaultState if state is not in the file (the mapper fills in "N/A")
+        if ((!mappedProps.state || mappedProps.state === 'N/A') && defaultState) {
           mappedProps.state = defaultState
         }
         
@@ -631,6 +800,10 @@ export async function POST(request) {
           mappedProps.state = normalizeStateToCode(mappedProps.state)
         }
         
+        if (!mappedProps.agency && dataSource?.agency) {
+          mappedProps.agency = dataSource.agency
+        }
+        
         // CRITICAL: Derive agency from sourceType if not found in file
         // Agency is REQUIRED (NOT NULL) in database schema
         if (!mappedProps.agency || mappedProps.agency === '') {
@@ -829,19 +1002,64 @@ export async function POST(request) {
       }, { status: 400, headers })
     }
     
+    // Tag the import so it can be rolled back from the admin panel
+    const importBatch = dryRun
+      ? null
+      : await startImportBatch({ kind: 'upload', sourceType, sourceName })
+    if (!dryRun) {
+      await recordAuditEvent(auth, {
+        action: 'import.upload',
+        criteria: auditCriteria,
+        details: { importBatchId: importBatch?.id || null, parksFound: parks.length }
+      })
+    }
+    
     // Process parks with intelligent merging and deduplication
-    const results = await batchInsertOrUpdateParks(parks, sourceType)
+    let results
+    try {
+      results = await batchInsertOrUpdateParks(parks, sourceType, {
+        dryRun,
+        importBatchId: importBatch?.id || null,
+        sourceName,
+        nameMatchThreshold,
+        sourcePriority: dataSource?.priority ?? null
+      })
+    } catch (error) {
+      // Don't leave the batch "running" - what was written can still be rolled back
+      await finishImportBatch(importBatch, { status: 'failed' })
+      throw error
+    }
+    
+    await finishImportBatch(importBatch, {
+      status: 'completed',
+      parksAdded: results.added,
+      parksUpdated: results.updated,
+      parksSkipped: results.skipped
+    })
     
     return Response.json({ 
       success: true,
-      message: `Processed ${parks.length} parks from ${sourceName}`,
+      message: dryRun
+        ? `Dry run: evaluated ${parks.length} parks from ${sourceName} - no changes were written`
+        : `Processed ${parks.length} parks from ${sourceName}`,
+      dryRun: dryRun || undefined,
+      preview: results.preview,
+      importBatchId: importBatch?.id,
       parksFound: parks.length,
       parksAdded: results.added,
       parksUpdated: results.updated,
       parksSkipped: results.skipped,
+      parksLocked: results.locked.length,
+      locked: results.locked.length > 0 ? results.locked : undefined,
+      parksNameMatched: results.nameMatches.length,
+      nameMatches: results.nameMatches.length > 0 ? results.nameMatches : undefined,
+      parksWithInvalidFields: results.invalid.length,
+      invalidFields: results.invalid.length > 0 ? results.invalid : undefined,
       errors: results.errors.length > 0 ? results.errors : undefined,
+      geocoding: geocoding || undefined,
       sourceType,
-      sourceName
+      sourceName,
+      source: dataSource ? { id: dataSource.id, name: dataSource.name, matchedByFileName: !sourceId } : undefined
     }, { headers })
     
   } catch (error) {
@@ -874,7 +1092,7 @@ export async function OPTIONS() {
     headers: {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     },
   })
 }
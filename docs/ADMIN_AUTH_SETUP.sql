@@ -0,0 +1,53 @@
+-- Admin Authentication Setup SQL Script
+-- Run these in order in Supabase SQL Editor
+-- Admin API routes require a Supabase Auth user with a role in admin_users
+-- (see lib/utils/admin-auth.js). Each role includes the ones before it:
+--   viewer   - read admin reports, history, sources and schedules
+--   editor   - edit parks (data quality fixes, field locks, geocoding, duplicate merges)
+--   importer - uploads, syncs, sync jobs and schedules, saved sources, rollbacks
+--   admin    - delete parks, restore or purge them from the trash
+-- The admin panel signs in with Supabase Auth; scripts calling admin routes send the
+-- user's access token as "Authorization: Bearer <token>"
+
+-- ============================================
+-- STEP 1: Roles
+-- ============================================
+CREATE TABLE IF NOT EXISTS admin_users (
+  user_id uuid PRIMARY KEY REFERENCES auth.users (id) ON DELETE CASCADE,
+  role text NOT NULL CHECK (role IN ('viewer', 'editor', 'importer', 'admin')),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- ============================================
+-- STEP 2: Row-level security
+-- ============================================
+-- Signed-in users can read only their own role; nobody can change roles through the API
+-- (the server checks roles with the user's own token, so no service key is needed)
+ALTER TABLE admin_users ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users read their own admin role" ON admin_users;
+CREATE POLICY "Users read their own admin role" ON admin_users
+  FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid());
+
+-- ============================================
+-- STEP 3: Add users
+-- ============================================
+-- Create the user in Supabase Dashboard > Authentication > Users (email + password),
+-- then give them a role by email:
+-- INSERT INTO admin_users (user_id, role)
+-- SELECT id, 'admin' FROM auth.users WHERE email = 'you@example.com'
+-- ON CONFLICT (user_id) DO UPDATE SET role = EXCLUDED.role, updated_at = now();
+--
+-- Remove access:
+-- DELETE FROM admin_users WHERE user_id = (SELECT id FROM auth.users WHERE email = 'former@example.com');
+
+-- ============================================
+-- STEP 4: Verify
+-- ============================================
+SELECT u.email, a.role, a.updated_at
+FROM admin_users a
+JOIN auth.users u ON u.id = a.user_id
+ORDER BY a.role, u.email;
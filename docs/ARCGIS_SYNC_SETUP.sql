@@ -0,0 +1,24 @@
+-- ArcGIS Incremental Sync Setup SQL Script
+-- Run these in order in Supabase SQL Editor (after SYNC_SCHEDULES_SETUP.sql)
+-- Incremental ArcGIS syncs fetch only features edited since the last completed
+-- sync of the same URL (using the layer's editor-tracking edit-date field)
+
+-- ============================================
+-- STEP 1: Let schedules run incrementally
+-- ============================================
+-- Only used for URL-based sources; layers without editor tracking fall back to a full sync
+ALTER TABLE sync_schedules ADD COLUMN IF NOT EXISTS incremental boolean NOT NULL DEFAULT false;
+
+-- ============================================
+-- STEP 2: Index the last-completed-run lookup
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_sync_runs_source_completed
+  ON sync_runs (source_type, source_url, started_at DESC)
+  WHERE status = 'completed';
+
+-- ============================================
+-- STEP 3: Verify
+-- ============================================
+SELECT name, source_type, api_url, incremental
+FROM sync_schedules
+WHERE api_url IS NOT NULL;
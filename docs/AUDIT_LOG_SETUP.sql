@@ -0,0 +1,59 @@
+-- Admin Audit Log Setup SQL Script
+-- Run these in order in Supabase SQL Editor
+-- Destructive and bulk admin actions (deletes, bulk edits, geocoding runs, merges,
+-- imports and rollbacks) are recorded here by lib/utils/audit-log.js, with who did it,
+-- the filter criteria, the affected park ids and before/after snapshots
+
+-- ============================================
+-- STEP 1: Audit log (one row per admin action)
+-- ============================================
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id bigserial PRIMARY KEY,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  actor_id uuid, -- auth.users id (NULL for scheduled/system actions)
+  actor_email text, -- kept as text so entries survive the user being removed
+  actor_role text,
+  action text NOT NULL, -- e.g. 'parks.delete', 'parks.restore', 'parks.purge', 'parks.update', 'parks.edit', 'parks.geocode', 'parks.merge', 'import.upload', 'import.sync', 'import.rollback'
+  criteria jsonb, -- request parameters / filters the action was run with
+  affected_ids text[] NOT NULL DEFAULT '{}',
+  affected_count integer NOT NULL DEFAULT 0,
+  before jsonb, -- park id -> values before the action
+  after jsonb, -- park id -> values after the action
+  details jsonb -- results, errors, related ids (e.g. importBatchId)
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created_at ON admin_audit_log (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_action ON admin_audit_log (action, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_actor_email ON admin_audit_log (actor_email);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_affected_ids ON admin_audit_log USING GIN (affected_ids);
+
+-- ============================================
+-- STEP 2: Make it append-only
+-- ============================================
+-- Entries can be inserted and read but never changed or removed, even with the service key
+CREATE OR REPLACE FUNCTION prevent_admin_audit_log_changes()
+RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'admin_audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS admin_audit_log_append_only ON admin_audit_log;
+CREATE TRIGGER admin_audit_log_append_only
+  BEFORE UPDATE OR DELETE ON admin_audit_log
+  FOR EACH ROW EXECUTE FUNCTION prevent_admin_audit_log_changes();
+
+DROP TRIGGER IF EXISTS admin_audit_log_no_truncate ON admin_audit_log;
+CREATE TRIGGER admin_audit_log_no_truncate
+  BEFORE TRUNCATE ON admin_audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION prevent_admin_audit_log_changes();
+
+REVOKE UPDATE, DELETE, TRUNCATE ON admin_audit_log FROM anon, authenticated;
+
+-- ============================================
+-- STEP 3: Verify
+-- ============================================
+SELECT created_at, actor_email, action, affected_count
+FROM admin_audit_log
+ORDER BY created_at DESC
+LIMIT 20;
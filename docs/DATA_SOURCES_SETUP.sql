@@ -0,0 +1,45 @@
+-- Data Sources Setup SQL Script
+-- Run these in order in Supabase SQL Editor
+-- Saved agency sources that /api/sync (sourceId) and /api/upload (sourceId, or a
+-- file name matching file_pattern) use for their agency, default state, priority
+-- and property-to-column mappings
+
+-- ============================================
+-- STEP 1: Sources
+-- ============================================
+-- url is the sync endpoint (GeoJSON, ArcGIS layer, OGC API / WFS collection)
+-- file_pattern matches upload file names, case-insensitive glob (e.g. 'wake_county_parks*.zip')
+-- priority overrides the source type's data_source_priority (blank = default for the type)
+-- field_mappings maps park columns to property names, replacing the built-in key lists:
+--   {"name": "PARK_NM", "amenities": ["AMENITY1", "AMENITY2"], "category": null}
+--   a list takes the first non-empty property; null leaves the column empty
+CREATE TABLE IF NOT EXISTS data_sources (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL UNIQUE,
+  source_type text NOT NULL, -- 'State Agency', 'County Agency', 'City Agency', 'Federal Agency', 'Public State', 'Public Federal'
+  url text,
+  file_pattern text,
+  agency text, -- Used when a feature doesn't name its agency
+  default_state text, -- 2-letter code, used when a feature has no state
+  priority integer CHECK (priority BETWEEN 0 AND 100),
+  field_mappings jsonb NOT NULL DEFAULT '{}'::jsonb,
+  notes text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CHECK (url IS NOT NULL OR file_pattern IS NOT NULL)
+);
+
+-- ============================================
+-- STEP 2: Value transforms (upload mapping preview)
+-- ============================================
+-- Applied to a column after mapping, e.g. an agency code lookup:
+--   {"agency": {"type": "lookup", "values": {"WCP": "Wake County Parks"}}, "county": {"type": "titlecase"}}
+-- types: lookup (codes match case-insensitively, optional "default" for unmatched), uppercase, lowercase, titlecase
+ALTER TABLE data_sources ADD COLUMN IF NOT EXISTS value_transforms jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+-- ============================================
+-- STEP 3: Verify
+-- ============================================
+SELECT name, source_type, url, file_pattern, default_state, priority, field_mappings, value_transforms
+FROM data_sources
+ORDER BY name;
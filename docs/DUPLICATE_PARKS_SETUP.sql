@@ -0,0 +1,57 @@
+-- Duplicate Parks Setup SQL Script
+-- Run these in order in Supabase SQL Editor
+-- Stores candidate duplicate pairs found by the duplicate detection job
+-- for review in the admin merge workbench
+
+-- ============================================
+-- STEP 1: Candidate pairs
+-- ============================================
+-- park_a_id < park_b_id (as text) so each pair is stored once
+CREATE TABLE IF NOT EXISTS park_duplicate_candidates (
+  id bigserial PRIMARY KEY,
+  park_a_id text NOT NULL,
+  park_b_id text NOT NULL,
+  state text,
+  score numeric NOT NULL,
+  name_similarity numeric,
+  distance_km numeric,
+  overlap_ratio numeric,
+  reasons jsonb,
+  status text NOT NULL DEFAULT 'pending', -- 'pending', 'merged', 'dismissed', 'obsolete'
+  merged_into text,
+  detected_at timestamptz NOT NULL DEFAULT now(),
+  resolved_at timestamptz,
+  UNIQUE (park_a_id, park_b_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_park_duplicate_candidates_status_score
+  ON park_duplicate_candidates (status, score DESC);
+CREATE INDEX IF NOT EXISTS idx_park_duplicate_candidates_park_a ON park_duplicate_candidates (park_a_id);
+CREATE INDEX IF NOT EXISTS idx_park_duplicate_candidates_park_b ON park_duplicate_candidates (park_b_id);
+
+-- ============================================
+-- STEP 2: Source ID aliases
+-- ============================================
+-- A merge deletes one row; any source_id that doesn't survive on the kept row is
+-- recorded here so the next sync finds the kept park by it instead of re-inserting
+-- the duplicate (see findParkBySourceId in lib/utils/db-operations.js)
+CREATE TABLE IF NOT EXISTS park_source_aliases (
+  source_id text PRIMARY KEY,
+  park_id text NOT NULL,
+  merged_from text, -- id of the deleted row the source_id belonged to
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_park_source_aliases_park_id ON park_source_aliases (park_id);
+
+-- ============================================
+-- STEP 3: Verify
+-- ============================================
+SELECT status, COUNT(*) AS pairs, ROUND(AVG(score), 2) AS avg_score
+FROM park_duplicate_candidates
+GROUP BY status;
+
+SELECT source_id, park_id, merged_from, created_at
+FROM park_source_aliases
+ORDER BY created_at DESC
+LIMIT 10;
@@ -0,0 +1,17 @@
+-- Field Locks Setup SQL Script
+-- Run these in order in Supabase SQL Editor
+-- Fields edited by hand in the admin panel are locked against uploads and syncs
+-- Optional: until it is run, imports and edits skip locks (see lib/utils/park-columns.js)
+
+-- ============================================
+-- STEP 1: Add the lock list column
+-- ============================================
+ALTER TABLE parks ADD COLUMN IF NOT EXISTS locked_fields text[] NOT NULL DEFAULT '{}';
+
+-- ============================================
+-- STEP 2: Verify
+-- ============================================
+SELECT id, name, locked_fields
+FROM parks
+WHERE cardinality(locked_fields) > 0
+LIMIT 10;
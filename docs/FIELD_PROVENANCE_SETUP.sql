@@ -0,0 +1,19 @@
+-- Field Provenance Setup SQL Script
+-- Run these in order in Supabase SQL Editor
+-- Records which source, import batch and time supplied each park field
+-- Optional: until it is run, uploads and syncs skip provenance (see lib/utils/park-columns.js)
+
+-- ============================================
+-- STEP 1: Add the provenance column
+-- ============================================
+-- Shape: { "<field>": { "source": "...", "sourceType": "...", "batchId": "...", "updatedAt": "..." } }
+-- Fields written before this column existed have no entry
+ALTER TABLE parks ADD COLUMN IF NOT EXISTS field_provenance jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+-- ============================================
+-- STEP 2: Verify
+-- ============================================
+SELECT id, name, data_source, field_provenance
+FROM parks
+WHERE field_provenance <> '{}'::jsonb
+LIMIT 10;
@@ -0,0 +1,32 @@
+-- Field Source Priorities Setup SQL Script
+-- Run these in order in Supabase SQL Editor
+-- Per-field source priorities that override the defaults in FIELD_SOURCE_PRIORITIES
+-- (lib/qualityScorer.js): when both a park and an import have a value for a field,
+-- the import's value wins if its source type ranks higher for that field
+-- Optional: until it is run, imports use the defaults (see lib/utils/field-priorities.js)
+
+-- ============================================
+-- STEP 1: Priorities
+-- ============================================
+-- source_type is the import's source type ('Public Federal', 'State Agency', 'NPS',
+-- 'Recreation.gov', 'Manual' for admin edits), matched ignoring case and punctuation
+-- A field with no rows here or in the defaults is never overwritten once set
+CREATE TABLE IF NOT EXISTS field_source_priorities (
+  field text NOT NULL, -- parks column, e.g. 'geometry', 'phone', 'operating_hours'
+  source_type text NOT NULL,
+  priority integer NOT NULL CHECK (priority BETWEEN 0 AND 100),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (field, source_type)
+);
+
+-- Example: prefer county boundaries over state agency ones
+-- INSERT INTO field_source_priorities (field, source_type, priority)
+-- VALUES ('geometry', 'County Agency', 85)
+-- ON CONFLICT (field, source_type) DO UPDATE SET priority = EXCLUDED.priority, updated_at = now();
+
+-- ============================================
+-- STEP 2: Verify
+-- ============================================
+SELECT field, source_type, priority, updated_at
+FROM field_source_priorities
+ORDER BY field, priority DESC;
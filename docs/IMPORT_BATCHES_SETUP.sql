@@ -0,0 +1,56 @@
+-- Import Batches Setup SQL Script
+-- Run these in order in Supabase SQL Editor
+-- Every upload and sync is tagged with an import batch so a bad import can be rolled back
+
+-- ============================================
+-- STEP 1: Import batches (one row per upload or sync)
+-- ============================================
+CREATE TABLE IF NOT EXISTS import_batches (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  kind text NOT NULL, -- 'upload' or 'sync'
+  source_type text,
+  source_name text,
+  status text NOT NULL DEFAULT 'running', -- 'running', 'completed', 'failed', 'rolled_back', 'partially_rolled_back'
+  parks_added integer DEFAULT 0,
+  parks_updated integer DEFAULT 0,
+  parks_skipped integer DEFAULT 0,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  finished_at timestamptz,
+  rolled_back_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_batches_created_at ON import_batches (created_at DESC);
+
+-- ============================================
+-- STEP 2: Pre-import snapshots of every park a batch touched
+-- ============================================
+-- previous_values holds the full park row before the batch updated it
+-- (NULL for parks the batch inserted - rollback deletes those)
+CREATE TABLE IF NOT EXISTS import_batch_snapshots (
+  id bigserial PRIMARY KEY,
+  batch_id uuid NOT NULL REFERENCES import_batches(id) ON DELETE CASCADE,
+  park_id text NOT NULL,
+  action text NOT NULL, -- 'added' or 'updated'
+  previous_values jsonb,
+  restored_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_batch_snapshots_batch_id ON import_batch_snapshots (batch_id);
+
+-- ============================================
+-- STEP 3: Tag parks with the last batch that wrote them
+-- ============================================
+-- Rollback uses this to detect parks changed again by a later import
+ALTER TABLE parks ADD COLUMN IF NOT EXISTS import_batch_id uuid;
+CREATE INDEX IF NOT EXISTS idx_parks_import_batch_id ON parks (import_batch_id);
+
+-- ============================================
+-- STEP 4: Verify
+-- ============================================
+SELECT b.id, b.kind, b.source_name, b.status, COUNT(s.id) AS snapshots
+FROM import_batches b
+LEFT JOIN import_batch_snapshots s ON s.batch_id = b.id
+GROUP BY b.id
+ORDER BY b.created_at DESC
+LIMIT 10;
@@ -0,0 +1,107 @@
+-- Parks Trash Setup SQL Script
+-- Run these in order in Supabase SQL Editor
+-- Deleting parks from the admin panel moves them to the trash (deleted_at is set) instead of
+-- removing the rows. Trashed parks are hidden from the map, /api/parks and the tile function,
+-- can be restored from the admin Trash tab, and are purged for good after
+-- PARK_TRASH_RETENTION_DAYS (default 30) by the daily purge job (see lib/utils/park-trash.js)
+-- Purged parks leave a tombstone so uploads and syncs don't add them again
+-- Until it is run, park queries skip the deleted_at filter (see lib/utils/park-columns.js)
+
+-- ============================================
+-- STEP 1: Soft-delete columns
+-- ============================================
+ALTER TABLE parks ADD COLUMN IF NOT EXISTS deleted_at timestamptz;
+ALTER TABLE parks ADD COLUMN IF NOT EXISTS deleted_by text; -- admin email, or 'system'
+ALTER TABLE parks ADD COLUMN IF NOT EXISTS deleted_reason text;
+
+CREATE INDEX IF NOT EXISTS idx_parks_deleted_at ON parks (deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- ============================================
+-- STEP 2: Tombstones of purged parks
+-- ============================================
+-- Importers skip incoming parks matching a tombstone by source_id, or by name in the same state
+-- (name_key is the park name normalized like the importers' name matching)
+CREATE TABLE IF NOT EXISTS park_tombstones (
+  id bigserial PRIMARY KEY,
+  park_id text NOT NULL UNIQUE,
+  name text,
+  name_key text,
+  state text,
+  source_id text,
+  data_source text,
+  deleted_at timestamptz,
+  deleted_by text,
+  deleted_reason text,
+  purged_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_park_tombstones_source_id ON park_tombstones (source_id);
+CREATE INDEX IF NOT EXISTS idx_park_tombstones_name ON park_tombstones (state, name_key);
+
+-- ============================================
+-- STEP 3: Hide trashed parks from vector tiles
+-- ============================================
+-- Same as STEP 3 of VECTOR_TILES_SETUP_SQL.sql plus the deleted_at filter
+CREATE OR REPLACE FUNCTION parks_tiles(z int, x int, y int)
+RETURNS bytea AS $$
+DECLARE
+  tile_bbox geometry;
+  result bytea;
+BEGIN
+  -- Calculate tile bounding box in Web Mercator (EPSG:3857)
+  tile_bbox = ST_TileEnvelope(z, x, y);
+
+  -- Transform to WGS84 (EPSG:4326) for query
+  tile_bbox = ST_Transform(tile_bbox, 4326);
+
+  -- Generate vector tile
+  SELECT ST_AsMVT(q, 'parks', 4096, 'geom') INTO result
+  FROM (
+    SELECT
+      id,
+      name,
+      agency,
+      state,
+      source_id,
+      data_source,
+      -- Use geom_point if it exists, otherwise create from lat/lng
+      ST_AsMVTGeom(
+        ST_Transform(
+          COALESCE(
+            geom_point,
+            ST_SetSRID(ST_MakePoint(longitude, latitude), 4326)
+          ),
+          3857
+        ),
+        ST_TileEnvelope(z, x, y),
+        4096,  -- tile extent
+        256,   -- buffer (pixels)
+        true   -- clip geometry
+      ) AS geom
+    FROM parks
+    WHERE deleted_at IS NULL
+    AND (
+      geom_point IS NOT NULL
+      OR (latitude IS NOT NULL AND longitude IS NOT NULL)
+    )
+    AND ST_Intersects(
+      COALESCE(
+        geom_point,
+        ST_SetSRID(ST_MakePoint(longitude, latitude), 4326)
+      ),
+      tile_bbox
+    )
+  ) q;
+
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- ============================================
+-- STEP 4: Verify
+-- ============================================
+SELECT
+  COUNT(*) FILTER (WHERE deleted_at IS NULL) AS live_parks,
+  COUNT(*) FILTER (WHERE deleted_at IS NOT NULL) AS trashed_parks,
+  (SELECT COUNT(*) FROM park_tombstones) AS tombstones
+FROM parks;
@@ -0,0 +1,35 @@
+-- Park Versioning Setup SQL Script
+-- Run these in order in Supabase SQL Editor
+-- Every write to a park bumps parks.version, so PATCH /api/parks/[id] can refuse an
+-- edit made against an out-of-date copy (two admins editing the same park) with a 409
+
+-- ============================================
+-- STEP 1: Add the version column
+-- ============================================
+ALTER TABLE parks ADD COLUMN IF NOT EXISTS version integer NOT NULL DEFAULT 1;
+
+-- ============================================
+-- STEP 2: Bump it on every update
+-- ============================================
+-- A trigger rather than application code, so bulk edits, imports, merges and
+-- geocoding runs all invalidate an editor's copy too
+CREATE OR REPLACE FUNCTION bump_park_version()
+RETURNS trigger AS $$
+BEGIN
+  NEW.version := OLD.version + 1;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS parks_bump_version ON parks;
+CREATE TRIGGER parks_bump_version
+  BEFORE UPDATE ON parks
+  FOR EACH ROW EXECUTE FUNCTION bump_park_version();
+
+-- ============================================
+-- STEP 3: Verify
+-- ============================================
+SELECT id, name, version, last_updated
+FROM parks
+ORDER BY version DESC
+LIMIT 10;
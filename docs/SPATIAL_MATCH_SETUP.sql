@@ -0,0 +1,63 @@
+-- Spatial Match Setup SQL Script
+-- Run these in order in Supabase SQL Editor
+-- Imports look up existing parks near an incoming park before checking boundary
+-- overlap and distance (lib/utils/spatial-match.js). find_parks_in_bounds finds
+-- them by boundary extent as well as coordinates; until it exists, imports fall
+-- back to a latitude/longitude box (which misses parks whose stored point is far
+-- from the incoming one, and parks with a boundary but no coordinates)
+
+-- ============================================
+-- STEP 1: Indexes
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_parks_latitude_longitude ON parks (latitude, longitude);
+-- Skip if parks.geometry already has a spatial index
+CREATE INDEX IF NOT EXISTS idx_parks_geometry ON parks USING GIST ((geometry::geometry));
+
+-- ============================================
+-- STEP 2: Candidate lookup
+-- ============================================
+-- Parks whose boundary extent overlaps the search box, or whose point lies in it,
+-- nearest to the incoming geometry first (the incoming point/boundary as GeoJSON;
+-- the box centre when it's null) so a cut-off at max_results drops the farthest.
+-- Geometry is returned as GeoJSON text
+CREATE OR REPLACE FUNCTION find_parks_in_bounds(
+  min_lng double precision,
+  min_lat double precision,
+  max_lng double precision,
+  max_lat double precision,
+  incoming_geojson text DEFAULT NULL,
+  max_results integer DEFAULT 200
+)
+RETURNS TABLE (id text, name text, latitude double precision, longitude double precision, geometry text)
+LANGUAGE sql STABLE AS $$
+  WITH search AS (
+    SELECT
+      ST_MakeEnvelope(min_lng, min_lat, max_lng, max_lat, 4326) AS box,
+      COALESCE(
+        ST_SetSRID(ST_GeomFromGeoJSON(incoming_geojson), 4326),
+        ST_Centroid(ST_MakeEnvelope(min_lng, min_lat, max_lng, max_lat, 4326))
+      ) AS target
+  )
+  SELECT
+    p.id::text,
+    p.name,
+    p.latitude::double precision,
+    p.longitude::double precision,
+    ST_AsGeoJSON(p.geometry::geometry)
+  FROM parks p, search s
+  WHERE (p.geometry IS NOT NULL AND p.geometry::geometry && s.box)
+     OR (p.latitude BETWEEN min_lat AND max_lat AND p.longitude BETWEEN min_lng AND max_lng)
+  ORDER BY ST_Distance(
+    COALESCE(p.geometry::geometry, ST_SetSRID(ST_MakePoint(p.longitude, p.latitude), 4326)),
+    s.target
+  )
+  LIMIT max_results;
+$$;
+
+-- ============================================
+-- STEP 3: Verify
+-- ============================================
+SELECT indexname FROM pg_indexes
+WHERE tablename = 'parks' AND indexname IN ('idx_parks_latitude_longitude', 'idx_parks_geometry');
+
+SELECT * FROM find_parks_in_bounds(-83.6, 35.4, -83.4, 35.6) LIMIT 5;
@@ -0,0 +1,52 @@
+-- Sync Run History Setup SQL Script
+-- Run these in order in Supabase SQL Editor
+-- Creates the tables used by /api/sync to record each run and the per-park changes it made
+
+-- ============================================
+-- STEP 1: Sync runs (one row per POST to /api/sync)
+-- ============================================
+CREATE TABLE IF NOT EXISTS sync_runs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  source_type text NOT NULL,
+  source_url text,
+  status text NOT NULL DEFAULT 'running', -- 'running', 'completed', 'failed'
+  started_at timestamptz NOT NULL DEFAULT now(),
+  finished_at timestamptz,
+  parks_found integer DEFAULT 0,
+  parks_added integer DEFAULT 0,
+  parks_updated integer DEFAULT 0,
+  parks_skipped integer DEFAULT 0,
+  errors jsonb DEFAULT '[]'::jsonb,
+  error_message text
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_runs_started_at ON sync_runs (started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sync_runs_source_type ON sync_runs (source_type);
+
+-- ============================================
+-- STEP 2: Per-park change log for each run
+-- ============================================
+-- changed_fields is an object of { field: { from, to } } for every column
+-- insertOrUpdatePark actually changed (all inserted columns for new parks)
+-- geometry, description and any value over 500 characters are stored as
+-- { omitted: true, length, sha256 } instead of the value itself
+CREATE TABLE IF NOT EXISTS sync_run_changes (
+  id bigserial PRIMARY KEY,
+  run_id uuid NOT NULL REFERENCES sync_runs(id) ON DELETE CASCADE,
+  park_id text,
+  park_name text,
+  action text NOT NULL, -- 'added' or 'updated'
+  changed_fields jsonb DEFAULT '{}'::jsonb,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_run_changes_run_id ON sync_run_changes (run_id);
+CREATE INDEX IF NOT EXISTS idx_sync_run_changes_park_id ON sync_run_changes (park_id);
+
+-- ============================================
+-- STEP 3: Verify
+-- ============================================
+SELECT id, source_type, status, started_at, parks_added, parks_updated
+FROM sync_runs
+ORDER BY started_at DESC
+LIMIT 10;
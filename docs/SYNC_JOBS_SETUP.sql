@@ -0,0 +1,46 @@
+-- Sync Jobs Setup SQL Script
+-- Run these in order in Supabase SQL Editor (after SYNC_SCHEDULES_SETUP.sql)
+-- Tracks NPS / Recreation.gov syncs that run as resumable Inngest jobs
+-- (run-api-sync-job processes one API page per step and checkpoints here)
+
+-- ============================================
+-- STEP 1: Jobs
+-- ============================================
+-- cursor is the API offset of the next page to process - a resumed job starts there
+-- Counters are running totals, updated after every page so the admin panel can poll them
+-- errors keeps the first 100 per-park errors (the linked sync run gets the same list)
+CREATE TABLE IF NOT EXISTS sync_jobs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  source_type text NOT NULL, -- 'NPS' or 'Recreation.gov'
+  status text NOT NULL DEFAULT 'queued', -- 'queued', 'running', 'completed', 'failed'
+  cursor integer NOT NULL DEFAULT 0,
+  page_size integer NOT NULL DEFAULT 50,
+  pages_processed integer NOT NULL DEFAULT 0,
+  total_records integer, -- Reported by the API, null until the first page is fetched
+  parks_found integer NOT NULL DEFAULT 0,
+  parks_added integer NOT NULL DEFAULT 0,
+  parks_updated integer NOT NULL DEFAULT 0,
+  parks_skipped integer NOT NULL DEFAULT 0,
+  parks_locked integer NOT NULL DEFAULT 0,
+  errors jsonb NOT NULL DEFAULT '[]'::jsonb,
+  error_message text,
+  attempts integer NOT NULL DEFAULT 0, -- Times the job was started or resumed
+  sync_run_id uuid REFERENCES sync_runs(id) ON DELETE SET NULL,
+  import_batch_id uuid REFERENCES import_batches(id) ON DELETE SET NULL,
+  schedule_id uuid REFERENCES sync_schedules(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  started_at timestamptz,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  finished_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_jobs_created_at ON sync_jobs (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sync_jobs_status ON sync_jobs (status);
+
+-- ============================================
+-- STEP 2: Verify
+-- ============================================
+SELECT id, source_type, status, pages_processed, total_records, parks_found, parks_added, parks_updated
+FROM sync_jobs
+ORDER BY created_at DESC
+LIMIT 10;
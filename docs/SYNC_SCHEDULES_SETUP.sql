@@ -0,0 +1,42 @@
+-- Sync Schedules Setup SQL Script
+-- Run these in order in Supabase SQL Editor (after SYNC_HISTORY_SETUP.sql)
+-- Stores recurring sync definitions run by the Inngest scheduler
+-- (check-sync-schedules runs every 15 minutes and starts any schedule that is due)
+
+-- ============================================
+-- STEP 1: Schedules
+-- ============================================
+-- source_type matches /api/sync ('NPS', 'Recreation.gov', 'State Agency', ...)
+-- api_url is required for URL-based sources (e.g. an ArcGIS FeatureServer layer)
+-- API keys are not stored - NPS/Recreation.gov runs use the server environment keys
+CREATE TABLE IF NOT EXISTS sync_schedules (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  source_type text NOT NULL,
+  api_url text,
+  enabled boolean NOT NULL DEFAULT true,
+  interval_hours integer NOT NULL DEFAULT 24 CHECK (interval_hours > 0),
+  next_run_at timestamptz NOT NULL DEFAULT now(),
+  last_run_at timestamptz,
+  last_status text, -- 'running', 'completed', 'failed'
+  last_message text,
+  last_sync_run_id uuid,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_schedules_due ON sync_schedules (enabled, next_run_at);
+
+-- ============================================
+-- STEP 2: Link sync runs to the schedule that started them
+-- ============================================
+ALTER TABLE sync_runs ADD COLUMN IF NOT EXISTS schedule_id uuid REFERENCES sync_schedules(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_sync_runs_schedule_id ON sync_runs (schedule_id);
+
+-- ============================================
+-- STEP 3: Verify
+-- ============================================
+SELECT name, source_type, enabled, interval_hours, next_run_at, last_status
+FROM sync_schedules
+ORDER BY next_run_at;
@@ -35,6 +35,8 @@ FROM parks;
 -- This function generates vector tiles for parks
 -- It uses lat/lng columns (assumes cleanup will happen later)
 -- For now, it only includes parks that have coordinates
+-- PARKS_TRASH_SETUP.sql replaces this function with one that also hides trashed parks -
+-- re-run its STEP 3 if you run this script again after it
 
 CREATE OR REPLACE FUNCTION parks_tiles(z int, x int, y int)
 RETURNS bytea AS $$
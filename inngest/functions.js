@@ -9,6 +9,30 @@ import { batchInsertOrUpdateParks, insertOrUpdatePark } from '../lib/utils/db-op
 import { supabaseServer } from '../lib/supabase-server.js'
 import { fetchRecreationFacilityById } from '../lib/utils/recreation-gov-api.js'
 import { mapRecreationGovToParkSchema } from '../lib/utils/api-field-mapper.js'
+import { startImportBatch, finishImportBatch } from '../lib/utils/import-batches.js'
+import { omitLockedFields } from '../lib/utils/field-locks.js'
+import { scanStateForDuplicates } from '../lib/utils/duplicate-parks.js'
+import { listStateCodes } from '../lib/utils/state-normalizer.js'
+import {
+  getSyncSchedule,
+  claimDueSyncSchedules,
+  markScheduleRunStarted,
+  recordScheduleRunResult
+} from '../lib/utils/sync-schedules.js'
+import {
+  getSyncJobApiKey,
+  startSyncJob,
+  processSyncJobPage,
+  updateSyncJob,
+  appendJobErrors,
+  finishSyncJob
+} from '../lib/utils/sync-jobs.js'
+import { recordSyncRunChanges } from '../lib/utils/sync-runs.js'
+import { getDataSource } from '../lib/utils/data-sources.js'
+import { POST as handleSyncRequest } from '../app/api/sync/route.js'
+import { markInternalRequest } from '../lib/utils/admin-auth.js'
+import { purgeTrashedParks, TRASH_RETENTION_DAYS } from '../lib/utils/park-trash.js'
+import { availableParkColumns, hasParkColumn } from '../lib/utils/park-columns.js'
 
 // Note: Inngest functions run in a separate environment
 // Make sure all imports are compatible with the Inngest runtime
@@ -34,17 +58,34 @@ export const processParkFile = inngest.createFunction(
       bucketName = 'park-uploads',
       sourceType = 'State Agency',
       sourceName = 'Unknown',
-      defaultState = null
+      defaultState = null,
+      sourceId = null,
+      fieldMappings = null, // Upload's mapping preview choices, else the saved source's
+      valueTransforms = null,
+      nameMatchThreshold = null,
+      layer = null, // GeoPackage layer and attribute filter chosen at upload
+      attributeFilter = null
     } = event.data
 
     console.log(`🚀 Starting background processing for: ${filePath}`)
 
-    // Step 1: Process file in batches
+    // Saved source's field mappings, agency and priority (see lib/utils/data-sources.js)
+    const dataSource = sourceId
+      ? await step.run('load-data-source', async () => await getDataSource(sourceId))
+      : null
+
+    // Step 1: Tag the import so it can be rolled back (own step so retries reuse the same batch)
+    const importBatch = await step.run('start-import-batch', async () => {
+      return await startImportBatch({ kind: 'upload', sourceType, sourceName })
+    })
+
+    // Step 2: Process file in batches
     const results = await step.run('process-file', async () => {
       let totalProcessed = 0
       let totalAdded = 0
       let totalUpdated = 0
       let totalSkipped = 0
+      let totalLocked = 0
       const errors = []
 
       try {
@@ -59,16 +100,27 @@ export const processParkFile = inngest.createFunction(
           {
             batchSize: 500, // Larger batches for background processing
             simplifyTolerance: 0.0001,
-            skipInvalidGeometry: true
+            skipInvalidGeometry: true,
+            fieldMappings: fieldMappings || dataSource?.field_mappings || null,
+            valueTransforms: valueTransforms || dataSource?.value_transforms || null,
+            agency: dataSource?.agency || null,
+            layer,
+            attributeFilter
           }
         )) {
           // Insert/update batch in database
           try {
-            const batchResults = await batchInsertOrUpdateParks(batch, sourceType)
+            const batchResults = await batchInsertOrUpdateParks(batch, sourceType, {
+              importBatchId: importBatch?.id || null,
+              sourceName,
+              nameMatchThreshold,
+              sourcePriority: dataSource?.priority ?? null
+            })
             totalProcessed += batch.length
             totalAdded += batchResults.added || 0
             totalUpdated += batchResults.updated || 0
             totalSkipped += batchResults.skipped || 0
+            totalLocked += batchResults.locked?.length || 0
 
             console.log(
               `📊 Progress: ${totalProcessed} processed (${totalAdded} added, ${totalUpdated} updated, ${totalSkipped} skipped)`
@@ -88,6 +140,7 @@ export const processParkFile = inngest.createFunction(
           totalAdded,
           totalUpdated,
           totalSkipped,
+          totalLocked,
           errors: errors.length > 0 ? errors : undefined
         }
       } catch (error) {
@@ -104,10 +157,14 @@ export const processParkFile = inngest.createFunction(
       }
     })
 
-    // Step 2: Update file status in database (optional)
+    // Step 3: Record final status on the import batch
     await step.run('update-status', async () => {
-      // You could store processing status in a database table
-      // For now, we'll just log it
+      await finishImportBatch(importBatch, {
+        status: results.success ? 'completed' : 'failed',
+        parksAdded: results.totalAdded,
+        parksUpdated: results.totalUpdated,
+        parksSkipped: results.totalSkipped
+      })
       console.log(`✅ Processing complete for ${filePath}:`, results)
       return results
     })
@@ -143,6 +200,9 @@ export const enrichRecreationGovFacilities = inngest.createFunction(
 
     // Step 1: Fetch detailed facility data for each facility in the batch
     const enrichmentResults = await step.run('enrich-facilities', async () => {
+      // Manual-edit locks are only honored once docs/FIELD_LOCKS_SETUP.sql has been run
+      const lockColumns = await availableParkColumns(['locked_fields'])
+      const hideTrashed = await hasParkColumn('deleted_at')
       let enriched = 0
       let failed = 0
       let updated = 0
@@ -152,12 +212,15 @@ export const enrichRecreationGovFacilities = inngest.createFunction(
       for (const facilityId of facilityIds) {
         try {
           // Fetch existing park from database
-          const { data: existingPark, error: fetchError } = await supabaseServer
+          let existingParkQuery = supabaseServer
             .from('parks')
-            .select('id, name, source_id, state, latitude, longitude, description, phone, email, website, activities, amenities')
+            .select(['id, name, source_id, state, latitude, longitude, description, phone, email, website, activities, amenities', ...lockColumns].join(', '))
             .eq('data_source', 'Recreation.gov API')
             .eq('source_id', facilityId.toString())
-            .maybeSingle()
+          if (hideTrashed) {
+            existingParkQuery = existingParkQuery.is('deleted_at', null)
+          }
+          const { data: existingPark, error: fetchError } = await existingParkQuery.maybeSingle()
 
           if (fetchError) {
             errors.push({ facilityId, error: `Database fetch error: ${fetchError.message}` })
@@ -285,10 +348,13 @@ export const enrichRecreationGovFacilities = inngest.createFunction(
             }
           }
 
-          if (Object.keys(updateData).length > 0) {
+          // Never touch fields an admin edited by hand
+          const { updateData: allowedData } = omitLockedFields(existingPark, updateData)
+
+          if (Object.keys(allowedData).length > 0) {
             const { error: updateError } = await supabaseServer
               .from('parks')
-              .update(updateData)
+              .update(allowedData)
               .eq('id', existingPark.id)
 
             if (updateError) {
@@ -351,11 +417,15 @@ export const startRecreationGovEnrichment = inngest.createFunction(
     // Step 1: Get all Recreation.gov facilities from database
     // Optionally filter to only those with N/A state if needed, but for now get all
     const facilities = await step.run('fetch-facilities', async () => {
-      const { data: parks, error } = await supabaseServer
+      let query = supabaseServer
         .from('parks')
         .select('id, source_id, state')
         .eq('data_source', 'Recreation.gov API')
         .not('source_id', 'is', null)
+      if (await hasParkColumn('deleted_at')) {
+        query = query.is('deleted_at', null)
+      }
+      const { data: parks, error } = await query
 
       if (error) {
         throw new Error(`Failed to fetch facilities: ${error.message}`)
@@ -404,3 +474,341 @@ export const startRecreationGovEnrichment = inngest.createFunction(
   }
 )
 
+
+/**
+ * Scan one state for duplicate parks and store the candidate pairs
+ */
+export const detectDuplicateParksForState = inngest.createFunction(
+  {
+    id: 'detect-duplicate-parks-for-state',
+    name: 'Detect Duplicate Parks (State)',
+    retries: 2,
+    concurrency: {
+      limit: 1 // Scans load a whole state into memory - one at a time
+    }
+  },
+  { event: 'parks/detect-duplicates-state' },
+  async ({ event, step }) => {
+    const { state, options = {} } = event.data
+
+    return await step.run('scan-state', async () => {
+      return await scanStateForDuplicates(state, options)
+    })
+  }
+)
+
+/**
+ * Start a duplicate scan - fans out one job per state
+ * Triggered from the admin Duplicates tab
+ */
+export const startDuplicateDetection = inngest.createFunction(
+  {
+    id: 'start-duplicate-detection',
+    name: 'Start Duplicate Park Detection',
+    retries: 1
+  },
+  { event: 'parks/detect-duplicates' },
+  async ({ event, step }) => {
+    const { states = null, options = {} } = event.data || {}
+    const statesToScan = states && states.length > 0 ? states : [...listStateCodes(), 'N/A']
+
+    console.log(`🚀 Starting duplicate detection for ${statesToScan.length} state(s)`)
+
+    await step.sendEvent('trigger-state-scans', statesToScan.map(state => ({
+      name: 'parks/detect-duplicates-state',
+      data: { state, options }
+    })))
+
+    return {
+      success: true,
+      statesQueued: statesToScan.length
+    }
+  }
+)
+
+/**
+ * Scheduler tick - every 15 minutes, start any enabled sync schedule that is due
+ * Schedules are managed from the admin Scheduled Syncs tab
+ */
+export const checkSyncSchedules = inngest.createFunction(
+  {
+    id: 'check-sync-schedules',
+    name: 'Check Sync Schedules',
+    retries: 1
+  },
+  { cron: '*/15 * * * *' },
+  async ({ step }) => {
+    const due = await step.run('claim-due-schedules', async () => {
+      const claimed = await claimDueSyncSchedules(new Date())
+      return claimed.map(schedule => ({ id: schedule.id, name: schedule.name }))
+    })
+
+    if (due.length === 0) {
+      return { success: true, schedulesStarted: 0 }
+    }
+
+    console.log(`⏰ Starting ${due.length} scheduled sync(s): ${due.map(s => s.name).join(', ')}`)
+
+    await step.sendEvent('trigger-scheduled-syncs', due.map(schedule => ({
+      name: 'sync/scheduled-run',
+      data: { scheduleId: schedule.id }
+    })))
+
+    return {
+      success: true,
+      schedulesStarted: due.length
+    }
+  }
+)
+
+/**
+ * Run one sync schedule through the same pipeline as the admin "Sync from API" button
+ * The run is recorded in sync_runs (linked by schedule_id) and summarized on the schedule
+ */
+export const runScheduledSync = inngest.createFunction(
+  {
+    id: 'run-scheduled-sync',
+    name: 'Run Scheduled Sync',
+    retries: 1,
+    concurrency: {
+      limit: 1,
+      key: 'event.data.scheduleId' // Never run the same schedule twice at once
+    }
+  },
+  { event: 'sync/scheduled-run' },
+  async ({ event, step }) => {
+    const { scheduleId } = event.data
+
+    const schedule = await step.run('load-schedule', async () => {
+      const row = await getSyncSchedule(scheduleId)
+      if (row) {
+        await markScheduleRunStarted(scheduleId)
+      }
+      return row
+    })
+
+    if (!schedule) {
+      return { success: false, error: `Sync schedule ${scheduleId} not found` }
+    }
+
+    console.log(`🔄 Running scheduled sync "${schedule.name}" (${schedule.source_type})`)
+
+    const result = await step.run('run-sync', async () => {
+      // Called in-process, so the route's admin sign-in check is skipped (markInternalRequest)
+      const response = await handleSyncRequest(markInternalRequest(new Request('http://localhost/api/sync', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          sourceType: schedule.source_type,
+          apiUrl: schedule.api_url || undefined,
+          incremental: schedule.incremental || undefined,
+          scheduleId: schedule.id
+        })
+      })))
+      const data = await response.json().catch(() => ({}))
+
+      // NPS and Recreation.gov hand off to run-api-sync-job, which records the result when it finishes
+      if (data.backgroundJob) {
+        return {
+          success: true,
+          backgroundJob: true,
+          jobId: data.jobId,
+          message: `Running as background sync job ${data.jobId}`
+        }
+      }
+
+      return {
+        success: response.ok && data.success === true,
+        syncRunId: data.syncRunId || null,
+        message: data.success
+          ? `${data.parksFound || 0} found, ${data.parksAdded || 0} added, ${data.parksUpdated || 0} updated, ${data.parksSkipped || 0} skipped`
+          : [data.error, data.message, data.details].filter(Boolean).join(' - ') || `Sync failed with status ${response.status}`
+      }
+    })
+
+    if (result.backgroundJob) {
+      return result
+    }
+
+    await step.run('record-result', async () => {
+      await recordScheduleRunResult(scheduleId, {
+        status: result.success ? 'completed' : 'failed',
+        message: result.message,
+        syncRunId: result.syncRunId
+      })
+    })
+
+    return result
+  }
+)
+
+/**
+ * Run an NPS or Recreation.gov sync as a resumable job
+ * Each API page is its own step, so a failure retries (or later resumes) from the
+ * last finished page instead of starting over; progress is written to sync_jobs
+ * after every page for the admin panel to poll
+ */
+export const runApiSyncJob = inngest.createFunction(
+  {
+    id: 'run-api-sync-job',
+    name: 'Run API Sync Job',
+    retries: 3,
+    concurrency: {
+      limit: 1,
+      key: 'event.data.jobId' // A resume must not overlap a run that is still going
+    },
+    onFailure: async ({ event, error }) => {
+      const { jobId } = event.data.event.data
+      console.error(`❌ Sync job ${jobId} failed:`, error.message)
+      // Counts and cursor stay at the last finished page so the job can be resumed
+      await finishSyncJob(jobId, {
+        status: 'failed',
+        errorMessage: error.message || 'Sync job failed'
+      })
+    }
+  },
+  { event: 'sync/api-job' },
+  async ({ event, step }) => {
+    const { jobId, nameMatchThreshold = null } = event.data
+
+    // Step 1: Mark running - creates the sync run and import batch once, a resume reuses them
+    const job = await step.run('start-job', async () => {
+      return await startSyncJob(jobId)
+    })
+
+    if (!job) {
+      return { success: false, error: `Sync job ${jobId} not found` }
+    }
+    if (job.status === 'completed') {
+      return { success: true, jobId, message: 'Sync job already completed' }
+    }
+
+    // Keys come from the server environment only - event payloads are kept in Inngest's history
+    const effectiveApiKey = getSyncJobApiKey(job.source_type)
+    if (!effectiveApiKey) {
+      await step.run('fail-missing-api-key', async () => {
+        await finishSyncJob(jobId, {
+          status: 'failed',
+          errorMessage: `No ${job.source_type} API key - set it in the server environment and resume the job`
+        })
+      })
+      return { success: false, error: 'API key is required' }
+    }
+
+    console.log(`🚀 Running ${job.source_type} sync job ${jobId} from offset ${job.cursor}`)
+
+    // Totals carried over from the pages a previous attempt finished
+    const totals = {
+      pagesProcessed: job.pages_processed || 0,
+      totalRecords: job.total_records,
+      parksFound: job.parks_found || 0,
+      parksAdded: job.parks_added || 0,
+      parksUpdated: job.parks_updated || 0,
+      parksSkipped: job.parks_skipped || 0,
+      parksLocked: job.parks_locked || 0,
+      errors: job.errors || []
+    }
+    let cursor = job.cursor || 0
+    let hasMore = true
+
+    // Step 2..n: One step per API page - the page's parks, change log and checkpoint
+    while (hasMore) {
+      const page = await step.run(`sync-page-${cursor}`, async () => {
+        const result = await processSyncJobPage({
+          sourceType: job.source_type,
+          apiKey: effectiveApiKey,
+          cursor,
+          pageSize: job.page_size,
+          importBatchId: job.import_batch_id,
+          nameMatchThreshold
+        })
+
+        await recordSyncRunChanges(job.sync_run_id ? { id: job.sync_run_id } : null, result.changes)
+
+        const errors = appendJobErrors(totals.errors, result.errors)
+        await updateSyncJob(jobId, {
+          cursor: result.hasMore ? result.nextCursor : cursor + result.recordsFetched,
+          pages_processed: totals.pagesProcessed + 1,
+          total_records: result.total ?? totals.totalRecords,
+          parks_found: totals.parksFound + result.recordsFetched,
+          parks_added: totals.parksAdded + result.parksAdded,
+          parks_updated: totals.parksUpdated + result.parksUpdated,
+          parks_skipped: totals.parksSkipped + result.parksSkipped,
+          parks_locked: totals.parksLocked + result.parksLocked,
+          errors
+        })
+
+        // Change records are already stored - keep the step output small
+        return {
+          recordsFetched: result.recordsFetched,
+          total: result.total,
+          nextCursor: result.nextCursor,
+          hasMore: result.hasMore,
+          parksAdded: result.parksAdded,
+          parksUpdated: result.parksUpdated,
+          parksSkipped: result.parksSkipped,
+          parksLocked: result.parksLocked,
+          errors
+        }
+      })
+
+      totals.pagesProcessed++
+      totals.totalRecords = page.total ?? totals.totalRecords
+      totals.parksFound += page.recordsFetched
+      totals.parksAdded += page.parksAdded
+      totals.parksUpdated += page.parksUpdated
+      totals.parksSkipped += page.parksSkipped
+      totals.parksLocked += page.parksLocked
+      totals.errors = page.errors
+      cursor = page.nextCursor
+      hasMore = page.hasMore
+    }
+
+    // Final step: close the sync run and import batch, report to the schedule
+    const finished = await step.run('finish-job', async () => {
+      const noResults = totals.parksFound === 0
+      await finishSyncJob(jobId, {
+        status: noResults ? 'failed' : 'completed',
+        errorMessage: noResults ? `${job.source_type} API returned 0 parks. Please check the API key.` : null,
+        totals
+      })
+      return { status: noResults ? 'failed' : 'completed' }
+    })
+
+    console.log(`✅ Sync job ${jobId} ${finished.status}: ${totals.parksFound} found, ${totals.parksAdded} added, ${totals.parksUpdated} updated, ${totals.parksSkipped} skipped`)
+
+    return {
+      success: finished.status === 'completed',
+      jobId,
+      parksFound: totals.parksFound,
+      parksAdded: totals.parksAdded,
+      parksUpdated: totals.parksUpdated,
+      parksSkipped: totals.parksSkipped
+    }
+  }
+)
+
+/**
+ * Daily purge of the park trash - permanently removes parks deleted more than
+ * PARK_TRASH_RETENTION_DAYS ago, leaving tombstones so imports don't re-add them
+ */
+export const purgeParkTrash = inngest.createFunction(
+  {
+    id: 'purge-park-trash',
+    name: 'Purge Park Trash',
+    retries: 1
+  },
+  { cron: '0 4 * * *' },
+  async ({ step }) => {
+    const result = await step.run('purge-trashed-parks', async () => {
+      const { purged } = await purgeTrashedParks({ olderThanDays: TRASH_RETENTION_DAYS })
+      return { purged }
+    })
+
+    return {
+      success: true,
+      retentionDays: TRASH_RETENTION_DAYS,
+      parksPurged: result.purged
+    }
+  }
+)
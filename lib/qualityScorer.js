@@ -23,6 +23,52 @@ export const SOURCE_PRIORITIES = {
   USER_GENERATED: 20,              // Future: user submissions
 };
 
+/**
+ * Field-level source priorities - Higher number = Better data for THAT field
+ * Only fields listed here can be overwritten by a better source once set;
+ * every other field keeps its existing value and is only filled when blank.
+ * Keys are normalized source types (see normalizeSourceType), matched exactly.
+ * Unlisted source types rank 0. These are the defaults - rows in the
+ * field_source_priorities table override them (see lib/utils/field-priorities.js)
+ */
+export const FIELD_SOURCE_PRIORITIES = {
+  geometry: {
+    PUBLIC_FEDERAL: 100,           // PAD-US uploads - best boundaries
+    STATE_AGENCY: 80,
+    COUNTY_AGENCY: 70,
+    CITY_AGENCY: 70,
+    NPS: 50,
+  },
+  operating_hours: {
+    NPS: 100,
+    RECREATION_GOV: 80,
+  },
+  phone: {
+    RECREATION_GOV: 100,
+    NPS: 90,
+    MANUAL: 80,
+  },
+};
+
+/**
+ * Normalize a source type for the field priority matrix
+ * e.g. "Public Federal" -> "PUBLIC_FEDERAL", "Recreation.gov" -> "RECREATION_GOV"
+ */
+export function normalizeSourceType(sourceType) {
+  return (sourceType || '').trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Get a source type's priority for a single field
+ * Returns null if the field has no entry in the matrix (row-level rules apply)
+ */
+export function getFieldSourcePriority(field, sourceType, fieldPriorities = FIELD_SOURCE_PRIORITIES) {
+  const fieldMatrix = fieldPriorities[field];
+  if (!fieldMatrix) return null;
+
+  return fieldMatrix[normalizeSourceType(sourceType)] ?? 0;
+}
+
 /**
  * Calculate quality score for a park (0-100 points)
  */
@@ -0,0 +1,135 @@
+/**
+ * Admin Authentication Utility
+ * Admin API routes require a signed-in Supabase Auth user, sent as
+ * "Authorization: Bearer <access token>", whose role is in admin_users
+ * (docs/ADMIN_AUTH_SETUP.sql). Each role includes the ones before it:
+ *   viewer   - read reports, history, sources and schedules
+ *   editor   - edit parks: data quality fixes, field locks, geocoding, duplicate merges
+ *   importer - uploads, syncs, sync jobs and schedules, saved sources, rollbacks
+ *   admin    - delete parks, restore or purge them from the trash
+ */
+
+import { createClient } from '@supabase/supabase-js'
+import { supabaseServer } from '../supabase-server.js'
+
+export const ADMIN_ROLES = ['viewer', 'editor', 'importer', 'admin']
+
+// Set on requests built server-side (scheduled syncs), which run with the admin role
+const INTERNAL_REQUEST = Symbol('internalAdminRequest')
+
+/**
+ * True if a role includes the permissions of the required role
+ */
+export function hasRole(role, requiredRole) {
+  const level = ADMIN_ROLES.indexOf(role)
+  return level !== -1 && level >= ADMIN_ROLES.indexOf(requiredRole)
+}
+
+/**
+ * Mark a Request created on the server (e.g. by an Inngest function calling a route
+ * handler directly) so requireRole lets it through without a user token
+ * @param {Request} request
+ * @returns {Request} The same request
+ */
+export function markInternalRequest(request) {
+  request[INTERNAL_REQUEST] = true
+  return request
+}
+
+function bearerToken(request) {
+  const header = request.headers.get('authorization') || ''
+  const match = /^Bearer\s+(.+)$/i.exec(header.trim())
+  return match ? match[1] : null
+}
+
+/**
+ * Look up the signed-in user and admin role of a request
+ * @param {Request} request
+ * @returns {Promise<{ user: Object, role: string|null }|null>} null if there is no valid token;
+ *   role is null for users without admin access
+ * @throws {Error} If Supabase isn't configured or the role lookup fails
+ */
+export async function getAdminUser(request) {
+  if (!supabaseServer) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  const token = bearerToken(request)
+  if (!token) return null
+
+  const { data, error } = await supabaseServer.auth.getUser(token)
+  if (error || !data?.user) return null
+
+  // Query as the user so the admin_users row-level security policy (own row only) applies
+  const userClient = createClient(process.env.NEXT_PUBLIC_SUPABASE_URL, process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY, {
+    global: { headers: { Authorization: `Bearer ${token}` } },
+    auth: { persistSession: false, autoRefreshToken: false }
+  })
+  const { data: adminUser, error: roleError } = await userClient
+    .from('admin_users')
+    .select('role')
+    .eq('user_id', data.user.id)
+    .maybeSingle()
+
+  if (roleError) {
+    throw new Error(`Failed to look up admin role: ${roleError.message}`)
+  }
+
+  return {
+    user: data.user,
+    role: ADMIN_ROLES.includes(adminUser?.role) ? adminUser.role : null
+  }
+}
+
+/**
+ * Check that a request comes from an admin user with at least the given role
+ *
+ * @param {Request} request
+ * @param {string} requiredRole - One of ADMIN_ROLES
+ * @param {Object} headers - CORS headers for the error response
+ * @returns {Promise<{ user: Object|null, role: string, response: null }|{ response: Response }>}
+ *   When response is set the check failed (401, 403 or 500) and it should be returned as is;
+ *   user is null for internal requests
+ */
+export async function requireRole(request, requiredRole, headers = {}) {
+  if (request[INTERNAL_REQUEST]) {
+    return { user: null, role: 'admin', response: null }
+  }
+
+  let adminUser
+  try {
+    adminUser = await getAdminUser(request)
+  } catch (error) {
+    console.error('Admin auth error:', error)
+    return {
+      response: Response.json({
+        success: false,
+        error: 'Could not verify admin access',
+        details: error.message
+      }, { status: 500, headers })
+    }
+  }
+
+  if (!adminUser) {
+    return {
+      response: Response.json({
+        success: false,
+        error: 'Sign in to the admin panel to use this endpoint'
+      }, { status: 401, headers })
+    }
+  }
+
+  if (!hasRole(adminUser.role, requiredRole)) {
+    return {
+      response: Response.json({
+        success: false,
+        error: adminUser.role
+          ? `This action needs the ${requiredRole} role (you are ${adminUser.role})`
+          : 'Your account does not have admin access',
+        requiredRole
+      }, { status: 403, headers })
+    }
+  }
+
+  return { user: adminUser.user, role: adminUser.role, response: null }
+}
@@ -0,0 +1,23 @@
+/**
+ * Admin Panel Fetch
+ * fetch() for admin API routes: sends the signed-in user's access token so the
+ * route can check their role (see lib/utils/admin-auth.js)
+ */
+
+import { supabase } from './supabase.js'
+
+/**
+ * @param {string} url
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>}
+ */
+export async function adminFetch(url, options = {}) {
+  const { data } = supabase ? await supabase.auth.getSession() : { data: null }
+  const token = data?.session?.access_token
+
+  const headers = new Headers(options.headers || {})
+  if (token) {
+    headers.set('Authorization', `Bearer ${token}`)
+  }
+  return fetch(url, { ...options, headers })
+}
@@ -1,8 +1,14 @@
 /**
  * API Field Mapper
- * Transforms API responses (NPS, Recreation.gov) to park schema
+ * Transforms API responses (NPS, Recreation.gov, OGC API - Features / WFS) to park schema
  */
 
+import { centroid } from '@turf/turf'
+import { mapPropertiesForSource } from './field-mapper.js'
+import { normalizeStateToCode } from './state-normalizer.js'
+import { simplifyBoundary } from './geometry-simplify.js'
+import { geojsonToWKT } from './geometry-wkt.js'
+
 /**
  * Parses NPS latLong string format "lat:XX.XXXX, long:YY.YYYY" to {latitude, longitude}
  * @param {string} latLong - NPS latLong string
@@ -358,3 +364,78 @@ export function mapNPSParksToSchema(npsParks) {
 export function mapRecreationGovFacilitiesToSchema(facilities) {
   return facilities.map(mapRecreationGovToParkSchema)
 }
+
+// Agency for features that don't name one - same naming as file uploads
+const SOURCE_TYPE_AGENCIES = {
+  'State Agency': (stateCode) => `${stateCode} State Parks`,
+  'County Agency': (stateCode) => `${stateCode} County Parks`,
+  'City Agency': (stateCode) => `${stateCode} City Parks`,
+  'Federal Agency': () => 'Federal Agency'
+}
+
+/**
+ * Maps a GeoJSON feature from an OGC API - Features or WFS source (or any URL sync
+ * of a saved source) to park schema
+ * Properties go through the same field mapper as uploaded GeoJSON
+ * @param {Object} feature - GeoJSON Feature in WGS84 lon/lat
+ * @param {string} sourceType - e.g. "State Agency"
+ * @param {Object|null} source - Saved data_sources row: field_mappings, value_transforms, agency and default_state
+ * @returns {Object|null} Park object, or null for unnamed or non-public (ParkServe) features
+ */
+export function mapGeoJSONFeatureToParkSchema(feature, sourceType, source = null) {
+  const props = feature?.properties || {}
+  const park = mapPropertiesForSource(props, {
+    fieldMappings: source?.field_mappings,
+    valueTransforms: source?.value_transforms
+  })
+  if (!park.name || park.name === 'Unnamed Park') {
+    return null
+  }
+
+  // ParkServe data: only Open Access parks, as in uploads
+  if (park._parkAccess !== undefined && park._parkAccess !== null) {
+    const parkAccess = String(park._parkAccess).trim()
+    if (parkAccess !== '3' && parkAccess !== '3.0') {
+      return null
+    }
+  }
+  delete park._parkAccess
+
+  park.state = park.state && park.state !== 'N/A' ? normalizeStateToCode(park.state) : source?.default_state || 'N/A'
+  if (!park.agency && source?.agency) {
+    park.agency = source.agency
+  }
+  if (!park.agency) {
+    const stateCode = park.state !== 'N/A' ? park.state : ''
+    const deriveAgency = SOURCE_TYPE_AGENCIES[sourceType]
+    park.agency = deriveAgency && stateCode ? deriveAgency(stateCode) : sourceType
+  }
+
+  let latitude = null
+  let longitude = null
+  let geometry = feature.geometry || null
+  if (geometry?.type === 'Point' && Array.isArray(geometry.coordinates)) {
+    longitude = geometry.coordinates[0]
+    latitude = geometry.coordinates[1]
+  } else if (geometry?.type === 'Polygon' || geometry?.type === 'MultiPolygon') {
+    try {
+      [longitude, latitude] = centroid(geometry).geometry.coordinates
+    } catch {
+      // Leave without coordinates
+    }
+    // Same ~500 ft simplification as uploaded boundaries
+    geometry = simplifyBoundary(geometry, 152)
+  } else {
+    geometry = null
+  }
+
+  return {
+    ...park,
+    // Mapped coordinate columns cover features without a geometry
+    latitude: latitude ?? park.latitude ?? null,
+    longitude: longitude ?? park.longitude ?? null,
+    geometry: geometry ? geojsonToWKT(geometry, 4326) : null,
+    source_id: park.source_id || (feature.id != null ? String(feature.id) : null),
+    data_source: sourceType
+  }
+}
@@ -0,0 +1,203 @@
+/**
+ * ArcGIS REST API Utility
+ * Pages through FeatureServer / MapServer layer queries past the server's
+ * maxRecordCount, and filters by the layer's edit-date field for incremental syncs
+ */
+
+// Never ask for more than this per request, even if the server allows it
+const MAX_PAGE_SIZE = 2000
+
+// Object IDs per request when the layer can't page by offset (keeps the URL short)
+const OBJECT_ID_CHUNK_SIZE = 200
+
+// Safety stop for servers that keep reporting exceededTransferLimit
+const MAX_PAGES = 1000
+
+/**
+ * Detect an ArcGIS FeatureServer / MapServer layer URL
+ * Accepts the service URL (layer 0 is assumed), the layer URL or its /query endpoint;
+ * a where= filter on a /query URL is kept, other query parameters are rebuilt
+ * @param {string} url
+ * @returns {{ layerUrl: string, queryUrl: string, where: string }|null} null if the URL isn't an ArcGIS layer
+ */
+export function parseArcGISLayerUrl(url) {
+  if (!url) return null
+  const [rawPath, rawQuery = ''] = String(url).split('?')
+  const path = rawPath.replace(/\/+$/, '')
+  const match = path.match(/^(.*\/(?:FeatureServer|MapServer))(?:\/(\d+))?(?:\/query)?$/i)
+  if (!match) return null
+
+  const layerUrl = `${match[1]}/${match[2] || '0'}`
+  const where = new URLSearchParams(rawQuery).get('where')?.trim() || '1=1'
+  return { layerUrl, queryUrl: `${layerUrl}/query`, where }
+}
+
+/**
+ * GET an ArcGIS REST endpoint as JSON
+ * ArcGIS reports most errors as HTTP 200 with an { error } body
+ */
+async function fetchArcGISJson(url) {
+  const response = await fetch(url, { headers: { 'Accept': 'application/json' } })
+  if (!response.ok) {
+    throw new Error(`ArcGIS API returned ${response.status}: ${response.statusText}`)
+  }
+
+  const text = await response.text()
+  if (text.trim().startsWith('<')) {
+    throw new Error(`ArcGIS API returned HTML instead of JSON for ${url.split('?')[0]}`)
+  }
+
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('ArcGIS API returned invalid JSON')
+  }
+
+  if (data.error) {
+    const details = Array.isArray(data.error.details) && data.error.details.length > 0
+      ? ` (${data.error.details.join('; ')})`
+      : ''
+    throw new Error(`ArcGIS API error ${data.error.code || ''}: ${data.error.message || 'Unknown error'}${details}`.replace(' :', ':'))
+  }
+
+  return data
+}
+
+/**
+ * Fetch a layer's metadata
+ * @param {string} layerUrl - From parseArcGISLayerUrl
+ * @returns {Promise<{ name: string|null, maxRecordCount: number, supportsPagination: boolean, objectIdField: string|null, editDateField: string|null }>}
+ */
+export async function fetchArcGISLayerInfo(layerUrl) {
+  const info = await fetchArcGISJson(`${layerUrl}?f=json`)
+
+  const objectIdField = info.objectIdField ||
+    (info.fields || []).find(field => field.type === 'esriFieldTypeOID')?.name ||
+    null
+
+  return {
+    name: info.name || null,
+    maxRecordCount: parseInt(info.maxRecordCount) || 1000,
+    supportsPagination: info.advancedQueryCapabilities?.supportsPagination === true,
+    objectIdField,
+    editDateField: info.editFieldsInfo?.editDateField || null
+  }
+}
+
+/**
+ * SQL where clause for features edited after `since` (ArcGIS standardized query syntax, UTC)
+ */
+export function buildEditedSinceWhere(editDateField, since) {
+  const timestamp = new Date(since).toISOString().replace('T', ' ').replace(/\.\d+Z$/, '')
+  return `${editDateField} > TIMESTAMP '${timestamp}'`
+}
+
+function buildQueryUrl(queryUrl, params) {
+  const search = new URLSearchParams({
+    outFields: '*',
+    outSR: '4326',
+    returnGeometry: 'true',
+    f: 'geojson',
+    ...params
+  })
+  return `${queryUrl}?${search.toString()}`
+}
+
+// GeoJSON output puts exceededTransferLimit at the top level or under properties depending on server version
+function exceededTransferLimit(data) {
+  return data.exceededTransferLimit === true || data.properties?.exceededTransferLimit === true
+}
+
+/**
+ * Fetch every feature of a layer (matching the URL's where= filter, if any)
+ * Pages with resultOffset/resultRecordCount when the layer supports it, continuing
+ * while the server reports exceededTransferLimit; otherwise fetches the matching
+ * object IDs and requests them in chunks
+ *
+ * @param {string} url - Any ArcGIS layer URL accepted by parseArcGISLayerUrl
+ * @param {Object} options
+ * @param {Date|string|null} options.since - Only features edited after this time (needs an edit-date field)
+ * @param {number} options.pageSize - Features per request (default: the layer's maxRecordCount)
+ * @param {Function} options.onProgress - Progress callback ({ fetched, page })
+ * @returns {Promise<{ features: Array, layer: Object, pages: number, incremental: boolean, incrementalSkippedReason: string|null }>}
+ */
+export async function fetchArcGISFeatures(url, options = {}) {
+  const { since = null, pageSize = null, onProgress } = options
+  const parsed = parseArcGISLayerUrl(url)
+  if (!parsed) {
+    throw new Error(`Not an ArcGIS FeatureServer or MapServer layer URL: ${url}`)
+  }
+
+  const layer = await fetchArcGISLayerInfo(parsed.layerUrl)
+  const limit = Math.max(1, Math.min(pageSize || layer.maxRecordCount, layer.maxRecordCount, MAX_PAGE_SIZE))
+
+  let where = parsed.where
+  let incremental = false
+  let incrementalSkippedReason = null
+  if (since) {
+    if (layer.editDateField) {
+      const editedSince = buildEditedSinceWhere(layer.editDateField, since)
+      where = where === '1=1' ? editedSince : `(${where}) AND ${editedSince}`
+      incremental = true
+    } else {
+      incrementalSkippedReason = 'Layer has no edit-date field (editor tracking is off) - fetched all features'
+    }
+  }
+
+  const features = []
+  let pages = 0
+
+  if (layer.supportsPagination) {
+    let offset = 0
+    while (pages < MAX_PAGES) {
+      const params = {
+        where,
+        resultOffset: String(offset),
+        resultRecordCount: String(limit)
+      }
+      // A stable order keeps features from shifting between pages
+      if (layer.objectIdField) params.orderByFields = layer.objectIdField
+      const data = await fetchArcGISJson(buildQueryUrl(parsed.queryUrl, params))
+      const pageFeatures = data.features || []
+      features.push(...pageFeatures)
+      pages++
+      offset += pageFeatures.length
+
+      if (onProgress) onProgress({ fetched: features.length, page: pages })
+
+      // Older servers omit the flag - a full page then means there may be more
+      const hasMore = exceededTransferLimit(data) ||
+        (data.exceededTransferLimit === undefined && data.properties?.exceededTransferLimit === undefined && pageFeatures.length === limit)
+      if (!hasMore || pageFeatures.length === 0) break
+    }
+  } else {
+    if (!layer.objectIdField) {
+      throw new Error('ArcGIS layer supports neither pagination nor object ID queries')
+    }
+
+    const idData = await fetchArcGISJson(buildQueryUrl(parsed.queryUrl, {
+      where,
+      returnIdsOnly: 'true',
+      f: 'json'
+    }))
+    const objectIds = (idData.objectIds || []).sort((a, b) => a - b)
+    const chunkSize = Math.min(limit, OBJECT_ID_CHUNK_SIZE)
+
+    for (let i = 0; i < objectIds.length; i += chunkSize) {
+      const data = await fetchArcGISJson(buildQueryUrl(parsed.queryUrl, {
+        objectIds: objectIds.slice(i, i + chunkSize).join(',')
+      }))
+      features.push(...(data.features || []))
+      pages++
+
+      if (onProgress) onProgress({ fetched: features.length, page: pages })
+    }
+  }
+
+  if (pages >= MAX_PAGES) {
+    console.warn(`⚠️ Stopped after ${MAX_PAGES} ArcGIS pages (${features.length} features) - server kept reporting more`)
+  }
+
+  return { features, layer, pages, incremental, incrementalSkippedReason }
+}
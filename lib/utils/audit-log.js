@@ -0,0 +1,122 @@
+/**
+ * Admin Audit Log
+ * Append-only record of destructive and bulk admin actions: who, when, what action,
+ * the criteria it ran with, the affected park ids and before/after snapshots
+ * Table is created by docs/AUDIT_LOG_SETUP.sql
+ */
+
+import { supabaseServer, isSupabaseInitialized } from '../supabase-server.js'
+
+// Actor recorded for requests the server makes itself (scheduled syncs)
+const SYSTEM_ACTOR = 'system'
+
+/**
+ * Record an admin action
+ * Never throws - a missing audit table logs a warning and the action goes ahead unrecorded
+ *
+ * @param {Object} auth - Result of requireRole for the request ({ user, role })
+ * @param {Object} event
+ * @param {string} event.action - e.g. 'parks.delete', 'parks.update', 'import.sync'
+ * @param {Object|null} event.criteria - Filters / request parameters the action ran with
+ * @param {Array<string|number>} event.affectedIds - Park ids the action touched
+ * @param {Object|null} event.before - Park id -> values before the action
+ * @param {Object|null} event.after - Park id -> values after the action
+ * @param {Object|null} event.details - Results, errors and related ids
+ * @returns {Promise<Object|null>} The created admin_audit_log row or null
+ */
+export async function recordAuditEvent(auth, {
+  action,
+  criteria = null,
+  affectedIds = [],
+  before = null,
+  after = null,
+  details = null
+}) {
+  if (!isSupabaseInitialized()) return null
+
+  const ids = affectedIds.map(String)
+
+  try {
+    const { data, error } = await supabaseServer
+      .from('admin_audit_log')
+      .insert({
+        actor_id: auth?.user?.id || null,
+        actor_email: auth?.user ? auth.user.email || null : SYSTEM_ACTOR,
+        actor_role: auth?.role || null,
+        action,
+        criteria,
+        affected_ids: ids,
+        affected_count: ids.length,
+        before,
+        after,
+        details
+      })
+      .select('id')
+      .single()
+
+    if (error) {
+      console.warn(`Warning: Could not record audit event ${action}:`, error.message)
+      return null
+    }
+
+    return data
+  } catch (error) {
+    console.warn(`Warning: Exception recording audit event ${action}:`, error.message)
+    return null
+  }
+}
+
+/**
+ * Search the audit log, newest first
+ *
+ * @param {Object} filters
+ * @param {string|null} filters.action - Exact action, or a prefix ending in '.' (e.g. 'import.')
+ * @param {string|null} filters.actorEmail - Case-insensitive substring of the actor's email
+ * @param {string|null} filters.parkId - Only entries that affected this park
+ * @param {string|null} filters.since - ISO date/time (inclusive)
+ * @param {string|null} filters.until - ISO date/time (exclusive)
+ * @param {number} filters.limit - Max entries to return (default: 100)
+ * @returns {Promise<Array>} admin_audit_log rows
+ */
+export async function listAuditEvents({
+  action = null,
+  actorEmail = null,
+  parkId = null,
+  since = null,
+  until = null,
+  limit = 100
+} = {}) {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  let query = supabaseServer
+    .from('admin_audit_log')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(limit)
+
+  if (action) {
+    query = action.endsWith('.') ? query.like('action', `${action}%`) : query.eq('action', action)
+  }
+  if (actorEmail) {
+    query = query.ilike('actor_email', `%${actorEmail}%`)
+  }
+  if (parkId) {
+    query = query.contains('affected_ids', [String(parkId)])
+  }
+  if (since) {
+    query = query.gte('created_at', since)
+  }
+  if (until) {
+    query = query.lt('created_at', until)
+  }
+
+  const { data, error } = await query
+
+  if (error) {
+    throw new Error(`Failed to fetch audit log: ${error.message}`)
+  }
+
+  return data || []
+}
@@ -0,0 +1,260 @@
+/**
+ * Coordinate Reference System Reprojection
+ * Converts GeoJSON geometries to WGS84 longitude/latitude (EPSG:4326 / CRS84)
+ * Handles the CRS identifier styles OGC services use (EPSG:xxxx, URNs, http URIs),
+ * EPSG axis order (lat/lon) and Web Mercator, plus shapefile .prj (WKT) definitions
+ * in UTM, State Plane and Albers (see parsePrj)
+ */
+
+import { transverseMercatorInverse, lambertConformalConicInverse, albersInverse } from './map-projections.js'
+
+// Web Mercator and its older aliases
+const WEB_MERCATOR_CODES = new Set(['3857', '900913', '102100', '102113', '3785'])
+
+const EARTH_RADIUS_M = 6378137
+
+// .prj PROJECTION names -> inverse projection (ESRI and OGC WKT spellings)
+const PRJ_PROJECTIONS = {
+  transverse_mercator: transverseMercatorInverse,
+  gauss_kruger: transverseMercatorInverse,
+  lambert_conformal_conic: lambertConformalConicInverse,
+  lambert_conformal_conic_1sp: lambertConformalConicInverse,
+  lambert_conformal_conic_2sp: lambertConformalConicInverse,
+  albers: albersInverse,
+  albers_conic_equal_area: albersInverse
+}
+
+const PRJ_WEB_MERCATOR_PROJECTIONS = new Set(['mercator_auxiliary_sphere', 'popular_visualisation_pseudo_mercator'])
+
+// Datums treated as WGS84: NAD83 (all realizations) differs from WGS84 by 1-2 m, well within park-boundary precision
+// Older datums (NAD27 etc.) need a grid shift of up to ~100 m and are rejected
+const PRJ_WGS84_DATUMS = [/wgs\W*_?1984|wgs\W*_?84/, /north_american_1983|north_american_datum_1983|nad\W*_?83/]
+
+/**
+ * Normalize a CRS identifier
+ * @param {string|Object} value - 'EPSG:4326', 'urn:ogc:def:crs:EPSG::3857',
+ *   'http://www.opengis.net/def/crs/OGC/1.3/CRS84', '<http://...>' (Content-Crs header)
+ *   or a GeoJSON crs member ({ type: 'name', properties: { name } })
+ * @returns {{ code: string, latLonOrder: boolean }|null} code is 'CRS84' or an EPSG number;
+ *   latLonOrder is true when coordinates come as lat,lon (EPSG:4326 given as a URN/URI)
+ */
+export function parseCrs(value) {
+  if (!value) return null
+  const text = String(typeof value === 'object' ? value.properties?.name || '' : value)
+    .trim()
+    .replace(/^<|>$/g, '')
+  if (!text) return null
+
+  if (/CRS:?84$/i.test(text)) {
+    return { code: 'CRS84', latLonOrder: false }
+  }
+
+  const match = text.match(/EPSG(?:\/0\/|:+|\.xml#|\/)(\d+)$/i) || text.match(/^(\d+)$/)
+  if (!match) return null
+
+  const code = match[1]
+  // Plain "EPSG:4326" is used as lon/lat by convention; URN and URI forms follow the EPSG axis order
+  const isAuthorityForm = /^urn:|^https?:/i.test(text)
+  return { code, latLonOrder: code === '4326' && isAuthorityForm }
+}
+
+// Already-parsed CRS objects (parseCrs / parsePrj results) pass through
+function resolveCrs(crs) {
+  if (crs && typeof crs === 'object' && (crs.code || crs.toLonLat)) return crs
+  return parseCrs(crs)
+}
+
+/**
+ * True if the CRS can be converted by reprojectGeometry
+ */
+export function isSupportedCrs(crs) {
+  const parsed = resolveCrs(crs)
+  if (!parsed) return false
+  if (parsed.toLonLat) return true
+  return parsed.code === 'CRS84' || parsed.code === '4326' || WEB_MERCATOR_CODES.has(parsed.code)
+}
+
+/**
+ * Parse WKT into nested { keyword, values } nodes, e.g.
+ * 'UNIT["Meter",1.0]' -> { keyword: 'UNIT', values: ['Meter', 1] }
+ */
+function parseWkt(text) {
+  let pos = 0
+  const skipSpace = () => {
+    while (pos < text.length && /[\s,]/.test(text[pos])) pos++
+  }
+
+  const parseValue = () => {
+    skipSpace()
+    if (text[pos] === '"') {
+      const end = text.indexOf('"', pos + 1)
+      if (end === -1) throw new Error('unterminated string')
+      const value = text.slice(pos + 1, end)
+      pos = end + 1
+      return value
+    }
+    const match = /^[A-Za-z_][A-Za-z0-9_]*|^[-+]?[0-9.]+(?:[eE][-+]?\d+)?/.exec(text.slice(pos))
+    if (!match) throw new Error(`unexpected "${text[pos]}" at ${pos}`)
+    pos += match[0].length
+    if (/^[-+0-9.]/.test(match[0])) return parseFloat(match[0])
+
+    skipSpace()
+    if (text[pos] !== '[' && text[pos] !== '(') return match[0]
+    pos++
+    const node = { keyword: match[0].toUpperCase(), values: [] }
+    skipSpace()
+    while (pos < text.length && text[pos] !== ']' && text[pos] !== ')') {
+      node.values.push(parseValue())
+      skipSpace()
+    }
+    if (pos >= text.length) throw new Error('missing closing bracket')
+    pos++
+    return node
+  }
+
+  return parseValue()
+}
+
+const childNode = (node, keyword) => node.values.find(value => value?.keyword === keyword)
+const childNodes = (node, keyword) => node.values.filter(value => value?.keyword === keyword)
+const normalizeWktName = (name) => String(name || '').toLowerCase().replace(/^d_/, '').replace(/[\s-]+/g, '_')
+
+/**
+ * Identify a shapefile's CRS from its .prj file (WKT1, ESRI or OGC flavor)
+ * Supports geographic WGS84/NAD83 and projected Transverse Mercator (UTM, State Plane),
+ * Lambert Conformal Conic (State Plane), Albers and Web Mercator, in any linear unit
+ *
+ * @param {string} wkt - .prj file contents
+ * @returns {{ code: string|null, latLonOrder: boolean, name: string, toLonLat?: Function }}
+ *   A CRS reprojectGeometry accepts
+ * @throws {Error} If the definition cannot be read or the projection/datum is not supported
+ */
+export function parsePrj(wkt) {
+  const text = String(wkt || '').trim()
+  if (!text) throw new Error('.prj file is empty')
+
+  let root
+  try {
+    root = parseWkt(text)
+  } catch (error) {
+    throw new Error(`Could not read .prj file: ${error.message}`)
+  }
+  if (!root?.keyword || !['PROJCS', 'GEOGCS'].includes(root.keyword)) {
+    throw new Error(`Unsupported .prj definition ${root?.keyword || text.slice(0, 20)} - expected a WKT1 PROJCS or GEOGCS (export the shapefile from GIS software as WGS84 if unsure)`)
+  }
+
+  const name = root.values[0]
+  const geogcs = root.keyword === 'GEOGCS' ? root : childNode(root, 'GEOGCS')
+  const datum = geogcs && childNode(geogcs, 'DATUM')
+  const spheroid = datum && childNode(datum, 'SPHEROID')
+  const datumName = normalizeWktName(datum?.values[0])
+  if (!datum || !spheroid) {
+    throw new Error(`.prj "${name}" has no datum`)
+  }
+  if (!PRJ_WGS84_DATUMS.some(pattern => pattern.test(datumName))) {
+    throw new Error(`Datum "${datum.values[0]}" in .prj "${name}" is not supported - reproject the shapefile to WGS84 or NAD83 first`)
+  }
+  const primeMeridian = childNode(geogcs, 'PRIMEM')?.values[1] || 0
+
+  if (root.keyword === 'GEOGCS') {
+    if (!primeMeridian) return { code: 'CRS84', latLonOrder: false, name }
+    return { code: null, latLonOrder: false, name, toLonLat: ([lon, lat, ...rest]) => [lon + primeMeridian, lat, ...rest] }
+  }
+
+  const projection = normalizeWktName(childNode(root, 'PROJECTION')?.values[0])
+  const params = {}
+  for (const param of childNodes(root, 'PARAMETER')) {
+    params[normalizeWktName(param.values[0])] = param.values[1]
+  }
+  // Linear unit of coordinates and false easting/northing (e.g. US survey feet = 0.3048006096)
+  const unit = childNodes(root, 'UNIT').pop()?.values[1] || 1
+  const falseEasting = (params.false_easting || 0) * unit
+  const falseNorthing = (params.false_northing || 0) * unit
+
+  if (PRJ_WEB_MERCATOR_PROJECTIONS.has(projection)) {
+    return {
+      code: null,
+      latLonOrder: false,
+      name,
+      toLonLat: ([x, y, ...rest]) => webMercatorToLonLat([x * unit - falseEasting, y * unit - falseNorthing, ...rest])
+    }
+  }
+
+  const inverse = PRJ_PROJECTIONS[projection]
+  if (!inverse) {
+    throw new Error(`Projection "${childNode(root, 'PROJECTION')?.values[0] || 'none'}" in .prj "${name}" is not supported`)
+  }
+
+  const oneStandardParallel = projection === 'lambert_conformal_conic_1sp'
+  const toMeters = inverse({
+    a: spheroid.values[1],
+    inverseFlattening: spheroid.values[2],
+    latitudeOfOrigin: params.latitude_of_origin ?? params.latitude_of_center ?? 0,
+    centralMeridian: (params.central_meridian ?? params.longitude_of_center ?? 0) + primeMeridian,
+    scaleFactor: params.scale_factor ?? 1,
+    standardParallel1: oneStandardParallel ? params.latitude_of_origin : params.standard_parallel_1,
+    standardParallel2: oneStandardParallel ? undefined : params.standard_parallel_2,
+    falseEasting,
+    falseNorthing
+  })
+
+  return {
+    code: null,
+    latLonOrder: false,
+    name,
+    toLonLat: ([x, y, ...rest]) => toMeters([x * unit, y * unit, ...rest])
+  }
+}
+
+function webMercatorToLonLat([x, y, ...rest]) {
+  const lon = (x / EARTH_RADIUS_M) * 180 / Math.PI
+  const lat = (2 * Math.atan(Math.exp(y / EARTH_RADIUS_M)) - Math.PI / 2) * 180 / Math.PI
+  return [lon, lat, ...rest]
+}
+
+function mapCoordinates(coordinates, fn) {
+  if (!Array.isArray(coordinates)) return coordinates
+  if (typeof coordinates[0] === 'number') return fn(coordinates)
+  return coordinates.map(child => mapCoordinates(child, fn))
+}
+
+/**
+ * Reproject a GeoJSON geometry to lon/lat WGS84
+ * Geometries already in CRS84 / lon-lat EPSG:4326 are returned unchanged
+ *
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {string|Object|null} crs - Source CRS (see parseCrs / parsePrj); null means CRS84
+ * @returns {Object} Reprojected geometry
+ * @throws {Error} If the CRS is not supported
+ */
+export function reprojectGeometry(geometry, crs) {
+  if (!geometry || !crs) return geometry
+  const parsed = resolveCrs(crs)
+  if (!parsed) {
+    throw new Error(`Unrecognized coordinate reference system: ${typeof crs === 'object' ? JSON.stringify(crs) : crs}`)
+  }
+
+  let transform = null
+  if (parsed.toLonLat) {
+    transform = parsed.toLonLat
+  } else if (parsed.code === 'CRS84' || parsed.code === '4326') {
+    if (!parsed.latLonOrder) return geometry
+    transform = ([lat, lon, ...rest]) => [lon, lat, ...rest]
+  } else if (WEB_MERCATOR_CODES.has(parsed.code)) {
+    transform = webMercatorToLonLat
+  } else {
+    throw new Error(`Cannot reproject from EPSG:${parsed.code} - request EPSG:4326 output from the server`)
+  }
+
+  if (geometry.type === 'GeometryCollection') {
+    return {
+      ...geometry,
+      geometries: (geometry.geometries || []).map(child => reprojectGeometry(child, parsed))
+    }
+  }
+
+  return {
+    ...geometry,
+    coordinates: mapCoordinates(geometry.coordinates, transform)
+  }
+}
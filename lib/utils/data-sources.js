@@ -0,0 +1,320 @@
+/**
+ * Saved Data Sources
+ * Named agency sources (a sync URL and/or an upload file name pattern) with the
+ * agency, default state, priority, property-to-column mappings and value transforms
+ * to use for them, so /api/sync and /api/upload can reference a source by id
+ * Tables are created by docs/DATA_SOURCES_SETUP.sql
+ */
+
+import { supabaseServer, isSupabaseInitialized } from '../supabase-server.js'
+import { MAPPABLE_PARK_FIELDS, VALUE_TRANSFORM_TYPES } from './field-mapper.js'
+import { normalizeStateToCode } from './state-normalizer.js'
+
+// Source types a saved source can have (URL syncs and file uploads)
+export const DATA_SOURCE_TYPES = [
+  'State Agency',
+  'Federal Agency',
+  'County Agency',
+  'City Agency',
+  'Public State',
+  'Public Federal'
+]
+
+// Fields an admin can set on a source
+const EDITABLE_FIELDS = ['name', 'source_type', 'url', 'file_pattern', 'agency', 'default_state', 'priority', 'field_mappings', 'value_transforms', 'notes']
+
+const trimmedOrNull = (value) => typeof value === 'string' && value.trim() ? value.trim() : null
+
+/**
+ * Validate and clean source fields from an admin request
+ * For updates, pass the existing row merged with the changes
+ * @param {Object} fields - Raw fields
+ * @returns {{ values: Object, errors: string[] }}
+ */
+export function validateDataSourceFields(fields = {}) {
+  const values = {}
+  const errors = []
+
+  for (const field of EDITABLE_FIELDS) {
+    if (fields[field] !== undefined) values[field] = fields[field]
+  }
+
+  values.name = trimmedOrNull(values.name) || ''
+  if (!values.name) errors.push('name is required')
+
+  if (!DATA_SOURCE_TYPES.includes(values.source_type)) {
+    errors.push(`source_type must be one of: ${DATA_SOURCE_TYPES.join(', ')}`)
+  }
+
+  values.url = trimmedOrNull(values.url)
+  values.file_pattern = trimmedOrNull(values.file_pattern)
+  if (!values.url && !values.file_pattern) {
+    errors.push('url or file_pattern is required')
+  }
+  if (values.url && !/^https?:\/\//i.test(values.url)) {
+    errors.push('url must start with http:// or https://')
+  }
+
+  values.agency = trimmedOrNull(values.agency)
+  values.notes = trimmedOrNull(values.notes)
+
+  values.default_state = trimmedOrNull(values.default_state)
+  if (values.default_state) {
+    const stateCode = normalizeStateToCode(values.default_state)
+    if (!stateCode || stateCode.length !== 2) {
+      errors.push(`default_state "${values.default_state}" is not a recognized state`)
+    } else {
+      values.default_state = stateCode
+    }
+  }
+
+  // Blank priority uses the source type's default (see getSourcePriority)
+  if (values.priority === '' || values.priority === null || values.priority === undefined) {
+    values.priority = null
+  } else {
+    const priority = parseInt(values.priority)
+    if (!Number.isFinite(priority) || priority < 0 || priority > 100) {
+      errors.push('priority must be between 0 and 100')
+    } else {
+      values.priority = priority
+    }
+  }
+
+  const mappings = validateFieldMappings(values.field_mappings)
+  values.field_mappings = mappings.value
+  errors.push(...mappings.errors)
+
+  const transforms = validateValueTransforms(values.value_transforms)
+  values.value_transforms = transforms.value
+  errors.push(...transforms.errors)
+
+  return { values, errors }
+}
+
+/**
+ * Validate column -> property name(s) mappings (see applyFieldMappings)
+ * Used for saved sources and for per-upload overrides from the mapping preview
+ * @param {Object|null} mappings
+ * @returns {{ value: Object, errors: string[] }} Cleaned mappings (single names unwrapped from lists)
+ */
+export function validateFieldMappings(mappings) {
+  const errors = []
+  const value = {}
+  if (!mappings) return { value, errors }
+  if (typeof mappings !== 'object' || Array.isArray(mappings)) {
+    return { value, errors: ['field_mappings must be an object of column -> property name(s)'] }
+  }
+
+  for (const [field, keys] of Object.entries(mappings)) {
+    if (!MAPPABLE_PARK_FIELDS.includes(field)) {
+      errors.push(`field_mappings: unknown column "${field}"`)
+      continue
+    }
+    if (keys === null) {
+      if (field === 'name') {
+        errors.push('field_mappings: name cannot be left empty')
+      } else {
+        value[field] = null
+      }
+      continue
+    }
+    const list = (Array.isArray(keys) ? keys : [keys])
+      .map(key => typeof key === 'string' ? key.trim() : '')
+      .filter(Boolean)
+    if (list.length === 0) {
+      errors.push(`field_mappings: "${field}" needs a property name (or null to leave it empty)`)
+    } else {
+      value[field] = list.length === 1 ? list[0] : list
+    }
+  }
+
+  return { value, errors }
+}
+
+/**
+ * Validate per-column value transforms (see applyValueTransforms)
+ * @param {Object|null} transforms - Column -> { type, values?, default? }
+ * @returns {{ value: Object, errors: string[] }}
+ */
+export function validateValueTransforms(transforms) {
+  const errors = []
+  const value = {}
+  if (!transforms) return { value, errors }
+  if (typeof transforms !== 'object' || Array.isArray(transforms)) {
+    return { value, errors: ['value_transforms must be an object of column -> transform'] }
+  }
+
+  for (const [field, transform] of Object.entries(transforms)) {
+    if (!MAPPABLE_PARK_FIELDS.includes(field)) {
+      errors.push(`value_transforms: unknown column "${field}"`)
+      continue
+    }
+    if (!transform || !VALUE_TRANSFORM_TYPES.includes(transform.type)) {
+      errors.push(`value_transforms: "${field}" type must be one of: ${VALUE_TRANSFORM_TYPES.join(', ')}`)
+      continue
+    }
+    if (transform.type !== 'lookup') {
+      value[field] = { type: transform.type }
+      continue
+    }
+
+    const values = transform.values
+    if (!values || typeof values !== 'object' || Array.isArray(values) || Object.keys(values).length === 0) {
+      errors.push(`value_transforms: "${field}" lookup needs at least one code -> value`)
+      continue
+    }
+    value[field] = { type: 'lookup', values }
+    if (transform.default !== undefined && transform.default !== '') {
+      value[field].default = transform.default
+    }
+  }
+
+  return { value, errors }
+}
+
+/**
+ * True if a file name matches a source's file pattern
+ * Patterns are case-insensitive globs: * matches any run of characters, ? a single one
+ * e.g. "wake_county_parks*.zip"
+ */
+export function matchesFilePattern(fileName, pattern) {
+  if (!fileName || !pattern) return false
+  const regex = pattern
+    .split('*')
+    .map(part => part.split('?').map(text => text.replace(/[.+^${}()|[\]\\]/g, '\\$&')).join('.'))
+    .join('.*')
+  return new RegExp(`^${regex}$`, 'i').test(fileName)
+}
+
+/**
+ * List all sources, by name
+ */
+export async function listDataSources() {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  const { data, error } = await supabaseServer
+    .from('data_sources')
+    .select('*')
+    .order('name', { ascending: true })
+
+  if (error) {
+    throw new Error(`Failed to fetch data sources: ${error.message}`)
+  }
+
+  return data || []
+}
+
+/**
+ * Get a single source
+ * @returns {Promise<Object|null>} data_sources row or null if not found
+ */
+export async function getDataSource(sourceId) {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  const { data, error } = await supabaseServer
+    .from('data_sources')
+    .select('*')
+    .eq('id', sourceId)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Failed to fetch data source: ${error.message}`)
+  }
+
+  return data
+}
+
+/**
+ * Find the source whose file pattern matches an uploaded file name
+ * Used when an upload doesn't name a source; ambiguous matches are ignored
+ * @returns {Promise<Object|null>} The only matching source, or null
+ */
+export async function findDataSourceForFile(fileName) {
+  if (!fileName || !isSupabaseInitialized()) return null
+
+  const { data, error } = await supabaseServer
+    .from('data_sources')
+    .select('*')
+    .not('file_pattern', 'is', null)
+
+  if (error) {
+    console.warn('Warning: Could not match upload to a data source:', error.message)
+    return null
+  }
+
+  const matches = (data || []).filter(source => matchesFilePattern(fileName, source.file_pattern))
+  if (matches.length > 1) {
+    console.warn(`Warning: ${fileName} matches ${matches.length} data sources (${matches.map(s => s.name).join(', ')}) - none applied`)
+  }
+  return matches.length === 1 ? matches[0] : null
+}
+
+/**
+ * Create a source from validated fields (see validateDataSourceFields)
+ */
+export async function createDataSource(values) {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  const { data, error } = await supabaseServer
+    .from('data_sources')
+    .insert(values)
+    .select()
+    .single()
+
+  if (error) {
+    throw new Error(`Failed to create data source: ${error.message}`)
+  }
+
+  return data
+}
+
+/**
+ * Update a source with validated fields
+ * @returns {Promise<Object|null>} Updated row or null if not found
+ */
+export async function updateDataSource(sourceId, values) {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  const { data, error } = await supabaseServer
+    .from('data_sources')
+    .update({ ...values, updated_at: new Date().toISOString() })
+    .eq('id', sourceId)
+    .select()
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Failed to update data source: ${error.message}`)
+  }
+
+  return data
+}
+
+/**
+ * Delete a source (parks imported from it are kept)
+ * @returns {Promise<boolean>} false if the source did not exist
+ */
+export async function deleteDataSource(sourceId) {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  const { data, error } = await supabaseServer
+    .from('data_sources')
+    .delete()
+    .eq('id', sourceId)
+    .select('id')
+
+  if (error) {
+    throw new Error(`Failed to delete data source: ${error.message}`)
+  }
+
+  return (data || []).length > 0
+}
@@ -4,8 +4,17 @@
  */
 
 import { supabaseServer, isSupabaseInitialized } from '../supabase-server.js'
-import { calculateQualityScore, shouldUpdatePark, getSourcePriority } from '../qualityScorer.js'
+import { calculateQualityScore, shouldUpdatePark, getSourcePriority, getFieldSourcePriority, FIELD_SOURCE_PRIORITIES } from '../qualityScorer.js'
+import { loadFieldSourcePriorities } from './field-priorities.js'
 import { normalizeStateToCode } from './state-normalizer.js'
+import { validateParkFields } from './park-schema.js'
+import { createImportPreview } from './import-preview.js'
+import { recordImportSnapshot } from './import-batches.js'
+import { createProvenanceEntry, recordFieldProvenance } from './field-provenance.js'
+import { getLockedFields } from './field-locks.js'
+import { hasParkColumn } from './park-columns.js'
+import { nameSimilarity, nameTokens } from './name-similarity.js'
+import { prepareSpatialPark, evaluateSpatialMatch, searchBounds } from './spatial-match.js'
 
 /**
  * Normalize park name for deduplication matching
@@ -48,10 +57,116 @@ export function normalizeParkName(name) {
   return normalized.trim()
 }
 
+// Names scoring at least this (0..1, see nameSimilarity) are treated as the same park
+export const DEFAULT_NAME_MATCH_THRESHOLD = 0.85
+
+// Max rows pulled by the name pre-filter for one lookup
+const NAME_MATCH_CANDIDATE_LIMIT = 1000
+
+/**
+ * Parse a user-supplied name match threshold (upload form / sync body)
+ * @returns {number|null} - Threshold between 0.5 and 1, or null to use the default
+ */
+export function parseNameMatchThreshold(value) {
+  if (value === undefined || value === null || value === '') return null
+  const threshold = parseFloat(value)
+  if (!Number.isFinite(threshold)) return null
+  return Math.min(1, Math.max(0.5, threshold))
+}
+
+/**
+ * PostgREST ilike patterns that narrow the state's parks down to plausible name matches
+ * Uses 4-letter word prefixes so misspellings later in a word still get through
+ */
+function nameCandidatePatterns(normalizedName) {
+  const patterns = new Set()
+  for (const token of nameTokens(normalizedName)) {
+    if (token.length < 3) continue
+    patterns.add(`name.ilike.%${token.substring(0, 4)}%`)
+  }
+  return [...patterns]
+}
+
+/**
+ * Describe why two park names matched, for sync/upload results
+ */
+function describeNameMatch(similarity) {
+  if (similarity.method === 'exact') return 'Same normalized name'
+  const labels = {
+    'token-set': 'Same words in a different order',
+    'fuzzy-token': 'Same words allowing misspellings',
+    trigram: 'Similar spelling'
+  }
+  return `${labels[similarity.method] || 'Similar name'} (${similarity.score.toFixed(2)})`
+}
+
+const SOURCE_ID_MATCH = { method: 'source_id', score: 1, reason: 'Same source ID' }
+
+// Set once park_source_aliases turns out not to exist, so every lookup doesn't warn again
+let sourceAliasesUnavailable = false
+
 /**
- * Find existing park by normalized name and state
+ * Look up a park by source_id, then by a source_id alias left by a duplicate merge
+ * (the removed row's source_id resolves to the park it was merged into)
  */
-export async function findExistingPark(name, state, sourceId = null) {
+async function findParkBySourceId(sourceId) {
+  try {
+    const { data: parkBySourceId, error: sourceIdError } = await supabaseServer
+      .from('parks')
+      .select('*')
+      .eq('source_id', sourceId)
+      .maybeSingle()
+    
+    if (sourceIdError) {
+      console.warn(`Warning: Error querying by source_id "${sourceId}":`, sourceIdError.message)
+      return null
+    }
+    if (parkBySourceId || sourceAliasesUnavailable) return parkBySourceId || null
+    
+    const { data: alias, error: aliasError } = await supabaseServer
+      .from('park_source_aliases')
+      .select('park_id')
+      .eq('source_id', String(sourceId))
+      .maybeSingle()
+    
+    if (aliasError) {
+      if (aliasError.code === '42P01' || aliasError.code === 'PGRST205') {
+        sourceAliasesUnavailable = true
+      }
+      console.warn(`Warning: Could not check source_id aliases for "${sourceId}":`, aliasError.message)
+      return null
+    }
+    if (!alias) return null
+    
+    const { data: aliasedPark, error: aliasedParkError } = await supabaseServer
+      .from('parks')
+      .select('*')
+      .eq('id', alias.park_id)
+      .maybeSingle()
+    
+    if (aliasedParkError) {
+      console.warn(`Warning: Error loading park ${alias.park_id} for source_id alias "${sourceId}":`, aliasedParkError.message)
+      return null
+    }
+    return aliasedPark || null
+  } catch (error) {
+    console.warn(`Warning: Exception querying by source_id "${sourceId}":`, error.message)
+    return null
+  }
+}
+
+/**
+ * Find the existing park that best matches a name in a state
+ * Tries source_id first, then scores name similarity (token-set / trigram) against
+ * parks in the state that share a word prefix with the name
+ *
+ * @param {Object} options
+ * @param {number} options.threshold - Minimum name similarity to count as a match (default: 0.85)
+ * @returns {Promise<{park: Object, match: {method: string, score: number, reason: string}}|null>}
+ */
+export async function matchExistingPark(name, state, sourceId = null, options = {}) {
+  const { threshold = DEFAULT_NAME_MATCH_THRESHOLD } = options
+
   if (!name) return null
   // Allow state to be 'N/A' - it's a valid placeholder
   if (!state || state === '') return null
@@ -59,166 +174,379 @@ export async function findExistingPark(name, state, sourceId = null) {
     throw new Error('Supabase client not initialized')
   }
   
-  const normalizedName = normalizeParkName(name)
-  
   // First, try to find by source_id if provided (most reliable)
   if (sourceId) {
-    try {
-      const { data: parkBySourceId, error: sourceIdError } = await supabaseServer
-        .from('parks')
-        .select('*')
-        .eq('source_id', sourceId)
-        .maybeSingle()
-      
-      if (sourceIdError) {
-        console.warn(`Warning: Error querying by source_id "${sourceId}":`, sourceIdError.message)
-        // Continue to name-based matching
-      } else if (parkBySourceId) {
-        return parkBySourceId
-      }
-    } catch (error) {
-      console.warn(`Warning: Exception querying by source_id "${sourceId}":`, error.message)
-      // Continue to name-based matching
+    const parkBySourceId = await findParkBySourceId(sourceId)
+    if (parkBySourceId) {
+      return { park: parkBySourceId, match: SOURCE_ID_MATCH }
     }
   }
   
   // Fall back to name matching
-  // Get all parks in the state
-  let parks
+  const normalizedName = normalizeParkName(name)
+  let candidates
   try {
-    const { data, error } = await supabaseServer
+    let query = supabaseServer
       .from('parks')
-      .select('*')
+      .select('id, name')
       .eq('state', state)
     
+    const patterns = nameCandidatePatterns(normalizedName)
+    if (patterns.length > 0) {
+      query = query.or(patterns.join(','))
+    } else {
+      // Nothing distinctive left after normalizing (e.g. "State Park") - require the same name
+      query = query.ilike('name', name.replace(/[%_\\]/g, '\\$&'))
+    }
+    
+    const { data, error } = await query.limit(NAME_MATCH_CANDIDATE_LIMIT)
+    
     if (error) {
       console.error(`Error finding existing park by state "${state}":`, error.message)
       return null
     }
     
-    parks = data
-    if (!parks || parks.length === 0) return null
+    candidates = data
+    if (!candidates || candidates.length === 0) return null
+    if (candidates.length === NAME_MATCH_CANDIDATE_LIMIT) {
+      console.warn(`⚠️ Name pre-filter for "${name}" (${state}) hit ${NAME_MATCH_CANDIDATE_LIMIT} candidates - some parks were not compared`)
+    }
   } catch (error) {
     console.error(`Exception finding existing park by state "${state}":`, error.message)
     return null
   }
   
-  // Find best match by normalized name
-  for (const park of parks) {
-    const parkNormalized = normalizeParkName(park.name)
-    if (parkNormalized === normalizedName) {
-      return park
-    }
+  // Score every candidate and keep the best one over the threshold
+  let best = null
+  for (const candidate of candidates) {
+    const candidateNormalized = normalizeParkName(candidate.name)
+    const similarity = normalizedName || candidateNormalized
+      ? nameSimilarity(normalizedName, candidateNormalized)
+      : { score: 1, method: 'exact' }
     
-    // Also check if names are very similar (fuzzy match)
-    // BUT: Only match if the names are actually similar (not just substring)
-    if (parkNormalized.includes(normalizedName) || normalizedName.includes(parkNormalized)) {
-      // If one is contained in the other and lengths are similar, likely same park
-      const lengthDiff = Math.abs(parkNormalized.length - normalizedName.length)
-      // Make fuzzy matching stricter: require names to be very similar (length diff < 10% of longer name)
-      const longerLength = Math.max(parkNormalized.length, normalizedName.length)
-      const similarityThreshold = Math.max(5, longerLength * 0.1) // At least 5 chars or 10% of longer name
-      
-      if (lengthDiff < similarityThreshold) {
-        // Additional check: ensure the shorter name is at least 80% of the longer name
-        const shorterLength = Math.min(parkNormalized.length, normalizedName.length)
-        if (shorterLength / longerLength >= 0.8) {
-          return park
-        }
-      }
+    if (similarity.score >= threshold && (!best || similarity.score > best.similarity.score)) {
+      best = { candidate, similarity }
+      if (similarity.method === 'exact') break
     }
   }
+  if (!best) return null
   
-  return null
+  const { data: park, error: parkError } = await supabaseServer
+    .from('parks')
+    .select('*')
+    .eq('id', best.candidate.id)
+    .maybeSingle()
+  
+  if (parkError || !park) {
+    console.error(`Error loading matched park ${best.candidate.id}:`, parkError?.message || 'not found')
+    return null
+  }
+  
+  return {
+    park,
+    match: {
+      method: best.similarity.method,
+      score: Number(best.similarity.score.toFixed(3)),
+      reason: describeNameMatch(best.similarity)
+    }
+  }
+}
+
+/**
+ * Find existing park by name and state (see matchExistingPark)
+ */
+export async function findExistingPark(name, state, sourceId = null, options = {}) {
+  const result = await matchExistingPark(name, state, sourceId, options)
+  return result?.park || null
+}
+
+// Max rows pulled by the spatial pre-filter for one lookup
+const SPATIAL_MATCH_CANDIDATE_LIMIT = 200
+
+// Set once find_parks_in_bounds turns out not to exist, so every lookup doesn't warn again
+let boundsLookupUnavailable = false
+
+/**
+ * Candidate parks for spatial matching: find_parks_in_bounds (docs/SPATIAL_MATCH_SETUP.sql)
+ * finds them by boundary extent or coordinates, nearest first; without it, parks whose
+ * coordinates fall in the box
+ * @returns {Promise<Array|null>} Rows with id, name, latitude, longitude, geometry; null on error
+ */
+async function findSpatialMatchCandidates(incoming, bounds) {
+  if (!boundsLookupUnavailable) {
+    const { data, error } = await supabaseServer.rpc('find_parks_in_bounds', {
+      min_lng: bounds.minLng,
+      min_lat: bounds.minLat,
+      max_lng: bounds.maxLng,
+      max_lat: bounds.maxLat,
+      incoming_geojson: JSON.stringify(incoming.polygon || { type: 'Point', coordinates: [incoming.lng, incoming.lat] }),
+      max_results: SPATIAL_MATCH_CANDIDATE_LIMIT
+    })
+
+    if (!error) return data || []
+
+    if (error.code === 'PGRST202' || error.code === '42883') {
+      boundsLookupUnavailable = true
+      console.warn('Warning: find_parks_in_bounds does not exist - run docs/SPATIAL_MATCH_SETUP.sql. Matching by coordinates only until then.')
+    } else {
+      console.warn(`Error finding park by location:`, error.message)
+      return null
+    }
+  }
+
+  const { data, error } = await supabaseServer
+    .from('parks')
+    .select('id, name, latitude, longitude, geometry')
+    .gte('latitude', bounds.minLat)
+    .lte('latitude', bounds.maxLat)
+    .gte('longitude', bounds.minLng)
+    .lte('longitude', bounds.maxLng)
+    .limit(SPATIAL_MATCH_CANDIDATE_LIMIT)
+
+  if (error) {
+    console.warn(`Error finding park by location:`, error.message)
+    return null
+  }
+  return data || []
+}
+
+/**
+ * Find the existing park at the same place as an incoming park
+ * Candidates are parks whose boundary or coordinates fall within the incoming
+ * point/boundary's extent (padded by searchRadiusKm); each is checked by boundary overlap, point-in-boundary
+ * or haversine distance together with name similarity (see evaluateSpatialMatch)
+ * Does not look at source_id - callers check that first
+ *
+ * @param {Object} parkData - Incoming park (name, latitude, longitude, geometry)
+ * @param {Object} options - Overrides for DEFAULT_SPATIAL_MATCH_OPTIONS
+ * @returns {Promise<{park: Object, match: {method: string, score: number, reason: string}}|null>}
+ */
+export async function matchExistingParkByLocation(parkData, options = {}) {
+  if (!parkData?.name) return null
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+  
+  const incoming = prepareSpatialPark(parkData)
+  if (!incoming.polygon && (!incoming.lat || !incoming.lng)) return null
+  const bounds = searchBounds(incoming, options.searchRadiusKm)
+  if (!bounds) return null
+  
+  let candidates
+  try {
+    candidates = await findSpatialMatchCandidates(incoming, bounds)
+    if (!candidates || candidates.length === 0) return null
+  } catch (error) {
+    console.warn(`Exception finding park by location:`, error.message)
+    return null
+  }
+  
+  // Keep the strongest spatial match
+  const normalizedName = normalizeParkName(parkData.name)
+  let best = null
+  for (const candidate of candidates) {
+    const nameScore = nameSimilarity(normalizedName, normalizeParkName(candidate.name)).score
+    const evaluation = evaluateSpatialMatch(incoming, prepareSpatialPark(candidate), nameScore, options)
+    if (evaluation.isMatch && (!best || evaluation.score > best.evaluation.score)) {
+      best = { candidate, evaluation }
+    }
+  }
+  if (!best) return null
+  
+  const { data: park, error: parkError } = await supabaseServer
+    .from('parks')
+    .select('*')
+    .eq('id', best.candidate.id)
+    .maybeSingle()
+  
+  if (parkError || !park) {
+    console.error(`Error loading matched park ${best.candidate.id}:`, parkError?.message || 'not found')
+    return null
+  }
+  
+  return {
+    park,
+    match: {
+      method: best.evaluation.method,
+      score: Number(best.evaluation.score.toFixed(3)),
+      reason: best.evaluation.reason
+    }
+  }
 }
 
 /**
  * Find existing park by name and coordinates (when state is unknown)
+ * source_id first, then spatial matching (see matchExistingParkByLocation);
+ * pass options.geometry to match by boundary overlap as well
  */
-export async function findExistingParkByCoordinates(name, latitude, longitude, sourceId = null) {
+export async function findExistingParkByCoordinates(name, latitude, longitude, sourceId = null, options = {}) {
   if (!name || !latitude || !longitude) return null
   if (!isSupabaseInitialized()) {
     throw new Error('Supabase client not initialized')
   }
   
-  const normalizedName = normalizeParkName(name)
-  
   // First, try to find by source_id if provided (most reliable)
   if (sourceId) {
-    try {
-      const { data: parkBySourceId, error: sourceIdError } = await supabaseServer
-        .from('parks')
-        .select('*')
-        .eq('source_id', sourceId)
-        .maybeSingle()
-      
-      if (sourceIdError) {
-        console.warn(`Warning: Error querying by source_id "${sourceId}":`, sourceIdError.message)
-      } else if (parkBySourceId) {
-        return parkBySourceId
-      }
-    } catch (error) {
-      console.warn(`Warning: Exception querying by source_id "${sourceId}":`, error.message)
-    }
+    const parkBySourceId = await findParkBySourceId(sourceId)
+    if (parkBySourceId) return parkBySourceId
   }
   
-  // Find by name and nearby coordinates (within ~1km)
-  // Use PostGIS distance if available, otherwise approximate
-  try {
-    const { data: parks, error } = await supabaseServer
-      .from('parks')
-      .select('*')
-      .ilike('name', `%${name}%`)
-      .not('latitude', 'is', null)
-      .not('longitude', 'is', null)
-    
+  const result = await matchExistingParkByLocation({ name, latitude, longitude, geometry: options.geometry }, options)
+  return result?.park || null
+}
+
+/**
+ * Key a park name is stored and looked up under in park_tombstones
+ * (the normalized name, or the lowercased name when nothing distinctive is left)
+ */
+export function tombstoneNameKey(name) {
+  if (!name) return ''
+  return normalizeParkName(name) || name.trim().toLowerCase()
+}
+
+// Set once park_tombstones turns out not to exist, so every insert doesn't warn again
+let tombstonesUnavailable = false
+
+/**
+ * Find the tombstone of a purged park matching an incoming park
+ * (by source_id, else by name in the same state)
+ * Returns null if there is none or the tombstones table isn't set up
+ *
+ * @returns {Promise<Object|null>} park_tombstones row
+ */
+export async function findParkTombstone(name, state, sourceId = null) {
+  if (tombstonesUnavailable || !isSupabaseInitialized()) return null
+
+  const lookups = []
+  if (sourceId) {
+    lookups.push(query => query.eq('source_id', String(sourceId)))
+  }
+  const nameKey = tombstoneNameKey(name)
+  if (nameKey && state) {
+    lookups.push(query => query.eq('state', state).eq('name_key', nameKey))
+  }
+
+  for (const applyLookup of lookups) {
+    const { data, error } = await applyLookup(
+      supabaseServer
+        .from('park_tombstones')
+        .select('id, park_id, name, state, source_id, deleted_by, deleted_reason, purged_at')
+    ).limit(1)
+
     if (error) {
-      console.warn(`Error finding park by coordinates:`, error.message)
+      if (error.code === '42P01' || error.code === 'PGRST205') {
+        tombstonesUnavailable = true
+      }
+      console.warn('Warning: Could not check park tombstones:', error.message)
       return null
     }
-    
-    if (!parks || parks.length === 0) return null
-    
-    // Find closest match by distance
-    let closestPark = null
-    let closestDistance = Infinity
-    
-    for (const park of parks) {
-      const parkNormalized = normalizeParkName(park.name)
-      if (parkNormalized === normalizedName || 
-          parkNormalized.includes(normalizedName) || 
-          normalizedName.includes(parkNormalized)) {
-        // Calculate distance
-        const distance = Math.sqrt(
-          Math.pow(park.latitude - latitude, 2) + 
-          Math.pow(park.longitude - longitude, 2)
-        ) * 111 // Rough km conversion
-        
-        if (distance < 1 && distance < closestDistance) { // Within 1km
-          closestDistance = distance
-          closestPark = park
-        }
-      }
+    if (data && data.length > 0) return data[0]
+  }
+
+  return null
+}
+
+function hasFieldValue(value) {
+  return value !== undefined && value !== null && value !== '' &&
+    !(Array.isArray(value) && value.length === 0)
+}
+
+// data_source labels the API syncs write, by the source type they sync with
+const API_DATA_SOURCE_TYPES = {
+  'NPS API': 'NPS',
+  'Recreation.gov API': 'Recreation.gov'
+}
+
+/**
+ * Source type used to look up field-level priority for the current value of a field
+ * Uses the field's provenance when recorded, otherwise the row's data_source
+ * (file uploads and URL syncs store their source type there)
+ */
+function existingFieldSourceType(existingPark, field) {
+  const provenance = existingPark.field_provenance?.[field]
+  if (provenance?.sourceType) return provenance.sourceType
+  const dataSource = existingPark.data_source || ''
+  return API_DATA_SOURCE_TYPES[dataSource] || dataSource
+}
+
+/**
+ * Fields where the incoming source outranks the source of the existing value
+ * according to the field-level priority matrix (FIELD_SOURCE_PRIORITIES)
+ *
+ * @param {Object} existingPark - Current park row
+ * @param {Object} newParkData - Incoming park data
+ * @param {string} sourceType - Incoming source type, matched against the matrix
+ * @param {Object} fieldPriorities - Matrix to use (default: FIELD_SOURCE_PRIORITIES;
+ *   imports pass loadFieldSourcePriorities(), which applies the admin overrides)
+ * @returns {Array<string>} Field names the incoming data should overwrite
+ */
+export function getFieldPriorityOverrides(existingPark, newParkData, sourceType, fieldPriorities = FIELD_SOURCE_PRIORITIES) {
+  const locked = getLockedFields(existingPark)
+  const overrides = []
+  for (const field of Object.keys(fieldPriorities)) {
+    if (locked.has(field)) continue
+    const newValue = newParkData[field]
+    if (!hasFieldValue(newValue) || !hasFieldValue(existingPark[field])) continue
+    // Geometry is stored as WKT - never overwrite with anything else
+    if (field === 'geometry' && !(typeof newValue === 'string' && newValue.startsWith('SRID='))) continue
+
+    const newPriority = getFieldSourcePriority(field, sourceType, fieldPriorities)
+    const existingPriority = getFieldSourcePriority(field, existingFieldSourceType(existingPark, field), fieldPriorities)
+    if (newPriority > existingPriority) {
+      overrides.push(field)
+    }
+  }
+  return overrides
+}
+
+/**
+ * Locked fields (manual edits) the incoming data would have changed
+ */
+export function getBlockedLockedFields(existingPark, newParkData) {
+  const blocked = []
+  for (const field of getLockedFields(existingPark)) {
+    const newValue = newParkData[field]
+    if (hasFieldValue(newValue) && !valuesEqual(existingPark[field], newValue)) {
+      blocked.push(field)
     }
-    
-    return closestPark
-  } catch (error) {
-    console.warn(`Exception finding park by coordinates:`, error.message)
-    return null
   }
+  return blocked
 }
 
 /**
- * Merge park data intelligently - fill blanks without overriding existing data
+ * Merge park data intelligently - fill blanks without overriding existing data,
+ * except for fields where the field-level priority matrix ranks the new source higher.
+ * Locked fields (manual edits) always keep their existing value.
+ *
+ * @param {Object} options
+ * @param {string} options.sourceType - Incoming source type for field-level priority
+ * @param {Object} options.fieldPriorities - Field priority matrix (default: FIELD_SOURCE_PRIORITIES)
+ * @param {Array<string>|null} options.onlyFields - Only apply these field overrides (used when
+ *   the row-level rules rejected the update but some fields outrank the existing values)
  */
-export function mergeParkData(existingPark, newParkData, priority, qualityScore) {
+export function mergeParkData(existingPark, newParkData, priority, qualityScore, options = {}) {
+  const {
+    sourceType = newParkData.data_source || '',
+    fieldPriorities = FIELD_SOURCE_PRIORITIES,
+    onlyFields = null
+  } = options
   const merged = { ...existingPark }
   
+  if (onlyFields) {
+    for (const field of onlyFields) {
+      merged[field] = newParkData[field]
+    }
+    merged.last_updated = new Date().toISOString()
+    return merged
+  }
+  
+  const fieldOverrides = new Set(getFieldPriorityOverrides(existingPark, newParkData, sourceType, fieldPriorities))
+  
   // For each field, only update if existing is empty/null OR new data is better
   const fields = [
     'name', 'description', 'latitude', 'longitude', 
     'website', 'phone', 'email', 'agency',
-    'amenities', 'activities', 'geometry'
+    'amenities', 'activities', 'geometry', 'operating_hours'
   ]
   
   for (const field of fields) {
@@ -233,11 +561,9 @@ export function mergeParkData(existingPark, newParkData, priority, qualityScore)
       }
     }
     // If both have values, keep existing (don't override)
-    // Exception: If new has higher priority AND better quality for this field
+    // Exception: the field-level priority matrix ranks the new source higher for this field
     else if (newValue !== undefined && newValue !== null && newValue !== '') {
-      // For now, keep existing - can enhance later with field-level quality scoring
-      // This ensures we don't lose data
-      merged[field] = existingValue
+      merged[field] = fieldOverrides.has(field) ? newValue : existingValue
     }
   }
   
@@ -270,12 +596,17 @@ export function mergeParkData(existingPark, newParkData, priority, qualityScore)
       if (typeof newParkData.geometry === 'string' && newParkData.geometry.startsWith('SRID=')) {
         merged.geometry = newParkData.geometry
       }
-    } else {
-      // Keep existing geometry (don't override)
+    } else if (!fieldOverrides.has('geometry')) {
+      // Keep existing geometry unless a higher-priority geometry source supplied it
       merged.geometry = existingPark.geometry
     }
   }
   
+  // Manually edited fields are locked - never change them
+  for (const field of getLockedFields(existingPark)) {
+    merged[field] = existingPark[field]
+  }
+  
   // Update metadata
   merged.data_source_priority = Math.max(existingPark.data_source_priority || 0, priority)
   merged.data_quality_score = Math.max(existingPark.data_quality_score || 0, qualityScore)
@@ -293,10 +624,95 @@ export function mergeParkData(existingPark, newParkData, priority, qualityScore)
   return merged
 }
 
+// Bookkeeping columns that change on every write - not reported as field changes
+const CHANGE_TRACKING_IGNORED_FIELDS = new Set([
+  'id', 'created_at', 'last_updated', 'updated_at',
+  'data_quality_score', 'data_source_priority', 'import_batch_id', 'field_provenance'
+])
+
+/**
+ * Compare two values for change tracking (arrays/objects compared by JSON)
+ */
+function valuesEqual(a, b) {
+  const normalize = (value) => (value === undefined || value === '' ? null : value)
+  const left = normalize(a)
+  const right = normalize(b)
+  if (left === right) return true
+  if (left === null || right === null) return false
+  if (typeof left === 'object' || typeof right === 'object') {
+    return JSON.stringify(left) === JSON.stringify(right)
+  }
+  return String(left) === String(right)
+}
+
+/**
+ * Diff the fields that a write actually changed
+ * @param {Object} before - Existing park row ({} for inserts)
+ * @param {Object} after - Data written to the row
+ * @returns {Object} Map of field -> { from, to } for changed fields only
+ */
+export function diffParkFields(before, after) {
+  const changes = {}
+  for (const field of Object.keys(after || {})) {
+    if (CHANGE_TRACKING_IGNORED_FIELDS.has(field)) continue
+    const from = before?.[field] ?? null
+    const to = after[field] ?? null
+    if (!valuesEqual(from, to)) {
+      changes[field] = { from, to }
+    }
+  }
+  return changes
+}
+
+/**
+ * Check imported values against the shared park schema, in place
+ * Valid values are coerced (state names to codes, numeric strings to numbers, ...);
+ * invalid ones are dropped so an existing park keeps its value, and an unrecognized
+ * state falls back to the N/A placeholder
+ * @returns {Object|null} field -> message for the dropped values
+ */
+function applyParkSchema(parkData) {
+  // A blank agency is left as it was - importers infer it, and it's not a reason to drop a value
+  const { values, errors } = validateParkFields(parkData, { optional: ['agency'] })
+  if (values.agency === null) delete values.agency
+  Object.assign(parkData, values)
+
+  if (errors.name) {
+    throw new Error(`Park name ${errors.name}`)
+  }
+
+  if (errors.state) {
+    // A missing state is expected (geocoded later); only report values we couldn't read
+    if (parkData.state === undefined || parkData.state === null || parkData.state === '' || parkData.state === 'N/A') {
+      delete errors.state
+    }
+    parkData.state = 'N/A'
+  }
+
+  for (const field of Object.keys(errors)) {
+    if (field !== 'state') delete parkData[field]
+  }
+
+  return Object.keys(errors).length > 0 ? errors : null
+}
+
 /**
  * Insert or update park with intelligent merging and data protection
+ * Result includes `changes` (field -> { from, to }) for added/updated parks, and
+ * `invalidFields` (field -> message) for values dropped by the park schema
+ *
+ * @param {Object} parkData - Park data mapped to our schema
+ * @param {string} sourceType - Source type (used for row- and field-level priority)
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Run matching and merging but don't write anything
+ * @param {string|null} options.importBatchId - Tag the write with this import batch and
+ *   snapshot the row so the batch can be rolled back
+ * @param {string|null} options.sourceName - Source label recorded in field_provenance
+ *   (defaults to parkData.data_source, then sourceType)
+ * @param {number|null} options.sourcePriority - Saved source's priority, overriding the
+ *   source type's default (see lib/utils/data-sources.js)
  */
-export async function insertOrUpdatePark(parkData, sourceType) {
+export async function insertOrUpdatePark(parkData, sourceType, options = {}) {
   if (!isSupabaseInitialized()) {
     throw new Error('Supabase client not initialized')
   }
@@ -305,6 +721,17 @@ export async function insertOrUpdatePark(parkData, sourceType) {
     throw new Error('Park name is required')
   }
   
+  const invalidFields = applyParkSchema(parkData)
+  const result = await mergeParkRecord(parkData, sourceType, options)
+  return invalidFields ? { ...result, invalidFields } : result
+}
+
+/**
+ * Match, merge and write a park that passed the schema check (see insertOrUpdatePark)
+ */
+async function mergeParkRecord(parkData, sourceType, options) {
+  const { dryRun = false, importBatchId = null, sourceName = null, nameMatchThreshold = null, sourcePriority = null } = options
+  
   // State is required (NOT NULL constraint in database)
   // Use "N/A" as placeholder if state is missing - can be geocoded later
   let normalizedState = 'N/A'
@@ -322,24 +749,64 @@ export async function insertOrUpdatePark(parkData, sourceType) {
     parkData.state = 'N/A'
   }
   
-  // Get priority based on source type
-  const priority = getSourcePriority(sourceType)
+  // Get priority based on source type, unless the saved source sets its own
+  const priority = Number.isFinite(sourcePriority) ? sourcePriority : getSourcePriority(sourceType)
   
   // Calculate quality score
   const qualityResult = calculateQualityScore(parkData)
   const qualityScore = qualityResult.score
   
-  // Check for existing park (use normalized state and source_id if available)
-  // If state is N/A, try to find by name and coordinates
-  let existingPark = null
+  // Field-level priority matrix, with the admin overrides applied
+  const fieldPriorities = await loadFieldSourcePriorities()
+  
+  // Every field this write changes is stamped with where it came from
+  const provenanceEntry = createProvenanceEntry({
+    source: sourceName || parkData.data_source,
+    sourceType,
+    batchId: importBatchId
+  })
+  
+  // Check for existing park: source_id, then name within the state, then location
+  // (boundary overlap / distance) so boundary uploads attach to the park under another name
+  const matchOptions = { threshold: nameMatchThreshold ?? DEFAULT_NAME_MATCH_THRESHOLD }
+  let existingMatch = null
   if (normalizedState && normalizedState !== 'N/A') {
-    existingPark = await findExistingPark(parkData.name, normalizedState, parkData.source_id)
-  } else if (parkData.latitude && parkData.longitude) {
-    // Try to find by name and coordinates if state is N/A
-    existingPark = await findExistingParkByCoordinates(parkData.name, parkData.latitude, parkData.longitude, parkData.source_id)
-  } else if (normalizedState === 'N/A') {
-    // If no coordinates either, try to find by name and N/A state
-    existingPark = await findExistingPark(parkData.name, 'N/A', parkData.source_id)
+    existingMatch = await matchExistingPark(parkData.name, normalizedState, parkData.source_id, matchOptions)
+  } else if (parkData.source_id) {
+    const parkBySourceId = await findParkBySourceId(parkData.source_id)
+    if (parkBySourceId) {
+      existingMatch = { park: parkBySourceId, match: SOURCE_ID_MATCH }
+    }
+  }
+  if (!existingMatch && (parkData.geometry || (parkData.latitude && parkData.longitude))) {
+    existingMatch = await matchExistingParkByLocation(parkData)
+  }
+  if (!existingMatch && normalizedState === 'N/A') {
+    // No location match either - try by name among parks without a state
+    existingMatch = await matchExistingPark(parkData.name, 'N/A', null, matchOptions)
+  }
+  const existingPark = existingMatch?.park || null
+  const match = existingMatch?.match
+  
+  // Parks an admin deleted stay deleted: a trashed row or a purged park's tombstone blocks the write
+  if (existingPark?.deleted_at) {
+    return {
+      action: 'skipped',
+      reason: 'Deleted by an admin (in the trash)',
+      park: existingPark,
+      match
+    }
+  }
+  if (!existingPark) {
+    const tombstone = await findParkTombstone(parkData.name, normalizedState, parkData.source_id)
+    if (tombstone) {
+      return {
+        action: 'skipped',
+        reason: 'Deleted by an admin (purged)',
+        park: null,
+        tombstone
+      }
+    }
   }
   
   if (existingPark) {
@@ -350,19 +817,27 @@ export async function insertOrUpdatePark(parkData, sourceType) {
       data_quality_score: qualityScore
     })
     
+    // Row-level rules can reject the update while single fields still outrank the existing values
+    // (e.g. Recreation.gov phone numbers over an NPS park) - apply only those fields
+    let onlyFields = null
     if (!updateDecision.shouldUpdate) {
-      // Don't log skipped parks - this was causing 256 log limit
-      return {
-        action: 'skipped',
-        reason: updateDecision.reason,
-        park: existingPark
+      onlyFields = getFieldPriorityOverrides(existingPark, parkData, sourceType, fieldPriorities)
+      if (onlyFields.length === 0) {
+        // Don't log skipped parks - this was causing 256 log limit
+        return {
+          action: 'skipped',
+          reason: updateDecision.reason,
+          park: existingPark,
+          match
+        }
       }
+      updateDecision.reason = `Higher field-level priority: ${onlyFields.join(', ')}`
     }
     
     // Only log when actually updating (reduces log volume significantly)
     
     // Merge data intelligently
-    const mergedData = mergeParkData(existingPark, parkData, priority, qualityScore)
+    const mergedData = mergeParkData(existingPark, parkData, priority, qualityScore, { sourceType, fieldPriorities, onlyFields })
     
     // Remove fields that don't exist in database schema
     // agency_type, category, directions, accessibility don't exist
@@ -379,6 +854,46 @@ export async function insertOrUpdatePark(parkData, sourceType) {
       updateData.website = url
     }
     
+    const changes = diffParkFields(existingPark, updateData)
+    
+    // Report fields held back by manual-edit locks; skip entirely if nothing else changed
+    const lockedFields = getBlockedLockedFields(existingPark, parkData)
+    if (lockedFields.length > 0 && Object.keys(changes).length === 0) {
+      return {
+        action: 'skipped',
+        reason: 'locked',
+        park: existingPark,
+        match,
+        lockedFields
+      }
+    }
+    
+    if (dryRun) {
+      return {
+        action: 'updated',
+        reason: updateDecision.reason,
+        park: existingPark,
+        match,
+        changes,
+        lockedFields: lockedFields.length > 0 ? lockedFields : undefined,
+        dryRun: true
+      }
+    }
+    
+    if (await hasParkColumn('field_provenance')) {
+      updateData.field_provenance = recordFieldProvenance(
+        existingPark.field_provenance,
+        Object.keys(changes),
+        provenanceEntry
+      )
+    }
+    
+    // Snapshot the row before touching it so the batch can be rolled back
+    if (importBatchId) {
+      await recordImportSnapshot(importBatchId, existingPark.id, 'updated', existingPark)
+      updateData.import_batch_id = importBatchId
+    }
+    
     // Update existing park
     try {
       const { data, error } = await supabaseServer
@@ -396,7 +911,10 @@ export async function insertOrUpdatePark(parkData, sourceType) {
       // Don't log every successful update to reduce log volume
       return {
         action: 'updated',
-        park: data
+        park: data,
+        match,
+        changes,
+        lockedFields: lockedFields.length > 0 ? lockedFields : undefined
       }
     } catch (error) {
       console.error(`❌ Exception updating park "${parkData.name}":`, error.message)
@@ -405,7 +923,9 @@ export async function insertOrUpdatePark(parkData, sourceType) {
   } else {
     // Insert new park
     // Only log new parks (they're less common)
-    console.log(`➕ Adding new park: "${parkData.name}" (${normalizedState})`)
+    if (!dryRun) {
+      console.log(`➕ Adding new park: "${parkData.name}" (${normalizedState})`)
+    }
     // Remove fields that don't exist in database schema
     // agency_type, category, directions, accessibility don't exist
     // Map website_url to website (schema uses 'website' not 'website_url')
@@ -428,6 +948,24 @@ export async function insertOrUpdatePark(parkData, sourceType) {
       created_at: new Date().toISOString(),
       last_updated: new Date().toISOString()
     }
+    if (importBatchId) {
+      newPark.import_batch_id = importBatchId
+    }
+    
+    const changes = diffParkFields({}, newPark)
+    
+    if (dryRun) {
+      return {
+        action: 'added',
+        park: newPark,
+        changes,
+        dryRun: true
+      }
+    }
+    
+    if (await hasParkColumn('field_provenance')) {
+      newPark.field_provenance = recordFieldProvenance(null, Object.keys(changes), provenanceEntry)
+    }
     
     try {
       const { data, error } = await supabaseServer
@@ -444,9 +982,13 @@ export async function insertOrUpdatePark(parkData, sourceType) {
       
       // Log successful addition (new parks are important)
       console.log(`✅ Added: "${data.name}" (ID: ${data.id})`)
+      if (importBatchId) {
+        await recordImportSnapshot(importBatchId, data.id, 'added')
+      }
       return {
         action: 'added',
-        park: data
+        park: data,
+        changes
       }
     } catch (insertError) {
       console.error(`❌ Exception inserting park "${parkData.name}":`, insertError.message)
@@ -458,20 +1000,85 @@ export async function insertOrUpdatePark(parkData, sourceType) {
   }
 }
 
+/**
+ * Summarize a result whose locked fields were held back, for upload/sync responses
+ */
+export function toLockedParkReport(result, parkData = {}) {
+  return {
+    park: result.park?.name || parkData.name || 'Unknown',
+    parkId: result.park?.id ?? null,
+    fields: result.lockedFields,
+    status: result.action === 'skipped' ? 'skipped: locked' : 'updated (locked fields kept)'
+  }
+}
+
+/**
+ * Summarize a result whose invalid values were dropped, for upload/sync responses
+ * @returns {Object|null}
+ */
+export function toInvalidFieldsReport(result, parkData = {}) {
+  if (!result?.invalidFields) return null
+  return {
+    park: result.park?.name || parkData.name || 'Unknown',
+    parkId: result.park?.id ?? null,
+    fields: result.invalidFields
+  }
+}
+
+/**
+ * Summarize an approximate match (fuzzy name or location - not exact, not by source_id)
+ * for upload/sync responses so reviewers can spot parks merged into a differently named record
+ * @returns {Object|null}
+ */
+export function toNameMatchReport(result, parkData = {}) {
+  const match = result?.match
+  if (!match || result.action === 'added') return null
+  if (match.method === 'exact' || match.method === 'source_id') return null
+  return {
+    park: parkData.name || 'Unknown',
+    matchedPark: result.park?.name || null,
+    parkId: result.park?.id ?? null,
+    score: match.score,
+    method: match.method,
+    reason: match.reason,
+    action: result.action
+  }
+}
+
 /**
  * Batch insert/update parks
+ * With options.dryRun, nothing is written and results.preview holds the diff report
+ * With options.importBatchId, every write is tagged and snapshotted for rollback
+ * options.sourceName is recorded as the field provenance source
+ * results.locked lists parks whose manually edited (locked) fields were kept
+ * results.nameMatches lists parks matched to an existing park by a fuzzy name or location match
+ * results.invalid lists parks with values the park schema rejected (dropped, the rest was written)
+ * (options.nameMatchThreshold overrides DEFAULT_NAME_MATCH_THRESHOLD, options.sourcePriority the source priority)
  */
-export async function batchInsertOrUpdateParks(parks, sourceType) {
+export async function batchInsertOrUpdateParks(parks, sourceType, options = {}) {
+  const { dryRun = false, importBatchId = null, sourceName = null, nameMatchThreshold = null, sourcePriority = null } = options
+  const preview = dryRun ? createImportPreview() : null
   const results = {
     added: 0,
     updated: 0,
     skipped: 0,
+    locked: [],
+    nameMatches: [],
+    invalid: [],
     errors: []
   }
   
   for (const park of parks) {
     try {
-      const result = await insertOrUpdatePark(park, sourceType)
+      const result = await insertOrUpdatePark(park, sourceType, { dryRun, importBatchId, sourceName, nameMatchThreshold, sourcePriority })
+      if (preview) preview.record(result, park)
+      if (result.lockedFields) {
+        results.locked.push(toLockedParkReport(result, park))
+      }
+      const nameMatch = toNameMatchReport(result, park)
+      if (nameMatch) results.nameMatches.push(nameMatch)
+      const invalid = toInvalidFieldsReport(result, park)
+      if (invalid) results.invalid.push(invalid)
       
       if (result.action === 'added') {
         results.added++
@@ -485,9 +1092,14 @@ export async function batchInsertOrUpdateParks(parks, sourceType) {
         park: park?.name || 'Unknown',
         error: error.message
       })
+      if (preview) preview.recordError(park?.name, error.message)
     }
   }
   
+  if (preview) {
+    results.preview = preview.summary()
+  }
+  
   return results
 }
 
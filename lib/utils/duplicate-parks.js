@@ -0,0 +1,545 @@
+/**
+ * Duplicate Park Detection and Merging
+ * Scores candidate duplicate pairs already in the parks table (name similarity,
+ * centroid distance, geometry overlap) and merges a reviewed pair into one row
+ * Tables are created by docs/DUPLICATE_PARKS_SETUP.sql
+ */
+
+import { supabaseServer, isSupabaseInitialized } from '../supabase-server.js'
+import { normalizeParkName } from './db-operations.js'
+import { nameSimilarity, nameTokens } from './name-similarity.js'
+import { geojsonToWKT } from './geometry-wkt.js'
+import { parsePolygon, prepareSpatialPark, boundaryOverlap, centroidDistanceKm } from './spatial-match.js'
+import { createProvenanceEntry } from './field-provenance.js'
+import { addFieldLocks } from './field-locks.js'
+import { hasParkColumn } from './park-columns.js'
+
+// Columns loaded for scoring
+const SCAN_COLUMNS = 'id, name, state, latitude, longitude, geometry'
+const PAGE_SIZE = 1000
+const UPSERT_CHUNK_SIZE = 500
+
+// Grid cell size for spatial blocking (~5.5km north-south)
+const GRID_CELL_DEGREES = 0.05
+// Polygons covering more cells than this are only indexed at their centroid
+const MAX_POLYGON_CELLS = 400
+// Tokens shared by more parks than this ("lake", "river") don't create candidate pairs
+const MAX_TOKEN_POSTINGS = 300
+
+export const DEFAULT_DUPLICATE_OPTIONS = {
+  minScore: 0.6,        // Store pairs scoring at least this
+  maxDistanceKm: 5,     // Proximity score falls to 0 at this distance
+  weights: { name: 0.5, proximity: 0.2, overlap: 0.3 }
+}
+
+// Fields the merge workbench lets an admin pick per side
+export const MERGEABLE_FIELDS = [
+  'name', 'description', 'state', 'agency', 'agency_full_name',
+  'website', 'phone', 'email', 'address', 'county', 'city',
+  'acres', 'public_access', 'designation_type', 'operating_hours',
+  'activities', 'amenities', 'latitude', 'longitude', 'geometry',
+  'source_id', 'data_source'
+]
+
+/**
+ * Prepare a park row for scoring: normalized name, tokens, centroid, polygon
+ */
+function prepareParkForScoring(park) {
+  const normalizedName = normalizeParkName(park.name)
+  return {
+    id: String(park.id),
+    name: park.name,
+    state: park.state,
+    normalizedName,
+    tokens: nameTokens(normalizedName),
+    ...prepareSpatialPark(park)
+  }
+}
+
+/**
+ * Share of the smaller shape covered by both parks (0..1)
+ * Point vs polygon counts as 1 when the point falls inside the polygon
+ * Returns null when neither park has a polygon
+ */
+function overlapRatio(a, b) {
+  return boundaryOverlap(a, b)?.overlapOfSmaller ?? null
+}
+
+/**
+ * Score how likely two prepared parks are the same place
+ *
+ * @returns {{ score, nameSimilarity, distanceKm, overlapRatio, reasons }}
+ */
+export function scoreDuplicatePair(a, b, options = {}) {
+  const { maxDistanceKm, weights } = { ...DEFAULT_DUPLICATE_OPTIONS, ...options }
+  const reasons = []
+
+  const name = nameSimilarity(a.normalizedName, b.normalizedName)
+  if (name.score >= 0.8) reasons.push(`Similar names (${name.method} ${name.score.toFixed(2)})`)
+
+  let distanceKm = null
+  let proximity = null
+  distanceKm = centroidDistanceKm(a, b)
+  if (distanceKm !== null) {
+    proximity = Math.max(0, 1 - distanceKm / maxDistanceKm)
+    if (distanceKm <= 1) reasons.push(`Centroids ${distanceKm.toFixed(2)} km apart`)
+  }
+
+  const overlap = overlapRatio(a, b)
+  if (overlap !== null && overlap >= 0.5) {
+    reasons.push(a.polygon && b.polygon
+      ? `Boundaries overlap ${(overlap * 100).toFixed(0)}%`
+      : 'Point lies inside the other park\'s boundary')
+  }
+
+  // Weighted average over the signals we have
+  const parts = [[name.score, weights.name]]
+  if (proximity !== null) parts.push([proximity, weights.proximity])
+  if (overlap !== null) parts.push([overlap, weights.overlap])
+  const totalWeight = parts.reduce((sum, [, weight]) => sum + weight, 0)
+  let score = parts.reduce((sum, [value, weight]) => sum + value * weight, 0) / totalWeight
+
+  // Near-identical boundaries are the same place even when names differ (NPS unit vs PAD-US polygon)
+  if (overlap !== null && overlap >= 0.9) {
+    score = Math.max(score, 0.75)
+  }
+
+  return {
+    score: Number(score.toFixed(3)),
+    nameSimilarity: Number(name.score.toFixed(3)),
+    distanceKm: distanceKm !== null ? Number(distanceKm.toFixed(3)) : null,
+    overlapRatio: overlap !== null ? Number(overlap.toFixed(3)) : null,
+    reasons
+  }
+}
+
+function gridCell(lat, lng) {
+  return [Math.floor(lat / GRID_CELL_DEGREES), Math.floor(lng / GRID_CELL_DEGREES)]
+}
+
+/**
+ * Candidate pairs via blocking: parks that share a name token or sit in
+ * neighbouring grid cells (polygons are indexed over their bounding box)
+ */
+function buildCandidatePairs(prepared) {
+  const tokenIndex = new Map()
+  const cellIndex = new Map()
+  const addTo = (index, key, idx) => {
+    if (!index.has(key)) index.set(key, [])
+    index.get(key).push(idx)
+  }
+
+  prepared.forEach((park, idx) => {
+    for (const token of park.tokens) addTo(tokenIndex, token, idx)
+
+    if (park.bbox) {
+      const [minRow, minCol] = gridCell(park.bbox[1], park.bbox[0])
+      const [maxRow, maxCol] = gridCell(park.bbox[3], park.bbox[2])
+      if ((maxRow - minRow + 1) * (maxCol - minCol + 1) <= MAX_POLYGON_CELLS) {
+        for (let row = minRow; row <= maxRow; row++) {
+          for (let col = minCol; col <= maxCol; col++) addTo(cellIndex, `${row}:${col}`, idx)
+        }
+        return
+      }
+    }
+    if (park.lat && park.lng) {
+      const [row, col] = gridCell(park.lat, park.lng)
+      addTo(cellIndex, `${row}:${col}`, idx)
+    }
+  })
+
+  const pairs = new Set()
+  const addPairs = (indices) => {
+    for (let i = 0; i < indices.length; i++) {
+      for (let j = i + 1; j < indices.length; j++) {
+        const [x, y] = indices[i] < indices[j] ? [indices[i], indices[j]] : [indices[j], indices[i]]
+        pairs.add(x * prepared.length + y)
+      }
+    }
+  }
+
+  for (const indices of tokenIndex.values()) {
+    if (indices.length <= MAX_TOKEN_POSTINGS) addPairs(indices)
+  }
+
+  // Pair each cell with itself and its neighbours to the right/below (each neighbour pair once)
+  for (const [key, indices] of cellIndex) {
+    const [row, col] = key.split(':').map(Number)
+    addPairs(indices)
+    for (const [dRow, dCol] of [[0, 1], [1, -1], [1, 0], [1, 1]]) {
+      const neighbour = cellIndex.get(`${row + dRow}:${col + dCol}`)
+      if (!neighbour) continue
+      for (const x of indices) {
+        for (const y of neighbour) {
+          if (x === y) continue
+          pairs.add(x < y ? x * prepared.length + y : y * prepared.length + x)
+        }
+      }
+    }
+  }
+
+  return [...pairs].map(key => [Math.floor(key / prepared.length), key % prepared.length])
+}
+
+/**
+ * Find likely duplicate pairs within a set of parks
+ *
+ * @param {Array<Object>} parks - Park rows (id, name, state, latitude, longitude, geometry)
+ * @param {Object} options - Overrides for DEFAULT_DUPLICATE_OPTIONS
+ * @returns {Array<Object>} Candidate rows ready for park_duplicate_candidates
+ */
+export function findDuplicateCandidates(parks, options = {}) {
+  const { minScore } = { ...DEFAULT_DUPLICATE_OPTIONS, ...options }
+  const prepared = parks.map(prepareParkForScoring)
+  const candidates = []
+
+  for (const [i, j] of buildCandidatePairs(prepared)) {
+    const result = scoreDuplicatePair(prepared[i], prepared[j], options)
+    if (result.score < minScore) continue
+
+    const [a, b] = prepared[i].id < prepared[j].id ? [prepared[i], prepared[j]] : [prepared[j], prepared[i]]
+    candidates.push({
+      park_a_id: a.id,
+      park_b_id: b.id,
+      state: a.state === b.state ? a.state : null,
+      score: result.score,
+      name_similarity: result.nameSimilarity,
+      distance_km: result.distanceKm,
+      overlap_ratio: result.overlapRatio,
+      reasons: result.reasons,
+      detected_at: new Date().toISOString()
+    })
+  }
+
+  return candidates
+}
+
+/**
+ * Load every park in a state for scanning (paged past the PostgREST row limit)
+ */
+async function loadParksForState(state) {
+  const hideTrashed = await hasParkColumn('deleted_at')
+  const parks = []
+  let from = 0
+  while (true) {
+    let query = supabaseServer
+      .from('parks')
+      .select(SCAN_COLUMNS)
+      .eq('state', state)
+    if (hideTrashed) {
+      query = query.is('deleted_at', null)
+    }
+    const { data, error } = await query
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1)
+
+    if (error) {
+      throw new Error(`Failed to load parks for ${state}: ${error.message}`)
+    }
+
+    parks.push(...(data || []))
+    if (!data || data.length < PAGE_SIZE) break
+    from += PAGE_SIZE
+  }
+  return parks
+}
+
+/**
+ * Scan one state for duplicates and store the candidate pairs
+ * Existing pairs keep their review status; only their scores are refreshed
+ *
+ * @param {string} state - State code (or 'N/A')
+ * @returns {Promise<{ state, parksScanned, candidatesFound }>}
+ */
+export async function scanStateForDuplicates(state, options = {}) {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  const parks = await loadParksForState(state)
+  const candidates = findDuplicateCandidates(parks, options)
+
+  for (let i = 0; i < candidates.length; i += UPSERT_CHUNK_SIZE) {
+    const chunk = candidates.slice(i, i + UPSERT_CHUNK_SIZE)
+    const { error } = await supabaseServer
+      .from('park_duplicate_candidates')
+      .upsert(chunk, { onConflict: 'park_a_id,park_b_id' })
+
+    if (error) {
+      throw new Error(`Failed to store duplicate candidates for ${state}: ${error.message}`)
+    }
+  }
+
+  console.log(`🔍 Duplicate scan ${state}: ${parks.length} parks, ${candidates.length} candidate pairs`)
+  return { state, parksScanned: parks.length, candidatesFound: candidates.length }
+}
+
+/**
+ * Replace a geometry with a small summary for API responses
+ */
+function summarizeGeometry(geometry) {
+  if (!geometry) return null
+  const parsed = parsePolygon(geometry)
+  return parsed ? { type: parsed.type } : { type: 'Unknown' }
+}
+
+/**
+ * List candidate pairs with both parks attached, highest score first
+ *
+ * @param {Object} options
+ * @param {string} options.status - Candidate status (default: 'pending')
+ * @param {string|null} options.state - Filter by state
+ * @param {number} options.limit - Max pairs (default: 50)
+ * @returns {Promise<Array<{ candidate, parkA, parkB }>>}
+ */
+export async function listDuplicateCandidates({ status = 'pending', state = null, limit = 50 } = {}) {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  let query = supabaseServer
+    .from('park_duplicate_candidates')
+    .select('*')
+    .eq('status', status)
+    .order('score', { ascending: false })
+    .limit(limit)
+
+  if (state) {
+    query = query.eq('state', state)
+  }
+
+  const { data: candidates, error } = await query
+  if (error) {
+    throw new Error(`Failed to fetch duplicate candidates: ${error.message}`)
+  }
+  if (!candidates || candidates.length === 0) return []
+
+  const parkIds = [...new Set(candidates.flatMap(c => [c.park_a_id, c.park_b_id]))]
+  let parksQuery = supabaseServer
+    .from('parks')
+    .select('*')
+    .in('id', parkIds)
+  if (await hasParkColumn('deleted_at')) {
+    parksQuery = parksQuery.is('deleted_at', null)
+  }
+  const { data: parks, error: parksError } = await parksQuery
+
+  if (parksError) {
+    throw new Error(`Failed to fetch candidate parks: ${parksError.message}`)
+  }
+
+  const parksById = new Map((parks || []).map(park => [
+    String(park.id),
+    { ...park, geometry: summarizeGeometry(park.geometry) }
+  ]))
+
+  // Pairs where a park has since been deleted (or trashed) are dropped
+  return candidates
+    .map(candidate => ({
+      candidate,
+      parkA: parksById.get(candidate.park_a_id) || null,
+      parkB: parksById.get(candidate.park_b_id) || null
+    }))
+    .filter(pair => pair.parkA && pair.parkB)
+}
+
+/**
+ * Mark a candidate pair as not a duplicate
+ */
+export async function dismissDuplicateCandidate(candidateId) {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  const { data, error } = await supabaseServer
+    .from('park_duplicate_candidates')
+    .update({ status: 'dismissed', resolved_at: new Date().toISOString() })
+    .eq('id', candidateId)
+    .select()
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Failed to dismiss duplicate candidate: ${error.message}`)
+  }
+  return data
+}
+
+/**
+ * Point source_ids that no longer live on a park row at the park they were merged
+ * into, including aliases the removed row had from earlier merges
+ * Warns and carries on if park_source_aliases isn't set up
+ */
+async function recordSourceIdAliases(sourceIds, keepId, removeId) {
+  const { error: repointError } = await supabaseServer
+    .from('park_source_aliases')
+    .update({ park_id: keepId })
+    .eq('park_id', removeId)
+
+  if (repointError) {
+    console.warn('Warning: Could not record source_id aliases - run docs/DUPLICATE_PARKS_SETUP.sql:', repointError.message)
+    return
+  }
+  if (sourceIds.length === 0) return
+
+  const { error } = await supabaseServer
+    .from('park_source_aliases')
+    .upsert(sourceIds.map(sourceId => ({
+      source_id: String(sourceId),
+      park_id: keepId,
+      merged_from: removeId
+    })), { onConflict: 'source_id' })
+
+  if (error) {
+    throw new Error(`Failed to record source_id aliases: ${error.message}`)
+  }
+}
+
+/**
+ * Merge a candidate pair into one park row
+ * The kept row takes the removed row's value for every field chosen from it;
+ * field provenance and manual-edit locks travel with the chosen values.
+ * The removed row is deleted and other pending pairs involving it become obsolete;
+ * a source_id that doesn't survive on the kept row becomes an alias for it, so syncs
+ * still find the park by that id.
+ *
+ * @param {string|number} candidateId - park_duplicate_candidates.id
+ * @param {Object} merge
+ * @param {string} merge.keepParkId - Park row that survives
+ * @param {Object} merge.fieldChoices - field -> park id whose value to keep
+ * @returns {Promise<Object|null>} { park, removedParkId, fieldsTaken, previous } or null if candidate not found;
+ *   previous holds both rows as they were before the merge ({ kept, removed })
+ */
+export async function mergeDuplicateCandidate(candidateId, { keepParkId, fieldChoices = {} }) {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  const { data: candidate, error: candidateError } = await supabaseServer
+    .from('park_duplicate_candidates')
+    .select('*')
+    .eq('id', candidateId)
+    .maybeSingle()
+
+  if (candidateError) {
+    throw new Error(`Failed to fetch duplicate candidate: ${candidateError.message}`)
+  }
+  if (!candidate) return null
+  if (candidate.status !== 'pending') {
+    throw new Error(`Candidate is already ${candidate.status}`)
+  }
+
+  const keepId = String(keepParkId)
+  if (keepId !== candidate.park_a_id && keepId !== candidate.park_b_id) {
+    throw new Error('keepParkId must be one of the two parks in the pair')
+  }
+  const removeId = keepId === candidate.park_a_id ? candidate.park_b_id : candidate.park_a_id
+
+  const { data: parks, error: parksError } = await supabaseServer
+    .from('parks')
+    .select('*')
+    .in('id', [keepId, removeId])
+
+  if (parksError) {
+    throw new Error(`Failed to fetch parks to merge: ${parksError.message}`)
+  }
+
+  const keepPark = parks?.find(p => String(p.id) === keepId)
+  const removePark = parks?.find(p => String(p.id) === removeId)
+  if (!keepPark || !removePark) {
+    throw new Error('One of the parks in this pair no longer exists')
+  }
+
+  const fieldsTaken = MERGEABLE_FIELDS.filter(field => String(fieldChoices[field]) === removeId)
+  const updateData = {}
+  const provenance = { ...(keepPark.field_provenance || {}) }
+  const removedLocks = new Set(removePark.locked_fields || [])
+
+  for (const field of fieldsTaken) {
+    let value = removePark[field]
+    if (field === 'geometry' && value) {
+      // Stored geometry comes back as GeoJSON - write it as WKT like the importers do
+      const parsed = parsePolygon(value)
+      value = parsed ? geojsonToWKT(parsed) : null
+      if (!value) continue
+    }
+    updateData[field] = value
+    provenance[field] = removePark.field_provenance?.[field] ||
+      createProvenanceEntry({ source: removePark.data_source || 'Duplicate merge', sourceType: 'Duplicate merge' })
+  }
+
+  const lockedFromRemoved = fieldsTaken.filter(field => removedLocks.has(field))
+  // The rows have field_provenance once docs/FIELD_PROVENANCE_SETUP.sql has been run
+  if ('field_provenance' in keepPark) {
+    updateData.field_provenance = provenance
+  }
+  if ('locked_fields' in keepPark) {
+    updateData.locked_fields = addFieldLocks(keepPark.locked_fields, lockedFromRemoved)
+  }
+  updateData.data_source_priority = Math.max(keepPark.data_source_priority || 0, removePark.data_source_priority || 0)
+  updateData.last_updated = new Date().toISOString()
+
+  // source_id may be unique - move it only after the removed row is gone
+  const takenSourceId = 'source_id' in updateData ? updateData.source_id : undefined
+  delete updateData.source_id
+
+  const { error: updateError } = await supabaseServer
+    .from('parks')
+    .update(updateData)
+    .eq('id', keepId)
+
+  if (updateError) {
+    throw new Error(`Failed to update merged park: ${updateError.message}`)
+  }
+
+  const keptSourceId = takenSourceId !== undefined ? takenSourceId : keepPark.source_id
+  await recordSourceIdAliases(
+    [removePark.source_id, keepPark.source_id].filter(sourceId => sourceId && sourceId !== keptSourceId),
+    keepId,
+    removeId
+  )
+
+  const { error: deleteError } = await supabaseServer
+    .from('parks')
+    .delete()
+    .eq('id', removeId)
+
+  if (deleteError) {
+    throw new Error(`Merged fields were saved but the duplicate could not be deleted: ${deleteError.message}`)
+  }
+
+  if (takenSourceId !== undefined) {
+    const { error: sourceIdError } = await supabaseServer
+      .from('parks')
+      .update({ source_id: takenSourceId })
+      .eq('id', keepId)
+
+    if (sourceIdError) {
+      console.warn(`Warning: Could not move source_id to merged park ${keepId}:`, sourceIdError.message)
+    }
+  }
+
+  const resolvedAt = new Date().toISOString()
+  await supabaseServer
+    .from('park_duplicate_candidates')
+    .update({ status: 'merged', merged_into: keepId, resolved_at: resolvedAt })
+    .eq('id', candidateId)
+
+  const { error: obsoleteError } = await supabaseServer
+    .from('park_duplicate_candidates')
+    .update({ status: 'obsolete', resolved_at: resolvedAt })
+    .eq('status', 'pending')
+    .or(`park_a_id.eq.${removeId},park_b_id.eq.${removeId}`)
+
+  if (obsoleteError) {
+    console.warn(`Warning: Could not retire duplicate candidates for removed park ${removeId}:`, obsoleteError.message)
+  }
+
+  const { data: mergedPark } = await supabaseServer
+    .from('parks')
+    .select('*')
+    .eq('id', keepId)
+    .maybeSingle()
+
+  console.log(`🔗 Merged park ${removeId} into ${keepId} (${fieldsTaken.length} fields taken)`)
+  return { park: mergedPark, removedParkId: removeId, fieldsTaken, previous: { kept: keepPark, removed: removePark } }
+}
@@ -0,0 +1,53 @@
+/**
+ * Manual-Edit Field Locks
+ * Fields an admin edits by hand are added to parks.locked_fields
+ * (see docs/FIELD_LOCKS_SETUP.sql) and are never overwritten by uploads or syncs
+ * until they are unlocked in the admin panel
+ */
+
+/**
+ * Locked field names for a park
+ * @param {Object} park - Park row
+ * @returns {Set<string>}
+ */
+export function getLockedFields(park) {
+  return new Set(Array.isArray(park?.locked_fields) ? park.locked_fields : [])
+}
+
+/**
+ * Add fields to a park's lock list
+ * @returns {Array<string>} New locked_fields value (sorted, no duplicates)
+ */
+export function addFieldLocks(lockedFields, fields) {
+  return [...new Set([...(lockedFields || []), ...fields])].sort()
+}
+
+/**
+ * Remove fields from a park's lock list
+ * @returns {Array<string>} New locked_fields value
+ */
+export function removeFieldLocks(lockedFields, fields) {
+  const toRemove = new Set(fields)
+  return (lockedFields || []).filter(field => !toRemove.has(field))
+}
+
+/**
+ * Drop locked fields from a direct update (used by enrichment jobs that bypass insertOrUpdatePark)
+ *
+ * @param {Object} park - Existing park row (must include locked_fields)
+ * @param {Object} updateData - Fields about to be written
+ * @returns {{ updateData: Object, lockedFields: Array<string> }} Allowed fields and the ones held back
+ */
+export function omitLockedFields(park, updateData) {
+  const locked = getLockedFields(park)
+  const allowed = {}
+  const lockedFields = []
+  for (const [field, value] of Object.entries(updateData)) {
+    if (locked.has(field)) {
+      lockedFields.push(field)
+    } else {
+      allowed[field] = value
+    }
+  }
+  return { updateData: allowed, lockedFields }
+}
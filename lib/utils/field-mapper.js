@@ -5,41 +5,12 @@
  */
 
 /**
- * Map properties from GeoJSON/Shapefile to our park schema
- * Handles multiple naming conventions from different data sources
+ * Property names tried for each park column, in order (first non-empty value wins)
+ * Add new dataset conventions here
  */
-export function mapPropertiesToParkSchema(props) {
-  if (!props || typeof props !== 'object') {
-    return {}
-  }
-
-  // Helper to get value from multiple possible keys
-  const getValue = (keys, defaultValue = null) => {
-    for (const key of keys) {
-      if (props[key] !== undefined && props[key] !== null && props[key] !== '') {
-        return props[key]
-      }
-    }
-    return defaultValue
-  }
-
-  // Helper to get array value
-  const getArrayValue = (keys) => {
-    for (const key of keys) {
-      const value = props[key]
-      if (Array.isArray(value) && value.length > 0) {
-        return value
-      }
-      if (typeof value === 'string' && value.trim()) {
-        // Try to parse comma-separated string
-        return value.split(',').map(s => s.trim()).filter(s => s)
-      }
-    }
-    return null
-  }
-
-  // Map name (PAD-US uses UNIT_NAME, LOC_NAME; TPL/ParkServe uses ParkName, etc.)
-  const name = getValue([
+export const PROPERTY_KEYS = {
+  // PAD-US uses UNIT_NAME, LOC_NAME; TPL/ParkServe uses ParkName, etc.
+  name: [
     'name', 'NAME', 'Name',
     'UNIT_NAME', 'UNITNAME', 'unit_name', // PAD-US
     'Unit_Nm', 'UNIT_NM', // PAD-US alternative
@@ -47,20 +18,20 @@ export function mapPropertiesToParkSchema(props) {
     'ParkName', 'park_name', 'PARK_NAME', // TPL/ParkServe
     'PARKNAME', 'parkName',
     'site_name', 'SITE_NAME', 'SiteName',
-    'facility_name', 'FACILITY_NAME'
-  ], 'Unnamed Park')
+    'facility_name', 'FACILITY_NAME',
+    'Park Name', 'PARK NAME', 'Park name' // Spreadsheet headers
+  ],
 
-  // Map description
-  const description = getValue([
+  description: [
     'description', 'DESCRIPTION', 'Description', 'Desc',
     'DESC', 'desc',
     'COMMENTS', 'comments', 'Comments',
     'NOTES', 'notes', 'Notes',
     'REMARKS', 'remarks'
-  ])
+  ],
 
-  // Map state (PAD-US uses State_Nm, STATE; ParkServe uses State, StateCode)
-  const state = getValue([
+  // PAD-US uses State_Nm, STATE; ParkServe uses State, StateCode
+  state: [
     'state', 'STATE', 'State',
     'State_Nm', 'STATE_NM', 'state_nm', // PAD-US
     'state_code', 'STATE_CODE', 'StateCode', 'State_Code',
@@ -68,10 +39,10 @@ export function mapPropertiesToParkSchema(props) {
     'state_abbr', 'STATE_ABBR',
     'st', 'ST', 'St',
     'province', 'PROVINCE'
-  ])
+  ],
 
-  // Map agency/owner type (PAD-US uses Mang_Name, ParkServe may use different fields)
-  const agency = getValue([
+  // Agency/owner type (PAD-US uses Mang_Name, ParkServe may use different fields)
+  agency: [
     'agency', 'AGENCY', 'Agency',
     'Mang_Name', 'MANG_NAME', 'mang_name', // PAD-US
     'owner_type', 'OWNER_TYPE', 'OwnerType', 'OWNERTYPE',
@@ -80,113 +51,181 @@ export function mapPropertiesToParkSchema(props) {
     'mgmt_agency', 'MGMT_AGENCY',
     'manager', 'MANAGER', 'Manager',
     'agency_type', 'AGENCY_TYPE', 'AgencyType'
-  ])
-  
-  // Map agency full name (for display purposes)
-  const agency_full_name = getValue([
+  ],
+
+  // Agency full name (for display purposes)
+  agency_full_name: [
     'agency_full_name', 'AGENCY_FULL_NAME', 'AgencyFullName',
     'agency_name', 'AGENCY_NAME', 'AgencyName',
     'managing_agency_name', 'MANAGING_AGENCY_NAME'
-  ])
-  
-  // Note: agency_type column doesn't exist in database, using agency instead
+  ],
 
-  // Map website URL (database column is 'website' not 'website_url')
-  const website = getValue([
+  // Database column is 'website' not 'website_url'
+  website: [
     'website', 'WEBSITE', 'Website',
     'url', 'URL', 'Url',
     'website_url', 'WEBSITE_URL', 'WebsiteUrl',
     'homepage', 'HOMEPAGE', 'Homepage',
     'link', 'LINK', 'Link',
     'web_url', 'WEB_URL'
-  ])
+  ],
 
-  // Map phone
-  const phone = getValue([
+  phone: [
     'phone', 'PHONE', 'Phone',
     'telephone', 'TELEPHONE', 'Telephone',
     'phone_number', 'PHONE_NUMBER', 'PhoneNumber',
     'contact_phone', 'CONTACT_PHONE',
     'tel', 'TEL'
-  ])
+  ],
 
-  // Map email
-  const email = getValue([
+  email: [
     'email', 'EMAIL', 'Email',
     'contact_email', 'CONTACT_EMAIL', 'ContactEmail',
     'e_mail', 'E_MAIL', 'E_MAIL'
-  ])
+  ],
 
-  // Map amenities (can be array or comma-separated string)
-  const amenities = getArrayValue([
+  // Can be array or comma-separated string
+  amenities: [
     'amenities', 'AMENITIES', 'Amenities',
     'amenity', 'AMENITY', 'Amenity',
     'facilities', 'FACILITIES', 'Facilities',
     'facility', 'FACILITY', 'Facility',
     'features', 'FEATURES', 'Features'
-  ])
+  ],
 
-  // Map activities
-  const activities = getArrayValue([
+  activities: [
     'activities', 'ACTIVITIES', 'Activities',
     'activity', 'ACTIVITY', 'Activity',
     'recreation', 'RECREATION', 'Recreation',
     'recreational_activities', 'RECREATIONAL_ACTIVITIES'
-  ])
+  ],
 
-  // Map acres/area (for grouping - keep largest parcel)
-  const acres = getValue([
+  // Acres/area (for grouping - keep largest parcel)
+  acres: [
     'acres', 'ACRES', 'Acres',
     'Acreage', 'ACREAGE', // ParkServe
     'GIS_Acres', 'GIS_ACRES', 'gis_acres', // PAD-US
     'AREA', 'area', 'Area',
     'size_acres', 'SIZE_ACRES',
     'park_acres', 'PARK_ACRES'
-  ])
+  ],
 
-  // Map public access (PAD-US)
-  const public_access = getValue([
+  // PAD-US
+  public_access: [
     'public_access', 'PUBLIC_ACCESS', 'Public_Access',
     'Pub_Access', 'PUB_ACCESS', // PAD-US
     'access', 'ACCESS', 'Access'
-  ])
+  ],
 
-  // Map category (PAD-US, ParkServe)
-  const category = getValue([
+  // PAD-US, ParkServe
+  category: [
     'category', 'CATEGORY', 'Category',
     'Category', // PAD-US
     'ParkType', 'PARK_TYPE', 'park_type', // ParkServe
     'type', 'TYPE', 'Type',
     'park_category', 'PARK_CATEGORY'
-  ])
+  ],
 
-  // Map designation type (PAD-US)
-  const designation_type = getValue([
+  // PAD-US
+  designation_type: [
     'designation_type', 'DESIGNATION_TYPE', 'Designation_Type',
     'Des_Tp', 'DES_TP', // PAD-US
     'designation', 'DESIGNATION', 'Designation'
-  ])
+  ],
 
-  // Map county
-  const county = getValue([
+  county: [
     'county', 'COUNTY', 'County',
     'county_name', 'COUNTY_NAME', 'CountyName',
     'admin_county', 'ADMIN_COUNTY'
-  ])
+  ],
 
-  // Map address
-  const address = getValue([
+  address: [
     'address', 'ADDRESS', 'Address',
     'street_address', 'STREET_ADDRESS', 'StreetAddress',
     'location', 'LOCATION', 'Location',
     'full_address', 'FULL_ADDRESS'
-  ])
+  ]
+}
 
-  // ParkServe-specific fields
-  const parkAccess = getValue([
-    'ParkAccess', 'PARK_ACCESS', 'park_access',
-    'Access', 'ACCESS', 'access'
-  ])
+// ParkServe-specific access code (filter field, not a column)
+const PARK_ACCESS_KEYS = [
+  'ParkAccess', 'PARK_ACCESS', 'park_access',
+  'Access', 'ACCESS', 'access'
+]
+
+const ARRAY_FIELDS = new Set(['amenities', 'activities'])
+const NUMBER_FIELDS = new Set(['acres', 'latitude', 'longitude'])
+
+const hasValue = (value) => value !== undefined && value !== null && value !== ''
+
+/**
+ * The property a column's built-in key list picks for these properties
+ * @returns {string|null} Property name, or null if none of the keys has a value
+ */
+export function findPropertyKey(props, column) {
+  const keys = PROPERTY_KEYS[column] || []
+  if (!props || typeof props !== 'object') return null
+  if (ARRAY_FIELDS.has(column)) {
+    return keys.find(key => {
+      const value = props[key]
+      return (Array.isArray(value) && value.length > 0) || (typeof value === 'string' && value.trim())
+    }) || null
+  }
+  return keys.find(key => hasValue(props[key])) || null
+}
+
+/**
+ * Map properties from GeoJSON/Shapefile to our park schema
+ * Handles multiple naming conventions from different data sources
+ */
+export function mapPropertiesToParkSchema(props) {
+  if (!props || typeof props !== 'object') {
+    return {}
+  }
+
+  // Helper to get value from multiple possible keys
+  const getValue = (keys, defaultValue = null) => {
+    for (const key of keys) {
+      if (hasValue(props[key])) {
+        return props[key]
+      }
+    }
+    return defaultValue
+  }
+
+  // Helper to get array value
+  const getArrayValue = (keys) => {
+    for (const key of keys) {
+      const value = props[key]
+      if (Array.isArray(value) && value.length > 0) {
+        return value
+      }
+      if (typeof value === 'string' && value.trim()) {
+        // Try to parse comma-separated string
+        return value.split(',').map(s => s.trim()).filter(s => s)
+      }
+    }
+    return null
+  }
+
+  const name = getValue(PROPERTY_KEYS.name, 'Unnamed Park')
+  const description = getValue(PROPERTY_KEYS.description)
+  const state = getValue(PROPERTY_KEYS.state)
+  const agency = getValue(PROPERTY_KEYS.agency)
+  const agency_full_name = getValue(PROPERTY_KEYS.agency_full_name)
+  // Note: agency_type column doesn't exist in database, using agency instead
+  const website = getValue(PROPERTY_KEYS.website)
+  const phone = getValue(PROPERTY_KEYS.phone)
+  const email = getValue(PROPERTY_KEYS.email)
+  const amenities = getArrayValue(PROPERTY_KEYS.amenities)
+  const activities = getArrayValue(PROPERTY_KEYS.activities)
+  const acres = getValue(PROPERTY_KEYS.acres)
+  const public_access = getValue(PROPERTY_KEYS.public_access)
+  const category = getValue(PROPERTY_KEYS.category)
+  const designation_type = getValue(PROPERTY_KEYS.designation_type)
+  const county = getValue(PROPERTY_KEYS.county)
+  const address = getValue(PROPERTY_KEYS.address)
+  const parkAccess = getValue(PARK_ACCESS_KEYS)
 
   // Use "N/A" as placeholder if state is missing (database NOT NULL constraint)
   const finalState = state || 'N/A'
@@ -240,3 +279,173 @@ export function logUnmappedProperties(props) {
   return unmapped
 }
 
+
+// Park columns a saved source can map explicitly (see lib/utils/data-sources.js)
+export const MAPPABLE_PARK_FIELDS = [
+  'name', 'description', 'state', 'agency', 'agency_full_name',
+  'website', 'phone', 'email', 'amenities', 'activities', 'acres',
+  'public_access', 'category', 'designation_type', 'county', 'address',
+  'latitude', 'longitude', 'source_id'
+]
+
+/**
+ * Apply a source's explicit property-to-column mappings on top of mapPropertiesToParkSchema
+ * Each mapping names the property (or list of properties, first non-empty wins) that fills
+ * a column, replacing the built-in key list for that column - a column mapped to null is left empty
+ *
+ * @param {Object} park - Result of mapPropertiesToParkSchema(props)
+ * @param {Object} props - The same raw properties
+ * @param {Object|null} fieldMappings - e.g. { name: 'PARK_NM', amenities: ['AMENITY1', 'AMENITY2'] }
+ * @returns {Object} Park with the mapped columns replaced
+ */
+export function applyFieldMappings(park, props, fieldMappings) {
+  if (!fieldMappings || typeof fieldMappings !== 'object' || !props) {
+    return park
+  }
+
+  const result = { ...park }
+  for (const [field, keys] of Object.entries(fieldMappings)) {
+    if (!MAPPABLE_PARK_FIELDS.includes(field)) continue
+
+    const candidates = keys === null ? [] : Array.isArray(keys) ? keys : [keys]
+    const value = candidates
+      .map(key => props[key])
+      .find(hasValue)
+
+    if (value === undefined) {
+      // Same placeholders mapPropertiesToParkSchema uses for required columns
+      result[field] = field === 'name' ? 'Unnamed Park' : field === 'state' ? 'N/A' : null
+    } else if (ARRAY_FIELDS.has(field)) {
+      result[field] = Array.isArray(value)
+        ? value
+        : String(value).split(',').map(s => s.trim()).filter(s => s)
+    } else if (NUMBER_FIELDS.has(field)) {
+      const number = parseFloat(value)
+      result[field] = Number.isFinite(number) ? number : null
+    } else {
+      result[field] = typeof value === 'string' || field === 'source_id' ? String(value).trim() : value
+    }
+  }
+
+  return result
+}
+
+// Value transforms a column can apply after mapping (see applyValueTransforms)
+export const VALUE_TRANSFORM_TYPES = ['lookup', 'uppercase', 'lowercase', 'titlecase']
+
+function transformValue(value, transform) {
+  if (!hasValue(value)) return value
+  const text = String(value).trim()
+  switch (transform.type) {
+    case 'lookup': {
+      const values = transform.values || {}
+      const match = Object.keys(values).find(code => code.trim().toLowerCase() === text.toLowerCase())
+      if (match !== undefined) return values[match]
+      return transform.default !== undefined ? transform.default : value
+    }
+    case 'uppercase':
+      return text.toUpperCase()
+    case 'lowercase':
+      return text.toLowerCase()
+    case 'titlecase':
+      return text.toLowerCase().replace(/(^|[\s\-/(])(\w)/g, (_, sep, letter) => sep + letter.toUpperCase())
+    default:
+      return value
+  }
+}
+
+/**
+ * Apply per-column value transforms to a mapped park, e.g. an agency code lookup:
+ *   { agency: { type: 'lookup', values: { WCP: 'Wake County Parks' } }, county: { type: 'titlecase' } }
+ * Lookups match codes case-insensitively and keep unmatched values unless a default is given;
+ * array columns (amenities, activities) transform each item
+ *
+ * @param {Object} park - Mapped park (mapPropertiesToParkSchema / applyFieldMappings)
+ * @param {Object|null} valueTransforms - Column -> { type, values?, default? }
+ * @returns {Object} Park with transformed values
+ */
+export function applyValueTransforms(park, valueTransforms) {
+  if (!valueTransforms || typeof valueTransforms !== 'object') {
+    return park
+  }
+
+  const result = { ...park }
+  for (const [field, transform] of Object.entries(valueTransforms)) {
+    if (!MAPPABLE_PARK_FIELDS.includes(field) || !transform || !VALUE_TRANSFORM_TYPES.includes(transform.type)) continue
+    const value = result[field]
+    result[field] = Array.isArray(value)
+      ? value.map(item => transformValue(item, transform)).filter(hasValue)
+      : transformValue(value, transform)
+  }
+
+  return result
+}
+
+/**
+ * Map properties to park schema with a source's column mappings and value transforms
+ * (data_sources.field_mappings / value_transforms, or per-upload overrides)
+ */
+export function mapPropertiesForSource(props, { fieldMappings = null, valueTransforms = null } = {}) {
+  const park = applyFieldMappings(mapPropertiesToParkSchema(props), props, fieldMappings)
+  return applyValueTransforms(park, valueTransforms)
+}
+
+/**
+ * Summarize a file's properties for the upload mapping preview
+ * - properties: every property key with how many features fill it, sample values,
+ *   and the column the built-in key lists use it for (null = unmapped)
+ * - autoMapping: the property each column is filled from by mapPropertiesToParkSchema
+ *   (the one used by most features when it varies), or null
+ *
+ * @param {Array<Object>} propsList - Feature properties (a sample of the file is enough)
+ * @param {Object} options
+ * @param {number} options.sampleSize - Distinct sample values kept per property (default: 3)
+ * @returns {{ properties: Array<{ key: string, filled: number, samples: Array, column: string|null }>, autoMapping: Object }}
+ */
+export function describePropertyMapping(propsList, { sampleSize = 3 } = {}) {
+  const stats = new Map()
+  const columnKeyCounts = {}
+
+  for (const props of propsList || []) {
+    if (!props || typeof props !== 'object') continue
+
+    for (const [key, value] of Object.entries(props)) {
+      let entry = stats.get(key)
+      if (!entry) {
+        entry = { key, filled: 0, samples: [] }
+        stats.set(key, entry)
+      }
+      if (!hasValue(value)) continue
+      entry.filled++
+      const sample = typeof value === 'object' ? JSON.stringify(value) : value
+      if (entry.samples.length < sampleSize && !entry.samples.includes(sample)) {
+        entry.samples.push(sample)
+      }
+    }
+
+    for (const column of Object.keys(PROPERTY_KEYS)) {
+      const key = findPropertyKey(props, column)
+      if (!key) continue
+      columnKeyCounts[column] = columnKeyCounts[column] || {}
+      columnKeyCounts[column][key] = (columnKeyCounts[column][key] || 0) + 1
+    }
+  }
+
+  const autoMapping = {}
+  for (const column of Object.keys(PROPERTY_KEYS)) {
+    const counts = Object.entries(columnKeyCounts[column] || {})
+    autoMapping[column] = counts.length > 0
+      ? counts.sort((a, b) => b[1] - a[1])[0][0]
+      : null
+  }
+
+  const columnsByKey = {}
+  for (const [column, key] of Object.entries(autoMapping)) {
+    if (key && !columnsByKey[key]) columnsByKey[key] = column
+  }
+
+  return {
+    properties: Array.from(stats.values()).map(entry => ({ ...entry, column: columnsByKey[entry.key] || null })),
+    autoMapping
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * Field Source Priorities
+ * The field-level priority matrix imports merge with: the defaults in
+ * FIELD_SOURCE_PRIORITIES (lib/qualityScorer.js) with the rows of the
+ * field_source_priorities table on top (see docs/FIELD_SOURCE_PRIORITIES_SETUP.sql)
+ * Loaded at most once a minute per server instance, so edits apply to the next import
+ */
+
+import { supabaseServer, isSupabaseInitialized } from '../supabase-server.js'
+import { FIELD_SOURCE_PRIORITIES, normalizeSourceType } from '../qualityScorer.js'
+
+const CACHE_TTL_MS = 60 * 1000
+
+// { matrix: Promise<Object>, loadedAt } - concurrent imports share one load
+let cachedPriorities = null
+
+// Set once field_source_priorities turns out not to exist, so every load doesn't warn again
+let overridesUnavailable = false
+
+/**
+ * Apply field_source_priorities rows on top of a matrix
+ * A row for a field that isn't in the matrix makes that field overwritable too
+ *
+ * @param {Array<{ field, source_type, priority }>} rows
+ * @param {Object} fieldPriorities - Matrix to start from (default: FIELD_SOURCE_PRIORITIES)
+ * @returns {Object} New matrix, keyed by field then normalized source type
+ */
+export function applyFieldPriorityOverrides(rows, fieldPriorities = FIELD_SOURCE_PRIORITIES) {
+  const matrix = Object.fromEntries(
+    Object.entries(fieldPriorities).map(([field, priorities]) => [field, { ...priorities }])
+  )
+
+  for (const row of rows || []) {
+    const sourceType = normalizeSourceType(row.source_type)
+    if (!row.field || !sourceType || !Number.isFinite(row.priority)) continue
+    matrix[row.field] = { ...matrix[row.field], [sourceType]: row.priority }
+  }
+  return matrix
+}
+
+async function fetchFieldSourcePriorities() {
+  if (overridesUnavailable) return FIELD_SOURCE_PRIORITIES
+
+  const { data, error } = await supabaseServer
+    .from('field_source_priorities')
+    .select('field, source_type, priority')
+
+  if (error) {
+    if (error.code === '42P01' || error.code === 'PGRST205') {
+      overridesUnavailable = true
+      console.warn('Warning: field_source_priorities table does not exist - run docs/FIELD_SOURCE_PRIORITIES_SETUP.sql to override field priorities. Using the defaults.')
+    } else {
+      console.warn('Warning: Could not load field source priorities, using the defaults:', error.message)
+      cachedPriorities = null
+    }
+    return FIELD_SOURCE_PRIORITIES
+  }
+
+  return applyFieldPriorityOverrides(data)
+}
+
+/**
+ * The field priority matrix to merge imports with (defaults plus overrides)
+ * @returns {Promise<Object>}
+ */
+export function loadFieldSourcePriorities() {
+  if (!isSupabaseInitialized()) return Promise.resolve(FIELD_SOURCE_PRIORITIES)
+
+  if (!cachedPriorities || Date.now() - cachedPriorities.loadedAt > CACHE_TTL_MS) {
+    cachedPriorities = { matrix: fetchFieldSourcePriorities(), loadedAt: Date.now() }
+  }
+  return cachedPriorities.matrix
+}
@@ -0,0 +1,57 @@
+/**
+ * Field-Level Provenance
+ * Tracks which source, import batch and time supplied each park field
+ * Stored in parks.field_provenance (see docs/FIELD_PROVENANCE_SETUP.sql) as
+ *   { phone: { source: 'Recreation.gov API', sourceType: 'Recreation.gov', batchId, updatedAt }, ... }
+ * No server imports - safe to use from the detail view and admin panel
+ */
+
+// Source label used for edits made in the admin data quality table
+export const MANUAL_EDIT_SOURCE = 'Manual edit'
+
+/**
+ * Build a provenance entry for a write
+ *
+ * @param {Object} entry
+ * @param {string} entry.source - Human-readable source (file name, API name)
+ * @param {string|null} entry.sourceType - Source type used for priority (e.g., "State Agency")
+ * @param {string|null} entry.batchId - Import batch that made the write
+ * @returns {Object} Provenance entry
+ */
+export function createProvenanceEntry({ source, sourceType = null, batchId = null }) {
+  return {
+    source: source || sourceType || 'Unknown',
+    sourceType,
+    batchId,
+    updatedAt: new Date().toISOString()
+  }
+}
+
+/**
+ * Stamp fields with a provenance entry, keeping entries for untouched fields
+ *
+ * @param {Object|null} existingProvenance - Current parks.field_provenance
+ * @param {Array<string>} fields - Fields the write changed
+ * @param {Object} entry - Entry from createProvenanceEntry()
+ * @returns {Object} New field_provenance value
+ */
+export function recordFieldProvenance(existingProvenance, fields, entry) {
+  const provenance = { ...(existingProvenance || {}) }
+  for (const field of fields) {
+    provenance[field] = entry
+  }
+  return provenance
+}
+
+/**
+ * Flatten field_provenance for display, sorted by field name
+ *
+ * @param {Object|null} provenance - parks.field_provenance
+ * @returns {Array<{ field, source, sourceType, batchId, updatedAt }>}
+ */
+export function listFieldProvenance(provenance) {
+  if (!provenance || typeof provenance !== 'object') return []
+  return Object.entries(provenance)
+    .map(([field, entry]) => ({ field, ...entry }))
+    .sort((a, b) => a.field.localeCompare(b.field))
+}
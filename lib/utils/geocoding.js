@@ -0,0 +1,149 @@
+/**
+ * Geocoding Utility
+ * Mapbox forward geocoding (address or park name -> coordinates) and reverse
+ * geocoding (coordinates -> state), shared by /api/admin/geocode and imports of
+ * spreadsheets that have addresses but no coordinates
+ */
+
+const MAPBOX_TOKEN = process.env.NEXT_PUBLIC_MAPBOX_TOKEN || process.env.MAPBOX_TOKEN
+
+// Forward results below this Mapbox relevance are treated as no match
+export const GEOCODE_MIN_RELEVANCE = 0.7
+
+// Pause between requests - Mapbox allows 600 requests/minute
+export const GEOCODE_DELAY_MS = 100
+
+export function isGeocodingConfigured() {
+  return !!MAPBOX_TOKEN
+}
+
+export const geocodeDelay = () => new Promise(resolve => setTimeout(resolve, GEOCODE_DELAY_MS))
+
+/**
+ * Geocode an address or "Park Name, ST" query
+ * @param {string} query
+ * @returns {Promise<{ latitude: number, longitude: number, relevance: number, placeName: string }|null>}
+ *   null when there is no result with enough relevance
+ * @throws {Error} If the token is missing or the API request fails
+ */
+export async function geocodeAddress(query) {
+  if (!MAPBOX_TOKEN) {
+    throw new Error('Mapbox token not configured')
+  }
+
+  const url = `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(query)}.json?access_token=${MAPBOX_TOKEN}&limit=1&types=poi,address`
+  const response = await fetch(url)
+  if (!response.ok) {
+    throw new Error(`Geocoding API error: ${response.status}`)
+  }
+
+  const data = await response.json()
+  const feature = data.features?.[0]
+  if (!feature) return null
+
+  const relevance = feature.relevance || 0
+  if (relevance < GEOCODE_MIN_RELEVANCE) {
+    console.warn(`  ⚠️  Low relevance (${relevance.toFixed(2)}): ${feature.place_name}`)
+    return null
+  }
+
+  const [lng, lat] = feature.center
+  return { latitude: lat, longitude: lng, relevance, placeName: feature.place_name }
+}
+
+/**
+ * Find the state a point is in
+ * @returns {Promise<string|null>} 2-letter state code, or null if not found
+ * @throws {Error} If the token is missing or the API request fails
+ */
+export async function reverseGeocodeState(longitude, latitude) {
+  if (!MAPBOX_TOKEN) {
+    throw new Error('Mapbox token not configured')
+  }
+
+  const url = `https://api.mapbox.com/geocoding/v5/mapbox.places/${longitude},${latitude}.json?access_token=${MAPBOX_TOKEN}&limit=1`
+  const response = await fetch(url)
+  if (!response.ok) {
+    throw new Error(`Geocoding API error: ${response.status}`)
+  }
+
+  const data = await response.json()
+  const context = data.features?.[0]?.context || []
+  // Look for region (state) in context, e.g. short_code "US-CA"
+  const region = context.find(c => (c.id || '').startsWith('region'))
+  const stateCode = region?.short_code?.replace('US-', '').toUpperCase()
+  return stateCode && stateCode.length === 2 ? stateCode : null
+}
+
+/**
+ * Geocoding query for a mapped park: its address (with state when known),
+ * else "Park Name, ST"
+ * @param {Object} park - Mapped park (mapPropertiesToParkSchema)
+ * @param {string|null} defaultState - Used when the park has no state
+ * @returns {string|null} null if there is nothing to search for
+ */
+export function geocodeQueryForPark(park, defaultState = null) {
+  const state = park.state && park.state !== 'N/A' ? park.state : defaultState
+  if (park.address) {
+    return state && !park.address.includes(state) ? `${park.address}, ${state}` : park.address
+  }
+  if (park.name && park.name !== 'Unnamed Park' && state) {
+    return `${park.name}, ${state}`
+  }
+  return null
+}
+
+/**
+ * Give features without a geometry a Point from geocoding (spreadsheet rows with an
+ * address but no coordinates). Features are updated in place
+ *
+ * @param {Array<Object>} features - GeoJSON features
+ * @param {Object} options
+ * @param {Function} options.buildQuery - (properties) => query string or null
+ * @param {number} options.limit - Most rows to geocode (default: 500)
+ * @returns {Promise<{ geocoded: number, notFound: number, skipped: number, errors: Array }>}
+ *   skipped counts rows with no query or over the limit
+ */
+export async function geocodeMissingPoints(features, { buildQuery, limit = 500 } = {}) {
+  const result = { geocoded: 0, notFound: 0, skipped: 0, errors: [] }
+  const missing = features.filter(feature => !feature.geometry)
+  if (missing.length === 0) return result
+
+  if (!MAPBOX_TOKEN) {
+    console.warn(`⚠️ ${missing.length} rows have no coordinates but no Mapbox token is configured to geocode them`)
+    result.skipped = missing.length
+    return result
+  }
+
+  console.log(`📍 Geocoding up to ${Math.min(missing.length, limit)} of ${missing.length} rows without coordinates...`)
+  let requests = 0
+  let overLimit = 0
+  for (const feature of missing) {
+    const query = buildQuery(feature.properties || {})
+    if (!query || requests >= limit) {
+      result.skipped++
+      if (query) overLimit++
+      continue
+    }
+
+    if (requests > 0) await geocodeDelay()
+    requests++
+    try {
+      const coords = await geocodeAddress(query)
+      if (coords) {
+        feature.geometry = { type: 'Point', coordinates: [coords.longitude, coords.latitude] }
+        result.geocoded++
+      } else {
+        result.notFound++
+      }
+    } catch (error) {
+      console.warn(`  ⚠️  Geocoding error for "${query}": ${error.message}`)
+      result.errors.push({ query, error: error.message })
+    }
+  }
+
+  if (overLimit > 0) {
+    console.warn(`⚠️ Geocoding limit of ${limit} rows reached - ${overLimit} rows were left without a location`)
+  }
+  return result
+}
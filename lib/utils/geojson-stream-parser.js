@@ -0,0 +1,149 @@
+/**
+ * Streaming GeoJSON Parser
+ * Reads a FeatureCollection from a byte stream one feature at a time, so files of
+ * hundreds of MB are processed in memory bounded by the largest single feature
+ * Only the top-level "features" array is parsed into objects; other members are skipped
+ */
+
+const QUOTE = 34 // "
+const BACKSLASH = 92 // \
+const COLON = 58 // :
+const COMMA = 44 // ,
+const OPEN_BRACE = 123 // {
+const CLOSE_BRACE = 125 // }
+const OPEN_BRACKET = 91 // [
+const CLOSE_BRACKET = 93 // ]
+
+/**
+ * True if a file name is GeoJSON (streamable with streamGeoJSONFeatures)
+ */
+export function isGeoJSONFile(fileName) {
+  const lower = (fileName || '').toLowerCase()
+  return lower.endsWith('.geojson') || lower.endsWith('.json')
+}
+
+// Web ReadableStream (fetch/Supabase) or any async iterable of Uint8Array/string chunks
+async function* readChunks(stream) {
+  if (typeof stream.getReader === 'function') {
+    const reader = stream.getReader()
+    try {
+      while (true) {
+        const { done, value } = await reader.read()
+        if (done) return
+        yield value
+      }
+    } finally {
+      reader.releaseLock()
+    }
+  }
+  for await (const chunk of stream) {
+    yield chunk
+  }
+}
+
+/**
+ * Yield each feature of a GeoJSON FeatureCollection as it is read
+ * Also accepts a bare array of features
+ *
+ * @param {ReadableStream|AsyncIterable<Uint8Array|string>} stream
+ * @returns {AsyncGenerator<Object>} GeoJSON features
+ * @throws {Error} If there is no features array or the JSON is malformed/truncated
+ */
+export async function* streamGeoJSONFeatures(stream) {
+  const decoder = new TextDecoder('utf-8')
+
+  let depth = 0
+  let inString = false
+  let escaped = false
+  let keyText = '' // Text of the current top-level string (candidate key)
+  let lastString = null
+  let currentKey = null
+  let featuresDepth = 0 // Depth inside the features array, 0 when outside it
+  let foundFeatures = false
+  let captureStart = -1 // Start of the current feature in the chunk
+  let captured = [] // Earlier chunks' parts of the current feature
+  let featureCount = 0
+
+  for await (const chunk of readChunks(stream)) {
+    const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true })
+    const ready = []
+
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i)
+
+      if (inString) {
+        if (escaped) {
+          escaped = false
+        } else if (code === BACKSLASH) {
+          escaped = true
+        } else if (code === QUOTE) {
+          inString = false
+          if (depth === 1) lastString = keyText
+          continue
+        }
+        if (depth === 1) keyText += text[i]
+        continue
+      }
+
+      switch (code) {
+        case QUOTE:
+          inString = true
+          if (depth === 1) keyText = ''
+          break
+        case COLON:
+          if (depth === 1) currentKey = lastString
+          break
+        case COMMA:
+          if (depth === 1) currentKey = null
+          break
+        case OPEN_BRACE:
+        case OPEN_BRACKET:
+          depth++
+          if (code === OPEN_BRACKET && !featuresDepth && !foundFeatures &&
+            ((depth === 2 && currentKey === 'features') || depth === 1)) {
+            featuresDepth = depth
+          } else if (code === OPEN_BRACE && featuresDepth && depth === featuresDepth + 1) {
+            captureStart = i
+          }
+          break
+        case CLOSE_BRACE:
+        case CLOSE_BRACKET:
+          if (code === CLOSE_BRACE && featuresDepth && depth === featuresDepth + 1 && captureStart !== -1) {
+            captured.push(text.slice(captureStart, i + 1))
+            const featureText = captured.join('')
+            captured = []
+            captureStart = -1
+            try {
+              ready.push(JSON.parse(featureText))
+            } catch (error) {
+              throw new Error(`Invalid GeoJSON: feature ${featureCount + 1} could not be parsed (${error.message})`)
+            }
+            featureCount++
+          } else if (code === CLOSE_BRACKET && featuresDepth && depth === featuresDepth) {
+            featuresDepth = 0
+            foundFeatures = true
+          }
+          depth--
+          if (depth < 0) throw new Error('Invalid GeoJSON: unbalanced brackets')
+          break
+      }
+    }
+
+    // Carry the unfinished feature over to the next chunk
+    if (captureStart !== -1) {
+      captured.push(text.slice(captureStart))
+      captureStart = 0
+    }
+
+    for (const feature of ready) {
+      yield feature
+    }
+  }
+
+  if (depth !== 0 || inString) {
+    throw new Error('Invalid GeoJSON: file ended unexpectedly (truncated upload?)')
+  }
+  if (!foundFeatures) {
+    throw new Error('Invalid GeoJSON format: no "features" array found')
+  }
+}
@@ -2,6 +2,7 @@
  * Geometry WKT Converter
  * Converts GeoJSON geometries to WKT (Well-Known Text) format with SRID prefix
  * Required for PostGIS geography columns
+ * Also reads geometries back: WKT, and WKB/EWKB (GeoPackage blobs, PostgREST hex)
  * 
  * Based on Python workflow: geometry stored as "SRID=4326;{WKT}"
  */
@@ -69,6 +70,140 @@ export function geojsonToWKT(geometry, srid = 4326) {
   return `SRID=${srid};${geometryType}(${wktCoords})`
 }
 
+const WKT_TYPES = {
+  POINT: 'Point',
+  LINESTRING: 'LineString',
+  POLYGON: 'Polygon',
+  MULTIPOLYGON: 'MultiPolygon'
+}
+
+/**
+ * Parse WKT (with or without an SRID prefix) back into a GeoJSON geometry
+ * Handles the geometry types geojsonToWKT writes (2D only)
+ * 
+ * @param {string} wkt - e.g. "SRID=4326;POLYGON((-79 36, -78 36, -78 37, -79 36))"
+ * @returns {Object|null} GeoJSON geometry, or null if not parseable
+ */
+export function wktToGeojson(wkt) {
+  if (!wkt || typeof wkt !== 'string') {
+    return null
+  }
+
+  const body = wkt.trim().replace(/^SRID=\d+;/i, '')
+  const match = body.match(/^([A-Z]+)\s*(\(.*\))$/is)
+  const type = match && WKT_TYPES[match[1].toUpperCase()]
+  if (!type) {
+    return null
+  }
+
+  // "(x y, x y)" -> "[[x,y],[x,y]]" so the nesting can be read as JSON
+  const number = '-?\\d+(?:\\.\\d+)?(?:[eE][-+]?\\d+)?'
+  const json = match[2]
+    .replace(new RegExp(`(${number})\\s+(${number})`, 'g'), '[$1,$2]')
+    .replace(/\(/g, '[')
+    .replace(/\)/g, ']')
+
+  let coordinates
+  try {
+    coordinates = JSON.parse(json)
+  } catch {
+    return null
+  }
+
+  return {
+    type,
+    coordinates: type === 'Point' ? coordinates[0] : coordinates
+  }
+}
+
+const WKB_TYPES = {
+  1: 'Point',
+  2: 'LineString',
+  3: 'Polygon',
+  4: 'MultiPoint',
+  5: 'MultiLineString',
+  6: 'MultiPolygon',
+  7: 'GeometryCollection'
+}
+
+// One WKB geometry at reader.pos (ISO and EWKB Z/M flavors); Z and M values are dropped
+function readWkbGeometry(reader) {
+  const littleEndian = reader.view.getUint8(reader.pos) === 1
+  let typeCode = reader.view.getUint32(reader.pos + 1, littleEndian)
+  reader.pos += 5
+
+  let dimensions = 2
+  // EWKB: high bits flag Z, M and an embedded SRID
+  if (typeCode & 0x80000000) dimensions++
+  if (typeCode & 0x40000000) dimensions++
+  if (typeCode & 0x20000000) reader.pos += 4
+  typeCode &= 0x0fffffff
+  // ISO: 1000s flag Z, 2000s M, 3000s ZM
+  const isoDimensions = Math.floor(typeCode / 1000)
+  if (isoDimensions >= 1 && isoDimensions <= 3) {
+    dimensions += isoDimensions === 3 ? 2 : 1
+    typeCode %= 1000
+  }
+
+  const type = WKB_TYPES[typeCode]
+  if (!type) {
+    throw new Error(`WKB geometry type ${typeCode}`)
+  }
+
+  const readPoint = () => {
+    const point = [
+      reader.view.getFloat64(reader.pos, littleEndian),
+      reader.view.getFloat64(reader.pos + 8, littleEndian)
+    ]
+    reader.pos += dimensions * 8
+    return point
+  }
+  const readCount = () => {
+    const count = reader.view.getUint32(reader.pos, littleEndian)
+    reader.pos += 4
+    return count
+  }
+  const readPoints = () => Array.from({ length: readCount() }, readPoint)
+  const readRings = () => Array.from({ length: readCount() }, readPoints)
+
+  switch (type) {
+    case 'Point': {
+      const point = readPoint()
+      // An empty point is written as NaN coordinates
+      return point.every(Number.isFinite) ? { type, coordinates: point } : null
+    }
+    case 'LineString':
+      return { type, coordinates: readPoints() }
+    case 'Polygon':
+      return { type, coordinates: readRings() }
+    default: {
+      // Multi* and collections hold complete WKB geometries, each with its own header
+      const parts = Array.from({ length: readCount() }, () => readWkbGeometry(reader)).filter(Boolean)
+      if (type === 'GeometryCollection') {
+        return { type, geometries: parts }
+      }
+      return { type, coordinates: parts.map(part => part.coordinates) }
+    }
+  }
+}
+
+/**
+ * Parse WKB (ISO or PostGIS EWKB, as bytes or a hex string like PostgREST returns
+ * for geometry columns) into a GeoJSON geometry; Z and M values are dropped
+ *
+ * @param {Uint8Array|string} wkb
+ * @param {number} offset - Byte offset the geometry starts at
+ * @returns {Object|null} GeoJSON geometry, or null for an empty point
+ * @throws {Error} For curved geometry types (CircularString etc.) and malformed data
+ */
+export function wkbToGeojson(wkb, offset = 0) {
+  const bytes = typeof wkb === 'string'
+    ? Uint8Array.from(wkb.match(/[0-9a-f]{2}/gi) || [], byte => parseInt(byte, 16))
+    : wkb
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  return readWkbGeometry({ view, pos: offset })
+}
+
 /**
  * Validate geometry before conversion
  * Basic validation to catch obvious issues
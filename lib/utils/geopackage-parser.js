@@ -0,0 +1,236 @@
+/**
+ * GeoPackage Parser Utility
+ * Converts a feature layer of an OGC GeoPackage (.gpkg - a SQLite database with WKB
+ * geometries) to a GeoJSON FeatureCollection
+ * PAD-US and many state GIS portals publish GeoPackages with several layers and far more
+ * areas than parks, so one layer is read and rows can be filtered by attribute
+ * (e.g. PAD-US Des_Tp / Mang_Type) before they become features
+ */
+
+import { openSqliteDatabase } from './sqlite-reader.js'
+import { parsePrj, parseCrs, isSupportedCrs, reprojectGeometry } from './crs-reproject.js'
+import { wkbToGeojson } from './geometry-wkt.js'
+
+// Columns with more distinct values than this aren't listed for filtering (names, ids, acreage)
+const MAX_FILTER_VALUES = 50
+
+// Undefined Cartesian / geographic SRS ids from the GeoPackage spec
+const UNDEFINED_SRS_IDS = new Set([-1, 0])
+
+// Envelope size in bytes by the GeoPackage header's envelope contents indicator
+const ENVELOPE_SIZES = [0, 32, 48, 48, 64]
+
+/**
+ * True if the file name is a GeoPackage
+ */
+export function isGeoPackageFile(fileName) {
+  return (fileName || '').toLowerCase().endsWith('.gpkg')
+}
+
+/**
+ * Validate an attribute filter: { column: [values to keep] }
+ * A feature is kept when, for every column, its value is one of the listed values
+ * (compared as text, ignoring case)
+ *
+ * @param {Object|null} filter
+ * @returns {{ value: Object, errors: Array<string> }}
+ */
+export function validateAttributeFilter(filter) {
+  const errors = []
+  const value = {}
+  if (filter == null) return { value, errors }
+  if (typeof filter !== 'object' || Array.isArray(filter)) {
+    return { value, errors: ['Attribute filter must be an object of column: [values]'] }
+  }
+
+  for (const [column, values] of Object.entries(filter)) {
+    if (!Array.isArray(values) || values.some(item => typeof item !== 'string' && typeof item !== 'number')) {
+      errors.push(`Filter values for "${column}" must be a list of text or numbers`)
+    } else if (values.length > 0) {
+      value[column] = values.map(String)
+    }
+  }
+  return { value, errors }
+}
+
+/**
+ * Read a feature layer of a GeoPackage
+ *
+ * @param {File} file - File object (.gpkg)
+ * @param {Object} options
+ * @param {string|null} options.layer - Layer (table) name; defaults to the first feature layer
+ * @param {Object|null} options.attributeFilter - See validateAttributeFilter
+ * @returns {Promise<Object>} GeoJSON FeatureCollection in WGS84 with a geopackage summary
+ *   ({ layer, layers, attributeFilter, attributeValues, filteredOut }) for choosing the layer
+ *   and filter; attributeValues lists each column's values and counts (null if too many)
+ * @throws {Error} If the file is not a GeoPackage, the layer or a filter column doesn't exist,
+ *   or the layer's coordinate system cannot be reprojected
+ */
+export async function parseGeoPackage(file, { layer = null, attributeFilter = null } = {}) {
+  const db = openSqliteDatabase(await file.arrayBuffer())
+  const layers = readLayers(db)
+  if (layers.length === 0) {
+    throw new Error('GeoPackage has no feature layers')
+  }
+
+  const selected = layer
+    ? layers.find(candidate => candidate.name.toLowerCase() === String(layer).toLowerCase())
+    : layers[0]
+  if (!selected) {
+    throw new Error(`Layer "${layer}" not found - the GeoPackage has ${layers.map(candidate => candidate.name).join(', ')}`)
+  }
+
+  const propertyColumns = selected.columns.filter(column => column !== selected.geometryColumn)
+  const filter = Object.entries(attributeFilter || {}).map(([column, values]) => {
+    const match = propertyColumns.find(candidate => candidate.toLowerCase() === column.toLowerCase())
+    if (!match) {
+      throw new Error(`Filter column "${column}" is not in layer ${selected.name}`)
+    }
+    return { column: match, values: new Set(values.map(item => String(item).toLowerCase())) }
+  })
+
+  const crs = layerCrs(db, selected)
+  const valueCounts = Object.fromEntries(propertyColumns.map(column => [column, new Map()]))
+  const features = []
+  let filteredOut = 0
+  let unreadableGeometries = 0
+
+  for (const row of db.readTable(selected.name)) {
+    const properties = {}
+    for (const column of propertyColumns) {
+      const value = row[column]
+      // Other BLOB columns (attachments, raster tiles) aren't park attributes
+      properties[column] = value instanceof Uint8Array ? null : value
+
+      const counts = valueCounts[column]
+      if (counts && value != null && !(value instanceof Uint8Array)) {
+        counts.set(value, (counts.get(value) || 0) + 1)
+        if (counts.size > MAX_FILTER_VALUES) valueCounts[column] = null
+      }
+    }
+
+    if (!filter.every(({ column, values }) => properties[column] != null && values.has(String(properties[column]).toLowerCase()))) {
+      filteredOut++
+      continue
+    }
+
+    let geometry = null
+    const blob = row[selected.geometryColumn]
+    if (blob instanceof Uint8Array) {
+      try {
+        geometry = readGeoPackageGeometry(blob)
+      } catch {
+        unreadableGeometries++
+      }
+      geometry = reprojectGeometry(geometry, crs)
+    }
+
+    features.push({
+      type: 'Feature',
+      properties,
+      geometry
+    })
+  }
+
+  if (unreadableGeometries > 0) {
+    console.warn(`⚠️ ${unreadableGeometries} features in ${selected.name} have curved or unreadable geometries and were left without a location`)
+  }
+  console.log(`🗂️ GeoPackage layer ${selected.name}: ${features.length} features${filter.length > 0 ? ` (${filteredOut} filtered out)` : ''}`)
+
+  return {
+    type: 'FeatureCollection',
+    features,
+    geopackage: {
+      layer: selected.name,
+      layers: layers.map(({ name, title, geometryType, featureCount }) => ({ name, title, geometryType, featureCount })),
+      attributeFilter: attributeFilter || {},
+      attributeValues: Object.fromEntries(Object.entries(valueCounts).map(([column, counts]) => [
+        column,
+        counts && counts.size > 0
+          ? Array.from(counts, ([value, count]) => ({ value, count })).sort((a, b) => b.count - a.count)
+          : null
+      ])),
+      filteredOut
+    }
+  }
+}
+
+/**
+ * Feature layers from gpkg_contents joined with gpkg_geometry_columns
+ */
+function readLayers(db) {
+  if (!db.hasTable('gpkg_contents') || !db.hasTable('gpkg_geometry_columns')) {
+    throw new Error('Not a GeoPackage (no gpkg_contents table)')
+  }
+
+  const geometryColumns = new Map()
+  for (const row of db.readTable('gpkg_geometry_columns')) {
+    geometryColumns.set(String(row.table_name).toLowerCase(), row)
+  }
+
+  const layers = []
+  for (const row of db.readTable('gpkg_contents')) {
+    const geometryColumn = geometryColumns.get(String(row.table_name).toLowerCase())
+    if (row.data_type !== 'features' || !geometryColumn || !db.hasTable(row.table_name)) continue
+    layers.push({
+      name: row.table_name,
+      title: row.identifier || row.table_name,
+      geometryColumn: geometryColumn.column_name,
+      geometryType: geometryColumn.geometry_type_name,
+      srsId: geometryColumn.srs_id ?? row.srs_id,
+      featureCount: db.countRows(row.table_name),
+      columns: db.tableColumns(row.table_name)
+    })
+  }
+  return layers
+}
+
+/**
+ * CRS of a layer for reprojectGeometry, from its gpkg_spatial_ref_sys definition
+ * GeoPackage geometries are always x/y (longitude/latitude for geographic systems)
+ */
+function layerCrs(db, layer) {
+  if (layer.srsId === 4326 || UNDEFINED_SRS_IDS.has(layer.srsId)) return null
+
+  const srs = db.hasTable('gpkg_spatial_ref_sys')
+    ? Array.from(db.readTable('gpkg_spatial_ref_sys')).find(row => row.srs_id === layer.srsId)
+    : null
+  if (!srs) {
+    throw new Error(`Layer ${layer.name} uses spatial reference ${layer.srsId}, which is not defined in the GeoPackage`)
+  }
+
+  const label = `${srs.organization || ''}:${srs.organization_coordsys_id ?? srs.srs_id}`
+  try {
+    const crs = parsePrj(srs.definition)
+    if (!crs.toLonLat) return null
+    console.log(`🌐 Reprojecting GeoPackage layer ${layer.name} from ${crs.name} to WGS84`)
+    return crs
+  } catch (error) {
+    // No usable WKT, but a code reprojectGeometry knows (e.g. EPSG:3857)
+    const byCode = /^epsg$/i.test(srs.organization || '') ? parseCrs(`EPSG:${srs.organization_coordsys_id}`) : null
+    if (byCode && isSupportedCrs(byCode)) return byCode
+    throw new Error(`Layer ${layer.name} uses spatial reference ${label} (${srs.srs_name || 'unnamed'}), which cannot be reprojected: ${error.message}`)
+  }
+}
+
+/**
+ * GeoPackage geometry BLOB -> GeoJSON geometry
+ * "GP" header (version, flags, srs_id, optional envelope) followed by standard WKB
+ *
+ * @param {Uint8Array} blob
+ * @returns {Object|null} null for empty geometries
+ * @throws {Error} For curved geometry types (CircularString etc.) and malformed data
+ */
+function readGeoPackageGeometry(blob) {
+  if (blob[0] !== 0x47 || blob[1] !== 0x50) {
+    throw new Error('Not a GeoPackage geometry')
+  }
+  const flags = blob[3]
+  if (flags & 0x10) return null // Empty geometry
+  if (flags & 0x20) throw new Error('Extended GeoPackage geometry')
+
+  const envelopeSize = ENVELOPE_SIZES[(flags >> 1) & 0x07]
+  if (envelopeSize === undefined) throw new Error('Invalid envelope')
+
+  return wkbToGeojson(blob, 8 + envelopeSize)
+}
@@ -0,0 +1,80 @@
+/**
+ * GPX Parser Utility
+ * Converts GPX 1.0 / 1.1 files to a GeoJSON FeatureCollection
+ * Waypoints become Point features (the usual way volunteers mark parks and trailheads),
+ * routes become LineStrings and tracks MultiLineStrings
+ * GPX element names (name, desc, cmt, type, link) are kept as properties for the field mapper
+ */
+
+import { parseXml, childElement, childElements, childText } from './xml-parser.js'
+
+/**
+ * Parse GPX text
+ *
+ * @param {string} text - GPX document
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export function parseGpx(text) {
+  const root = parseXml(text)
+  if (root.name !== 'gpx') {
+    throw new Error(`Not a GPX document (root element <${root.qName}>)`)
+  }
+
+  const features = []
+
+  for (const waypoint of childElements(root, 'wpt')) {
+    const point = gpxPoint(waypoint)
+    if (!point) continue
+    features.push({
+      type: 'Feature',
+      properties: gpxProperties(waypoint),
+      geometry: { type: 'Point', coordinates: point }
+    })
+  }
+
+  for (const route of childElements(root, 'rte')) {
+    const line = childElements(route, 'rtept').map(gpxPoint).filter(Boolean)
+    if (line.length < 2) continue
+    features.push({
+      type: 'Feature',
+      properties: gpxProperties(route),
+      geometry: { type: 'LineString', coordinates: line }
+    })
+  }
+
+  for (const track of childElements(root, 'trk')) {
+    const lines = childElements(track, 'trkseg')
+      .map(segment => childElements(segment, 'trkpt').map(gpxPoint).filter(Boolean))
+      .filter(line => line.length >= 2)
+    if (lines.length === 0) continue
+    features.push({
+      type: 'Feature',
+      properties: gpxProperties(track),
+      geometry: { type: 'MultiLineString', coordinates: lines }
+    })
+  }
+
+  return {
+    type: 'FeatureCollection',
+    features
+  }
+}
+
+// lat/lon attributes -> [lon, lat]
+function gpxPoint(element) {
+  const lat = parseFloat(element.attributes.lat)
+  const lon = parseFloat(element.attributes.lon)
+  return Number.isFinite(lat) && Number.isFinite(lon) ? [lon, lat] : null
+}
+
+function gpxProperties(element) {
+  const properties = {}
+  for (const name of ['name', 'desc', 'cmt', 'type', 'sym']) {
+    const value = childText(element, name)
+    if (value) properties[name] = value
+  }
+  // GPX 1.1 <link href="...">, GPX 1.0 <url>
+  const link = childElement(element, 'link')?.attributes.href || childText(element, 'url')
+  if (link) properties.link = link
+  return properties
+}
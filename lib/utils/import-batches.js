@@ -0,0 +1,410 @@
+/**
+ * Import Batches
+ * Tags every upload/sync with a batch id, snapshots the rows it touches,
+ * and rolls a bad batch back to the pre-import state
+ * Tables are created by docs/IMPORT_BATCHES_SETUP.sql
+ */
+
+import { supabaseServer, isSupabaseInitialized } from '../supabase-server.js'
+import { availableParkColumns } from './park-columns.js'
+
+// Rows per request when reading snapshots or deleting inserted parks
+const ROLLBACK_CHUNK_SIZE = 500
+
+// Columns never written back on restore: a rollback doesn't take parks out of the trash,
+// undo an admin's field locks, rewrite provenance or reset the edit version
+const RESTORE_IGNORED_FIELDS = new Set([
+  'id', 'created_at', 'deleted_at', 'deleted_by', 'deleted_reason',
+  'locked_fields', 'field_provenance', 'version'
+])
+
+// A batch can only be rolled back once its import has stopped writing
+// (partially rolled back batches can be run again, e.g. with force)
+export const ROLLBACK_STATUSES = ['completed', 'failed', 'partially_rolled_back']
+
+/**
+ * Start a new import batch
+ * Returns null (and logs a warning) if the batch could not be recorded,
+ * so a missing batches table never blocks the import itself - the import
+ * just won't be tagged or restorable
+ *
+ * @param {Object} batch - Batch details
+ * @param {string} batch.kind - 'upload' or 'sync'
+ * @param {string} batch.sourceType - Source type (e.g., "State Agency")
+ * @param {string|null} batch.sourceName - File name, source name or API URL
+ * @returns {Promise<Object|null>} The created import_batches row or null
+ */
+export async function startImportBatch({ kind, sourceType, sourceName = null }) {
+  if (!isSupabaseInitialized()) return null
+
+  try {
+    const { data, error } = await supabaseServer
+      .from('import_batches')
+      .insert({
+        kind,
+        source_type: sourceType,
+        source_name: sourceName,
+        status: 'running'
+      })
+      .select()
+      .single()
+
+    if (error) {
+      console.warn('Warning: Could not record import batch:', error.message)
+      return null
+    }
+
+    return data
+  } catch (error) {
+    console.warn('Warning: Exception recording import batch:', error.message)
+    return null
+  }
+}
+
+/**
+ * Finish an import batch - store final status and counts
+ *
+ * @param {Object|null} batch - Row returned by startImportBatch (no-op if null)
+ * @param {Object} summary
+ * @param {string} summary.status - 'completed' or 'failed'
+ * @param {number} summary.parksAdded
+ * @param {number} summary.parksUpdated
+ * @param {number} summary.parksSkipped
+ */
+export async function finishImportBatch(batch, summary = {}) {
+  if (!batch || !isSupabaseInitialized()) return
+
+  const {
+    status = 'completed',
+    parksAdded = 0,
+    parksUpdated = 0,
+    parksSkipped = 0
+  } = summary
+
+  try {
+    const { error } = await supabaseServer
+      .from('import_batches')
+      .update({
+        status,
+        finished_at: new Date().toISOString(),
+        parks_added: parksAdded,
+        parks_updated: parksUpdated,
+        parks_skipped: parksSkipped
+      })
+      .eq('id', batch.id)
+
+    if (error) {
+      console.warn(`Warning: Could not finish import batch ${batch.id}:`, error.message)
+    }
+  } catch (error) {
+    console.warn(`Warning: Exception finishing import batch ${batch.id}:`, error.message)
+  }
+}
+
+/**
+ * Record a park touched by a batch
+ * Called before an update (with the full existing row) and after an insert
+ * Throws on failure - writing a park the batch can't restore defeats rollback
+ *
+ * @param {string} batchId - import_batches.id
+ * @param {string|number} parkId - parks.id
+ * @param {string} action - 'added' or 'updated'
+ * @param {Object|null} previousValues - Full park row before the update (null for inserts)
+ */
+export async function recordImportSnapshot(batchId, parkId, action, previousValues = null) {
+  const { error } = await supabaseServer
+    .from('import_batch_snapshots')
+    .insert({
+      batch_id: batchId,
+      park_id: String(parkId),
+      action,
+      previous_values: previousValues
+    })
+
+  if (error) {
+    throw new Error(`Failed to snapshot park ${parkId} for import batch: ${error.message}`)
+  }
+}
+
+/**
+ * List recent import batches, newest first
+ *
+ * @param {Object} options
+ * @param {number} options.limit - Max batches to return (default: 50)
+ * @returns {Promise<Array>} import_batches rows
+ */
+export async function listImportBatches({ limit = 50 } = {}) {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  const { data, error } = await supabaseServer
+    .from('import_batches')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(limit)
+
+  if (error) {
+    throw new Error(`Failed to fetch import batches: ${error.message}`)
+  }
+
+  return data || []
+}
+
+/**
+ * Get one import batch
+ * @param {string} batchId - import_batches.id
+ * @returns {Promise<Object|null>} import_batches row or null if not found
+ */
+export async function getImportBatch(batchId) {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  const { data, error } = await supabaseServer
+    .from('import_batches')
+    .select('*')
+    .eq('id', batchId)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Failed to fetch import batch: ${error.message}`)
+  }
+
+  return data
+}
+
+/**
+ * Load every not-yet-restored snapshot for a batch, oldest first
+ */
+async function fetchPendingSnapshots(batchId) {
+  const snapshots = []
+  let from = 0
+
+  while (true) {
+    const { data, error } = await supabaseServer
+      .from('import_batch_snapshots')
+      .select('*')
+      .eq('batch_id', batchId)
+      .is('restored_at', null)
+      .order('id', { ascending: true })
+      .range(from, from + ROLLBACK_CHUNK_SIZE - 1)
+
+    if (error) {
+      throw new Error(`Failed to fetch import batch snapshots: ${error.message}`)
+    }
+
+    snapshots.push(...(data || []))
+    if (!data || data.length < ROLLBACK_CHUNK_SIZE) break
+    from += ROLLBACK_CHUNK_SIZE
+  }
+
+  return snapshots
+}
+
+async function markSnapshotsRestored(snapshotIds) {
+  for (let i = 0; i < snapshotIds.length; i += ROLLBACK_CHUNK_SIZE) {
+    const chunk = snapshotIds.slice(i, i + ROLLBACK_CHUNK_SIZE)
+    const { error } = await supabaseServer
+      .from('import_batch_snapshots')
+      .update({ restored_at: new Date().toISOString() })
+      .in('id', chunk)
+
+    if (error) {
+      console.warn('Warning: Could not mark snapshots restored:', error.message)
+    }
+  }
+}
+
+/**
+ * Why a park can't be rolled back without force, or null if only this batch changed it:
+ * a later import wrote it, or it was changed by hand after the batch (bulk edits,
+ * PATCH /api/parks/[id], field locks, duplicate merges, geocoding bump last_updated;
+ * manual edits also leave provenance entries without a batch id)
+ */
+function rollbackConflictReason(park, batch) {
+  if (park.import_batch_id && park.import_batch_id !== batch.id) {
+    return `Changed by a later import batch (${park.import_batch_id})`
+  }
+
+  if (batch.finished_at && park.last_updated && new Date(park.last_updated) > new Date(batch.finished_at)) {
+    return `Changed after the import (${new Date(park.last_updated).toLocaleString()})`
+  }
+
+  const batchStart = new Date(batch.created_at)
+  const laterEdit = Object.entries(park.field_provenance || {}).find(([, entry]) =>
+    entry && !entry.batchId && entry.updatedAt && new Date(entry.updatedAt) > batchStart
+  )
+  if (laterEdit) {
+    return `${laterEdit[0]} changed after the import (${laterEdit[1].source || 'manual edit'})`
+  }
+
+  return null
+}
+
+/**
+ * Roll back an import batch
+ * Parks the batch inserted are deleted (not trashed - a trashed row or its tombstone
+ * would block re-importing a corrected file); parks it updated are restored to the
+ * values captured before its first write. Parks changed since - by a later import or by hand - are
+ * left alone (reported as conflicts) unless force is set.
+ * Safe to re-run: restored snapshots are marked and skipped next time.
+ *
+ * @param {string} batchId - import_batches.id
+ * @param {Object} options
+ * @param {boolean} options.force - Restore parks even if they changed after the batch
+ * @returns {Promise<Object|null>} { deleted, restored, conflicts, errors, status, deletedParkIds, restoredParkIds }
+ *   or null if batch not found
+ * @throws {Error} If the batch is still running (see ROLLBACK_STATUSES)
+ */
+export async function rollbackImportBatch(batchId, { force = false } = {}) {
+  const batch = await getImportBatch(batchId)
+  if (!batch) return null
+
+  if (!ROLLBACK_STATUSES.includes(batch.status)) {
+    throw new Error(`Import batch is ${batch.status} and can't be rolled back`)
+  }
+
+  const snapshots = await fetchPendingSnapshots(batchId)
+
+  // A park touched twice in one batch keeps its earliest snapshot (the true pre-import state)
+  const firstSnapshotByPark = new Map()
+  const snapshotIdsByPark = new Map()
+  for (const snapshot of snapshots) {
+    if (!firstSnapshotByPark.has(snapshot.park_id)) {
+      firstSnapshotByPark.set(snapshot.park_id, snapshot)
+      snapshotIdsByPark.set(snapshot.park_id, [])
+    }
+    snapshotIdsByPark.get(snapshot.park_id).push(snapshot.id)
+  }
+
+  const parkIds = [...firstSnapshotByPark.keys()]
+
+  // Current batch tag, update time and provenance of each park, to detect later changes
+  const provenanceColumns = await availableParkColumns(['field_provenance'])
+  const currentParks = new Map()
+  for (let i = 0; i < parkIds.length; i += ROLLBACK_CHUNK_SIZE) {
+    const chunk = parkIds.slice(i, i + ROLLBACK_CHUNK_SIZE)
+    const { data, error } = await supabaseServer
+      .from('parks')
+      .select(['id, import_batch_id, last_updated', ...provenanceColumns].join(', '))
+      .in('id', chunk)
+
+    if (error) {
+      throw new Error(`Failed to fetch parks for rollback: ${error.message}`)
+    }
+
+    for (const park of data || []) {
+      currentParks.set(String(park.id), park)
+    }
+  }
+
+  const results = {
+    deleted: 0,
+    restored: 0,
+    conflicts: [],
+    errors: [],
+    deletedParkIds: [],
+    restoredParkIds: []
+  }
+  const parksToDelete = []
+  const doneSnapshotIds = []
+
+  for (const parkId of parkIds) {
+    const snapshot = firstSnapshotByPark.get(parkId)
+
+    const currentPark = currentParks.get(parkId)
+    if (!currentPark) {
+      // Park is already gone - nothing to restore
+      doneSnapshotIds.push(...snapshotIdsByPark.get(parkId))
+      continue
+    }
+
+    const conflictReason = force ? null : rollbackConflictReason(currentPark, batch)
+    if (conflictReason) {
+      results.conflicts.push({
+        parkId,
+        name: snapshot.previous_values?.name || null,
+        reason: conflictReason
+      })
+      continue
+    }
+
+    if (snapshot.action === 'added') {
+      parksToDelete.push(parkId)
+      continue
+    }
+
+    const restoreData = {}
+    for (const [field, value] of Object.entries(snapshot.previous_values || {})) {
+      if (!RESTORE_IGNORED_FIELDS.has(field)) {
+        restoreData[field] = value
+      }
+    }
+
+    try {
+      const { error } = await supabaseServer
+        .from('parks')
+        .update(restoreData)
+        .eq('id', parkId)
+
+      if (error) {
+        throw new Error(error.message)
+      }
+
+      results.restored++
+      results.restoredParkIds.push(parkId)
+      doneSnapshotIds.push(...snapshotIdsByPark.get(parkId))
+    } catch (error) {
+      results.errors.push({
+        parkId,
+        name: snapshot.previous_values?.name || null,
+        error: `Failed to restore park: ${error.message}`
+      })
+    }
+  }
+
+  for (let i = 0; i < parksToDelete.length; i += ROLLBACK_CHUNK_SIZE) {
+    const chunk = parksToDelete.slice(i, i + ROLLBACK_CHUNK_SIZE)
+    const { error } = await supabaseServer
+      .from('parks')
+      .delete()
+      .in('id', chunk)
+
+    if (error) {
+      results.errors.push({
+        parkId: null,
+        name: null,
+        error: `Failed to delete ${chunk.length} inserted parks: ${error.message}`
+      })
+      continue
+    }
+
+    results.deleted += chunk.length
+    results.deletedParkIds.push(...chunk)
+    for (const parkId of chunk) {
+      doneSnapshotIds.push(...snapshotIdsByPark.get(parkId))
+    }
+  }
+
+  await markSnapshotsRestored(doneSnapshotIds)
+
+  const fullyRolledBack = results.conflicts.length === 0 && results.errors.length === 0
+  results.status = fullyRolledBack ? 'rolled_back' : 'partially_rolled_back'
+
+  const { error: statusError } = await supabaseServer
+    .from('import_batches')
+    .update({
+      status: results.status,
+      rolled_back_at: new Date().toISOString()
+    })
+    .eq('id', batchId)
+
+  if (statusError) {
+    console.warn(`Warning: Could not update import batch ${batchId} status:`, statusError.message)
+  }
+
+  console.log(`↩️ Rolled back import batch ${batchId}: ${results.deleted} deleted, ${results.restored} restored, ${results.conflicts.length} conflicts, ${results.errors.length} errors`)
+
+  return results
+}
@@ -0,0 +1,101 @@
+/**
+ * Import Preview (Dry Run) Report
+ * Collects would-be inserts, updates and skips from insertOrUpdatePark(..., { dryRun: true })
+ * so uploads and syncs can be reviewed before anything is written
+ */
+
+// Cap the per-park entries returned to the admin panel (counts keep going past this)
+const DEFAULT_MAX_ENTRIES = 2000
+
+/**
+ * Shorten large values (WKT geometry, long descriptions) for the report
+ */
+function summarizeValue(value) {
+  if (typeof value === 'string') {
+    if (value.startsWith('SRID=')) {
+      const geometryType = value.split(';')[1]?.split('(')[0] || 'GEOMETRY'
+      return `[${geometryType} geometry, ${value.length} chars]`
+    }
+    if (value.length > 300) {
+      return `${value.substring(0, 300)}…`
+    }
+  }
+  if (value && typeof value === 'object' && value.type && value.coordinates) {
+    return `[${value.type} geometry]`
+  }
+  return value
+}
+
+function summarizeChanges(changes = {}) {
+  const summarized = {}
+  for (const [field, diff] of Object.entries(changes)) {
+    summarized[field] = {
+      from: summarizeValue(diff.from),
+      to: summarizeValue(diff.to)
+    }
+  }
+  return summarized
+}
+
+/**
+ * Create a preview report accumulator
+ *
+ * @param {Object} options
+ * @param {number} options.maxEntries - Max per-park entries to keep (default: 2000)
+ * @returns {{ record: Function, recordError: Function, summary: Function }}
+ */
+export function createImportPreview({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  const counts = { added: 0, updated: 0, skipped: 0 }
+  const entries = []
+  const errors = []
+
+  return {
+    /**
+     * Record a dry-run result from insertOrUpdatePark
+     * @param {Object} result - { action, park, match, changes, reason }
+     * @param {Object} parkData - The incoming park data that was evaluated
+     */
+    record(result, parkData = {}) {
+      if (!result) return
+      const action = result.action === 'added' || result.action === 'updated' ? result.action : 'skipped'
+      counts[action]++
+
+      if (entries.length >= maxEntries) return
+
+      const matchedPark = action === 'added' ? null : result.park
+      entries.push({
+        action,
+        name: parkData.name || result.park?.name || 'Unknown',
+        state: parkData.state || null,
+        matchedParkId: matchedPark?.id ?? null,
+        matchedParkName: matchedPark?.name ?? null,
+        match: matchedPark ? result.match || null : null,
+        reason: result.reason || null,
+        changes: summarizeChanges(result.changes)
+      })
+    },
+
+    /**
+     * Record a park that failed before or during evaluation
+     */
+    recordError(parkName, message) {
+      counts.skipped++
+      errors.push({ park: parkName || 'Unknown', error: message })
+    },
+
+    /**
+     * Final report returned in the API response
+     */
+    summary() {
+      return {
+        dryRun: true,
+        wouldAdd: counts.added,
+        wouldUpdate: counts.updated,
+        wouldSkip: counts.skipped,
+        truncated: counts.added + counts.updated + counts.skipped - errors.length > entries.length,
+        parks: entries,
+        errors: errors.length > 0 ? errors : undefined
+      }
+    }
+  }
+}
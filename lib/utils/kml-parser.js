@@ -0,0 +1,171 @@
+/**
+ * KML / KMZ Parser Utility
+ * Converts Google Earth KML and KMZ (zipped KML) files to a GeoJSON FeatureCollection
+ * Placemark names, descriptions, addresses, phone numbers and ExtendedData
+ * (Data and SchemaData) become feature properties for the field mapper
+ */
+
+import JSZip from 'jszip'
+import { parseXml, childElement, childElements, childText, descendantElements } from './xml-parser.js'
+
+/**
+ * Parse a KMZ archive (the main .kml is doc.kml, or the first .kml in the archive)
+ *
+ * @param {File} file - File object (.kmz)
+ * @returns {Promise<Object>} GeoJSON FeatureCollection
+ */
+export async function parseKmz(file) {
+  const zip = await new JSZip().loadAsync(await file.arrayBuffer())
+  const kmlFile = zip.file('doc.kml') ||
+    Object.values(zip.files).find(entry => !entry.dir && entry.name.toLowerCase().endsWith('.kml'))
+
+  if (!kmlFile) {
+    throw new Error('KMZ archive does not contain a .kml file')
+  }
+
+  return parseKml(await kmlFile.async('string'))
+}
+
+/**
+ * Parse KML text
+ * Each Placemark with a geometry becomes a feature; the name of the Folder it is in
+ * is kept as the "folder" property
+ *
+ * @param {string} text - KML document
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export function parseKml(text) {
+  const root = parseXml(text)
+  if (root.name !== 'kml' && root.name !== 'Document' && root.name !== 'Folder') {
+    throw new Error(`Not a KML document (root element <${root.qName}>)`)
+  }
+
+  const features = []
+  collectPlacemarks(root, null, features)
+
+  return {
+    type: 'FeatureCollection',
+    features
+  }
+}
+
+function collectPlacemarks(element, folderName, features) {
+  for (const child of element.children) {
+    if (child.name === 'Placemark') {
+      const feature = placemarkToFeature(child, folderName)
+      if (feature) features.push(feature)
+    } else if (child.name === 'Folder') {
+      collectPlacemarks(child, childText(child, 'name') || folderName, features)
+    } else if (child.name === 'Document' || child.name === 'kml') {
+      collectPlacemarks(child, folderName, features)
+    }
+  }
+}
+
+function placemarkToFeature(placemark, folderName) {
+  const geometry = kmlGeometry(placemark)
+  if (!geometry) return null
+
+  const properties = {}
+  const name = childText(placemark, 'name')
+  if (name) properties.name = name
+  const description = childText(placemark, 'description')
+  if (description) properties.description = htmlToText(description)
+  const address = childText(placemark, 'address')
+  if (address) properties.address = address
+  const phone = childText(placemark, 'phoneNumber')
+  if (phone) properties.phone = phone
+  if (folderName) properties.folder = folderName
+
+  // <Data name="..."><value>...</value></Data> and <SchemaData><SimpleData name="...">...</SimpleData></SchemaData>
+  const extendedData = childElement(placemark, 'ExtendedData')
+  for (const data of childElements(extendedData, 'Data')) {
+    if (data.attributes.name) properties[data.attributes.name] = childText(data, 'value')
+  }
+  for (const schemaData of childElements(extendedData, 'SchemaData')) {
+    for (const simpleData of childElements(schemaData, 'SimpleData')) {
+      if (simpleData.attributes.name) properties[simpleData.attributes.name] = simpleData.text.trim() || null
+    }
+  }
+
+  return {
+    type: 'Feature',
+    properties,
+    geometry
+  }
+}
+
+// "lon,lat[,alt] lon,lat[,alt] ..." -> [[lon, lat], ...] (altitude is dropped)
+function parseCoordinates(element) {
+  const text = element?.text.trim()
+  if (!text) return []
+  return text
+    .split(/\s+/)
+    .map(tuple => tuple.split(',').slice(0, 2).map(Number))
+    .filter(pair => pair.length === 2 && pair.every(Number.isFinite))
+}
+
+function polygonRings(polygon) {
+  const outer = parseCoordinates(descendantElements(childElement(polygon, 'outerBoundaryIs'), 'coordinates')[0])
+  if (outer.length < 4) return null
+  const inner = childElements(polygon, 'innerBoundaryIs')
+    .map(boundary => parseCoordinates(descendantElements(boundary, 'coordinates')[0]))
+    .filter(ring => ring.length >= 4)
+  return [outer, ...inner]
+}
+
+/**
+ * GeoJSON geometry of a Placemark
+ * A MultiGeometry keeps only its polygons when it has any (a park's label point
+ * alongside its boundary), otherwise its points or lines
+ */
+function kmlGeometry(placemark) {
+  const points = descendantElements(placemark, 'Point')
+    .map(point => parseCoordinates(childElement(point, 'coordinates'))[0])
+    .filter(Boolean)
+  const lines = descendantElements(placemark, 'LineString')
+    .map(line => parseCoordinates(childElement(line, 'coordinates')))
+    .filter(line => line.length >= 2)
+  const polygons = [
+    ...descendantElements(placemark, 'Polygon').map(polygonRings),
+    // A bare LinearRing outside a Polygon is a boundary too
+    ...placemark.children
+      .filter(child => child.name === 'LinearRing' || child.name === 'MultiGeometry')
+      .flatMap(child => child.name === 'LinearRing' ? [child] : childElements(child, 'LinearRing'))
+      .map(ring => [parseCoordinates(childElement(ring, 'coordinates'))])
+      .filter(rings => rings[0].length >= 4)
+  ].filter(Boolean)
+
+  if (polygons.length > 0) {
+    return polygons.length === 1
+      ? { type: 'Polygon', coordinates: polygons[0] }
+      : { type: 'MultiPolygon', coordinates: polygons }
+  }
+  if (points.length > 0) {
+    return points.length === 1
+      ? { type: 'Point', coordinates: points[0] }
+      : { type: 'MultiPoint', coordinates: points }
+  }
+  if (lines.length > 0) {
+    return lines.length === 1
+      ? { type: 'LineString', coordinates: lines[0] }
+      : { type: 'MultiLineString', coordinates: lines }
+  }
+  return null
+}
+
+// KML descriptions are often HTML (balloon tables); keep their text
+function htmlToText(html) {
+  if (!/<[a-z][\s\S]*>/i.test(html)) return html
+  return html
+    .replace(/<br\s*\/?>|<\/(p|div|tr|li|h\d)>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim()
+}
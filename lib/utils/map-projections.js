@@ -0,0 +1,195 @@
+/**
+ * Map Projection Inverses
+ * Projected x/y (meters) back to longitude/latitude (degrees) on an ellipsoid,
+ * for the projections state and federal datasets ship in:
+ * Transverse Mercator (UTM, State Plane TM zones), Lambert Conformal Conic
+ * (State Plane LCC zones) and Albers Equal Area (USA Contiguous Albers, PAD-US)
+ * Formulas follow Snyder, "Map Projections - A Working Manual" (USGS PP 1395)
+ */
+
+const DEG = Math.PI / 180
+
+// Ellipsoid helpers: e2 = eccentricity squared, e = eccentricity
+function ellipsoid(semiMajorAxis, inverseFlattening) {
+  const f = inverseFlattening ? 1 / inverseFlattening : 0
+  const e2 = f * (2 - f)
+  return { a: semiMajorAxis, e2, e: Math.sqrt(e2) }
+}
+
+// Snyder (14-15)
+function msfn(phi, { e2 }) {
+  const sin = Math.sin(phi)
+  return Math.cos(phi) / Math.sqrt(1 - e2 * sin * sin)
+}
+
+// Snyder (15-9)
+function tsfn(phi, { e }) {
+  const esin = e * Math.sin(phi)
+  return Math.tan(Math.PI / 4 - phi / 2) / Math.pow((1 - esin) / (1 + esin), e / 2)
+}
+
+// Snyder (3-12)
+function qsfn(phi, { e, e2 }) {
+  const sin = Math.sin(phi)
+  if (e === 0) return 2 * sin
+  const esin = e * sin
+  return (1 - e2) * (sin / (1 - esin * esin) - (1 / (2 * e)) * Math.log((1 - esin) / (1 + esin)))
+}
+
+// Meridian distance from the equator, Snyder (3-21)
+function meridianDistance(phi, { a, e2 }) {
+  const e4 = e2 * e2
+  const e6 = e4 * e2
+  return a * (
+    (1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi -
+    (3 * e2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi) +
+    (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi) -
+    (35 * e6 / 3072) * Math.sin(6 * phi)
+  )
+}
+
+// Latitude from t, Snyder (7-9), iterated
+function phiFromT(t, { e }) {
+  let phi = Math.PI / 2 - 2 * Math.atan(t)
+  for (let i = 0; i < 15; i++) {
+    const esin = e * Math.sin(phi)
+    const next = Math.PI / 2 - 2 * Math.atan(t * Math.pow((1 - esin) / (1 + esin), e / 2))
+    if (Math.abs(next - phi) < 1e-12) return next
+    phi = next
+  }
+  return phi
+}
+
+/**
+ * Transverse Mercator inverse, Snyder (8-12 to 8-25)
+ * @param {Object} params - { a, inverseFlattening, latitudeOfOrigin, centralMeridian,
+ *   scaleFactor, falseEasting, falseNorthing } (degrees / meters)
+ * @returns {Function} ([x, y]) => [lon, lat]
+ */
+export function transverseMercatorInverse(params) {
+  const ell = ellipsoid(params.a, params.inverseFlattening)
+  const { a, e2 } = ell
+  const ep2 = e2 / (1 - e2)
+  const k0 = params.scaleFactor || 1
+  const lon0 = params.centralMeridian * DEG
+  const m0 = meridianDistance(params.latitudeOfOrigin * DEG, ell)
+  const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2))
+  const muDivisor = a * (1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 * e2 * e2 / 256)
+
+  return ([x, y, ...rest]) => {
+    const m = m0 + (y - params.falseNorthing) / k0
+    const mu = m / muDivisor
+    const phi1 = mu +
+      (3 * e1 / 2 - 27 * Math.pow(e1, 3) / 32) * Math.sin(2 * mu) +
+      (21 * e1 * e1 / 16 - 55 * Math.pow(e1, 4) / 32) * Math.sin(4 * mu) +
+      (151 * Math.pow(e1, 3) / 96) * Math.sin(6 * mu) +
+      (1097 * Math.pow(e1, 4) / 512) * Math.sin(8 * mu)
+
+    const sin1 = Math.sin(phi1)
+    const cos1 = Math.cos(phi1)
+    const tan1 = Math.tan(phi1)
+    const c1 = ep2 * cos1 * cos1
+    const t1 = tan1 * tan1
+    const n1 = a / Math.sqrt(1 - e2 * sin1 * sin1)
+    const r1 = a * (1 - e2) / Math.pow(1 - e2 * sin1 * sin1, 1.5)
+    const d = (x - params.falseEasting) / (n1 * k0)
+
+    const lat = phi1 - (n1 * tan1 / r1) * (
+      d * d / 2 -
+      (5 + 3 * t1 + 10 * c1 - 4 * c1 * c1 - 9 * ep2) * Math.pow(d, 4) / 24 +
+      (61 + 90 * t1 + 298 * c1 + 45 * t1 * t1 - 252 * ep2 - 3 * c1 * c1) * Math.pow(d, 6) / 720
+    )
+    const lon = lon0 + (
+      d -
+      (1 + 2 * t1 + c1) * Math.pow(d, 3) / 6 +
+      (5 - 2 * c1 + 28 * t1 - 3 * c1 * c1 + 8 * ep2 + 24 * t1 * t1) * Math.pow(d, 5) / 120
+    ) / cos1
+
+    return [lon / DEG, lat / DEG, ...rest]
+  }
+}
+
+/**
+ * Lambert Conformal Conic inverse, Snyder (15-1 to 15-11)
+ * Two standard parallels, or one (standardParallel2 omitted) with a scale factor
+ * @param {Object} params - { a, inverseFlattening, latitudeOfOrigin, centralMeridian,
+ *   standardParallel1, standardParallel2?, scaleFactor?, falseEasting, falseNorthing }
+ * @returns {Function} ([x, y]) => [lon, lat]
+ */
+export function lambertConformalConicInverse(params) {
+  const ell = ellipsoid(params.a, params.inverseFlattening)
+  const k0 = params.scaleFactor || 1
+  const lon0 = params.centralMeridian * DEG
+  const phi0 = params.latitudeOfOrigin * DEG
+  const phi1 = params.standardParallel1 * DEG
+  const phi2 = (params.standardParallel2 ?? params.standardParallel1) * DEG
+
+  const m1 = msfn(phi1, ell)
+  const t1 = tsfn(phi1, ell)
+  const n = Math.abs(phi1 - phi2) < 1e-10
+    ? Math.sin(phi1)
+    : (Math.log(m1) - Math.log(msfn(phi2, ell))) / (Math.log(t1) - Math.log(tsfn(phi2, ell)))
+  const bigF = m1 / (n * Math.pow(t1, n))
+  const rho0 = ell.a * k0 * bigF * Math.pow(tsfn(phi0, ell), n)
+  const sign = n < 0 ? -1 : 1
+
+  return ([x, y, ...rest]) => {
+    const dx = x - params.falseEasting
+    const dy = rho0 - (y - params.falseNorthing)
+    const rho = sign * Math.sqrt(dx * dx + dy * dy)
+    const theta = Math.atan2(sign * dx, sign * dy)
+    const t = Math.pow(rho / (ell.a * k0 * bigF), 1 / n)
+    const lat = rho === 0 ? sign * Math.PI / 2 : phiFromT(t, ell)
+    return [(theta / n + lon0) / DEG, lat / DEG, ...rest]
+  }
+}
+
+/**
+ * Albers Equal Area Conic inverse, Snyder (14-1 to 14-21)
+ * @param {Object} params - { a, inverseFlattening, latitudeOfOrigin, centralMeridian,
+ *   standardParallel1, standardParallel2, falseEasting, falseNorthing }
+ * @returns {Function} ([x, y]) => [lon, lat]
+ */
+export function albersInverse(params) {
+  const ell = ellipsoid(params.a, params.inverseFlattening)
+  const { a, e, e2 } = ell
+  const lon0 = params.centralMeridian * DEG
+  const phi1 = params.standardParallel1 * DEG
+  const phi2 = (params.standardParallel2 ?? params.standardParallel1) * DEG
+
+  const m1 = msfn(phi1, ell)
+  const q1 = qsfn(phi1, ell)
+  const n = Math.abs(phi1 - phi2) < 1e-10
+    ? Math.sin(phi1)
+    : (m1 * m1 - Math.pow(msfn(phi2, ell), 2)) / (qsfn(phi2, ell) - q1)
+  const c = m1 * m1 + n * q1
+  const rho0 = a * Math.sqrt(c - n * qsfn(params.latitudeOfOrigin * DEG, ell)) / n
+  const sign = n < 0 ? -1 : 1
+
+  return ([x, y, ...rest]) => {
+    const dx = x - params.falseEasting
+    const dy = rho0 - (y - params.falseNorthing)
+    const rho = Math.sqrt(dx * dx + dy * dy)
+    const theta = Math.atan2(sign * dx, sign * dy)
+    const q = (c - rho * rho * n * n / (a * a)) / n
+
+    let phi = Math.asin(Math.max(-1, Math.min(1, q / 2)))
+    if (e > 0) {
+      for (let i = 0; i < 15; i++) {
+        const sin = Math.sin(phi)
+        const esin = e * sin
+        const one = 1 - esin * esin
+        const next = phi + (one * one / (2 * Math.cos(phi))) * (
+          q / (1 - e2) - sin / one + (1 / (2 * e)) * Math.log((1 - esin) / (1 + esin))
+        )
+        if (Math.abs(next - phi) < 1e-12) {
+          phi = next
+          break
+        }
+        phi = next
+      }
+    }
+
+    return [(theta / n + lon0) / DEG, phi / DEG, ...rest]
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * Park Name Similarity
+ * Token-set and character-trigram similarity for park names
+ * Inputs should already be normalized with normalizeParkName() so abbreviations
+ * and generic words ("state", "park", ...) don't inflate the scores
+ */
+
+/**
+ * Split a normalized name into a set of word tokens
+ */
+export function nameTokens(normalizedName) {
+  return new Set((normalizedName || '').split(/\s+/).filter(Boolean))
+}
+
+/**
+ * Token-set similarity (Sørensen–Dice over word tokens)
+ * Word-order independent: "smoky great mountains" === "great smoky mountains"
+ *
+ * @returns {number} 0..1
+ */
+export function tokenSetSimilarity(normalizedA, normalizedB) {
+  const tokensA = nameTokens(normalizedA)
+  const tokensB = nameTokens(normalizedB)
+  if (tokensA.size === 0 || tokensB.size === 0) return 0
+
+  let shared = 0
+  for (const token of tokensA) {
+    if (tokensB.has(token)) shared++
+  }
+  return (2 * shared) / (tokensA.size + tokensB.size)
+}
+
+/**
+ * Edit-distance similarity of two single words (1 - levenshtein / longer length)
+ *
+ * @returns {number} 0..1
+ */
+export function wordSimilarity(a, b) {
+  if (a === b) return 1
+  if (!a || !b) return 0
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+    }
+    previous = current
+  }
+  return 1 - previous[b.length] / Math.max(a.length, b.length)
+}
+
+/**
+ * Fuzzy token-set similarity - like tokenSetSimilarity, but a token also counts
+ * (with partial credit) when it is a close misspelling of a token in the other name
+ * "umstead" vs "umsted" scores 0.86 instead of 0
+ *
+ * @param {number} minWordSimilarity - Per-word similarity needed to count as shared (default: 0.8)
+ * @returns {number} 0..1
+ */
+export function fuzzyTokenSimilarity(normalizedA, normalizedB, minWordSimilarity = 0.8) {
+  const tokensA = [...nameTokens(normalizedA)]
+  const tokensB = [...nameTokens(normalizedB)]
+  if (tokensA.length === 0 || tokensB.length === 0) return 0
+
+  // Greedy one-to-one pairing, best pairs first
+  const pairs = []
+  for (const tokenA of tokensA) {
+    for (const tokenB of tokensB) {
+      const similarity = wordSimilarity(tokenA, tokenB)
+      if (similarity >= minWordSimilarity) pairs.push({ tokenA, tokenB, similarity })
+    }
+  }
+  pairs.sort((x, y) => y.similarity - x.similarity)
+
+  const usedA = new Set()
+  const usedB = new Set()
+  let shared = 0
+  for (const { tokenA, tokenB, similarity } of pairs) {
+    if (usedA.has(tokenA) || usedB.has(tokenB)) continue
+    usedA.add(tokenA)
+    usedB.add(tokenB)
+    shared += similarity
+  }
+  return (2 * shared) / (tokensA.length + tokensB.length)
+}
+
+function trigrams(text) {
+  const padded = `  ${text} `
+  const grams = new Set()
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.add(padded.substring(i, i + 3))
+  }
+  return grams
+}
+
+/**
+ * Character trigram similarity (Jaccard over padded trigrams, like pg_trgm)
+ * Tolerant of typos and spelling variants: "mt mitchell" vs "mount mitchel"
+ *
+ * @returns {number} 0..1
+ */
+export function trigramSimilarity(normalizedA, normalizedB) {
+  if (!normalizedA || !normalizedB) return 0
+  const gramsA = trigrams(normalizedA)
+  const gramsB = trigrams(normalizedB)
+
+  let shared = 0
+  for (const gram of gramsA) {
+    if (gramsB.has(gram)) shared++
+  }
+  const union = gramsA.size + gramsB.size - shared
+  return union === 0 ? 0 : shared / union
+}
+
+/**
+ * Combined name similarity - the better of the (fuzzy) token-set and trigram scores
+ * method is 'exact', 'token-set' (same words, any order), 'fuzzy-token'
+ * (same words allowing misspellings) or 'trigram'
+ *
+ * @returns {{ score: number, tokenScore: number, trigramScore: number, method: string }}
+ */
+export function nameSimilarity(normalizedA, normalizedB) {
+  if (normalizedA && normalizedA === normalizedB) {
+    return { score: 1, tokenScore: 1, trigramScore: 1, method: 'exact' }
+  }
+
+  const exactTokenScore = tokenSetSimilarity(normalizedA, normalizedB)
+  const tokenScore = fuzzyTokenSimilarity(normalizedA, normalizedB)
+  const trigramScore = trigramSimilarity(normalizedA, normalizedB)
+  let method = 'trigram'
+  if (tokenScore >= trigramScore) {
+    method = tokenScore > exactTokenScore ? 'fuzzy-token' : 'token-set'
+  }
+  return {
+    score: Math.max(tokenScore, trigramScore),
+    tokenScore,
+    trigramScore,
+    method
+  }
+}
@@ -3,6 +3,73 @@
  * Handles fetching parks data from the NPS API with pagination support
  */
 
+const NPS_PARKS_URL = 'https://developer.nps.gov/api/v1/parks'
+
+/**
+ * Fetches one page of parks from the NPS API
+ * Waits and retries on rate limiting (429)
+ * @param {string} apiKey - NPS API key
+ * @param {Object} options
+ * @param {number} options.start - Offset of the first park (default: 0)
+ * @param {number} options.limit - Number of results per page (default: 50, max: 50)
+ * @returns {Promise<{parks: Array, total: number, nextStart: number, hasMore: boolean}>}
+ */
+export async function fetchNPSParksPage(apiKey, options = {}) {
+  const { start = 0, limit = 50 } = options
+
+  if (!apiKey) {
+    throw new Error('NPS API key is required')
+  }
+
+  const headers = {
+    'X-Api-Key': apiKey,
+    'Accept': 'application/json'
+  }
+
+  const url = `${NPS_PARKS_URL}?limit=${limit}&start=${start}`
+
+  while (true) {
+    console.log(`Fetching NPS API: ${url}`)
+    const response = await fetch(url, { headers })
+
+    // Handle rate limiting
+    if (response.status === 429) {
+      const retryAfter = response.headers.get('Retry-After') || 60
+      console.warn(`Rate limit exceeded. Waiting ${retryAfter} seconds...`)
+      await new Promise(resolve => setTimeout(resolve, retryAfter * 1000))
+      continue
+    }
+
+    // Handle authentication errors
+    if (response.status === 401) {
+      const errorText = await response.text().catch(() => '')
+      console.error('NPS API 401 Error:', errorText)
+      throw new Error('Invalid NPS API key. Please check your API key.')
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '')
+      console.error(`NPS API error ${response.status}:`, errorText)
+      throw new Error(`NPS API error: ${response.status} ${response.statusText}`)
+    }
+
+    const data = await response.json()
+
+    if (!data.data || !Array.isArray(data.data)) {
+      throw new Error('Invalid response format from NPS API')
+    }
+
+    const total = parseInt(data.total) || start + data.data.length
+    const nextStart = start + limit
+    return {
+      parks: data.data,
+      total,
+      nextStart,
+      hasMore: data.data.length === limit && start + data.data.length < total
+    }
+  }
+}
+
 /**
  * Fetches all parks from the NPS API
  * @param {string} apiKey - NPS API key
@@ -13,7 +80,6 @@
  */
 export async function fetchAllNPSParks(apiKey, options = {}) {
   const { limit = 50, onProgress } = options
-  const baseUrl = 'https://developer.nps.gov/api/v1/parks'
   const allParks = []
   let start = 0
   let total = null
@@ -23,70 +89,23 @@ export async function fetchAllNPSParks(apiKey, options = {}) {
     throw new Error('NPS API key is required')
   }
 
-  const headers = {
-    'X-Api-Key': apiKey,
-    'Accept': 'application/json'
-  }
-
   while (hasMore) {
-    try {
-      const url = `${baseUrl}?limit=${limit}&start=${start}`
-      
-      if (onProgress) {
-        onProgress({
-          fetched: allParks.length,
-          total: total || 'unknown',
-          currentPage: Math.floor(start / limit) + 1
-        })
-      }
-
-      console.log(`Fetching NPS API: ${url}`)
-      const response = await fetch(url, { headers })
-
-      // Handle rate limiting
-      if (response.status === 429) {
-        const retryAfter = response.headers.get('Retry-After') || 60
-        console.warn(`Rate limit exceeded. Waiting ${retryAfter} seconds...`)
-        await new Promise(resolve => setTimeout(resolve, retryAfter * 1000))
-        continue
-      }
-
-      // Handle authentication errors
-      if (response.status === 401) {
-        const errorText = await response.text().catch(() => '')
-        console.error('NPS API 401 Error:', errorText)
-        throw new Error('Invalid NPS API key. Please check your API key.')
-      }
-
-      if (!response.ok) {
-        const errorText = await response.text().catch(() => '')
-        console.error(`NPS API error ${response.status}:`, errorText)
-        throw new Error(`NPS API error: ${response.status} ${response.statusText}`)
-      }
-
-      const data = await response.json()
-
-      if (!data.data || !Array.isArray(data.data)) {
-        throw new Error('Invalid response format from NPS API')
-      }
-
-      allParks.push(...data.data)
-      total = data.total || data.data.length
-      start += limit
-
-      // Check if we have more pages
-      hasMore = data.data.length === limit && allParks.length < total
-
-      // Rate limiting: wait 100ms between requests to stay under 1000/hour limit
-      await new Promise(resolve => setTimeout(resolve, 100))
-
-    } catch (error) {
-      if (error.message.includes('rate limit') || error.message.includes('429')) {
-        // Already handled above
-        continue
-      }
-      throw error
+    if (onProgress) {
+      onProgress({
+        fetched: allParks.length,
+        total: total || 'unknown',
+        currentPage: Math.floor(start / limit) + 1
+      })
     }
+
+    const page = await fetchNPSParksPage(apiKey, { start, limit })
+    allParks.push(...page.parks)
+    total = page.total
+    start = page.nextStart
+    hasMore = page.hasMore
+
+    // Rate limiting: wait 100ms between requests to stay under 1000/hour limit
+    await new Promise(resolve => setTimeout(resolve, 100))
   }
 
   if (onProgress) {
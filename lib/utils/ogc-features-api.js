@@ -0,0 +1,255 @@
+/**
+ * OGC API - Features / WFS Utility
+ * Discovers feature collections, pages through OGC API `items` and WFS 2.0
+ * `GetFeature` responses with bbox and limit, and returns GeoJSON features in
+ * WGS84 lon/lat (reprojecting when the server answers in another CRS)
+ */
+
+import { parseCrs, isSupportedCrs, reprojectGeometry } from './crs-reproject.js'
+
+// Features requested per page (servers may return fewer)
+const DEFAULT_PAGE_SIZE = 500
+
+// Safety stop for servers that never stop returning a next page
+const MAX_PAGES = 1000
+
+const GEOJSON_ACCEPT = 'application/geo+json, application/json;q=0.9'
+
+/**
+ * Detect an OGC API - Features or WFS URL
+ * - OGC API: .../collections, .../collections/{id} or .../collections/{id}/items
+ * - WFS: any URL with service=WFS, or a path ending in /wfs or /ows (GeoServer, MapServer, QGIS Server)
+ *
+ * @param {string} url
+ * @returns {Object|null} { kind: 'ogc-api', collectionsUrl, collectionId, params }
+ *   or { kind: 'wfs', endpoint, typeName, params }, or null for other URLs
+ */
+export function detectOgcSource(url) {
+  if (!url) return null
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch {
+    return null
+  }
+
+  const params = new URLSearchParams()
+  for (const [key, value] of parsed.searchParams) {
+    params.set(key.toLowerCase(), value)
+  }
+  const path = parsed.pathname.replace(/\/+$/, '')
+
+  const collectionsMatch = path.match(/^(.*\/collections)(?:\/([^/]+)(?:\/items)?)?$/)
+  if (collectionsMatch) {
+    return {
+      kind: 'ogc-api',
+      collectionsUrl: `${parsed.origin}${collectionsMatch[1]}`,
+      collectionId: collectionsMatch[2] ? decodeURIComponent(collectionsMatch[2]) : null,
+      params
+    }
+  }
+
+  if (params.get('service')?.toUpperCase() === 'WFS' || /\/(wfs|ows)$/i.test(path)) {
+    return {
+      kind: 'wfs',
+      endpoint: `${parsed.origin}${parsed.pathname}`,
+      typeName: params.get('typenames') || params.get('typename') || null,
+      params
+    }
+  }
+
+  return null
+}
+
+/**
+ * Parse a bbox from an array or "minLng,minLat,maxLng,maxLat" string
+ * @returns {number[]|null} [minLng, minLat, maxLng, maxLat] or null if missing/invalid
+ */
+export function parseBbox(value) {
+  if (!value) return null
+  const parts = Array.isArray(value) ? value : String(value).split(',')
+  const numbers = parts.slice(0, 4).map(Number)
+  if (numbers.length !== 4 || !numbers.every(Number.isFinite)) return null
+
+  const [minLng, minLat, maxLng, maxLat] = numbers
+  if (minLng >= maxLng || minLat >= maxLat || minLat < -90 || maxLat > 90 || minLng < -180 || maxLng > 180) {
+    return null
+  }
+  return numbers
+}
+
+async function fetchText(url, accept) {
+  const response = await fetch(url, { headers: { 'Accept': accept } })
+  const text = await response.text()
+  if (!response.ok) {
+    throw new Error(`Server returned ${response.status}: ${extractExceptionText(text) || response.statusText}`)
+  }
+  return { text, headers: response.headers }
+}
+
+// OWS ExceptionReport / HTML error pages - pull out a readable message
+function extractExceptionText(text) {
+  if (!text) return null
+  const exception = text.match(/<(?:\w+:)?ExceptionText>([\s\S]*?)<\/(?:\w+:)?ExceptionText>/)
+  if (exception) return exception[1].trim()
+  const title = text.match(/<title>([\s\S]*?)<\/title>/i)
+  return title ? title[1].trim() : null
+}
+
+async function fetchJson(url) {
+  const { text, headers } = await fetchText(url, GEOJSON_ACCEPT)
+  if (text.trim().startsWith('<')) {
+    throw new Error(`Expected JSON but got XML/HTML${extractExceptionText(text) ? `: ${extractExceptionText(text)}` : ''}`)
+  }
+  try {
+    return { data: JSON.parse(text), headers }
+  } catch {
+    throw new Error('Server returned invalid JSON')
+  }
+}
+
+function xmlTagText(xml, tag) {
+  const match = xml.match(new RegExp(`<(?:\\w+:)?${tag}>([\\s\\S]*?)</(?:\\w+:)?${tag}>`))
+  return match ? match[1].trim() : null
+}
+
+function wfsUrl(source, params) {
+  const search = new URLSearchParams({ service: 'WFS', version: '2.0.0', ...params })
+  return `${source.endpoint}?${search.toString()}`
+}
+
+/**
+ * List the feature collections a source offers
+ * @param {Object} source - From detectOgcSource
+ * @returns {Promise<Array<{ id: string, title: string, url: string }>>} url syncs just that collection
+ */
+export async function discoverOgcCollections(source) {
+  if (source.kind === 'ogc-api') {
+    const { data } = await fetchJson(`${source.collectionsUrl}?f=json`)
+    return (data.collections || []).map(collection => ({
+      id: collection.id,
+      title: collection.title || collection.id,
+      url: `${source.collectionsUrl}/${encodeURIComponent(collection.id)}`
+    }))
+  }
+
+  const { text } = await fetchText(wfsUrl(source, { request: 'GetCapabilities' }), 'application/xml, text/xml')
+  const featureTypes = text.match(/<(?:\w+:)?FeatureType[\s>][\s\S]*?<\/(?:\w+:)?FeatureType>/g) || []
+  return featureTypes
+    .map(block => {
+      const id = xmlTagText(block, 'Name')
+      return id && {
+        id,
+        title: xmlTagText(block, 'Title') || id,
+        url: wfsUrl(source, { request: 'GetFeature', typeNames: id })
+      }
+    })
+    .filter(Boolean)
+}
+
+/**
+ * Reproject a page of features to lon/lat
+ * OGC API responses name their CRS in the Content-Crs header (default CRS84);
+ * WFS GeoJSON names it in the crs member
+ */
+function toLonLatFeatures(features, crsValue) {
+  const crs = parseCrs(crsValue)
+  if (!crs || ((crs.code === 'CRS84' || crs.code === '4326') && !crs.latLonOrder)) {
+    return { features, reprojected: false }
+  }
+  if (!isSupportedCrs(crs)) {
+    throw new Error(`Server returned features in unsupported CRS ${crsValue}`)
+  }
+  return {
+    features: features.map(feature => ({ ...feature, geometry: reprojectGeometry(feature.geometry, crs) })),
+    reprojected: true
+  }
+}
+
+async function fetchOgcApiItems(source, { bbox, pageSize, onProgress }) {
+  const search = new URLSearchParams({ f: 'json', limit: String(pageSize) })
+  const bboxValue = bbox ? bbox.join(',') : source.params.get('bbox')
+  if (bboxValue) search.set('bbox', bboxValue)
+
+  let nextUrl = `${source.collectionsUrl}/${encodeURIComponent(source.collectionId)}/items?${search.toString()}`
+  const features = []
+  let pages = 0
+  let reprojected = false
+
+  while (nextUrl && pages < MAX_PAGES) {
+    const { data, headers } = await fetchJson(nextUrl)
+    const page = toLonLatFeatures(data.features || [], headers.get('content-crs'))
+    features.push(...page.features)
+    reprojected = reprojected || page.reprojected
+    pages++
+
+    if (onProgress) onProgress({ fetched: features.length, page: pages, total: data.numberMatched ?? null })
+
+    const next = (data.links || []).find(link => link.rel === 'next' && link.href)
+    nextUrl = next && page.features.length > 0 ? new URL(next.href, nextUrl).toString() : null
+  }
+
+  return { features, pages, reprojected }
+}
+
+async function fetchWfsFeatures(source, { bbox, pageSize, onProgress }) {
+  const baseParams = {
+    request: 'GetFeature',
+    typeNames: source.typeName,
+    outputFormat: 'application/json',
+    srsName: 'EPSG:4326'
+  }
+  const bboxValue = bbox ? `${bbox.join(',')},EPSG:4326` : source.params.get('bbox')
+  if (bboxValue) baseParams.bbox = bboxValue
+
+  const features = []
+  let pages = 0
+  let reprojected = false
+  let startIndex = 0
+  let previousFirstId = null
+
+  while (pages < MAX_PAGES) {
+    const { data } = await fetchJson(wfsUrl(source, { ...baseParams, count: String(pageSize), startIndex: String(startIndex) }))
+    const pageFeatures = data.features || []
+
+    // Servers without paging support ignore startIndex and return the first page again
+    const firstId = pageFeatures[0]?.id ?? null
+    if (pages > 0 && firstId !== null && firstId === previousFirstId) break
+    previousFirstId = firstId
+
+    const page = toLonLatFeatures(pageFeatures, data.crs)
+    features.push(...page.features)
+    reprojected = reprojected || page.reprojected
+    pages++
+    startIndex += pageFeatures.length
+
+    const total = Number.isFinite(Number(data.numberMatched)) ? Number(data.numberMatched) : null
+    if (onProgress) onProgress({ fetched: features.length, page: pages, total })
+
+    if (pageFeatures.length < pageSize || (total !== null && startIndex >= total)) break
+  }
+
+  return { features, pages, reprojected }
+}
+
+/**
+ * Fetch every feature in one collection
+ *
+ * @param {Object} source - From detectOgcSource, with collectionId (OGC API) or typeName (WFS) set
+ * @param {Object} options
+ * @param {number[]|null} options.bbox - [minLng, minLat, maxLng, maxLat] filter (else any bbox in the URL)
+ * @param {number} options.pageSize - Features per request (default: 500)
+ * @param {Function} options.onProgress - Progress callback ({ fetched, page, total })
+ * @returns {Promise<{ features: Array, pages: number, reprojected: boolean }>}
+ */
+export async function fetchOgcFeatures(source, options = {}) {
+  const { bbox = null, pageSize = DEFAULT_PAGE_SIZE, onProgress } = options
+
+  if (source.kind === 'ogc-api') {
+    if (!source.collectionId) throw new Error('No OGC API collection selected')
+    return fetchOgcApiItems(source, { bbox, pageSize, onProgress })
+  }
+
+  if (!source.typeName) throw new Error('No WFS feature type selected (typeNames)')
+  return fetchWfsFeatures(source, { bbox, pageSize, onProgress })
+}
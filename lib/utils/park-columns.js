@@ -0,0 +1,64 @@
+/**
+ * Optional Park Columns
+ * Columns on parks that only exist once their setup script in docs/ has been run.
+ * Imports and queries check for them once per server instance and skip the feature
+ * (with one warning naming the script) instead of failing with a PostgREST error
+ */
+
+import { supabaseServer, isSupabaseInitialized } from '../supabase-server.js'
+
+// Column -> setup script that adds it
+export const OPTIONAL_PARK_COLUMNS = {
+  field_provenance: 'docs/FIELD_PROVENANCE_SETUP.sql',
+  locked_fields: 'docs/FIELD_LOCKS_SETUP.sql',
+  deleted_at: 'docs/PARKS_TRASH_SETUP.sql'
+}
+
+// Column -> Promise<boolean>, so concurrent imports share one check
+const columnChecks = new Map()
+
+// Undefined column (select) / column not in the schema cache (write)
+const isMissingColumnError = (error) => error?.code === '42703' || error?.code === 'PGRST204'
+
+async function checkParkColumn(column) {
+  const { error } = await supabaseServer
+    .from('parks')
+    .select(column)
+    .limit(1)
+
+  if (!error) return true
+
+  if (isMissingColumnError(error)) {
+    console.warn(`Warning: parks.${column} does not exist - run ${OPTIONAL_PARK_COLUMNS[column]} to enable it. Skipping it until then.`)
+    return false
+  }
+
+  // Anything else (network, timeout) says nothing about the column - check again next time
+  console.warn(`Warning: Could not check for parks.${column}:`, error.message)
+  columnChecks.delete(column)
+  return true
+}
+
+/**
+ * Whether an optional column exists on parks (checked once, then cached)
+ * @param {string} column - A key of OPTIONAL_PARK_COLUMNS
+ * @returns {Promise<boolean>}
+ */
+export function hasParkColumn(column) {
+  if (!isSupabaseInitialized()) return Promise.resolve(false)
+
+  if (!columnChecks.has(column)) {
+    columnChecks.set(column, checkParkColumn(column))
+  }
+  return columnChecks.get(column)
+}
+
+/**
+ * The optional columns that exist, for building select lists
+ * @param {Array<string>} columns - Keys of OPTIONAL_PARK_COLUMNS
+ * @returns {Promise<Array<string>>}
+ */
+export async function availableParkColumns(columns) {
+  const present = await Promise.all(columns.map(hasParkColumn))
+  return columns.filter((_, index) => present[index])
+}
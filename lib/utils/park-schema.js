@@ -0,0 +1,207 @@
+/**
+ * Park Schema
+ * Declarative types, formats and allowed values for the park columns admins edit
+ * and imports write, shared by /api/admin/data-quality/update and insertOrUpdatePark
+ * (uploads and syncs). Validation coerces what it safely can (numeric strings,
+ * state names, comma-separated lists, bare domains) and reports the rest per field
+ */
+
+import { normalizeStateToCode, listStateCodes } from './state-normalizer.js'
+
+// Federal agencies are stored by abbreviation; sources often spell them out
+export const FEDERAL_AGENCY_NAMES = {
+  NPS: ['National Park Service', 'US National Park Service', 'U.S. National Park Service'],
+  USFS: ['Forest Service', 'US Forest Service', 'U.S. Forest Service', 'USDA Forest Service'],
+  BLM: ['Bureau of Land Management', 'US Bureau of Land Management', 'U.S. Bureau of Land Management'],
+  FWS: ['Fish and Wildlife Service', 'Fish & Wildlife Service', 'US Fish and Wildlife Service', 'U.S. Fish and Wildlife Service', 'USFWS'],
+  USACE: ['Army Corps of Engineers', 'US Army Corps of Engineers', 'U.S. Army Corps of Engineers'],
+  BOR: ['Bureau of Reclamation', 'US Bureau of Reclamation', 'U.S. Bureau of Reclamation']
+}
+
+const FEDERAL_AGENCY_BY_NAME = new Map(
+  Object.entries(FEDERAL_AGENCY_NAMES).flatMap(([code, names]) =>
+    [code, ...names].map(name => [name.toLowerCase(), code])
+  )
+)
+
+/**
+ * Use the abbreviation for a spelled-out federal agency; other agencies
+ * (state, county and city departments) are kept as given
+ * @param {string} agency
+ * @returns {string}
+ */
+export function normalizeAgencyName(agency) {
+  return FEDERAL_AGENCY_BY_NAME.get(agency.toLowerCase()) || agency
+}
+
+/**
+ * Column -> rules
+ *   type: 'string' | 'number' | 'url' | 'email' | 'phone' | 'stateCode' | 'list'
+ *   required: value can't be blank
+ *   maxLength: longest allowed string
+ *   min: smallest allowed number
+ *   max: largest allowed number
+ *   normalize: (value) => canonical value, after type coercion
+ */
+export const PARK_SCHEMA = {
+  name: { type: 'string', required: true, maxLength: 300 },
+  description: { type: 'string', maxLength: 20000 },
+  state: { type: 'stateCode', required: true },
+  agency: { type: 'string', required: true, maxLength: 200, normalize: normalizeAgencyName },
+  agency_full_name: { type: 'string', maxLength: 300 },
+  website: { type: 'url' },
+  phone: { type: 'phone' },
+  email: { type: 'email' },
+  address: { type: 'string', maxLength: 500 },
+  county: { type: 'string', maxLength: 100 },
+  city: { type: 'string', maxLength: 100 },
+  acres: { type: 'number', min: 0 },
+  latitude: { type: 'number', min: -90, max: 90 },
+  longitude: { type: 'number', min: -180, max: 180 },
+  public_access: { type: 'string', maxLength: 100 },
+  designation_type: { type: 'string', maxLength: 100 },
+  activities: { type: 'list' },
+  amenities: { type: 'list' }
+}
+
+export const PARK_SCHEMA_FIELDS = Object.keys(PARK_SCHEMA)
+
+const STATE_CODES = new Set(listStateCodes())
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const PHONE_PATTERN = /^\+?[\d\s().-]+(\s*(x|ext\.?)\s*\d+)?$/i
+const BARE_DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+([/?#].*)?$/i
+
+// Each coercer returns { value } or { error }
+const COERCERS = {
+  string(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) return { value: String(value) }
+    if (typeof value !== 'string') return { error: 'must be text' }
+    return { value: value.trim() }
+  },
+
+  number(value) {
+    const number = typeof value === 'string' ? Number(value.trim().replace(/,/g, '')) : value
+    if (typeof number !== 'number' || !Number.isFinite(number)) return { error: 'must be a number' }
+    return { value: number }
+  },
+
+  url(value) {
+    if (typeof value !== 'string') return { error: 'must be a URL' }
+    let url = value.trim()
+    if (BARE_DOMAIN_PATTERN.test(url)) url = `https://${url}`
+    try {
+      const parsed = new URL(url)
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return { error: 'must be an http:// or https:// URL' }
+      }
+    } catch {
+      return { error: `"${value}" is not a valid URL` }
+    }
+    return { value: url }
+  },
+
+  email(value) {
+    if (typeof value !== 'string') return { error: 'must be an email address' }
+    const email = value.trim().replace(/^mailto:/i, '')
+    if (!EMAIL_PATTERN.test(email)) return { error: `"${value}" is not a valid email address` }
+    return { value: email }
+  },
+
+  phone(value) {
+    const phone = typeof value === 'number' ? String(value) : value
+    if (typeof phone !== 'string') return { error: 'must be a phone number' }
+    const trimmed = phone.trim()
+    const digits = trimmed.replace(/(x|ext\.?)\s*\d+$/i, '').replace(/\D/g, '')
+    if (!PHONE_PATTERN.test(trimmed) || digits.length < 7 || digits.length > 15) {
+      return { error: `"${value}" is not a valid phone number` }
+    }
+    return { value: trimmed }
+  },
+
+  stateCode(value) {
+    if (typeof value !== 'string') return { error: 'must be a state code or name' }
+    const code = normalizeStateToCode(value)
+    if (!STATE_CODES.has(code)) return { error: `"${value}" is not a recognized state` }
+    return { value: code }
+  },
+
+  list(value) {
+    let items = value
+    if (typeof value === 'string') {
+      try {
+        items = JSON.parse(value)
+      } catch {
+        items = value.split(',')
+      }
+    }
+    if (!Array.isArray(items)) return { error: 'must be a list' }
+    if (items.some(item => typeof item !== 'string' && typeof item !== 'number')) {
+      return { error: 'must be a list of text values' }
+    }
+    return { value: items.map(item => String(item).trim()).filter(Boolean) }
+  }
+}
+
+const isBlank = (value) =>
+  value === null || value === undefined || (typeof value === 'string' && !value.trim())
+
+/**
+ * Validate and coerce park fields against PARK_SCHEMA
+ * Fields that aren't in the schema (ids, geometry, provenance) are ignored
+ *
+ * @param {Object} fields - Raw field values
+ * @param {Object} options
+ * @param {boolean} options.partial - Only check the fields present (default: true);
+ *   otherwise missing required fields are errors too
+ * @param {Array<string>} options.optional - Required fields that may be left blank here
+ * @returns {{ values: Object, errors: Object }} Coerced values for the valid fields,
+ *   and field -> message for the invalid ones
+ */
+export function validateParkFields(fields = {}, { partial = true, optional = [] } = {}) {
+  const values = {}
+  const errors = {}
+
+  for (const [field, rules] of Object.entries(PARK_SCHEMA)) {
+    const raw = fields[field]
+    if (raw === undefined && partial) continue
+
+    const required = rules.required && !optional.includes(field)
+    if (isBlank(raw)) {
+      if (required) {
+        errors[field] = 'is required'
+      } else {
+        values[field] = null
+      }
+      continue
+    }
+
+    const { value, error } = COERCERS[rules.type](raw)
+    if (error) {
+      errors[field] = error
+      continue
+    }
+
+    if (required && isBlank(value)) {
+      errors[field] = 'is required'
+    } else if (rules.maxLength && value.length > rules.maxLength) {
+      errors[field] = `must be at most ${rules.maxLength} characters`
+    } else if (rules.min !== undefined && rules.max !== undefined && (value < rules.min || value > rules.max)) {
+      errors[field] = `must be between ${rules.min} and ${rules.max}`
+    } else if (rules.min !== undefined && value < rules.min) {
+      errors[field] = `must be ${rules.min} or more`
+    } else {
+      values[field] = rules.normalize ? rules.normalize(value) : value
+    }
+  }
+
+  return { values, errors }
+}
+
+/**
+ * Join per-field errors into one message, e.g. "acres must be a number; state is required"
+ * @param {Object} errors - field -> message from validateParkFields
+ * @returns {string}
+ */
+export function formatParkFieldErrors(errors) {
+  return Object.entries(errors).map(([field, message]) => `${field} ${message}`).join('; ')
+}
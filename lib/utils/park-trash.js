@@ -0,0 +1,259 @@
+/**
+ * Park Trash
+ * Admin deletes move parks to the trash (deleted_at is set) instead of removing the rows;
+ * trashed parks are hidden everywhere parks are read and can be restored until the purge
+ * job removes them for good, leaving a tombstone that keeps importers from re-adding them
+ * Columns and tables are created by docs/PARKS_TRASH_SETUP.sql
+ */
+
+import { supabaseServer, isSupabaseInitialized } from '../supabase-server.js'
+import { tombstoneNameKey } from './db-operations.js'
+import { recordAuditEvent } from './audit-log.js'
+
+// Days a park stays in the trash before the purge job removes it
+export const TRASH_RETENTION_DAYS = parseInt(process.env.PARK_TRASH_RETENTION_DAYS) || 30
+
+// Parks per request when trashing, restoring or purging
+const TRASH_CHUNK_SIZE = 500
+
+const TRASH_LIST_COLUMNS = 'id, name, state, agency, data_source, source_id, deleted_at, deleted_by, deleted_reason'
+
+function actorLabel(auth) {
+  return auth?.user ? auth.user.email || auth.user.id : 'system'
+}
+
+/**
+ * Date a trashed park is due to be purged
+ * @param {string} deletedAt - parks.deleted_at
+ * @returns {string} ISO date/time
+ */
+export function trashPurgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+}
+
+/**
+ * Move parks to the trash
+ * Parks already in the trash are left as they are
+ *
+ * @param {Array<string|number>} parkIds
+ * @param {Object} options
+ * @param {Object} options.auth - requireRole result of the admin deleting the parks
+ * @param {string|null} options.reason - Why the parks were deleted
+ * @param {Object|null} options.criteria - Filters the parks were selected with (for the audit log)
+ * @returns {Promise<{ trashed: number, parkIds: Array<string> }>}
+ */
+export async function trashParks(parkIds, { auth = null, reason = null, criteria = null } = {}) {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  const trashedIds = []
+  const deletedAt = new Date().toISOString()
+
+  for (let i = 0; i < parkIds.length; i += TRASH_CHUNK_SIZE) {
+    const chunk = parkIds.slice(i, i + TRASH_CHUNK_SIZE)
+    const { data, error } = await supabaseServer
+      .from('parks')
+      .update({ deleted_at: deletedAt, deleted_by: actorLabel(auth), deleted_reason: reason })
+      .in('id', chunk)
+      .is('deleted_at', null)
+      .select('id')
+
+    if (error) {
+      throw new Error(`Failed to move parks to the trash: ${error.message}`)
+    }
+
+    trashedIds.push(...(data || []).map(park => String(park.id)))
+  }
+
+  if (trashedIds.length > 0) {
+    await recordAuditEvent(auth, {
+      action: 'parks.delete',
+      criteria,
+      affectedIds: trashedIds,
+      details: { reason, trash: true, purgeAfter: trashPurgeDate(deletedAt) }
+    })
+  }
+
+  console.log(`🗑️ Moved ${trashedIds.length} park(s) to the trash`)
+  return { trashed: trashedIds.length, parkIds: trashedIds }
+}
+
+/**
+ * Take parks back out of the trash
+ *
+ * @param {Array<string|number>} parkIds
+ * @param {Object} options
+ * @param {Object} options.auth - requireRole result of the admin restoring the parks
+ * @returns {Promise<{ restored: number, parkIds: Array<string> }>}
+ */
+export async function restoreParks(parkIds, { auth = null } = {}) {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  const restoredIds = []
+  const before = {}
+
+  for (let i = 0; i < parkIds.length; i += TRASH_CHUNK_SIZE) {
+    const chunk = parkIds.slice(i, i + TRASH_CHUNK_SIZE)
+    const { data: trashed, error: fetchError } = await supabaseServer
+      .from('parks')
+      .select('id, deleted_at, deleted_by, deleted_reason')
+      .in('id', chunk)
+      .not('deleted_at', 'is', null)
+
+    if (fetchError) {
+      throw new Error(`Failed to fetch trashed parks: ${fetchError.message}`)
+    }
+    if (!trashed || trashed.length === 0) continue
+
+    const { error } = await supabaseServer
+      .from('parks')
+      .update({ deleted_at: null, deleted_by: null, deleted_reason: null })
+      .in('id', trashed.map(park => park.id))
+
+    if (error) {
+      throw new Error(`Failed to restore parks: ${error.message}`)
+    }
+
+    for (const { id, ...trashInfo } of trashed) {
+      restoredIds.push(String(id))
+      before[id] = trashInfo
+    }
+  }
+
+  if (restoredIds.length > 0) {
+    await recordAuditEvent(auth, {
+      action: 'parks.restore',
+      affectedIds: restoredIds,
+      before
+    })
+  }
+
+  console.log(`♻️ Restored ${restoredIds.length} park(s) from the trash`)
+  return { restored: restoredIds.length, parkIds: restoredIds }
+}
+
+/**
+ * List trashed parks, most recently deleted first
+ *
+ * @param {Object} options
+ * @param {string|null} options.search - Case-insensitive substring of the park name
+ * @param {number} options.limit - Max parks to return (default: 200)
+ * @returns {Promise<Array>} Park rows with purgeAt (when the purge job will remove them)
+ */
+export async function listTrashedParks({ search = null, limit = 200 } = {}) {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  let query = supabaseServer
+    .from('parks')
+    .select(TRASH_LIST_COLUMNS)
+    .not('deleted_at', 'is', null)
+    .order('deleted_at', { ascending: false })
+    .limit(limit)
+
+  if (search) {
+    query = query.ilike('name', `%${search.replace(/[%_\\]/g, '\\$&')}%`)
+  }
+
+  const { data, error } = await query
+
+  if (error) {
+    throw new Error(`Failed to fetch trashed parks: ${error.message}`)
+  }
+
+  return (data || []).map(park => ({ ...park, purgeAt: trashPurgeDate(park.deleted_at) }))
+}
+
+/**
+ * Permanently remove trashed parks, leaving a tombstone for each
+ * Without parkIds, purges every park trashed more than olderThanDays ago (the timed purge)
+ * Each chunk's full rows are kept in the audit log
+ *
+ * @param {Object} options
+ * @param {Object} options.auth - requireRole result (null for the scheduled purge)
+ * @param {Array<string|number>|null} options.parkIds - Purge these trashed parks now
+ * @param {number} options.olderThanDays - Retention for the timed purge (default: TRASH_RETENTION_DAYS)
+ * @returns {Promise<{ purged: number, parkIds: Array<string> }>}
+ */
+export async function purgeTrashedParks({ auth = null, parkIds = null, olderThanDays = TRASH_RETENTION_DAYS } = {}) {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000).toISOString()
+  const purgedIds = []
+  let offset = 0
+
+  while (true) {
+    let query = supabaseServer
+      .from('parks')
+      .select('*')
+      .not('deleted_at', 'is', null)
+
+    if (parkIds) {
+      const chunk = parkIds.slice(offset, offset + TRASH_CHUNK_SIZE)
+      if (chunk.length === 0) break
+      offset += TRASH_CHUNK_SIZE
+      query = query.in('id', chunk)
+    } else {
+      query = query.lt('deleted_at', cutoff).order('deleted_at', { ascending: true }).limit(TRASH_CHUNK_SIZE)
+    }
+
+    const { data: parks, error: fetchError } = await query
+
+    if (fetchError) {
+      throw new Error(`Failed to fetch trashed parks to purge: ${fetchError.message}`)
+    }
+    if (!parks || parks.length === 0) {
+      if (parkIds) continue
+      break
+    }
+
+    // Tombstones first - a purged park without one would come back with the next import
+    const { error: tombstoneError } = await supabaseServer
+      .from('park_tombstones')
+      .upsert(parks.map(park => ({
+        park_id: String(park.id),
+        name: park.name,
+        name_key: tombstoneNameKey(park.name),
+        state: park.state,
+        source_id: park.source_id ? String(park.source_id) : null,
+        data_source: park.data_source,
+        deleted_at: park.deleted_at,
+        deleted_by: park.deleted_by,
+        deleted_reason: park.deleted_reason
+      })), { onConflict: 'park_id' })
+
+    if (tombstoneError) {
+      throw new Error(`Failed to record park tombstones: ${tombstoneError.message}`)
+    }
+
+    const ids = parks.map(park => park.id)
+    const { error: deleteError } = await supabaseServer
+      .from('parks')
+      .delete()
+      .in('id', ids)
+      .not('deleted_at', 'is', null)
+
+    if (deleteError) {
+      throw new Error(`Failed to purge trashed parks: ${deleteError.message}`)
+    }
+
+    await recordAuditEvent(auth, {
+      action: 'parks.purge',
+      criteria: parkIds ? null : { olderThanDays },
+      affectedIds: ids,
+      before: Object.fromEntries(parks.map(park => [park.id, park]))
+    })
+
+    purgedIds.push(...ids.map(String))
+    if (!parkIds && parks.length < TRASH_CHUNK_SIZE) break
+  }
+
+  console.log(`🧹 Purged ${purgedIds.length} park(s) from the trash`)
+  return { purged: purgedIds.length, parkIds: purgedIds }
+}
@@ -3,6 +3,70 @@
  * Handles fetching recreation facilities data from Recreation.gov API
  */
 
+const RIDB_FACILITIES_URL = 'https://ridb.recreation.gov/api/v1/facilities'
+
+/**
+ * Fetches one page of recreation facilities from Recreation.gov API
+ * Waits and retries on rate limiting (429)
+ * @param {string} apiKey - Recreation.gov API key
+ * @param {Object} options
+ * @param {number} options.offset - Offset of the first facility (default: 0)
+ * @param {number} options.limit - Number of results per page (default: 50, max: 50)
+ * @param {string} options.state - Filter by state code (e.g., 'NC', 'GA')
+ * @returns {Promise<{facilities: Array, total: number|null, nextOffset: number, hasMore: boolean}>}
+ */
+export async function fetchRecreationFacilitiesPage(apiKey, options = {}) {
+  const { offset = 0, limit = 50, state } = options
+
+  if (!apiKey) {
+    throw new Error('Recreation.gov API key is required')
+  }
+
+  const headers = {
+    'apikey': apiKey,
+    'Accept': 'application/json'
+  }
+
+  let url = `${RIDB_FACILITIES_URL}?limit=${limit}&offset=${offset}`
+  if (state) {
+    url += `&state=${encodeURIComponent(state)}`
+  }
+
+  while (true) {
+    const response = await fetch(url, { headers })
+
+    // Handle rate limiting
+    if (response.status === 429) {
+      const retryAfter = response.headers.get('Retry-After') || 60
+      console.warn(`Rate limit exceeded. Waiting ${retryAfter} seconds...`)
+      await new Promise(resolve => setTimeout(resolve, retryAfter * 1000))
+      continue
+    }
+
+    // Handle authentication errors
+    if (response.status === 401 || response.status === 403) {
+      throw new Error('Invalid Recreation.gov API key. Please check your API key.')
+    }
+
+    if (!response.ok) {
+      throw new Error(`Recreation.gov API error: ${response.status} ${response.statusText}`)
+    }
+
+    const data = await response.json()
+
+    if (!data.RECDATA || !Array.isArray(data.RECDATA)) {
+      throw new Error('Invalid response format from Recreation.gov API')
+    }
+
+    return {
+      facilities: data.RECDATA,
+      total: parseInt(data.METADATA?.RESULTS?.TOTAL_COUNT) || null,
+      nextOffset: offset + limit,
+      hasMore: data.RECDATA.length === limit
+    }
+  }
+}
+
 /**
  * Fetches recreation facilities from Recreation.gov API
  * @param {string} apiKey - Recreation.gov API key
@@ -14,7 +78,6 @@
  */
 export async function fetchRecreationFacilities(apiKey, options = {}) {
   const { limit = 50, state, onProgress } = options
-  const baseUrl = 'https://ridb.recreation.gov/api/v1/facilities'
   const allFacilities = []
   let offset = 0
   let hasMore = true
@@ -23,66 +86,21 @@ export async function fetchRecreationFacilities(apiKey, options = {}) {
     throw new Error('Recreation.gov API key is required')
   }
 
-  const headers = {
-    'apikey': apiKey,
-    'Accept': 'application/json'
-  }
-
   while (hasMore) {
-    try {
-      let url = `${baseUrl}?limit=${limit}&offset=${offset}`
-      
-      if (state) {
-        url += `&state=${encodeURIComponent(state)}`
-      }
-
-      if (onProgress) {
-        onProgress({
-          fetched: allFacilities.length,
-          currentPage: Math.floor(offset / limit) + 1
-        })
-      }
-
-      const response = await fetch(url, { headers })
-
-      // Handle rate limiting
-      if (response.status === 429) {
-        const retryAfter = response.headers.get('Retry-After') || 60
-        console.warn(`Rate limit exceeded. Waiting ${retryAfter} seconds...`)
-        await new Promise(resolve => setTimeout(resolve, retryAfter * 1000))
-        continue
-      }
-
-      // Handle authentication errors
-      if (response.status === 401 || response.status === 403) {
-        throw new Error('Invalid Recreation.gov API key. Please check your API key.')
-      }
-
-      if (!response.ok) {
-        throw new Error(`Recreation.gov API error: ${response.status} ${response.statusText}`)
-      }
-
-      const data = await response.json()
-
-      if (!data.RECDATA || !Array.isArray(data.RECDATA)) {
-        throw new Error('Invalid response format from Recreation.gov API')
-      }
-
-      allFacilities.push(...data.RECDATA)
-      offset += limit
-
-      // Check if we have more pages
-      hasMore = data.RECDATA.length === limit
-
-      // Rate limiting: wait 100ms between requests
-      await new Promise(resolve => setTimeout(resolve, 100))
-
-    } catch (error) {
-      if (error.message.includes('rate limit') || error.message.includes('429')) {
-        continue
-      }
-      throw error
+    if (onProgress) {
+      onProgress({
+        fetched: allFacilities.length,
+        currentPage: Math.floor(offset / limit) + 1
+      })
     }
+
+    const page = await fetchRecreationFacilitiesPage(apiKey, { offset, limit, state })
+    allFacilities.push(...page.facilities)
+    offset = page.nextOffset
+    hasMore = page.hasMore
+
+    // Rate limiting: wait 100ms between requests
+    await new Promise(resolve => setTimeout(resolve, 100))
   }
 
   if (onProgress) {
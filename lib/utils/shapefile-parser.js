@@ -1,17 +1,21 @@
 /**
  * Shapefile Parser Utility
  * Parses Shapefile format (.shp) and ZIP archives containing shapefiles
+ * Coordinates are reprojected to WGS84 using the archive's .prj file
  */
 
 import * as shapefile from 'shapefile'
 import JSZip from 'jszip'
+import { parsePrj, reprojectGeometry } from './crs-reproject.js'
 
 /**
  * Parse a Shapefile from a File object
  * Handles both .shp files and ZIP archives
+ * Files whose coordinate system can't be determined (no readable .prj and
+ * coordinates outside longitude/latitude range) are rejected
  * 
  * @param {File} file - File object (either .shp or .zip)
- * @returns {Promise<Object>} GeoJSON FeatureCollection
+ * @returns {Promise<Object>} GeoJSON FeatureCollection in WGS84
  */
 export async function parseShapefile(file) {
   const fileName = file.name.toLowerCase()
@@ -45,6 +49,12 @@ async function parseShapefileZip(zipFile) {
     if (!shpFile || !shxFile || !dbfFile) {
       throw new Error('ZIP archive must contain .shp, .shx, and .dbf files')
     }
+
+    // Coordinate system of the .shp (prefer the .prj with the same base name)
+    const prjFile = zipContents.file(shpFile.name.replace(/\.shp$/i, '.prj')) ||
+      zipContents.file(shpFile.name.replace(/\.shp$/i, '.PRJ')) ||
+      findFileInZip(zipContents, '.prj')
+    const crs = prjFile ? parsePrj(await prjFile.async('string')) : null
     
     // Note: shx file is validated but not used directly - shapefile library uses it internally
 
@@ -69,7 +79,7 @@ async function parseShapefileZip(zipFile) {
       geojson.features.push(result.value)
     }
 
-    return geojson
+    return toWgs84(geojson, crs, source.bbox)
   } catch (error) {
     console.error('Error parsing shapefile ZIP:', error)
     throw new Error(`Failed to parse shapefile ZIP: ${error.message}`)
@@ -104,7 +114,8 @@ async function parseShapefileDirect(shpFile) {
       geojson.features.push(result.value)
     }
 
-    return geojson
+    // A lone .shp has no .prj, so it is only accepted when already in longitude/latitude
+    return toWgs84(geojson, null, source.bbox)
   } catch (error) {
     console.error('Error parsing direct shapefile:', error)
     throw new Error(`Failed to parse shapefile: ${error.message}. Note: Shapefiles typically require .shp, .shx, and .dbf files. Please upload as a ZIP archive.`)
@@ -127,3 +138,44 @@ function findFileInZip(zip, extension) {
   return null
 }
 
+
+const isLonLatBbox = (bbox) => Array.isArray(bbox) &&
+  bbox.every(Number.isFinite) &&
+  bbox[0] >= -180 && bbox[2] <= 180 && bbox[1] >= -90 && bbox[3] <= 90
+
+/**
+ * Reproject parsed features to WGS84 longitude/latitude
+ * Without a .prj, coordinates are assumed to be WGS84 only if they fit longitude/latitude range
+ *
+ * @param {Object} geojson - FeatureCollection as read from the .shp
+ * @param {Object|null} crs - Result of parsePrj, or null if there was no .prj
+ * @param {Array<number>} bbox - [xmin, ymin, xmax, ymax] from the .shp header
+ * @returns {Object} FeatureCollection in WGS84
+ */
+function toWgs84(geojson, crs, bbox) {
+  if (!crs) {
+    if (!isLonLatBbox(bbox)) {
+      throw new Error('Shapefile has no .prj file and its coordinates are not longitude/latitude, so its coordinate system is unknown. Include the .prj file in the ZIP archive.')
+    }
+    console.warn('⚠️ Shapefile has no .prj file - assuming WGS84 longitude/latitude')
+    return geojson
+  }
+
+  if (crs.toLonLat) {
+    console.log(`🌐 Reprojecting shapefile from ${crs.name} to WGS84`)
+    geojson.features = geojson.features.map(feature => ({
+      ...feature,
+      geometry: reprojectGeometry(feature.geometry, crs)
+    }))
+
+    // A wrong or mismatched .prj shows up as coordinates off the globe
+    const corners = [[bbox[0], bbox[1]], [bbox[2], bbox[3]]].map(crs.toLonLat)
+    if (!isLonLatBbox([corners[0][0], corners[0][1], corners[1][0], corners[1][1]])) {
+      throw new Error(`Coordinates do not fit the .prj coordinate system (${crs.name}) - check that the .prj belongs to this shapefile`)
+    }
+  } else if (!isLonLatBbox(bbox)) {
+    throw new Error(`Coordinates are not longitude/latitude but the .prj says ${crs.name} - check that the .prj belongs to this shapefile`)
+  }
+
+  return geojson
+}
@@ -0,0 +1,220 @@
+/**
+ * Spatial Park Matching
+ * Decides whether an incoming park is the same place as an existing one using
+ * boundary overlap when both have polygons, point-in-polygon when one does,
+ * and haversine distance between coordinates otherwise
+ */
+
+import { area, bbox, booleanPointInPolygon, centroid, distance, feature, featureCollection, intersect, point } from '@turf/turf'
+import { wktToGeojson, wkbToGeojson } from './geometry-wkt.js'
+
+export const DEFAULT_SPATIAL_MATCH_OPTIONS = {
+  maxDistanceKm: 1,          // Point-to-point matches must be this close...
+  minNameScore: 0.6,         // ...and have names at least this similar
+  minBoundaryIoU: 0.6,       // Boundaries overlapping this much (intersection / union) match on their own
+  minBoundaryOverlap: 0.5,   // Otherwise this much of the smaller boundary must be shared, plus a similar name
+  searchRadiusKm: 2          // How far past the incoming park's extent to look for candidates
+}
+
+// PostgREST returns geometry columns as hex EWKB, e.g. "0103000020E6100000..."
+const HEX_WKB_PATTERN = /^0[01]([0-9a-f]{2})+$/i
+
+/**
+ * Parse a geometry value (GeoJSON object, GeoJSON string, WKT or hex EWKB) into a Polygon/MultiPolygon
+ * @returns {Object|null}
+ */
+export function parsePolygon(value) {
+  if (!value) return null
+  let geometry = value
+  if (typeof geometry === 'string') {
+    const trimmed = geometry.trim()
+    if (trimmed.startsWith('{')) {
+      try {
+        geometry = JSON.parse(trimmed)
+      } catch {
+        return null
+      }
+    } else if (HEX_WKB_PATTERN.test(trimmed)) {
+      try {
+        geometry = wkbToGeojson(trimmed)
+      } catch {
+        return null
+      }
+    } else {
+      geometry = wktToGeojson(trimmed)
+    }
+  }
+  if (geometry && (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') && Array.isArray(geometry.coordinates)) {
+    return geometry
+  }
+  return null
+}
+
+/**
+ * Reduce a park row to what spatial matching needs: centroid, polygon and its bbox
+ */
+export function prepareSpatialPark(park) {
+  const polygon = parsePolygon(park.geometry)
+  let lat = park.latitude != null ? Number(park.latitude) : null
+  let lng = park.longitude != null ? Number(park.longitude) : null
+
+  if ((!lat || !lng) && polygon) {
+    try {
+      const [cLng, cLat] = centroid(feature(polygon)).geometry.coordinates
+      lat = cLat
+      lng = cLng
+    } catch {
+      // Leave without a centroid
+    }
+  }
+
+  let polygonBbox = null
+  if (polygon) {
+    try {
+      polygonBbox = bbox(polygon)
+    } catch {
+      polygonBbox = null
+    }
+  }
+
+  return {
+    lat: lat || null,
+    lng: lng || null,
+    polygon: polygonBbox ? polygon : null,
+    bbox: polygonBbox
+  }
+}
+
+function bboxesIntersect(a, b) {
+  return a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3]
+}
+
+/**
+ * Great-circle (haversine) distance between two prepared parks in km, or null without coordinates
+ */
+export function centroidDistanceKm(a, b) {
+  if (!a.lat || !a.lng || !b.lat || !b.lng) return null
+  return distance(point([a.lng, a.lat]), point([b.lng, b.lat]), { units: 'kilometers' })
+}
+
+/**
+ * How much two prepared parks' boundaries overlap
+ * - Both polygons: { overlapOfSmaller, iou } from the intersection area
+ * - One polygon: both are 1 when the other park's point is inside it, else 0
+ * - Neither: null
+ *
+ * @returns {{ overlapOfSmaller: number, iou: number, pointInPolygon: boolean }|null}
+ */
+export function boundaryOverlap(a, b) {
+  if (a.polygon && b.polygon) {
+    if (!bboxesIntersect(a.bbox, b.bbox)) return { overlapOfSmaller: 0, iou: 0, pointInPolygon: false }
+    try {
+      const shared = intersect(featureCollection([feature(a.polygon), feature(b.polygon)]))
+      if (!shared) return { overlapOfSmaller: 0, iou: 0, pointInPolygon: false }
+      const areaA = area(a.polygon)
+      const areaB = area(b.polygon)
+      const sharedArea = area(shared)
+      const smallerArea = Math.min(areaA, areaB)
+      const unionArea = areaA + areaB - sharedArea
+      return {
+        overlapOfSmaller: smallerArea > 0 ? Math.min(1, sharedArea / smallerArea) : 0,
+        iou: unionArea > 0 ? Math.min(1, sharedArea / unionArea) : 0,
+        pointInPolygon: false
+      }
+    } catch {
+      return null
+    }
+  }
+
+  const polygonPark = a.polygon ? a : b.polygon ? b : null
+  const pointPark = polygonPark === a ? b : a
+  if (!polygonPark || !pointPark.lat || !pointPark.lng) return null
+  try {
+    const inside = booleanPointInPolygon(point([pointPark.lng, pointPark.lat]), polygonPark.polygon)
+    return { overlapOfSmaller: inside ? 1 : 0, iou: inside ? 1 : 0, pointInPolygon: true }
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Decide whether a prepared candidate is the same place as the incoming park
+ *
+ * @param {Object} incoming - prepareSpatialPark() result
+ * @param {Object} candidate - prepareSpatialPark() result
+ * @param {number} nameScore - Name similarity of the two parks (0..1)
+ * @param {Object} options - Overrides for DEFAULT_SPATIAL_MATCH_OPTIONS
+ * @returns {{ isMatch: boolean, score: number, method: string, reason: string, distanceKm: number|null, overlap: Object|null }}
+ */
+export function evaluateSpatialMatch(incoming, candidate, nameScore, options = {}) {
+  const { maxDistanceKm, minNameScore, minBoundaryIoU, minBoundaryOverlap } = {
+    ...DEFAULT_SPATIAL_MATCH_OPTIONS,
+    ...options
+  }
+  const distanceKm = centroidDistanceKm(incoming, candidate)
+  const overlap = boundaryOverlap(incoming, candidate)
+  const result = { isMatch: false, score: 0, method: null, reason: null, distanceKm, overlap }
+
+  if (overlap && !overlap.pointInPolygon) {
+    if (overlap.iou >= minBoundaryIoU) {
+      return {
+        ...result,
+        isMatch: true,
+        score: overlap.iou,
+        method: 'boundary-overlap',
+        reason: `Boundaries overlap ${(overlap.iou * 100).toFixed(0)}% (intersection / union)`
+      }
+    }
+    if (overlap.overlapOfSmaller >= minBoundaryOverlap && nameScore >= minNameScore) {
+      return {
+        ...result,
+        isMatch: true,
+        score: (overlap.overlapOfSmaller + nameScore) / 2,
+        method: 'boundary-overlap',
+        reason: `${(overlap.overlapOfSmaller * 100).toFixed(0)}% of the smaller boundary is shared and names are similar (${nameScore.toFixed(2)})`
+      }
+    }
+    return result
+  }
+
+  if (overlap?.pointInPolygon && overlap.iou === 1 && nameScore >= minNameScore) {
+    return {
+      ...result,
+      isMatch: true,
+      score: (1 + nameScore) / 2,
+      method: 'point-in-boundary',
+      reason: `Point lies inside the boundary and names are similar (${nameScore.toFixed(2)})`
+    }
+  }
+
+  if (distanceKm !== null && distanceKm <= maxDistanceKm && nameScore >= minNameScore) {
+    return {
+      ...result,
+      isMatch: true,
+      score: ((1 - distanceKm / maxDistanceKm) + nameScore) / 2,
+      method: 'distance',
+      reason: `${distanceKm.toFixed(2)} km apart and names are similar (${nameScore.toFixed(2)})`
+    }
+  }
+
+  return result
+}
+
+/**
+ * Lat/lng box to pre-filter candidate parks: the incoming polygon's extent
+ * (or its point) padded by searchRadiusKm
+ * @returns {{ minLat: number, maxLat: number, minLng: number, maxLng: number }|null}
+ */
+export function searchBounds(incoming, searchRadiusKm = DEFAULT_SPATIAL_MATCH_OPTIONS.searchRadiusKm) {
+  let [minLng, minLat, maxLng, maxLat] = incoming.bbox || [incoming.lng, incoming.lat, incoming.lng, incoming.lat]
+  if (![minLng, minLat, maxLng, maxLat].every(Number.isFinite)) return null
+
+  const latPad = searchRadiusKm / 111
+  const lngPad = searchRadiusKm / (111 * Math.max(0.1, Math.cos(((minLat + maxLat) / 2) * Math.PI / 180)))
+  return {
+    minLat: minLat - latPad,
+    maxLat: maxLat + latPad,
+    minLng: minLng - lngPad,
+    maxLng: maxLng + lngPad
+  }
+}
@@ -0,0 +1,234 @@
+/**
+ * Spreadsheet Parser Utility
+ * Converts CSV/TSV and Excel (.xlsx) park lists to a GeoJSON FeatureCollection
+ * Each row becomes a feature whose properties are the row's columns (for the field mapper)
+ * Locations come from latitude/longitude columns or a WKT geometry column; rows with
+ * neither get a null geometry so they can be geocoded from their address
+ */
+
+import JSZip from 'jszip'
+import { parseXml, childElement, childElements, descendantElements } from './xml-parser.js'
+import { wktToGeojson } from './geometry-wkt.js'
+
+// Column names checked for coordinates (compared lowercased, without spaces/underscores)
+const LATITUDE_COLUMNS = ['latitude', 'lat', 'y', 'pointy', 'latdd', 'latdecimal', 'ycoord', 'ycoordinate']
+const LONGITUDE_COLUMNS = ['longitude', 'lon', 'lng', 'long', 'x', 'pointx', 'londd', 'longdd', 'londecimal', 'xcoord', 'xcoordinate']
+const WKT_COLUMNS = ['wkt', 'geometry', 'geom', 'thegeom', 'shape', 'boundary', 'location']
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.tsv', '.xlsx']
+
+/**
+ * True if the file name is a spreadsheet parseSpreadsheet reads
+ */
+export function isSpreadsheetFile(fileName) {
+  const lower = (fileName || '').toLowerCase()
+  return SPREADSHEET_EXTENSIONS.some(extension => lower.endsWith(extension))
+}
+
+/**
+ * Parse a CSV/TSV or XLSX file
+ *
+ * @param {File} file - File object (.csv, .tsv or .xlsx)
+ * @returns {Promise<Object>} GeoJSON FeatureCollection
+ */
+export async function parseSpreadsheet(file) {
+  const fileName = file.name.toLowerCase()
+  const rows = fileName.endsWith('.xlsx')
+    ? await parseXlsx(await file.arrayBuffer())
+    : parseCsv(new TextDecoder().decode(new Uint8Array(await file.arrayBuffer())))
+  return rowsToFeatureCollection(rows)
+}
+
+/**
+ * Parse delimited text (RFC 4180 quoting) into row objects keyed by the header row
+ * The delimiter (comma, semicolon or tab) is detected from the header row
+ *
+ * @param {string} text
+ * @returns {Array<Object>}
+ */
+export function parseCsv(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '')
+  const firstLine = source.slice(0, source.search(/\r?\n|$/))
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate
+
+  const records = []
+  let record = []
+  let field = ''
+  let inQuotes = false
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      record.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++
+      record.push(field)
+      records.push(record)
+      record = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field)
+    records.push(record)
+  }
+
+  return recordsToRows(records)
+}
+
+/**
+ * Read the first worksheet of an .xlsx workbook into row objects keyed by the header row
+ *
+ * @param {ArrayBuffer} data - .xlsx file contents
+ * @returns {Promise<Array<Object>>}
+ */
+export async function parseXlsx(data) {
+  const zip = await new JSZip().loadAsync(data)
+  const readXml = async (path) => {
+    const entry = zip.file(path)
+    return entry ? parseXml(await entry.async('string')) : null
+  }
+
+  // First sheet in workbook order -> its part via the workbook relationships
+  const workbook = await readXml('xl/workbook.xml')
+  const firstSheet = descendantElements(workbook, 'sheet')[0]
+  if (!firstSheet) {
+    throw new Error('Workbook has no worksheets')
+  }
+  const relationships = await readXml('xl/_rels/workbook.xml.rels')
+  const target = descendantElements(relationships, 'Relationship')
+    .find(rel => rel.attributes.Id === firstSheet.attributes.id)?.attributes.Target
+  const sheetPath = target
+    ? (target.startsWith('/') ? target.slice(1) : `xl/${target}`)
+    : 'xl/worksheets/sheet1.xml'
+  const sheet = await readXml(sheetPath)
+  if (!sheet) {
+    throw new Error(`Worksheet ${sheetPath} not found in workbook`)
+  }
+
+  // Shared strings: plain <si><t> or rich text runs <si><r><t>
+  const sharedStringsXml = await readXml('xl/sharedStrings.xml')
+  const sharedStrings = childElements(sharedStringsXml, 'si')
+    .map(si => descendantElements(si, 't').map(t => t.text).join('') || si.text)
+
+  const records = []
+  for (const row of descendantElements(sheet, 'row')) {
+    const record = []
+    for (const cell of childElements(row, 'c')) {
+      const column = columnIndex(cell.attributes.r) ?? record.length
+      const value = childElement(cell, 'v')?.text ?? ''
+      const type = cell.attributes.t
+      if (type === 's') {
+        record[column] = sharedStrings[parseInt(value)] ?? ''
+      } else if (type === 'inlineStr') {
+        record[column] = descendantElements(cell, 't').map(t => t.text).join('')
+      } else if (type === 'b') {
+        record[column] = value === '1' ? 'true' : 'false'
+      } else {
+        record[column] = value
+      }
+    }
+    const rowNumber = parseInt(row.attributes.r)
+    records[Number.isFinite(rowNumber) ? rowNumber - 1 : records.length] = Array.from(record, cell => cell ?? '')
+  }
+
+  return recordsToRows(records.filter(Boolean))
+}
+
+// "AB12" -> 27 (0-based column)
+function columnIndex(reference) {
+  const letters = /^[A-Z]+/i.exec(reference || '')?.[0]
+  if (!letters) return null
+  return letters.toUpperCase().split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1
+}
+
+// Header row + records -> row objects; blank rows are dropped, blank cells become null
+function recordsToRows(records) {
+  const nonEmpty = records.filter(record => record.some(cell => String(cell).trim() !== ''))
+  if (nonEmpty.length === 0) return []
+
+  const headers = nonEmpty[0].map((header, index) => String(header).trim() || `column_${index + 1}`)
+  return nonEmpty.slice(1).map(record => {
+    const row = {}
+    headers.forEach((header, index) => {
+      const value = record[index] === undefined ? '' : String(record[index]).trim()
+      row[header] = value === '' ? null : value
+    })
+    return row
+  })
+}
+
+const normalizeColumn = (name) => name.toLowerCase().replace(/[\s_\-.()]/g, '')
+
+function findColumn(headers, candidates) {
+  return candidates
+    .map(candidate => headers.find(header => normalizeColumn(header) === candidate))
+    .find(Boolean) || null
+}
+
+/**
+ * Turn spreadsheet rows into features, detecting coordinate or WKT columns
+ * Rows without a usable location get geometry: null
+ *
+ * @param {Array<Object>} rows
+ * @returns {Object} GeoJSON FeatureCollection with a detectedColumns summary
+ *   ({ latitude, longitude, wkt } column names, null if not found)
+ */
+export function rowsToFeatureCollection(rows) {
+  const headers = rows.length > 0 ? Object.keys(rows[0]) : []
+  const latitudeColumn = findColumn(headers, LATITUDE_COLUMNS)
+  const longitudeColumn = findColumn(headers, LONGITUDE_COLUMNS)
+  const wktColumn = findColumn(headers, WKT_COLUMNS)
+
+  const features = rows.map(row => {
+    let geometry = null
+
+    if (latitudeColumn && longitudeColumn) {
+      const latitude = parseFloat(row[latitudeColumn])
+      const longitude = parseFloat(row[longitudeColumn])
+      if (Number.isFinite(latitude) && Number.isFinite(longitude) &&
+        Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180 &&
+        !(latitude === 0 && longitude === 0)) {
+        geometry = { type: 'Point', coordinates: [longitude, latitude] }
+      }
+    }
+
+    if (!geometry && wktColumn && row[wktColumn]) {
+      geometry = wktToGeojson(row[wktColumn])
+    }
+
+    return {
+      type: 'Feature',
+      properties: row,
+      geometry
+    }
+  })
+
+  console.log(`📊 Spreadsheet: ${rows.length} rows, coordinates from ${latitudeColumn && longitudeColumn ? `${latitudeColumn}/${longitudeColumn}` : 'no lat/lng columns'}${wktColumn ? `, WKT from ${wktColumn}` : ''}`)
+
+  return {
+    type: 'FeatureCollection',
+    features,
+    detectedColumns: {
+      latitude: latitudeColumn,
+      longitude: longitudeColumn,
+      wkt: wktColumn
+    }
+  }
+}
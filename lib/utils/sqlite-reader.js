@@ -0,0 +1,290 @@
+/**
+ * Minimal SQLite Reader
+ * Reads rows of ordinary (rowid) tables straight from a SQLite database file, for the
+ * GeoPackage parser - no SQL engine, just the file format's table b-trees and records
+ * Read-only: indexes, views and WITHOUT ROWID tables are not supported
+ */
+
+const HEADER_MAGIC = 'SQLite format 3\u0000'
+
+const PAGE_INTERIOR_TABLE = 5
+const PAGE_LEAF_TABLE = 13
+
+const TEXT_ENCODINGS = { 1: 'utf-8', 2: 'utf-16le', 3: 'utf-16be' }
+
+/**
+ * Open a SQLite database held in memory
+ *
+ * @param {ArrayBuffer|Uint8Array} data - Database file contents
+ * @returns {{ tableNames: Function, hasTable: Function, tableColumns: Function, countRows: Function, readTable: Function }}
+ *   readTable(name) yields each row as an object keyed by column name
+ * @throws {Error} If the data is not a SQLite 3 database
+ */
+export function openSqliteDatabase(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data)
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+
+  if (bytes.length < 100 || new TextDecoder().decode(bytes.subarray(0, 16)) !== HEADER_MAGIC) {
+    throw new Error('Not a SQLite database')
+  }
+
+  const rawPageSize = view.getUint16(16)
+  const pageSize = rawPageSize === 1 ? 65536 : rawPageSize
+  const usableSize = pageSize - bytes[20]
+  const encoding = TEXT_ENCODINGS[view.getUint32(56)] || 'utf-8'
+  const textDecoder = new TextDecoder(encoding)
+
+  const db = { bytes, view, pageSize, usableSize, textDecoder }
+
+  // sqlite_schema (page 1): type, name, tbl_name, rootpage, sql
+  const tables = new Map()
+  for (const { values } of walkTable(db, 1)) {
+    const [type, name, , rootPage, sql] = values
+    if (type === 'table' && name && !name.startsWith('sqlite_')) {
+      tables.set(name.toLowerCase(), { name, rootPage, sql: sql || '', columns: null })
+    }
+  }
+
+  const getTable = (name) => {
+    const table = tables.get(String(name).toLowerCase())
+    if (!table) throw new Error(`Table "${name}" not found`)
+    if (!table.columns) {
+      if (/\)\s*without\s+rowid\s*;?\s*$/i.test(table.sql)) {
+        throw new Error(`Table "${table.name}" is a WITHOUT ROWID table, which cannot be read`)
+      }
+      table.columns = parseColumns(table.sql)
+    }
+    return table
+  }
+
+  return {
+    tableNames: () => Array.from(tables.values(), table => table.name),
+    hasTable: (name) => tables.has(String(name).toLowerCase()),
+    tableColumns: (name) => getTable(name).columns.map(column => column.name),
+    countRows: (name) => countTableRows(db, getTable(name).rootPage),
+    * readTable(name) {
+      const { columns, rootPage } = getTable(name)
+      for (const { rowid, values } of walkTable(db, rootPage)) {
+        const row = {}
+        columns.forEach((column, index) => {
+          // An INTEGER PRIMARY KEY column is the rowid and stored as NULL in the record
+          row[column.name] = column.isRowid ? rowid : (values[index] ?? null)
+        })
+        yield row
+      }
+    }
+  }
+}
+
+// Byte offset of a page (1-based page numbers)
+const pageOffset = (db, pageNumber) => (pageNumber - 1) * db.pageSize
+
+// Page 1 starts with the 100-byte database header before its b-tree header
+const btreeHeaderOffset = (db, pageNumber) => pageOffset(db, pageNumber) + (pageNumber === 1 ? 100 : 0)
+
+/**
+ * Walk a table b-tree in rowid order, yielding { rowid, values } for each row
+ */
+function* walkTable(db, rootPage) {
+  const stack = [rootPage]
+  const visited = new Set()
+  while (stack.length > 0) {
+    const pageNumber = stack.pop()
+    if (visited.has(pageNumber) || pageNumber < 1 || pageOffset(db, pageNumber) >= db.bytes.length) {
+      throw new Error(`Corrupt database: bad page reference ${pageNumber}`)
+    }
+    visited.add(pageNumber)
+
+    const { type, cellOffsets, rightChild } = readPageHeader(db, pageNumber)
+    if (type === PAGE_INTERIOR_TABLE) {
+      // Children are pushed in reverse so the leftmost is visited first
+      stack.push(rightChild)
+      for (let i = cellOffsets.length - 1; i >= 0; i--) {
+        stack.push(db.view.getUint32(cellOffsets[i]))
+      }
+    } else if (type === PAGE_LEAF_TABLE) {
+      for (const offset of cellOffsets) {
+        yield readLeafCell(db, offset)
+      }
+    } else {
+      throw new Error(`Corrupt database: page ${pageNumber} is not a table page (type ${type})`)
+    }
+  }
+}
+
+// Rows in a table without decoding them: the cell counts of its leaf pages
+function countTableRows(db, rootPage) {
+  let count = 0
+  const stack = [rootPage]
+  while (stack.length > 0) {
+    const { type, cellOffsets, rightChild } = readPageHeader(db, stack.pop())
+    if (type === PAGE_INTERIOR_TABLE) {
+      stack.push(rightChild, ...cellOffsets.map(offset => db.view.getUint32(offset)))
+    } else {
+      count += cellOffsets.length
+    }
+  }
+  return count
+}
+
+function readPageHeader(db, pageNumber) {
+  const base = pageOffset(db, pageNumber)
+  const header = btreeHeaderOffset(db, pageNumber)
+  const type = db.bytes[header]
+  const cellCount = db.view.getUint16(header + 3)
+  const isInterior = type === PAGE_INTERIOR_TABLE || type === 2
+  const pointers = header + (isInterior ? 12 : 8)
+  const cellOffsets = []
+  for (let i = 0; i < cellCount; i++) {
+    cellOffsets.push(base + db.view.getUint16(pointers + i * 2))
+  }
+  return {
+    type,
+    cellOffsets,
+    rightChild: isInterior ? db.view.getUint32(header + 8) : null
+  }
+}
+
+// Table leaf cell: payload size, rowid, payload (spilling to overflow pages when large)
+function readLeafCell(db, offset) {
+  const [payloadSize, sizeLength] = readVarint(db.bytes, offset)
+  const [rowid, rowidLength] = readVarint(db.bytes, offset + sizeLength)
+  const start = offset + sizeLength + rowidLength
+  return { rowid, values: readRecord(db, readPayload(db, start, payloadSize)) }
+}
+
+function readPayload(db, start, payloadSize) {
+  const maxLocal = db.usableSize - 35
+  if (payloadSize <= maxLocal) {
+    return db.bytes.subarray(start, start + payloadSize)
+  }
+
+  const minLocal = Math.floor((db.usableSize - 12) * 32 / 255) - 23
+  const spill = minLocal + ((payloadSize - minLocal) % (db.usableSize - 4))
+  const localSize = spill <= maxLocal ? spill : minLocal
+
+  const payload = new Uint8Array(payloadSize)
+  payload.set(db.bytes.subarray(start, start + localSize))
+  let written = localSize
+  let overflowPage = db.view.getUint32(start + localSize)
+  while (written < payloadSize) {
+    if (overflowPage === 0) throw new Error('Corrupt database: overflow chain ends early')
+    const base = pageOffset(db, overflowPage)
+    const length = Math.min(db.usableSize - 4, payloadSize - written)
+    payload.set(db.bytes.subarray(base + 4, base + 4 + length), written)
+    written += length
+    overflowPage = db.view.getUint32(base)
+  }
+  return payload
+}
+
+/**
+ * Decode a record: a header of serial types followed by the values
+ */
+function readRecord(db, payload) {
+  const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength)
+  const [headerSize, headerSizeLength] = readVarint(payload, 0)
+  const serialTypes = []
+  for (let pos = headerSizeLength; pos < headerSize;) {
+    const [serialType, length] = readVarint(payload, pos)
+    serialTypes.push(serialType)
+    pos += length
+  }
+
+  const values = []
+  let pos = headerSize
+  for (const serialType of serialTypes) {
+    switch (serialType) {
+      case 0: values.push(null); break
+      case 1: values.push(view.getInt8(pos)); pos += 1; break
+      case 2: values.push(view.getInt16(pos)); pos += 2; break
+      case 3: values.push((view.getInt8(pos) << 16) | view.getUint16(pos + 1)); pos += 3; break
+      case 4: values.push(view.getInt32(pos)); pos += 4; break
+      case 5: values.push(view.getInt16(pos) * 2 ** 32 + view.getUint32(pos + 2)); pos += 6; break
+      case 6: values.push(Number(view.getBigInt64(pos))); pos += 8; break
+      case 7: values.push(view.getFloat64(pos)); pos += 8; break
+      case 8: values.push(0); break
+      case 9: values.push(1); break
+      default: {
+        const length = Math.floor((serialType - 12) / 2)
+        const content = payload.subarray(pos, pos + length)
+        // Even types are BLOBs, odd types text
+        values.push(serialType % 2 === 0 ? content : db.textDecoder.decode(content))
+        pos += length
+      }
+    }
+  }
+  return values
+}
+
+// SQLite varint: 1-9 bytes, big-endian, 7 bits per byte (all 8 in the ninth)
+function readVarint(bytes, offset) {
+  let value = 0
+  for (let i = 0; i < 8; i++) {
+    const byte = bytes[offset + i]
+    value = value * 128 + (byte & 0x7f)
+    if (byte < 0x80) return [value, i + 1]
+  }
+  return [value * 256 + bytes[offset + 8], 9]
+}
+
+const unquoteIdentifier = (name) => name.replace(/^["`[]|["`\]]$/g, '').replace(/""/g, '"')
+
+const TABLE_CONSTRAINT = /^(constraint|primary\s+key|unique|check|foreign\s+key)\b/i
+
+/**
+ * Column names from a CREATE TABLE statement, in record order
+ * Marks the INTEGER PRIMARY KEY column, which aliases the rowid
+ */
+function parseColumns(sql) {
+  const body = sql.slice(sql.indexOf('(') + 1, sql.lastIndexOf(')'))
+
+  // Split on commas outside parentheses and quotes
+  const definitions = []
+  let depth = 0
+  let quote = null
+  let current = ''
+  for (const char of body) {
+    if (quote) {
+      if (char === quote) quote = null
+    } else if (char === '"' || char === '`' || char === '\'') {
+      quote = char
+    } else if (char === '[') {
+      quote = ']'
+    } else if (char === '(') {
+      depth++
+    } else if (char === ')') {
+      depth--
+    } else if (char === ',' && depth === 0) {
+      definitions.push(current.trim())
+      current = ''
+      continue
+    }
+    current += char
+  }
+  if (current.trim()) definitions.push(current.trim())
+
+  const columns = []
+  let tablePrimaryKey = null
+  for (const definition of definitions) {
+    if (TABLE_CONSTRAINT.test(definition)) {
+      const keyColumns = /primary\s+key\s*\(([^)]*)\)/i.exec(definition)?.[1].split(',')
+      if (keyColumns?.length === 1) tablePrimaryKey = unquoteIdentifier(keyColumns[0].trim().split(/\s+/)[0])
+      continue
+    }
+    const quotedName = /^("(?:[^"]|"")*"|`[^`]*`|\[[^\]]*\]|[^\s(]+)/.exec(definition)[1]
+    const name = unquoteIdentifier(quotedName)
+    const rest = definition.slice(quotedName.length).trim()
+    columns.push({
+      name,
+      isInteger: /^integer\b/i.test(rest),
+      isRowid: /^integer\b/i.test(rest) && /primary\s+key/i.test(rest) && !/primary\s+key\s+desc/i.test(rest)
+    })
+  }
+
+  if (tablePrimaryKey) {
+    const column = columns.find(column => column.name.toLowerCase() === tablePrimaryKey.toLowerCase())
+    if (column?.isInteger) column.isRowid = true
+  }
+  return columns
+}
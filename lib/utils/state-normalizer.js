@@ -63,6 +63,14 @@ const STATE_CODE_TO_NAME = Object.fromEntries(
   Object.entries(STATE_NAME_TO_CODE).map(([name, code]) => [code, name])
 )
 
+/**
+ * All known 2-letter state codes, sorted
+ * @returns {string[]}
+ */
+export function listStateCodes() {
+  return Object.keys(STATE_CODE_TO_NAME).sort()
+}
+
 /**
  * Normalize state to state code (2-letter uppercase)
  * @param {string} state - State name or code
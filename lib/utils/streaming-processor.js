@@ -1,14 +1,21 @@
 /**
  * Streaming File Processor
  * Processes large files as they stream from storage, avoiding memory issues
+ * GeoJSON is parsed feature by feature as it arrives; other formats are read whole to parse
  */
 
 import { parseShapefile } from './shapefile-parser.js'
-import { mapPropertiesToParkSchema } from './field-mapper.js'
+import { parseKml, parseKmz } from './kml-parser.js'
+import { parseGpx } from './gpx-parser.js'
+import { parseSpreadsheet, isSpreadsheetFile } from './spreadsheet-parser.js'
+import { parseGeoPackage, isGeoPackageFile } from './geopackage-parser.js'
+import { geocodeMissingPoints, geocodeQueryForPark } from './geocoding.js'
+import { mapPropertiesForSource } from './field-mapper.js'
 import { simplifyBoundary } from './geometry-simplify.js'
 import { geojsonToWKT } from './geometry-wkt.js'
 import { validateGeometry, fixGeometry } from './geometry-validator.js'
 import { normalizeStateToCode } from './state-normalizer.js'
+import { streamGeoJSONFeatures, isGeoJSONFile } from './geojson-stream-parser.js'
 
 /**
  * Process a file stream from Supabase Storage
@@ -20,17 +27,20 @@ import { normalizeStateToCode } from './state-normalizer.js'
  * @param {string} sourceName - Source name
  * @param {string|null} defaultState - Default state if not in file
  * @param {Object} options - Processing options
+ *   (fieldMappings, valueTransforms and agency come from a saved data source or the upload's mapping preview)
+ *   (layer and attributeFilter pick and filter a GeoPackage layer, see parseGeoPackage)
  * @returns {AsyncGenerator<Array>} Yields batches of processed park data
  */
 export async function* processFileStream(stream, fileName, sourceType, sourceName, defaultState, options = {}) {
-  const {
-    batchSize = 100, // Process features in batches
-    simplifyTolerance = 0.0001,
-    skipInvalidGeometry = true
-  } = options
+  const { batchSize = 100 } = options
 
-  // Read the entire stream into memory (for now - can be optimized for true streaming)
-  // For shapefiles/zip files, we need the full file to parse
+  // GeoJSON: parse features as the stream arrives, so memory stays bounded by the batch size
+  if (isGeoJSONFile(fileName)) {
+    yield* processFeatures(streamGeoJSONFeatures(stream), fileName, defaultState, { ...options, batchSize })
+    return
+  }
+
+  // Shapefiles, zip/kmz archives, KML/GPX, GeoPackages and spreadsheets need the full file to parse
   const chunks = []
   const reader = stream.getReader()
   
@@ -65,9 +75,21 @@ export async function* processFileStream(stream, fileName, sourceType, sourceNam
   let geojson
   if (fileName.toLowerCase().endsWith('.zip') || fileName.toLowerCase().endsWith('.shp')) {
     geojson = await parseShapefile(file)
-  } else if (fileName.toLowerCase().endsWith('.geojson') || fileName.toLowerCase().endsWith('.json')) {
-    const text = new TextDecoder().decode(buffer)
-    geojson = JSON.parse(text)
+  } else if (fileName.toLowerCase().endsWith('.kmz')) {
+    geojson = await parseKmz(file)
+  } else if (fileName.toLowerCase().endsWith('.kml')) {
+    geojson = parseKml(new TextDecoder().decode(buffer))
+  } else if (fileName.toLowerCase().endsWith('.gpx')) {
+    geojson = parseGpx(new TextDecoder().decode(buffer))
+  } else if (isGeoPackageFile(fileName)) {
+    geojson = await parseGeoPackage(file, { layer: options.layer, attributeFilter: options.attributeFilter })
+  } else if (isSpreadsheetFile(fileName)) {
+    geojson = await parseSpreadsheet(file)
+    await geocodeSpreadsheetRows(geojson.features, {
+      fieldMappings: options.fieldMappings,
+      valueTransforms: options.valueTransforms,
+      defaultState
+    })
   } else {
     throw new Error(`Unsupported file type: ${fileName}`)
   }
@@ -76,74 +98,12 @@ export async function* processFileStream(stream, fileName, sourceType, sourceNam
     throw new Error('Invalid GeoJSON format')
   }
 
-  // Process features in batches
-  const features = geojson.features
-  let batch = []
-  let processedCount = 0
-
-  for (const feature of features) {
-    try {
-      // Map properties to park schema
-      const parkData = mapPropertiesToParkSchema(feature.properties, sourceType, sourceName, defaultState)
-
-      // Handle geometry
-      if (feature.geometry) {
-        let geometry = feature.geometry
-
-        // Validate and fix geometry
-        const validation = validateGeometry(geometry)
-        if (!validation.isValid) {
-          if (skipInvalidGeometry) {
-            console.warn(`⚠️ Skipping invalid geometry for park: ${parkData.name}`)
-            continue
-          }
-          geometry = fixGeometry(geometry)
-        }
-
-        // Simplify if needed
-        if (simplifyTolerance > 0) {
-          geometry = simplifyBoundary(geometry, simplifyTolerance)
-        }
-
-        // Convert to WKT for PostGIS
-        parkData.geometry = geojsonToWKT(geometry)
-      }
-
-      // Normalize state
-      if (parkData.state) {
-        parkData.state = normalizeStateToCode(parkData.state)
-      } else if (defaultState) {
-        parkData.state = normalizeStateToCode(defaultState)
-      }
-
-      // Add to batch
-      batch.push(parkData)
-      processedCount++
-
-      // Yield batch when it reaches batchSize
-      if (batch.length >= batchSize) {
-        yield batch
-        batch = []
-      }
-    } catch (error) {
-      console.error(`Error processing feature: ${error.message}`)
-      if (!skipInvalidGeometry) {
-        throw error
-      }
-    }
-  }
-
-  // Yield remaining batch
-  if (batch.length > 0) {
-    yield batch
-  }
-
-  console.log(`✅ Processed ${processedCount} features from ${fileName}`)
+  yield* processFeatures(geojson.features, fileName, defaultState, { ...options, batchSize })
 }
 
 /**
  * Process a file from Supabase Storage
- * Downloads the file and processes it in batches
+ * Downloads the file and processes it in batches (GeoJSON is streamed rather than downloaded whole)
  * 
  * @param {Object} supabase - Supabase client
  * @param {string} bucketName - Storage bucket name
@@ -152,9 +112,35 @@ export async function* processFileStream(stream, fileName, sourceType, sourceNam
  * @param {string} sourceName - Source name
  * @param {string|null} defaultState - Default state
  * @param {Object} options - Processing options
+ *   (fieldMappings, valueTransforms and agency come from a saved data source or the upload's mapping preview)
+ *   (layer and attributeFilter pick and filter a GeoPackage layer, see parseGeoPackage)
  * @returns {AsyncGenerator<Array>} Yields batches of processed park data
  */
 export async function* processFileFromStorage(supabase, bucketName, filePath, sourceType, sourceName, defaultState, options = {}) {
+  // Extract filename from path
+  const fileName = filePath.split('/').pop() || 'unknown'
+
+  if (isGeoJSONFile(fileName)) {
+    console.log(`📥 Streaming GeoJSON from storage: ${filePath}`)
+
+    // download() buffers the whole Blob, so fetch a signed URL and read its body instead
+    const { data: signed, error: signError } = await supabase.storage
+      .from(bucketName)
+      .createSignedUrl(filePath, 3600)
+
+    if (signError) {
+      throw new Error(`Failed to download file from storage: ${signError.message}`)
+    }
+
+    const response = await fetch(signed.signedUrl)
+    if (!response.ok || !response.body) {
+      throw new Error(`Failed to download file from storage: HTTP ${response.status}`)
+    }
+
+    yield* processFileStream(response.body, fileName, sourceType, sourceName, defaultState, { batchSize: 500, ...options })
+    return
+  }
+
   console.log(`📥 Downloading file from storage: ${filePath}`)
   
   // Download file from Supabase Storage
@@ -169,9 +155,6 @@ export async function* processFileFromStorage(supabase, bucketName, filePath, so
   // Convert Blob to ArrayBuffer for processing
   const arrayBuffer = await data.arrayBuffer()
 
-  // Extract filename from path
-  const fileName = filePath.split('/').pop() || 'unknown'
-
   // Create a File-like object for parsing
   const file = {
     name: fileName,
@@ -185,10 +168,26 @@ export async function* processFileFromStorage(supabase, bucketName, filePath, so
   if (fileName.toLowerCase().endsWith('.zip') || fileName.toLowerCase().endsWith('.shp')) {
     console.log('📦 Parsing shapefile...')
     geojson = await parseShapefile(file)
-  } else if (fileName.toLowerCase().endsWith('.geojson') || fileName.toLowerCase().endsWith('.json')) {
-    console.log('📄 Parsing GeoJSON...')
-    const text = new TextDecoder().decode(new Uint8Array(arrayBuffer))
-    geojson = JSON.parse(text)
+  } else if (fileName.toLowerCase().endsWith('.kmz')) {
+    console.log('🌍 Parsing KMZ...')
+    geojson = await parseKmz(file)
+  } else if (fileName.toLowerCase().endsWith('.kml')) {
+    console.log('🌍 Parsing KML...')
+    geojson = parseKml(new TextDecoder().decode(new Uint8Array(arrayBuffer)))
+  } else if (fileName.toLowerCase().endsWith('.gpx')) {
+    console.log('🧭 Parsing GPX...')
+    geojson = parseGpx(new TextDecoder().decode(new Uint8Array(arrayBuffer)))
+  } else if (isGeoPackageFile(fileName)) {
+    console.log('🗂️ Parsing GeoPackage...')
+    geojson = await parseGeoPackage(file, { layer: options.layer, attributeFilter: options.attributeFilter })
+  } else if (isSpreadsheetFile(fileName)) {
+    console.log('📊 Parsing spreadsheet...')
+    geojson = await parseSpreadsheet(file)
+    await geocodeSpreadsheetRows(geojson.features, {
+      fieldMappings: options.fieldMappings,
+      valueTransforms: options.valueTransforms,
+      defaultState
+    })
   } else {
     throw new Error(`Unsupported file type: ${fileName}`)
   }
@@ -199,21 +198,44 @@ export async function* processFileFromStorage(supabase, bucketName, filePath, so
 
   console.log(`✅ Parsed ${geojson.features.length} features from ${fileName}`)
 
-  // Process features in batches
-  const features = geojson.features
+  yield* processFeatures(geojson.features, fileName, defaultState, { batchSize: 500, ...options })
+}
+
+/**
+ * Geocode spreadsheet rows that have no coordinates (see geocodeMissingPoints)
+ */
+async function geocodeSpreadsheetRows(features, { fieldMappings, valueTransforms, defaultState }) {
+  const result = await geocodeMissingPoints(features, {
+    buildQuery: (props) => geocodeQueryForPark(mapPropertiesForSource(props, { fieldMappings, valueTransforms }), defaultState)
+  })
+  console.log(`📍 Geocoded ${result.geocoded} rows (${result.notFound} not found, ${result.skipped} skipped)`)
+  return result
+}
+
+/**
+ * Map, validate and simplify features into park records, yielding them in batches
+ * Accepts an array or an async iterable of features (streamGeoJSONFeatures)
+ */
+async function* processFeatures(features, fileName, defaultState, options) {
   const {
-    batchSize = 500,
+    batchSize,
     simplifyTolerance = 0.0001,
-    skipInvalidGeometry = true
+    skipInvalidGeometry = true,
+    fieldMappings = null,
+    valueTransforms = null,
+    agency = null
   } = options
 
   let batch = []
   let processedCount = 0
 
-  for (const feature of features) {
+  for await (const feature of features) {
     try {
       // Map properties to park schema
-      const parkData = mapPropertiesToParkSchema(feature.properties, sourceType, sourceName, defaultState)
+      const parkData = mapPropertiesForSource(feature.properties, { fieldMappings, valueTransforms })
+      if (!parkData.agency && agency) {
+        parkData.agency = agency
+      }
 
       // Handle geometry
       if (feature.geometry) {
@@ -221,7 +243,7 @@ export async function* processFileFromStorage(supabase, bucketName, filePath, so
 
         // Validate and fix geometry
         const validation = validateGeometry(geometry)
-        if (!validation.isValid) {
+        if (!validation.valid) {
           if (skipInvalidGeometry) {
             console.warn(`⚠️ Skipping invalid geometry for park: ${parkData.name}`)
             continue
@@ -236,10 +258,16 @@ export async function* processFileFromStorage(supabase, bucketName, filePath, so
 
         // Convert to WKT for PostGIS
         parkData.geometry = geojsonToWKT(geometry)
+
+        // A point (e.g. a spreadsheet row's coordinates) is also the park's location
+        if (geometry.type === 'Point' && parkData.latitude == null) {
+          parkData.longitude = geometry.coordinates[0]
+          parkData.latitude = geometry.coordinates[1]
+        }
       }
 
       // Normalize state
-      if (parkData.state) {
+      if (parkData.state && parkData.state !== 'N/A') {
         parkData.state = normalizeStateToCode(parkData.state)
       } else if (defaultState) {
         parkData.state = normalizeStateToCode(defaultState)
@@ -269,4 +297,3 @@ export async function* processFileFromStorage(supabase, bucketName, filePath, so
 
   console.log(`✅ Processed ${processedCount} features from ${fileName}`)
 }
-
@@ -26,6 +26,32 @@ if (supabaseUrl && supabaseKey &&
 
 export { supabase }
 
+// parks.deleted_at only exists once docs/PARKS_TRASH_SETUP.sql has been run - checked once
+let trashColumnCheck = null
+
+/**
+ * Whether parks.deleted_at exists, so queries can leave trashed parks out
+ * without failing before the trash is set up
+ * @returns {Promise<boolean>}
+ */
+export function hasTrashColumn() {
+  if (!supabase) return Promise.resolve(false)
+  if (!trashColumnCheck) {
+    trashColumnCheck = supabase
+      .from('parks')
+      .select('deleted_at')
+      .limit(1)
+      .then(({ error }) => {
+        if (!error) return true
+        if (error.code === '42703') return false
+        // Anything else (network) says nothing about the column - check again next time
+        trashColumnCheck = null
+        return true
+      })
+  }
+  return trashColumnCheck
+}
+
 /**
  * Fetch parks with filters
  * Note: Supabase has a default limit of 1000 rows. We'll fetch in batches if needed.
@@ -40,6 +66,8 @@ export async function fetchParks(filters = {}) {
   const pageSize = 1000
   let hasMore = true
 
+  const hideTrashed = await hasTrashColumn()
+
   while (hasMore) {
     let query = supabase
       .from('parks')
@@ -48,6 +76,10 @@ export async function fetchParks(filters = {}) {
       .not('longitude', 'is', null)
       .range(page * pageSize, (page + 1) * pageSize - 1)
 
+    if (hideTrashed) {
+      query = query.is('deleted_at', null)
+    }
+
     // Apply agency filter if provided
     if (filters.agency) {
       query = query.eq('agency', filters.agency)
@@ -86,11 +118,14 @@ export async function fetchParkById(id) {
   if (!supabase) {
     throw new Error('Supabase client not initialized.')
   }
-  const { data, error } = await supabase
+  let query = supabase
     .from('parks')
     .select('*')
     .eq('id', id)
-    .single()
+  if (await hasTrashColumn()) {
+    query = query.is('deleted_at', null)
+  }
+  const { data, error } = await query.single()
 
   if (error) {
     console.error('Error fetching park:', error)
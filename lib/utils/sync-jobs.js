@@ -0,0 +1,384 @@
+/**
+ * Background API Sync Jobs
+ * NPS and Recreation.gov syncs run as Inngest jobs that process one API page
+ * per step and checkpoint the page offset and running totals in sync_jobs,
+ * so a failed job resumes where it stopped and the admin panel can poll progress
+ * Tables are created by docs/SYNC_JOBS_SETUP.sql
+ */
+
+import { supabaseServer, isSupabaseInitialized } from '../supabase-server.js'
+import { fetchNPSParksPage } from './nps-api.js'
+import { fetchRecreationFacilitiesPage, fetchRecreationFacilityAddresses } from './recreation-gov-api.js'
+import { mapNPSParksToSchema, mapRecreationGovToParkSchema } from './api-field-mapper.js'
+import { insertOrUpdatePark } from './db-operations.js'
+import { startSyncRun, finishSyncRun, toParkChangeRecord } from './sync-runs.js'
+import { startImportBatch, finishImportBatch } from './import-batches.js'
+import { recordScheduleRunResult } from './sync-schedules.js'
+
+// Source types that run as background jobs (canonical names stored on the job)
+export const SYNC_JOB_SOURCE_TYPES = ['NPS', 'Recreation.gov']
+
+// Both APIs cap a page at 50 records
+export const SYNC_JOB_PAGE_SIZE = 50
+
+// Per-park errors kept on the job (and its sync run)
+const MAX_JOB_ERRORS = 100
+
+// Same per-park timeout as the in-request NPS sync
+const PARK_TIMEOUT_MS = 30000
+
+/**
+ * Canonical job source type for an /api/sync sourceType, or null if it doesn't run as a job
+ */
+export function toSyncJobSourceType(sourceType) {
+  if (sourceType === 'NPS' || sourceType === 'National Park Service') return 'NPS'
+  if (sourceType === 'Recreation.gov' || sourceType === 'Recreation.gov API') return 'Recreation.gov'
+  return null
+}
+
+/**
+ * API key from the server environment for a job source type
+ */
+export function getSyncJobApiKey(sourceType) {
+  if (sourceType === 'NPS') {
+    return process.env.NPS_API_KEY || process.env.NEXT_PUBLIC_NPS_API_KEY || null
+  }
+  if (sourceType === 'Recreation.gov') {
+    return process.env.RECREATION_GOV_API_KEY || process.env.NEXT_PUBLIC_RECREATION_GOV_API_KEY || null
+  }
+  return null
+}
+
+/**
+ * Create a queued job
+ * Throws if the job could not be stored - callers fall back to an in-request sync
+ *
+ * @param {Object} job
+ * @param {string} job.sourceType - 'NPS' or 'Recreation.gov'
+ * @param {string|null} job.scheduleId - sync_schedules row that started the job, if any
+ * @returns {Promise<Object>} The created sync_jobs row
+ */
+export async function createSyncJob({ sourceType, scheduleId = null }) {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  const row = {
+    source_type: sourceType,
+    status: 'queued',
+    page_size: SYNC_JOB_PAGE_SIZE
+  }
+  if (scheduleId) {
+    row.schedule_id = scheduleId
+  }
+
+  const { data, error } = await supabaseServer
+    .from('sync_jobs')
+    .insert(row)
+    .select()
+    .single()
+
+  if (error) {
+    throw new Error(`Failed to create sync job: ${error.message}`)
+  }
+
+  return data
+}
+
+/**
+ * Get a single job
+ * @returns {Promise<Object|null>} sync_jobs row or null if not found
+ */
+export async function getSyncJob(jobId) {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  const { data, error } = await supabaseServer
+    .from('sync_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Failed to fetch sync job: ${error.message}`)
+  }
+
+  return data
+}
+
+/**
+ * List recent jobs, newest first
+ *
+ * @param {Object} options
+ * @param {number} options.limit - Max jobs to return (default: 20)
+ * @returns {Promise<Array>} sync_jobs rows
+ */
+export async function listSyncJobs({ limit = 20 } = {}) {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  const { data, error } = await supabaseServer
+    .from('sync_jobs')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(limit)
+
+  if (error) {
+    throw new Error(`Failed to fetch sync jobs: ${error.message}`)
+  }
+
+  return data || []
+}
+
+/**
+ * Update a job's status or progress
+ * Logs a warning instead of throwing - a missed progress write only delays the
+ * admin panel, and a missed checkpoint only means a page is reprocessed on resume
+ */
+export async function updateSyncJob(jobId, values) {
+  if (!isSupabaseInitialized()) return null
+
+  try {
+    const { data, error } = await supabaseServer
+      .from('sync_jobs')
+      .update({ ...values, updated_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .select()
+      .maybeSingle()
+
+    if (error) {
+      console.warn(`Warning: Could not update sync job ${jobId}:`, error.message)
+      return null
+    }
+
+    return data
+  } catch (error) {
+    console.warn(`Warning: Exception updating sync job ${jobId}:`, error.message)
+    return null
+  }
+}
+
+/**
+ * Mark a job running, creating its sync run and import batch on first start
+ * A resumed job keeps both, so the whole sync stays one run and one rollback unit
+ *
+ * @returns {Promise<Object|null>} Updated job row, or null if the job doesn't exist
+ */
+export async function startSyncJob(jobId) {
+  const job = await getSyncJob(jobId)
+  if (!job || job.status === 'completed') return job
+
+  const values = {
+    status: 'running',
+    error_message: null,
+    finished_at: null,
+    attempts: (job.attempts || 0) + 1
+  }
+  if (!job.started_at) {
+    values.started_at = new Date().toISOString()
+  }
+  if (!job.sync_run_id) {
+    const syncRun = await startSyncRun({ sourceType: job.source_type, scheduleId: job.schedule_id })
+    values.sync_run_id = syncRun?.id || null
+  }
+  if (!job.import_batch_id) {
+    const importBatch = await startImportBatch({ kind: 'sync', sourceType: job.source_type, sourceName: job.source_type })
+    values.import_batch_id = importBatch?.id || null
+  }
+
+  return (await updateSyncJob(jobId, values)) || { ...job, ...values }
+}
+
+/**
+ * Fetch and map one page of parks from the job's API
+ * Recreation.gov facilities without a state in the list response get their
+ * addresses fetched individually; any still missing one are saved as "N/A"
+ */
+async function fetchMappedPage(sourceType, apiKey, cursor, pageSize) {
+  if (sourceType === 'NPS') {
+    const page = await fetchNPSParksPage(apiKey, { start: cursor, limit: pageSize })
+    return {
+      parks: mapNPSParksToSchema(page.parks),
+      recordsFetched: page.parks.length,
+      total: page.total,
+      nextCursor: page.nextStart,
+      hasMore: page.hasMore
+    }
+  }
+
+  const page = await fetchRecreationFacilitiesPage(apiKey, { offset: cursor, limit: pageSize })
+  const parks = await Promise.all(page.facilities.map(async (facility) => {
+    const mapped = mapRecreationGovToParkSchema(facility, facility.FACILITYADDRESS || [])
+    if (!mapped.state) {
+      try {
+        const addresses = await fetchRecreationFacilityAddresses(apiKey, facility.FacilityID)
+        if (addresses && addresses.length > 0) {
+          return mapRecreationGovToParkSchema(facility, addresses)
+        }
+      } catch {
+        // Keep the park without a state
+      }
+    }
+    return mapped
+  }))
+
+  for (const park of parks) {
+    if (!park.state || park.state.trim() === '') {
+      park.state = 'N/A'
+    }
+  }
+
+  return {
+    parks,
+    recordsFetched: page.facilities.length,
+    total: page.total,
+    nextCursor: page.nextOffset,
+    hasMore: page.hasMore
+  }
+}
+
+/**
+ * Fetch one API page and write its parks
+ *
+ * @param {Object} options
+ * @param {string} options.sourceType - 'NPS' or 'Recreation.gov'
+ * @param {string} options.apiKey
+ * @param {number} options.cursor - API offset of the page
+ * @param {number} options.pageSize
+ * @param {string|null} options.importBatchId - Tag writes for rollback
+ * @param {number|null} options.nameMatchThreshold - Fuzzy name match override
+ * @returns {Promise<Object>} Page counts, per-park errors, change records and the next cursor
+ */
+export async function processSyncJobPage({ sourceType, apiKey, cursor = 0, pageSize = SYNC_JOB_PAGE_SIZE, importBatchId = null, nameMatchThreshold = null }) {
+  const page = await fetchMappedPage(sourceType, apiKey, cursor, pageSize)
+  const result = {
+    recordsFetched: page.recordsFetched,
+    total: page.total,
+    nextCursor: page.nextCursor,
+    hasMore: page.hasMore,
+    parksAdded: 0,
+    parksUpdated: 0,
+    parksSkipped: 0,
+    parksLocked: 0,
+    errors: [],
+    changes: []
+  }
+
+  for (const park of page.parks) {
+    if (!park.name || !park.state) {
+      result.parksSkipped++
+      result.errors.push({
+        park: park.name || 'Unknown',
+        error: `Missing required fields - name: ${!!park.name}, state: ${!!park.state}`
+      })
+      continue
+    }
+
+    try {
+      const parkResult = await Promise.race([
+        insertOrUpdatePark(park, sourceType, { importBatchId, nameMatchThreshold }),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error(`Park processing timeout after ${PARK_TIMEOUT_MS / 1000} seconds`)), PARK_TIMEOUT_MS)
+        )
+      ])
+
+      if (parkResult.action === 'added') {
+        result.parksAdded++
+      } else if (parkResult.action === 'updated') {
+        result.parksUpdated++
+      } else {
+        result.parksSkipped++
+      }
+      if (parkResult.lockedFields) {
+        result.parksLocked++
+      }
+
+      const change = toParkChangeRecord(parkResult)
+      if (change) result.changes.push(change)
+    } catch (error) {
+      result.parksSkipped++
+      result.errors.push({
+        park: park.name || 'Unknown',
+        error: error.message || 'Failed to process park'
+      })
+    }
+  }
+
+  return result
+}
+
+/**
+ * Append page errors to the job's list, keeping the first MAX_JOB_ERRORS
+ */
+export function appendJobErrors(existing = [], pageErrors = []) {
+  if (existing.length >= MAX_JOB_ERRORS) return existing
+  return [...existing, ...pageErrors].slice(0, MAX_JOB_ERRORS)
+}
+
+/**
+ * Finish a job - close its sync run and import batch, store the final status
+ * and report back to the schedule that started it
+ *
+ * @param {string} jobId
+ * @param {Object} outcome
+ * @param {string} outcome.status - 'completed' or 'failed'
+ * @param {string|null} outcome.errorMessage - Top-level failure message
+ * @param {Object|null} outcome.totals - Final counts; defaults to the job's last checkpoint
+ * @returns {Promise<Object|null>} Updated job row
+ */
+export async function finishSyncJob(jobId, { status, errorMessage = null, totals = null }) {
+  const job = await getSyncJob(jobId)
+  if (!job) return null
+
+  const counts = {
+    parksFound: totals?.parksFound ?? job.parks_found,
+    parksAdded: totals?.parksAdded ?? job.parks_added,
+    parksUpdated: totals?.parksUpdated ?? job.parks_updated,
+    parksSkipped: totals?.parksSkipped ?? job.parks_skipped,
+    parksLocked: totals?.parksLocked ?? job.parks_locked,
+    errors: totals?.errors ?? job.errors ?? []
+  }
+
+  // Change records were already written page by page
+  await finishSyncRun(job.sync_run_id ? { id: job.sync_run_id } : null, {
+    status,
+    parksFound: counts.parksFound,
+    parksAdded: counts.parksAdded,
+    parksUpdated: counts.parksUpdated,
+    parksSkipped: counts.parksSkipped,
+    errors: counts.errors,
+    errorMessage
+  })
+  await finishImportBatch(job.import_batch_id ? { id: job.import_batch_id } : null, {
+    status,
+    parksAdded: counts.parksAdded,
+    parksUpdated: counts.parksUpdated,
+    parksSkipped: counts.parksSkipped
+  })
+
+  const updated = await updateSyncJob(jobId, {
+    status,
+    error_message: errorMessage,
+    finished_at: new Date().toISOString(),
+    parks_found: counts.parksFound,
+    parks_added: counts.parksAdded,
+    parks_updated: counts.parksUpdated,
+    parks_skipped: counts.parksSkipped,
+    parks_locked: counts.parksLocked,
+    errors: counts.errors
+  })
+
+  if (job.schedule_id) {
+    await recordScheduleRunResult(job.schedule_id, {
+      status,
+      message: status === 'completed'
+        ? `${counts.parksFound} found, ${counts.parksAdded} added, ${counts.parksUpdated} updated, ${counts.parksSkipped} skipped`
+        : errorMessage,
+      syncRunId: job.sync_run_id
+    })
+  }
+
+  return updated
+}
@@ -0,0 +1,303 @@
+/**
+ * Sync Run History
+ * Records each /api/sync run and the per-park field changes it made
+ * Tables are created by docs/SYNC_HISTORY_SETUP.sql
+ */
+
+import { createHash } from 'crypto'
+import { supabaseServer, isSupabaseInitialized } from '../supabase-server.js'
+
+// Insert change rows in chunks to stay under PostgREST payload limits
+const CHANGE_INSERT_CHUNK_SIZE = 500
+
+// Fields whose before/after values are stored as a hash marker, not in full
+const HASHED_CHANGE_FIELDS = new Set(['geometry', 'description'])
+
+// Any other value longer than this (as text/JSON) is hashed too
+const MAX_STORED_CHANGE_VALUE_LENGTH = 500
+
+/**
+ * Start a new sync run record
+ * Returns null (and logs a warning) if the run could not be recorded,
+ * so a missing history table never blocks the sync itself
+ *
+ * @param {Object} run - Run details
+ * @param {string} run.sourceType - Source type being synced (e.g., "NPS")
+ * @param {string|null} run.sourceUrl - API URL for URL-based sources
+ * @param {string|null} run.scheduleId - sync_schedules row that started the run, if any
+ * @returns {Promise<Object|null>} The created sync_runs row or null
+ */
+export async function startSyncRun({ sourceType, sourceUrl = null, scheduleId = null }) {
+  if (!isSupabaseInitialized()) return null
+
+  const row = {
+    source_type: sourceType,
+    source_url: sourceUrl,
+    status: 'running',
+    started_at: new Date().toISOString()
+  }
+  // Only set when present so manual runs work before SYNC_SCHEDULES_SETUP.sql is applied
+  if (scheduleId) {
+    row.schedule_id = scheduleId
+  }
+
+  try {
+    const { data, error } = await supabaseServer
+      .from('sync_runs')
+      .insert(row)
+      .select()
+      .single()
+
+    if (error) {
+      console.warn('Warning: Could not record sync run:', error.message)
+      return null
+    }
+
+    return data
+  } catch (error) {
+    console.warn('Warning: Exception recording sync run:', error.message)
+    return null
+  }
+}
+
+/**
+ * Finish a sync run - store final counts, errors and the per-park change log
+ *
+ * @param {Object|null} run - Row returned by startSyncRun (no-op if null)
+ * @param {Object} summary - Final run summary
+ * @param {string} summary.status - 'completed' or 'failed'
+ * @param {number} summary.parksFound
+ * @param {number} summary.parksAdded
+ * @param {number} summary.parksUpdated
+ * @param {number} summary.parksSkipped
+ * @param {Array} summary.errors - Array of { park, error }
+ * @param {string|null} summary.errorMessage - Top-level failure message
+ * @param {Array} summary.changes - Array of change records from toParkChangeRecord()
+ */
+export async function finishSyncRun(run, summary = {}) {
+  if (!run || !isSupabaseInitialized()) return
+
+  const {
+    status = 'completed',
+    parksFound = 0,
+    parksAdded = 0,
+    parksUpdated = 0,
+    parksSkipped = 0,
+    errors = [],
+    errorMessage = null,
+    changes = []
+  } = summary
+
+  try {
+    const { error } = await supabaseServer
+      .from('sync_runs')
+      .update({
+        status,
+        finished_at: new Date().toISOString(),
+        parks_found: parksFound,
+        parks_added: parksAdded,
+        parks_updated: parksUpdated,
+        parks_skipped: parksSkipped,
+        errors,
+        error_message: errorMessage
+      })
+      .eq('id', run.id)
+
+    if (error) {
+      console.warn(`Warning: Could not finish sync run ${run.id}:`, error.message)
+    }
+  } catch (error) {
+    console.warn(`Warning: Exception finishing sync run ${run.id}:`, error.message)
+  }
+
+  await recordSyncRunChanges(run, changes)
+}
+
+/**
+ * Store per-park change records for a run
+ * finishSyncRun calls this with the whole log; background sync jobs call it
+ * once per page so changes are saved even if a later page fails
+ *
+ * @param {Object|null} run - Row returned by startSyncRun, or { id } (no-op if null)
+ * @param {Array} changes - Array of change records from toParkChangeRecord()
+ */
+export async function recordSyncRunChanges(run, changes = []) {
+  if (!run || !isSupabaseInitialized()) return
+
+  const rows = changes.filter(Boolean).map(change => ({ ...change, run_id: run.id }))
+
+  for (let i = 0; i < rows.length; i += CHANGE_INSERT_CHUNK_SIZE) {
+    const chunk = rows.slice(i, i + CHANGE_INSERT_CHUNK_SIZE)
+    try {
+      const { error } = await supabaseServer
+        .from('sync_run_changes')
+        .insert(chunk)
+
+      if (error) {
+        console.warn(`Warning: Could not record ${chunk.length} park changes for run ${run.id}:`, error.message)
+      }
+    } catch (error) {
+      console.warn(`Warning: Exception recording park changes for run ${run.id}:`, error.message)
+    }
+  }
+}
+
+/**
+ * Replace a large change value with { omitted, length, sha256 }
+ * The hash still shows whether two runs wrote the same boundary/description
+ */
+function summarizeChangeValue(field, value) {
+  if (value === null || value === undefined) return null
+
+  const text = typeof value === 'string' ? value : JSON.stringify(value)
+  if (!HASHED_CHANGE_FIELDS.has(field) && text.length <= MAX_STORED_CHANGE_VALUE_LENGTH) {
+    return value
+  }
+
+  return {
+    omitted: true,
+    length: text.length,
+    sha256: createHash('sha256').update(text).digest('hex')
+  }
+}
+
+/**
+ * Prepare a diffParkFields() result for sync_run_changes: geometry, description and
+ * other large values are stored as hash markers so change rows stay small
+ *
+ * @param {Object} changes - { field: { from, to } }
+ * @returns {Object} Same shape, with large values summarized
+ */
+export function summarizeChangedFields(changes = {}) {
+  return Object.fromEntries(
+    Object.entries(changes || {}).map(([field, { from, to }]) => [
+      field,
+      { from: summarizeChangeValue(field, from), to: summarizeChangeValue(field, to) }
+    ])
+  )
+}
+
+/**
+ * Convert an insertOrUpdatePark() result into a sync_run_changes row
+ * Skipped parks and updates that changed nothing are not recorded
+ *
+ * @param {Object} result - Result from insertOrUpdatePark
+ * @returns {Object|null} Change row (without run_id) or null
+ */
+export function toParkChangeRecord(result) {
+  if (!result || (result.action !== 'added' && result.action !== 'updated')) {
+    return null
+  }
+
+  const changedFields = result.changes || {}
+  if (result.action === 'updated' && Object.keys(changedFields).length === 0) {
+    return null
+  }
+
+  return {
+    park_id: result.park?.id != null ? String(result.park.id) : null,
+    park_name: result.park?.name || null,
+    action: result.action,
+    changed_fields: summarizeChangedFields(changedFields)
+  }
+}
+
+/**
+ * List recent sync runs, newest first
+ *
+ * @param {Object} options
+ * @param {number} options.limit - Max runs to return (default: 50)
+ * @param {string|null} options.sourceType - Filter by source type
+ * @returns {Promise<Array>} sync_runs rows
+ */
+export async function listSyncRuns({ limit = 50, sourceType = null } = {}) {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  let query = supabaseServer
+    .from('sync_runs')
+    .select('*')
+    .order('started_at', { ascending: false })
+    .limit(limit)
+
+  if (sourceType) {
+    query = query.eq('source_type', sourceType)
+  }
+
+  const { data, error } = await query
+
+  if (error) {
+    throw new Error(`Failed to fetch sync runs: ${error.message}`)
+  }
+
+  return data || []
+}
+
+/**
+ * Most recent completed run for a source, used as the cutoff for incremental syncs
+ * Returns null if there is none (or history isn't set up) so callers fall back to a full sync
+ *
+ * @param {Object} options
+ * @param {string} options.sourceType
+ * @param {string|null} options.sourceUrl - API URL for URL-based sources
+ * @returns {Promise<Object|null>} sync_runs row or null
+ */
+export async function getLastCompletedSyncRun({ sourceType, sourceUrl = null }) {
+  if (!isSupabaseInitialized()) return null
+
+  let query = supabaseServer
+    .from('sync_runs')
+    .select('*')
+    .eq('source_type', sourceType)
+    .eq('status', 'completed')
+    .order('started_at', { ascending: false })
+    .limit(1)
+
+  query = sourceUrl ? query.eq('source_url', sourceUrl) : query.is('source_url', null)
+
+  const { data, error } = await query
+
+  if (error) {
+    console.warn('Warning: Could not look up last sync run:', error.message)
+    return null
+  }
+
+  return data?.[0] || null
+}
+
+/**
+ * Get a single sync run with its per-park change log
+ *
+ * @param {string} runId - sync_runs.id
+ * @returns {Promise<Object|null>} { run, changes } or null if not found
+ */
+export async function getSyncRun(runId) {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  const { data: run, error } = await supabaseServer
+    .from('sync_runs')
+    .select('*')
+    .eq('id', runId)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Failed to fetch sync run: ${error.message}`)
+  }
+
+  if (!run) return null
+
+  const { data: changes, error: changesError } = await supabaseServer
+    .from('sync_run_changes')
+    .select('*')
+    .eq('run_id', runId)
+    .order('id', { ascending: true })
+
+  if (changesError) {
+    throw new Error(`Failed to fetch sync run changes: ${changesError.message}`)
+  }
+
+  return { run, changes: changes || [] }
+}
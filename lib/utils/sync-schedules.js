@@ -0,0 +1,301 @@
+/**
+ * Recurring Sync Schedules
+ * Stored sync definitions (NPS, Recreation.gov, ArcGIS/agency URLs) that the
+ * Inngest scheduler runs every interval_hours
+ * Tables are created by docs/SYNC_SCHEDULES_SETUP.sql
+ */
+
+import { supabaseServer, isSupabaseInitialized } from '../supabase-server.js'
+
+// Source types a schedule can run (same names /api/sync accepts)
+export const SCHEDULABLE_SOURCE_TYPES = [
+  'NPS',
+  'Recreation.gov',
+  'State Agency',
+  'Federal Agency',
+  'County Agency',
+  'City Agency'
+]
+
+// Sources that need an api_url
+export const URL_BASED_SOURCE_TYPES = ['State Agency', 'Federal Agency', 'County Agency', 'City Agency']
+
+// Fields an admin can set on a schedule
+const EDITABLE_FIELDS = ['name', 'source_type', 'api_url', 'enabled', 'interval_hours', 'next_run_at', 'incremental']
+
+/**
+ * Validate and clean schedule fields from an admin request
+ * For updates, pass the existing row merged with the changes
+ * @param {Object} fields - Raw fields
+ * @returns {{ values: Object, errors: string[] }}
+ */
+export function validateScheduleFields(fields = {}) {
+  const values = {}
+  const errors = []
+
+  for (const field of EDITABLE_FIELDS) {
+    if (fields[field] !== undefined) values[field] = fields[field]
+  }
+
+  values.name = typeof values.name === 'string' ? values.name.trim() : ''
+  if (!values.name) errors.push('name is required')
+
+  if (!SCHEDULABLE_SOURCE_TYPES.includes(values.source_type)) {
+    errors.push(`source_type must be one of: ${SCHEDULABLE_SOURCE_TYPES.join(', ')}`)
+  }
+
+  values.api_url = typeof values.api_url === 'string' && values.api_url.trim() ? values.api_url.trim() : null
+  if (URL_BASED_SOURCE_TYPES.includes(values.source_type) && !values.api_url) {
+    errors.push(`api_url is required for ${values.source_type}`)
+  }
+
+  const interval = parseInt(values.interval_hours)
+  if (!Number.isFinite(interval) || interval < 1) {
+    errors.push('interval_hours must be at least 1')
+  } else {
+    values.interval_hours = interval
+  }
+
+  if (values.enabled !== undefined) {
+    values.enabled = values.enabled === true || values.enabled === 'true'
+  }
+
+  // Incremental (edited-since-last-run) syncs only apply to ArcGIS URLs (column from docs/ARCGIS_SYNC_SETUP.sql)
+  if (values.incremental !== undefined) {
+    values.incremental = URL_BASED_SOURCE_TYPES.includes(values.source_type) &&
+      (values.incremental === true || values.incremental === 'true')
+  }
+
+  if (values.next_run_at !== undefined) {
+    const nextRun = values.next_run_at ? new Date(values.next_run_at) : null
+    if (!nextRun || isNaN(nextRun.getTime())) {
+      errors.push('next_run_at must be a valid date')
+    } else {
+      values.next_run_at = nextRun.toISOString()
+    }
+  }
+
+  return { values, errors }
+}
+
+/**
+ * Next run time after a run that started at `from`
+ * Keeps the schedule's cadence - if runs were missed, skips ahead instead of catching up
+ */
+export function computeNextRunAt(schedule, from = new Date()) {
+  const intervalMs = Math.max(1, schedule.interval_hours || 24) * 60 * 60 * 1000
+  const previous = schedule.next_run_at ? new Date(schedule.next_run_at).getTime() : from.getTime()
+  let next = previous + intervalMs
+  if (next <= from.getTime()) {
+    next += Math.ceil((from.getTime() - next) / intervalMs) * intervalMs
+    if (next <= from.getTime()) next += intervalMs
+  }
+  return new Date(next).toISOString()
+}
+
+/**
+ * List all schedules, soonest first
+ */
+export async function listSyncSchedules() {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  const { data, error } = await supabaseServer
+    .from('sync_schedules')
+    .select('*')
+    .order('next_run_at', { ascending: true })
+
+  if (error) {
+    throw new Error(`Failed to fetch sync schedules: ${error.message}`)
+  }
+
+  return data || []
+}
+
+/**
+ * Get a single schedule
+ * @returns {Promise<Object|null>} sync_schedules row or null if not found
+ */
+export async function getSyncSchedule(scheduleId) {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  const { data, error } = await supabaseServer
+    .from('sync_schedules')
+    .select('*')
+    .eq('id', scheduleId)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Failed to fetch sync schedule: ${error.message}`)
+  }
+
+  return data
+}
+
+/**
+ * Create a schedule from validated fields (see validateScheduleFields)
+ */
+export async function createSyncSchedule(values) {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  const { data, error } = await supabaseServer
+    .from('sync_schedules')
+    .insert(values)
+    .select()
+    .single()
+
+  if (error) {
+    throw new Error(`Failed to create sync schedule: ${error.message}`)
+  }
+
+  return data
+}
+
+/**
+ * Update a schedule with validated fields
+ * @returns {Promise<Object|null>} Updated row or null if not found
+ */
+export async function updateSyncSchedule(scheduleId, values) {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  const { data, error } = await supabaseServer
+    .from('sync_schedules')
+    .update({ ...values, updated_at: new Date().toISOString() })
+    .eq('id', scheduleId)
+    .select()
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Failed to update sync schedule: ${error.message}`)
+  }
+
+  return data
+}
+
+/**
+ * Delete a schedule (its past sync runs are kept)
+ * @returns {Promise<boolean>} false if the schedule did not exist
+ */
+export async function deleteSyncSchedule(scheduleId) {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  const { data, error } = await supabaseServer
+    .from('sync_schedules')
+    .delete()
+    .eq('id', scheduleId)
+    .select('id')
+
+  if (error) {
+    throw new Error(`Failed to delete sync schedule: ${error.message}`)
+  }
+
+  return (data || []).length > 0
+}
+
+/**
+ * Claim every enabled schedule that is due by advancing its next_run_at
+ * The next_run_at check in the update keeps two overlapping scheduler ticks
+ * from starting the same schedule twice
+ *
+ * @param {Date} now
+ * @returns {Promise<Array>} Claimed schedule rows
+ */
+export async function claimDueSyncSchedules(now = new Date()) {
+  if (!isSupabaseInitialized()) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  const { data: due, error } = await supabaseServer
+    .from('sync_schedules')
+    .select('*')
+    .eq('enabled', true)
+    .lte('next_run_at', now.toISOString())
+
+  if (error) {
+    throw new Error(`Failed to fetch due sync schedules: ${error.message}`)
+  }
+
+  const claimed = []
+  for (const schedule of due || []) {
+    const { data, error: claimError } = await supabaseServer
+      .from('sync_schedules')
+      .update({
+        next_run_at: computeNextRunAt(schedule, now),
+        updated_at: now.toISOString()
+      })
+      .eq('id', schedule.id)
+      .eq('next_run_at', schedule.next_run_at)
+      .select()
+      .maybeSingle()
+
+    if (claimError) {
+      console.warn(`Warning: Could not claim sync schedule ${schedule.id}:`, claimError.message)
+      continue
+    }
+    if (data) claimed.push(data)
+  }
+
+  return claimed
+}
+
+/**
+ * Mark a schedule as running (scheduled or "run now")
+ */
+export async function markScheduleRunStarted(scheduleId) {
+  if (!isSupabaseInitialized()) return
+
+  const now = new Date().toISOString()
+  const { error } = await supabaseServer
+    .from('sync_schedules')
+    .update({
+      last_run_at: now,
+      last_status: 'running',
+      last_message: null,
+      updated_at: now
+    })
+    .eq('id', scheduleId)
+
+  if (error) {
+    console.warn(`Warning: Could not mark sync schedule ${scheduleId} as running:`, error.message)
+  }
+}
+
+/**
+ * Store the outcome of a scheduled run on the schedule
+ *
+ * @param {string} scheduleId
+ * @param {Object} result
+ * @param {string} result.status - 'completed' or 'failed'
+ * @param {string|null} result.message
+ * @param {string|null} result.syncRunId - sync_runs row recorded by /api/sync
+ */
+export async function recordScheduleRunResult(scheduleId, { status, message = null, syncRunId = null }) {
+  if (!isSupabaseInitialized()) return
+
+  const update = {
+    last_status: status,
+    last_message: message,
+    updated_at: new Date().toISOString()
+  }
+  if (syncRunId) {
+    update.last_sync_run_id = syncRunId
+  }
+
+  const { error } = await supabaseServer
+    .from('sync_schedules')
+    .update(update)
+    .eq('id', scheduleId)
+
+  if (error) {
+    console.warn(`Warning: Could not record result for sync schedule ${scheduleId}:`, error.message)
+  }
+}
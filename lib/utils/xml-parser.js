@@ -0,0 +1,162 @@
+/**
+ * Minimal XML Parser
+ * Reads an XML document into a tree of elements for the KML and GPX parsers
+ * Handles attributes, text, CDATA, comments, processing instructions, DOCTYPE and
+ * the predefined/numeric entities; namespace prefixes are kept in qName and
+ * stripped from name (so <kml:Placemark> and <Placemark> are both "Placemark")
+ */
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }
+
+/**
+ * Replace XML entities in text
+ */
+export function decodeXmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10)
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match
+  })
+}
+
+const localName = (qName) => qName.slice(qName.indexOf(':') + 1)
+
+/**
+ * Parse an XML document
+ * @param {string} text - XML source
+ * @returns {{ name: string, qName: string, attributes: Object, children: Array, text: string }}
+ *   The root element; text is the element's own text and CDATA (not its children's)
+ * @throws {Error} On malformed XML (unclosed or mismatched tags)
+ */
+export function parseXml(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '')
+  const document = { name: '#document', qName: '#document', attributes: {}, children: [], text: '' }
+  const stack = [document]
+  let pos = 0
+
+  const skipPast = (marker) => {
+    const end = source.indexOf(marker, pos)
+    if (end === -1) throw new Error(`XML: missing "${marker}"`)
+    pos = end + marker.length
+  }
+
+  while (pos < source.length) {
+    const current = stack[stack.length - 1]
+    const lt = source.indexOf('<', pos)
+
+    if (lt === -1 || lt > pos) {
+      const raw = source.slice(pos, lt === -1 ? source.length : lt)
+      if (current !== document) current.text += decodeXmlEntities(raw)
+      if (lt === -1) break
+      pos = lt
+      continue
+    }
+
+    if (source.startsWith('<!--', pos)) {
+      skipPast('-->')
+    } else if (source.startsWith('<![CDATA[', pos)) {
+      const end = source.indexOf(']]>', pos)
+      if (end === -1) throw new Error('XML: unterminated CDATA section')
+      current.text += source.slice(pos + 9, end)
+      pos = end + 3
+    } else if (source.startsWith('<?', pos)) {
+      skipPast('?>')
+    } else if (source.startsWith('<!', pos)) {
+      // DOCTYPE, possibly with an internal subset in [...]
+      let depth = 0
+      while (pos < source.length) {
+        const char = source[pos++]
+        if (char === '[') depth++
+        else if (char === ']') depth--
+        else if (char === '>' && depth <= 0) break
+      }
+    } else if (source.startsWith('</', pos)) {
+      const end = source.indexOf('>', pos)
+      if (end === -1) throw new Error('XML: unterminated closing tag')
+      const qName = source.slice(pos + 2, end).trim()
+      if (current === document || current.qName !== qName) {
+        throw new Error(`XML: unexpected </${qName}>${current === document ? '' : ` (expected </${current.qName}>)`}`)
+      }
+      stack.pop()
+      pos = end + 1
+    } else {
+      // Opening tag - find its end outside quoted attribute values
+      let end = pos + 1
+      let quote = null
+      while (end < source.length) {
+        const char = source[end]
+        if (quote) {
+          if (char === quote) quote = null
+        } else if (char === '"' || char === "'") {
+          quote = char
+        } else if (char === '>') {
+          break
+        }
+        end++
+      }
+      if (end >= source.length) throw new Error('XML: unterminated tag')
+
+      const selfClosing = source[end - 1] === '/'
+      const tag = source.slice(pos + 1, selfClosing ? end - 1 : end)
+      const qName = tag.match(/^[^\s/>]+/)?.[0]
+      if (!qName) throw new Error(`XML: invalid tag at ${pos}`)
+
+      const attributes = {}
+      const attributePattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g
+      let match
+      while ((match = attributePattern.exec(tag.slice(qName.length)))) {
+        attributes[localName(match[1])] = decodeXmlEntities(match[3] ?? match[4])
+      }
+
+      const element = { name: localName(qName), qName, attributes, children: [], text: '' }
+      current.children.push(element)
+      if (!selfClosing) stack.push(element)
+      pos = end + 1
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`XML: <${stack[stack.length - 1].qName}> is never closed`)
+  }
+  const root = document.children[0]
+  if (!root) throw new Error('XML: document has no root element')
+  return root
+}
+
+/**
+ * Child elements with a (local) name
+ */
+export function childElements(element, name) {
+  return (element?.children || []).filter(child => child.name === name)
+}
+
+/**
+ * First child element with a (local) name, or null
+ */
+export function childElement(element, name) {
+  return (element?.children || []).find(child => child.name === name) || null
+}
+
+/**
+ * Trimmed text of a child element, or null if missing/empty
+ */
+export function childText(element, name) {
+  const text = childElement(element, name)?.text.trim()
+  return text || null
+}
+
+/**
+ * All descendant elements with a (local) name, in document order
+ */
+export function descendantElements(element, name) {
+  const found = []
+  for (const child of element?.children || []) {
+    if (child.name === name) found.push(child)
+    found.push(...descendantElements(child, name))
+  }
+  return found
+}
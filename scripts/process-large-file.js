@@ -14,6 +14,8 @@
  *   --default-state <code>    Default state code if not in file
  *   --batch-size <number>     Batch size for processing (default: 500)
  *   --upload-batch-size <num> Batch size for database uploads (default: 100)
+ *   --layer <name>            GeoPackage layer to import (default: the first feature layer)
+ *   --filter <col>=<v1,v2>    Only import GeoPackage rows whose column has one of the values (repeatable)
  * 
  * Examples:
  *   # Process a local file
@@ -21,6 +23,9 @@
  * 
  *   # Process a file from Supabase Storage
  *   node scripts/process-large-file.js "uploads/1234567890-parks.zip" --from-storage
+ * 
+ *   # Import state and local parks from a PAD-US GeoPackage
+ *   node scripts/process-large-file.js ./data/PADUS_NC.gpkg --layer PADUS4_0Fee --filter Des_Tp=SP,LP,CITY
  */
 
 import { createClient } from '@supabase/supabase-js'
@@ -28,6 +33,11 @@ import { readFileSync } from 'fs'
 import { fileURLToPath } from 'url'
 import { dirname, join } from 'path'
 import { parseShapefile } from '../lib/utils/shapefile-parser.js'
+import { parseKml, parseKmz } from '../lib/utils/kml-parser.js'
+import { parseGpx } from '../lib/utils/gpx-parser.js'
+import { parseSpreadsheet, isSpreadsheetFile } from '../lib/utils/spreadsheet-parser.js'
+import { parseGeoPackage, isGeoPackageFile } from '../lib/utils/geopackage-parser.js'
+import { geocodeMissingPoints, geocodeQueryForPark } from '../lib/utils/geocoding.js'
 import { mapPropertiesToParkSchema } from '../lib/utils/field-mapper.js'
 import { simplifyBoundary } from '../lib/utils/geometry-simplify.js'
 import { geojsonToWKT } from '../lib/utils/geometry-wkt.js'
@@ -75,7 +85,9 @@ const options = {
   defaultState: null,
   batchSize: 500,
   uploadBatchSize: 100,
-  fromStorage: args.includes('--from-storage')
+  fromStorage: args.includes('--from-storage'),
+  layer: null,
+  attributeFilter: {}
 }
 
 // Parse options
@@ -95,6 +107,13 @@ for (let i = 1; i < args.length; i++) {
   } else if (args[i] === '--upload-batch-size' && args[i + 1]) {
     options.uploadBatchSize = parseInt(args[i + 1])
     i++
+  } else if (args[i] === '--layer' && args[i + 1]) {
+    options.layer = args[i + 1]
+    i++
+  } else if (args[i] === '--filter' && args[i + 1]) {
+    const [column, values = ''] = args[i + 1].split('=')
+    options.attributeFilter[column] = values.split(',').map(value => value.trim()).filter(Boolean)
+    i++
   }
 }
 
@@ -344,11 +363,24 @@ async function main() {
     
     if (file.name.toLowerCase().endsWith('.zip') || file.name.toLowerCase().endsWith('.shp')) {
       geojson = await parseShapefile(file)
+    } else if (file.name.toLowerCase().endsWith('.kmz')) {
+      geojson = await parseKmz(file)
+    } else if (file.name.toLowerCase().endsWith('.kml')) {
+      geojson = parseKml(await file.text())
+    } else if (file.name.toLowerCase().endsWith('.gpx')) {
+      geojson = parseGpx(await file.text())
+    } else if (isGeoPackageFile(file.name)) {
+      geojson = await parseGeoPackage(file, { layer: options.layer, attributeFilter: options.attributeFilter })
+    } else if (isSpreadsheetFile(file.name)) {
+      geojson = await parseSpreadsheet(file)
+      await geocodeMissingPoints(geojson.features, {
+        buildQuery: (props) => geocodeQueryForPark(mapPropertiesToParkSchema(props), options.defaultState)
+      })
     } else if (file.name.toLowerCase().endsWith('.geojson') || file.name.toLowerCase().endsWith('.json')) {
       const text = await file.text()
       geojson = JSON.parse(text)
     } else {
-      throw new Error(`Unsupported file type: ${file.name}. Expected .zip, .shp, .geojson, or .json`)
+      throw new Error(`Unsupported file type: ${file.name}. Expected .zip, .shp, .kml, .kmz, .gpx, .gpkg, .csv, .tsv, .xlsx, .geojson, or .json`)
     }
     
     if (!geojson.type || !geojson.features) {
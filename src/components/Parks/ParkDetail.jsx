@@ -5,6 +5,7 @@
 import React, { useState, useEffect } from 'react'
 import { fetchParkBoundary } from '../../utils/supabase'
 import { getAgencyFullName, getTodaySchedule } from '../../utils/helpers'
+import { listFieldProvenance } from '../../../lib/utils/field-provenance'
 
 const ParkDetail = ({ park, onClose, onBoundaryToggle }) => {
   const [boundary, setBoundary] = useState(null)
@@ -37,6 +38,8 @@ const ParkDetail = ({ park, onClose, onBoundaryToggle }) => {
 
   if (!park) return null
 
+  const fieldSources = listFieldProvenance(park.field_provenance)
+
   return (
     <div className="detail-panel">
       <button className="close-button" onClick={onClose}>
@@ -226,6 +229,24 @@ const ParkDetail = ({ park, onClose, onBoundaryToggle }) => {
           </a>
         </div>
 
+        {/* Data Sources - where each field came from */}
+        {fieldSources.length > 0 && (
+          <details className="detail-section provenance-section">
+            <summary><h3>Data Sources</h3></summary>
+            <ul className="provenance-list">
+              {fieldSources.map(({ field, source, updatedAt }) => (
+                <li key={field}>
+                  <span className="provenance-field">{field.replace(/_/g, ' ')}</span>
+                  <span className="provenance-source">
+                    {source}
+                    {updatedAt && ` · ${new Date(updatedAt).toLocaleDateString()}`}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </details>
+        )}
+
         {/* Coordinates */}
         <div className="detail-section coordinates-section">
           <p className="coordinates-text">
@@ -12,6 +12,32 @@ export const supabase = supabaseUrl && supabaseKey
   ? createClient(supabaseUrl, supabaseKey)
   : null
 
+// parks.deleted_at only exists once docs/PARKS_TRASH_SETUP.sql has been run - checked once
+let trashColumnCheck = null
+
+/**
+ * Whether parks.deleted_at exists, so queries can leave trashed parks out
+ * without failing before the trash is set up
+ * @returns {Promise<boolean>}
+ */
+export function hasTrashColumn() {
+  if (!supabase) return Promise.resolve(false)
+  if (!trashColumnCheck) {
+    trashColumnCheck = supabase
+      .from('parks')
+      .select('deleted_at')
+      .limit(1)
+      .then(({ error }) => {
+        if (!error) return true
+        if (error.code === '42703') return false
+        // Anything else (network) says nothing about the column - check again next time
+        trashColumnCheck = null
+        return true
+      })
+  }
+  return trashColumnCheck
+}
+
 /**
  * Fetch parks by viewport bounds (for map performance)
  * Uses bounding box query to only fetch parks visible in current viewport
@@ -37,6 +63,10 @@ export async function fetchParksByBounds(bounds, filters = {}) {
     .gte('longitude', bounds.west)
     .lte('longitude', bounds.east)
 
+  if (await hasTrashColumn()) {
+    query = query.is('deleted_at', null)
+  }
+
   // Apply agency filter if provided
   if (filters.agency) {
     query = query.eq('agency', filters.agency)
@@ -72,6 +102,10 @@ export async function fetchParks(filters = {}) {
     .not('latitude', 'is', null)
     .not('longitude', 'is', null)
 
+  if (await hasTrashColumn()) {
+    query = query.is('deleted_at', null)
+  }
+
   // Apply agency filter if provided
   if (filters.agency) {
     query = query.eq('agency', filters.agency)
@@ -96,11 +130,14 @@ export async function fetchParks(filters = {}) {
  * Fetch a single park by ID (with all fields for detail view)
  */
 export async function fetchParkById(id) {
-  const { data, error } = await supabase
+  let query = supabase
     .from('parks')
     .select('*')
     .eq('id', id)
-    .single()
+  if (await hasTrashColumn()) {
+    query = query.is('deleted_at', null)
+  }
+  const { data, error } = await query.single()
 
   if (error) {
     console.error('Error fetching park:', error)